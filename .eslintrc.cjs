@@ -17,7 +17,7 @@ module.exports = {
   env: {
     browser: true,
     commonjs: true,
-    es6: true,
+    es2020: true,
   },
   ignorePatterns: ["!**/.server", "!**/.client"],
 
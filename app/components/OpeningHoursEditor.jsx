@@ -0,0 +1,135 @@
+import PropTypes from "prop-types";
+import { WEEKDAYS } from "../utils/weeklyHours";
+
+// Listed Monday first, Sunday last
+const DAYS_OF_WEEK = [
+  { value: 1, label: "Monday" },
+  { value: 2, label: "Tuesday" },
+  { value: 3, label: "Wednesday" },
+  { value: 4, label: "Thursday" },
+  { value: 5, label: "Friday" },
+  { value: 6, label: "Saturday" },
+  { value: 0, label: "Sunday" },
+];
+
+const DEFAULT_RANGE = { startTime: "09:00", endTime: "17:00" };
+
+// Shift an HH:MM time by minutes, capped at the end of the day
+const shiftTime = (time, minutes) => {
+  const [hours, mins] = time.split(":").map(Number);
+  const total = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Weekly opening hours editor: a checkbox per day and one or more time ranges (split hours)
+ * Edits the { "1": [{ startTime, endTime }], ... } shape stored in Settings.openingHours
+ * and Location.openingHours.
+ */
+export default function OpeningHoursEditor({ value, onChange }) {
+  const toggleDay = (dayValue) => {
+    const next = { ...value };
+    if (next[dayValue]?.length > 0) {
+      delete next[dayValue];
+    } else {
+      next[dayValue] = [DEFAULT_RANGE];
+    }
+    onChange(next);
+  };
+
+  const updateRange = (dayValue, index, field, time) => {
+    onChange({
+      ...value,
+      [dayValue]: value[dayValue].map((range, i) => (i === index ? { ...range, [field]: time } : range)),
+    });
+  };
+
+  // Split hours: add a range an hour after the last one (e.g. 13:00–17:00 after 09:00–12:00)
+  const addRange = (dayValue) => {
+    const last = value[dayValue][value[dayValue].length - 1];
+    onChange({
+      ...value,
+      [dayValue]: [...value[dayValue], { startTime: shiftTime(last.endTime, 60), endTime: shiftTime(last.endTime, 300) }],
+    });
+  };
+
+  const removeRange = (dayValue, index) => {
+    onChange({
+      ...value,
+      [dayValue]: value[dayValue].filter((_, i) => i !== index),
+    });
+  };
+
+  return (
+    <s-grid gap="small">
+      {DAYS_OF_WEEK.map((day) => {
+        const ranges = value[day.value] || [];
+        return (
+          <s-grid key={day.value} gridTemplateColumns="140px 1fr" gap="base" alignItems="start">
+            <label style={{ display: "flex", alignItems: "center", gap: "8px", cursor: "pointer", paddingTop: "6px" }}>
+              <input
+                type="checkbox"
+                checked={ranges.length > 0}
+                onChange={() => toggleDay(day.value)}
+                style={{ cursor: "pointer" }}
+              />
+              <s-text>{day.label}</s-text>
+            </label>
+
+            {ranges.length === 0 ? (
+              <div style={{ paddingTop: "6px" }}>
+                <s-text color="subdued">Closed</s-text>
+              </div>
+            ) : (
+              <s-grid gap="small-200">
+                {ranges.map((range, index) => (
+                  <s-grid key={index} gridTemplateColumns="1fr 1fr auto" gap="small" alignItems="center">
+                    <s-text-field
+                      label={`${WEEKDAYS[day.value]} opens`}
+                      labelAccessibilityVisibility="exclusive"
+                      type="time"
+                      value={range.startTime}
+                      onInput={(e) => updateRange(day.value, index, "startTime", e.currentTarget.value)}
+                    />
+                    <s-text-field
+                      label={`${WEEKDAYS[day.value]} closes`}
+                      labelAccessibilityVisibility="exclusive"
+                      type="time"
+                      value={range.endTime}
+                      onInput={(e) => updateRange(day.value, index, "endTime", e.currentTarget.value)}
+                    />
+                    {index === 0 ? (
+                      <s-button
+                        variant="tertiary"
+                        icon="plus"
+                        accessibilityLabel={`Add hours on ${day.label}`}
+                        onClick={() => addRange(day.value)}
+                      />
+                    ) : (
+                      <s-button
+                        variant="tertiary"
+                        icon="delete"
+                        accessibilityLabel="Remove hours"
+                        onClick={() => removeRange(day.value, index)}
+                      />
+                    )}
+                  </s-grid>
+                ))}
+              </s-grid>
+            )}
+          </s-grid>
+        );
+      })}
+    </s-grid>
+  );
+}
+
+const timeRangeShape = PropTypes.shape({
+  startTime: PropTypes.string.isRequired,
+  endTime: PropTypes.string.isRequired,
+});
+
+OpeningHoursEditor.propTypes = {
+  value: PropTypes.objectOf(PropTypes.arrayOf(timeRangeShape)).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,90 @@
+import PropTypes from "prop-types";
+
+/**
+ * Resource requirements editor: a resource type and a quantity per row
+ * Edits the [{ resourceTypeId, quantity }] list saved as a service's resourceRequirements.
+ * Each type can only be chosen once.
+ */
+export default function ResourceRequirementsEditor({ value, onChange, resourceTypes }) {
+  const unusedTypes = resourceTypes.filter((rt) => !value.some((requirement) => requirement.resourceTypeId === rt.id));
+
+  const updateRequirement = (index, changes) => {
+    onChange(value.map((requirement, i) => (i === index ? { ...requirement, ...changes } : requirement)));
+  };
+
+  const addRequirement = () => {
+    onChange([...value, { resourceTypeId: unusedTypes[0].id, quantity: 1 }]);
+  };
+
+  const removeRequirement = (index) => {
+    onChange(value.filter((_, i) => i !== index));
+  };
+
+  if (resourceTypes.length === 0) {
+    return (
+      <s-banner tone="info">
+        <s-text variant="bodySm">
+          No resource types available. Create resource types on the Resources page first if you want to assign them to services.
+        </s-text>
+      </s-banner>
+    );
+  }
+
+  return (
+    <s-grid gap="small">
+      {value.length === 0 && (
+        <s-text color="subdued">No resources required</s-text>
+      )}
+      {value.map((requirement, index) => (
+        <s-grid key={index} gridTemplateColumns="1fr 160px auto" gap="small" alignItems="end">
+          <s-select
+            label="Resource type"
+            value={requirement.resourceTypeId}
+            onChange={(e) => updateRequirement(index, { resourceTypeId: e.target.value })}
+          >
+            {resourceTypes
+              .filter((rt) => rt.id === requirement.resourceTypeId || unusedTypes.includes(rt))
+              .map((rt) => (
+                <s-option key={rt.id} value={rt.id}>
+                  {rt.name}
+                </s-option>
+              ))}
+          </s-select>
+          <s-text-field
+            label="Units"
+            type="number"
+            value={requirement.quantity}
+            onInput={(e) => updateRequirement(index, { quantity: Math.max(parseInt(e.currentTarget.value) || 1, 1) })}
+            min="1"
+            step="1"
+          />
+          <s-button
+            variant="tertiary"
+            icon="delete"
+            accessibilityLabel="Remove resource type"
+            onClick={() => removeRequirement(index)}
+          />
+        </s-grid>
+      ))}
+      {unusedTypes.length > 0 && (
+        <div>
+          <s-button icon="plus" onClick={addRequirement}>
+            Add resource type
+          </s-button>
+        </div>
+      )}
+    </s-grid>
+  );
+}
+
+ResourceRequirementsEditor.propTypes = {
+  value: PropTypes.arrayOf(PropTypes.shape({
+    resourceTypeId: PropTypes.string.isRequired,
+    quantity: PropTypes.number.isRequired,
+  })).isRequired,
+  onChange: PropTypes.func.isRequired,
+  resourceTypes: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  })).isRequired,
+};
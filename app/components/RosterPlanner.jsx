@@ -0,0 +1,418 @@
+import { useState, useEffect } from "react";
+import { useFetcher } from "react-router";
+import PropTypes from "prop-types";
+import { WEEKDAYS } from "../utils/weeklyHours";
+import { formatLocationName } from "../utils/locations";
+import {
+  DEFAULT_ROSTER_RULES,
+  formatRosterShift,
+  formatRosterScore,
+} from "../utils/roster";
+
+const EMPTY_SHIFT = {
+  name: "",
+  weekdays: [1, 2, 3, 4, 5],
+  startTime: "09:00",
+  endTime: "17:00",
+  staffNeeded: 1,
+  serviceId: "",
+  locationId: "",
+};
+
+const formatServiceName = (service) =>
+  service.variantTitle ? `${service.productTitle} - ${service.variantTitle}` : service.productTitle;
+
+const formatDate = (dateStr) =>
+  new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * Roster optimizer: the shifts the store needs covered, the fairness rules of a run,
+ * and the proposed roster for the month shown in the calendar
+ * Submits to the employee page's actions. Accepting a proposal saves it as Schedule rows.
+ */
+export default function RosterPlanner({ rosterShifts, employees, services, locations, year, month, monthLabel }) {
+  const shiftFetcher = useFetcher();
+  const rosterFetcher = useFetcher();
+  const [shiftForm, setShiftForm] = useState(EMPTY_SHIFT);
+  const [rules, setRules] = useState(DEFAULT_ROSTER_RULES);
+  const [proposal, setProposal] = useState(null);
+
+  const isOptimizing = rosterFetcher.state !== "idle" && rosterFetcher.formData?.get("action") === "optimizeRoster";
+  const isAccepting = rosterFetcher.state !== "idle" && rosterFetcher.formData?.get("action") === "acceptRoster";
+
+  // Keep the latest proposal until it is accepted, discarded or another month is shown
+  useEffect(() => {
+    if (rosterFetcher.state !== "idle" || !rosterFetcher.data?.success) return;
+    if (rosterFetcher.data.action === "optimizeRoster") {
+      setProposal(rosterFetcher.data.roster);
+    } else if (rosterFetcher.data.action === "acceptRoster") {
+      setProposal(null);
+    }
+  }, [rosterFetcher.state, rosterFetcher.data]);
+
+  useEffect(() => {
+    setProposal(null);
+  }, [year, month]);
+
+  // Clear the shift form once the shift is saved
+  useEffect(() => {
+    if (shiftFetcher.state === "idle" && shiftFetcher.data?.success && shiftFetcher.data?.action === "saveRosterShift") {
+      setShiftForm(EMPTY_SHIFT);
+    }
+  }, [shiftFetcher.state, shiftFetcher.data]);
+
+  const toggleWeekday = (day) => {
+    setShiftForm((prev) => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day) ? prev.weekdays.filter((d) => d !== day) : [...prev.weekdays, day],
+    }));
+  };
+
+  const handleAddShift = () => {
+    shiftFetcher.submit(
+      {
+        action: "saveRosterShift",
+        ...shiftForm,
+        weekdays: JSON.stringify(shiftForm.weekdays),
+        staffNeeded: shiftForm.staffNeeded.toString(),
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleDeleteShift = (shift) => {
+    shiftFetcher.submit(
+      { action: "deleteRosterShift", rosterShiftId: shift.id.toString() },
+      { method: "POST" }
+    );
+  };
+
+  const handleOptimize = () => {
+    rosterFetcher.submit(
+      {
+        action: "optimizeRoster",
+        year: year.toString(),
+        month: month.toString(),
+        maxShiftsPerWeek: rules.maxShiftsPerWeek.toString(),
+        minRestHours: rules.minRestHours.toString(),
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleAccept = () => {
+    rosterFetcher.submit(
+      {
+        action: "acceptRoster",
+        year: year.toString(),
+        month: month.toString(),
+        roster: JSON.stringify({
+          employeeIds: proposal.employees.filter((emp) => emp.rostered).map((emp) => emp.id),
+          assignments: proposal.assignments.filter((a) => a.employeeId),
+        }),
+      },
+      { method: "POST" }
+    );
+  };
+
+  const employeeName = (employeeId) =>
+    employees.find((emp) => emp.id.toString() === employeeId)?.name || "Unknown employee";
+
+  // Proposed shifts per date, each with the employees assigned to it
+  const proposedDays = proposal
+    ? [...new Set(proposal.assignments.map((a) => a.date))].map((date) => {
+      const shifts = [];
+      proposal.assignments.filter((a) => a.date === date).forEach((a) => {
+        let shift = shifts.find((s) => s.shiftId === a.shiftId);
+        if (!shift) {
+          shift = { ...a, employeeIds: [], unfilled: 0 };
+          shifts.push(shift);
+        }
+        if (a.employeeId) {
+          shift.employeeIds.push(a.employeeId);
+        } else {
+          shift.unfilled += 1;
+        }
+      });
+      return { date, shifts };
+    })
+    : [];
+
+  return (
+    <s-section>
+      <s-grid gap="base">
+        <s-heading>Roster Optimizer</s-heading>
+        <s-text variant="bodySm" color="subdued">
+          List the shifts the store needs covered, then let the optimizer propose who works when. It respects skills, locations and approved time off, gives everyone enough rest, tries to honour roster preferences and spreads hours fairly.
+        </s-text>
+
+        {/* Shifts to cover */}
+        <s-text variant="headingSm">Shifts to cover</s-text>
+        {rosterShifts.length === 0 ? (
+          <s-box padding="base" background="subdued" borderRadius="base" textAlign="center">
+            <s-text variant="bodySm" color="subdued">No shifts yet.</s-text>
+          </s-box>
+        ) : (
+          <s-grid gap="small-200">
+            {rosterShifts.map((shift) => {
+              const service = services.find((s) => s.id.toString() === shift.serviceId?.toString());
+              return (
+                <s-box key={shift.id.toString()} padding="small" border="base" borderRadius="base">
+                  <s-grid gridTemplateColumns="1fr auto" gap="base" alignItems="center">
+                    <s-grid gap="none">
+                      <s-text fontWeight="semibold">
+                        {shift.name} · {shift.staffNeeded} staff
+                      </s-text>
+                      <s-text variant="bodySm" color="subdued">
+                        {formatRosterShift(shift)}
+                        {" · "}
+                        {service ? `Provides ${formatServiceName(service)}` : "Any employee"}
+                        {locations.length > 0 && ` · ${formatLocationName(locations, shift.locationId)}`}
+                      </s-text>
+                    </s-grid>
+                    <s-button
+                      variant="tertiary"
+                      tone="critical"
+                      onClick={() => handleDeleteShift(shift)}
+                      disabled={shiftFetcher.state !== "idle"}
+                    >
+                      Delete
+                    </s-button>
+                  </s-grid>
+                </s-box>
+              );
+            })}
+          </s-grid>
+        )}
+
+        {shiftFetcher.data?.action === "saveRosterShift" && shiftFetcher.data?.success === false && (
+          <s-banner tone="critical">{shiftFetcher.data.error}</s-banner>
+        )}
+
+        <s-box padding="base" border="base" borderRadius="base">
+          <s-grid gap="base">
+            <s-grid gridTemplateColumns="2fr 1fr 1fr 1fr" gap="base">
+              <s-text-field
+                label="Shift name"
+                placeholder="Morning"
+                value={shiftForm.name}
+                onInput={(e) => setShiftForm((prev) => ({ ...prev, name: e.currentTarget.value }))}
+              />
+              <s-text-field
+                label="Starts"
+                type="time"
+                value={shiftForm.startTime}
+                onInput={(e) => setShiftForm((prev) => ({ ...prev, startTime: e.currentTarget.value }))}
+              />
+              <s-text-field
+                label="Ends"
+                type="time"
+                value={shiftForm.endTime}
+                onInput={(e) => setShiftForm((prev) => ({ ...prev, endTime: e.currentTarget.value }))}
+              />
+              <s-text-field
+                label="Staff needed"
+                type="number"
+                value={shiftForm.staffNeeded.toString()}
+                onInput={(e) => setShiftForm((prev) => ({ ...prev, staffNeeded: Math.max(parseInt(e.currentTarget.value, 10) || 1, 1) }))}
+                min="1"
+                step="1"
+              />
+            </s-grid>
+
+            <s-stack direction="inline" gap="base">
+              {[1, 2, 3, 4, 5, 6, 0].map((day) => (
+                <label key={day} style={{ display: "flex", alignItems: "center", gap: "6px", cursor: "pointer" }}>
+                  <input
+                    type="checkbox"
+                    checked={shiftForm.weekdays.includes(day)}
+                    onChange={() => toggleWeekday(day)}
+                    style={{ cursor: "pointer" }}
+                  />
+                  <s-text>{WEEKDAYS[day]}</s-text>
+                </label>
+              ))}
+            </s-stack>
+
+            <s-grid gridTemplateColumns={locations.length > 0 ? "1fr 1fr auto" : "1fr auto"} gap="base" alignItems="end">
+              <s-select
+                label="Required skill"
+                value={shiftForm.serviceId}
+                onChange={(e) => setShiftForm((prev) => ({ ...prev, serviceId: e.target.value }))}
+                details="Only employees who provide this service can work the shift"
+              >
+                <s-option value="">Any employee</s-option>
+                {services.map((service) => (
+                  <s-option key={service.id.toString()} value={service.id.toString()}>
+                    {formatServiceName(service)}
+                  </s-option>
+                ))}
+              </s-select>
+              {locations.length > 0 && (
+                <s-select
+                  label="Location"
+                  value={shiftForm.locationId}
+                  onChange={(e) => setShiftForm((prev) => ({ ...prev, locationId: e.target.value }))}
+                >
+                  <s-option value="">All locations</s-option>
+                  {locations.map((location) => (
+                    <s-option key={location.id.toString()} value={location.id.toString()}>
+                      {location.name}
+                    </s-option>
+                  ))}
+                </s-select>
+              )}
+              <s-button onClick={handleAddShift} disabled={!shiftForm.name.trim() || shiftFetcher.state !== "idle"}>
+                Add shift
+              </s-button>
+            </s-grid>
+          </s-grid>
+        </s-box>
+
+        {/* Fairness rules */}
+        <s-text variant="headingSm">Fairness rules</s-text>
+        <s-grid gridTemplateColumns="1fr 1fr auto" gap="base" alignItems="end">
+          <s-text-field
+            label="Maximum shifts per week"
+            type="number"
+            value={rules.maxShiftsPerWeek.toString()}
+            onInput={(e) => setRules((prev) => ({ ...prev, maxShiftsPerWeek: parseInt(e.currentTarget.value, 10) || 1 }))}
+            min="1"
+            max="7"
+          />
+          <s-text-field
+            label="Minimum rest between shifts (hours)"
+            type="number"
+            value={rules.minRestHours.toString()}
+            onInput={(e) => setRules((prev) => ({ ...prev, minRestHours: parseInt(e.currentTarget.value, 10) || 0 }))}
+            min="0"
+            max="24"
+          />
+          <s-button
+            variant="primary"
+            onClick={handleOptimize}
+            loading={isOptimizing}
+            disabled={rosterShifts.length === 0 || rosterFetcher.state !== "idle"}
+          >
+            Optimize {monthLabel}
+          </s-button>
+        </s-grid>
+
+        {rosterFetcher.state === "idle" && rosterFetcher.data?.success === false && (
+          <s-banner tone="critical">{rosterFetcher.data.error}</s-banner>
+        )}
+        {rosterFetcher.state === "idle" && rosterFetcher.data?.success && rosterFetcher.data?.action === "acceptRoster" && (
+          <s-banner tone="success" dismissible>
+            Roster saved to {rosterFetcher.data.count} schedule days.
+          </s-banner>
+        )}
+
+        {/* Proposed roster */}
+        {proposal && (
+          <s-grid gap="base">
+            <s-grid gridTemplateColumns="1fr auto" gap="base" alignItems="center">
+              <s-grid gap="none">
+                <s-text variant="headingSm">
+                  Proposed roster, {formatDate(proposal.startDate)} – {formatDate(proposal.endDate)}
+                </s-text>
+                <s-text variant="bodySm" color="subdued">{formatRosterScore(proposal.score)}</s-text>
+              </s-grid>
+              <s-stack direction="inline" gap="small-200">
+                <s-button variant="tertiary" onClick={() => setProposal(null)} disabled={isAccepting}>
+                  Discard
+                </s-button>
+                <s-button variant="primary" onClick={handleAccept} loading={isAccepting}>
+                  Accept roster
+                </s-button>
+              </s-stack>
+            </s-grid>
+
+            <s-banner tone="info">
+              Accepting replaces the schedules of the rostered employees on these days. Days without a shift become days off.
+            </s-banner>
+
+            {proposal.score.medium < 0 && (
+              <s-banner tone="warning">
+                Some shifts could not be filled without breaking a rule. Add employees with the required skills or relax the fairness rules.
+              </s-banner>
+            )}
+
+            {proposal.conflicts.length > 0 && (
+              <s-banner tone="warning">
+                <s-grid gap="small-200">
+                  <s-text>These bookings would fall outside the employee&apos;s rostered hours:</s-text>
+                  {proposal.conflicts.map((conflict) => (
+                    <s-text key={`${conflict.bookingId}-${conflict.employeeId}`} variant="bodySm">
+                      {formatDate(conflict.date)} {conflict.startTime}–{conflict.endTime} · {employeeName(conflict.employeeId)}
+                    </s-text>
+                  ))}
+                </s-grid>
+              </s-banner>
+            )}
+
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Employee</s-table-header>
+                <s-table-header>Shifts</s-table-header>
+                <s-table-header>Hours</s-table-header>
+                <s-table-header>Preferences</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {proposal.employees.filter((emp) => emp.rostered).map((emp) => (
+                  <s-table-row key={emp.id}>
+                    <s-table-cell>{employeeName(emp.id)}</s-table-cell>
+                    <s-table-cell>{emp.shifts}</s-table-cell>
+                    <s-table-cell>{emp.hours}</s-table-cell>
+                    <s-table-cell>
+                      {[
+                        emp.desiredDays > 0 && `${emp.desiredDays} desired days worked`,
+                        emp.undesiredDays > 0 && `${emp.undesiredDays} undesired days worked`,
+                      ].filter(Boolean).join(", ") || "—"}
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Date</s-table-header>
+                <s-table-header>Shifts</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {proposedDays.map((day) => (
+                  <s-table-row key={day.date}>
+                    <s-table-cell>{formatDate(day.date)}</s-table-cell>
+                    <s-table-cell>
+                      <s-grid gap="none">
+                        {day.shifts.map((shift) => (
+                          <s-text key={shift.shiftId} variant="bodySm">
+                            {shift.name} {shift.startTime}–{shift.endTime}:{" "}
+                            {shift.employeeIds.map(employeeName).join(", ")}
+                            {shift.unfilled > 0 && (
+                              <s-badge tone="warning">{shift.unfilled} unfilled</s-badge>
+                            )}
+                          </s-text>
+                        ))}
+                      </s-grid>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          </s-grid>
+        )}
+      </s-grid>
+    </s-section>
+  );
+}
+
+RosterPlanner.propTypes = {
+  rosterShifts: PropTypes.arrayOf(PropTypes.object).isRequired,
+  employees: PropTypes.arrayOf(PropTypes.object).isRequired,
+  services: PropTypes.arrayOf(PropTypes.object).isRequired,
+  locations: PropTypes.arrayOf(PropTypes.object).isRequired,
+  year: PropTypes.number.isRequired,
+  month: PropTypes.number.isRequired,
+  monthLabel: PropTypes.string.isRequired,
+};
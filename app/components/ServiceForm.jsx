@@ -1,12 +1,24 @@
 import { useState } from "react";
+import PropTypes from "prop-types";
 import { useAppBridge } from "@shopify/app-bridge-react";
+import { SLOT_INTERVAL_OPTIONS } from "../utils/slotInterval";
+import { MINIMUM_NOTICE_OPTIONS } from "../utils/minimumNotice";
+import { BOOKING_MODE, BOOKING_MODE_OPTIONS } from "../utils/scheduledSessions";
+import ResourceRequirementsEditor from "./ResourceRequirementsEditor";
 
-export default function ServiceForm({ onCancel, onSubmit, isSubmitting, resourceTypes = [] }) {
+export default function ServiceForm({ onCancel, onSubmit, isSubmitting, error, resourceTypes = [] }) {
   const shopify = useAppBridge();
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [variants, setVariants] = useState([]);
   const [defaultDuration, setDefaultDuration] = useState(30);
-  const [selectedResourceType, setSelectedResourceType] = useState("");
+  const [resourceRequirements, setResourceRequirements] = useState([]);
+  const [bufferBefore, setBufferBefore] = useState(0);
+  const [bufferAfter, setBufferAfter] = useState(0);
+  const [slotInterval, setSlotInterval] = useState("");
+  const [minimumNotice, setMinimumNotice] = useState("");
+  const [capacity, setCapacity] = useState(1);
+  const [staffRequired, setStaffRequired] = useState(1);
+  const [bookingMode, setBookingMode] = useState(BOOKING_MODE.OPEN);
 
   const handleOpenProductPicker = async () => {
     const selection = await shopify.resourcePicker({ type: 'product' });
@@ -60,7 +72,6 @@ export default function ServiceForm({ onCancel, onSubmit, isSubmitting, resource
     if (!selectedProduct) return;
 
     const servicesToCreate = [];
-    const resourceTypeId = selectedResourceType || null;
 
     if (variants.length > 0) {
       // Create service for each variant
@@ -72,7 +83,14 @@ export default function ServiceForm({ onCancel, onSubmit, isSubmitting, resource
           variantTitle: variant.title,
           imageUrl: variant.image || selectedProduct.images?.[0]?.originalSrc || null,
           duration: variant.duration,
-          resourceTypeId,
+          bufferBefore,
+          bufferAfter,
+          slotInterval: slotInterval || null,
+          minimumNotice: minimumNotice || null,
+          capacity,
+          staffRequired,
+          bookingMode,
+          resourceRequirements,
         });
       });
     } else {
@@ -84,7 +102,14 @@ export default function ServiceForm({ onCancel, onSubmit, isSubmitting, resource
         variantTitle: null,
         imageUrl: selectedProduct.images?.[0]?.originalSrc || null,
         duration: defaultDuration,
-        resourceTypeId,
+        bufferBefore,
+        bufferAfter,
+        slotInterval: slotInterval || null,
+        minimumNotice: minimumNotice || null,
+        capacity,
+        staffRequired,
+        bookingMode,
+        resourceRequirements,
       });
     }
 
@@ -100,6 +125,8 @@ export default function ServiceForm({ onCancel, onSubmit, isSubmitting, resource
         Cancel
       </s-button>
 
+      {error && <s-banner tone="critical">{error}</s-banner>}
+
       {!selectedProduct ? (
         <s-section>
           <s-grid gap="base">
@@ -158,33 +185,18 @@ export default function ServiceForm({ onCancel, onSubmit, isSubmitting, resource
             </s-grid>
           </s-section>
 
-          {/* Resource Type Section */}
+          {/* Resource Requirements Section */}
           <s-section>
             <s-grid gap="base">
-              <s-text variant="headingMd">Required Resource Type (Optional)</s-text>
+              <s-text variant="headingMd">Required Resources (Optional)</s-text>
               <s-text variant="bodySm" color="subdued">
-                Select a resource type if this service requires a specific resource
+                Add each resource type this service needs, such as a room and a device. A time is only offered when one resource of every type is free.
               </s-text>
-              {resourceTypes && resourceTypes.length > 0 ? (
-                <s-select
-                  label="Resource Type"
-                  value={selectedResourceType}
-                  onChange={(e) => setSelectedResourceType(e.target.value)}
-                >
-                  <s-option value="">None</s-option>
-                  {resourceTypes.map(rt => (
-                    <s-option key={rt.id} value={rt.id}>
-                      {rt.name}
-                    </s-option>
-                  ))}
-                </s-select>
-              ) : (
-                <s-banner tone="info">
-                  <s-text variant="bodySm">
-                    No resource types available. Create resource types on the Resources page first if you want to assign them to services.
-                  </s-text>
-                </s-banner>
-              )}
+              <ResourceRequirementsEditor
+                value={resourceRequirements}
+                onChange={setResourceRequirements}
+                resourceTypes={resourceTypes}
+              />
             </s-grid>
           </s-section>
 
@@ -252,8 +264,152 @@ export default function ServiceForm({ onCancel, onSubmit, isSubmitting, resource
               </s-grid>
             )}
           </s-section>
+
+          {/* Booking Type Section */}
+          <s-section>
+            <s-grid gap="base">
+              <s-grid gap="small">
+                <s-text variant="headingMd">Booking type</s-text>
+                <s-text variant="bodySm" color="subdued">
+                  Open appointments are offered whenever staff are available. Scheduled sessions are only offered at the dates you add on the Sessions page.
+                </s-text>
+              </s-grid>
+              <s-select
+                label="Customers book"
+                value={bookingMode}
+                onChange={(e) => setBookingMode(e.target.value)}
+              >
+                {BOOKING_MODE_OPTIONS.map((option) => (
+                  <s-option key={option.value} value={option.value}>
+                    {option.label}
+                  </s-option>
+                ))}
+              </s-select>
+            </s-grid>
+          </s-section>
+
+          {/* Capacity Section */}
+          <s-section>
+            <s-grid gap="base">
+              <s-grid gap="small">
+                <s-text variant="headingMd">Capacity</s-text>
+                <s-text variant="bodySm" color="subdued">
+                  Set more than one seat for group classes and workshops. A session stays bookable until every seat is taken.
+                </s-text>
+              </s-grid>
+              <s-text-field
+                label="Seats per session"
+                type="number"
+                value={capacity}
+                onInput={(e) => setCapacity(Math.max(parseInt(e.currentTarget.value) || 1, 1))}
+                min="1"
+                step="1"
+              />
+            </s-grid>
+          </s-section>
+
+          {/* Staff Section */}
+          <s-section>
+            <s-grid gap="base">
+              <s-grid gap="small">
+                <s-text variant="headingMd">Staff</s-text>
+                <s-text variant="bodySm" color="subdued">
+                  Set more than one for appointments that need several employees at the same time, such as a couples massage.
+                </s-text>
+              </s-grid>
+              <s-text-field
+                label="Staff per booking"
+                type="number"
+                value={staffRequired}
+                onInput={(e) => setStaffRequired(Math.max(parseInt(e.currentTarget.value) || 1, 1))}
+                min="1"
+                step="1"
+              />
+            </s-grid>
+          </s-section>
+
+          {/* Buffer Time Section */}
+          <s-section>
+            <s-grid gap="base">
+              <s-grid gap="small">
+                <s-text variant="headingMd">Buffer time</s-text>
+                <s-text variant="bodySm" color="subdued">
+                  Blocks time for preparation and cleanup around each booking. Customers only see the service duration.
+                </s-text>
+              </s-grid>
+              <s-grid gridTemplateColumns="1fr 1fr" gap="base">
+                <s-text-field
+                  label="Before"
+                  type="number"
+                  value={bufferBefore}
+                  onInput={(e) => setBufferBefore(Math.max(parseInt(e.currentTarget.value) || 0, 0))}
+                  suffix="minutes"
+                  min="0"
+                  step="5"
+                />
+                <s-text-field
+                  label="After"
+                  type="number"
+                  value={bufferAfter}
+                  onInput={(e) => setBufferAfter(Math.max(parseInt(e.currentTarget.value) || 0, 0))}
+                  suffix="minutes"
+                  min="0"
+                  step="5"
+                />
+              </s-grid>
+            </s-grid>
+          </s-section>
+
+          {/* Start Interval Section */}
+          <s-section>
+            <s-grid gap="base">
+              <s-text variant="headingMd">Start times</s-text>
+              <s-select
+                label="Start time interval"
+                value={slotInterval}
+                onChange={(e) => setSlotInterval(e.target.value)}
+              >
+                <s-option value="">Store default</s-option>
+                {SLOT_INTERVAL_OPTIONS.map((option) => (
+                  <s-option key={option.value} value={option.value}>
+                    {option.label}
+                  </s-option>
+                ))}
+              </s-select>
+            </s-grid>
+          </s-section>
+
+          {/* Minimum Notice Section */}
+          <s-section>
+            <s-grid gap="base">
+              <s-text variant="headingMd">Minimum notice</s-text>
+              <s-select
+                label="Minimum booking notice"
+                value={minimumNotice}
+                onChange={(e) => setMinimumNotice(e.target.value)}
+              >
+                <s-option value="">Store default</s-option>
+                {MINIMUM_NOTICE_OPTIONS.map((option) => (
+                  <s-option key={option.value} value={option.value}>
+                    {option.label}
+                  </s-option>
+                ))}
+              </s-select>
+            </s-grid>
+          </s-section>
         </>
       )}
     </s-page>
   );
 }
+
+ServiceForm.propTypes = {
+  onCancel: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool,
+  error: PropTypes.string,
+  resourceTypes: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  })),
+};
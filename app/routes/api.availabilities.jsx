@@ -1,5 +1,19 @@
 import { authenticate } from "../shopify.server";
-import prisma from "../db.server";
+import {
+  getAvailabilityContext,
+  getEligibleEmployees,
+  getEligibleResources,
+  findAvailabilities,
+  findSessionAvailabilities,
+  filterFutureSlots,
+  filterSlotsByEmployee,
+  filterByMinimumNotice,
+} from "../utils/availability.server";
+import { releaseExpiredHolds, parseBookingDate } from "../utils/booking.server";
+import { getZonedDateStr, addDaysToDateStr } from "../utils/timezone";
+import { getMinimumNotice, getEarliestBookableTime } from "../utils/minimumNotice";
+import { isAtLocation } from "../utils/locations";
+import { isSessionService } from "../utils/scheduledSessions";
 
 /**
  * Calculate available time slots for a given service
@@ -8,9 +22,13 @@ import prisma from "../db.server";
  * Constraints:
  * - Employee must have the service in their serviceIds
  * - No overlapping bookings
+ * - Group services: a session stays bookable until its seats (capacity) are taken
+ * - Services needing several staff: enough eligible employees are free together (staffRequired)
  * - Within working hours
+ * - At the requested location (required when the store has several active locations)
  * - Respect employee schedules
  * - If useResources is enabled, check resource availability
+ * - Services in "sessions" mode list their scheduled sessions instead (mode: "sessions")
  * 
  * Security Model:
  * - Admin requests: Fully authenticated via Shopify session
@@ -23,12 +41,14 @@ export const loader = async ({ request }) => {
   const date = url.searchParams.get("date");
   const shop = url.searchParams.get("shop");
   const employeeId = url.searchParams.get("employeeId"); // Optional: filter by specific employee
+  const locationId = url.searchParams.get("locationId"); // Optional: book at this location
 
   console.log('[API] /api/availabilities - Request received:', {
     serviceId,
     date,
     shop,
     employeeId,
+    locationId,
     origin: request.headers.get("origin"),
     method: request.method,
   });
@@ -106,29 +126,20 @@ export const loader = async ({ request }) => {
       }
     }
 
-    // Get store with settings, employees, services, and resources
-    // Note: We query schedules separately with date range filter for better performance
-    const store = await prisma.store.findUnique({
-      where: { shop: shopDomain },
-      include: {
-        settings: true,
-        employees: {
-          where: { isActive: true },
-        },
-        services: {
-          where: {
-            id: BigInt(serviceId),
-            isActive: true,
-          },
-          include: {
-            resourceType: true,
-          },
-        },
-        resources: {
-          where: { isActive: true },
-        },
-      },
-    });
+    // Sweep checkout holds that expired without an order
+    await releaseExpiredHolds(shopDomain);
+
+    const {
+      store,
+      service,
+      settings,
+      timeZone,
+      closures,
+      employees,
+      resources,
+      locations,
+      location,
+    } = await getAvailabilityContext(shopDomain, serviceId, { locationId });
 
     if (!store) {
       return Response.json(
@@ -143,7 +154,6 @@ export const loader = async ({ request }) => {
       );
     }
 
-    const service = store.services[0];
     if (!service) {
       return Response.json(
         { error: "Service not found" },
@@ -157,68 +167,96 @@ export const loader = async ({ request }) => {
       );
     }
 
-    const settings = store.settings || {
-      workingHoursStart: "09:00",
-      workingHoursEnd: "17:00",
-      openDays: "1,2,3,4,5",
-      useResources: false,
-      limitBookingWindow: false,
-      bookingWindow: 30,
-      limitAppointments: false,
-      maxAppointmentsDisplayed: 10,
-    };
+    if (locationId && !location) {
+      return Response.json(
+        { error: "Location not found" },
+        {
+          status: 404,
+          headers: {
+            "Access-Control-Allow-Origin": allowedOrigin || "*",
+            "Content-Type": "application/json",
+          },
+        }
+      );
+    }
+
+    // Locations offering the service: an employee who provides it works there (or everywhere)
+    const serviceEmployees = getEligibleEmployees(store.employees, service);
+    const serviceLocations = locations
+      .filter((loc) => serviceEmployees.some((emp) => isAtLocation(emp, loc.id)))
+      .map((loc) => ({ id: loc.id.toString(), name: loc.name, address: loc.address }));
+
+    // Scheduled sessions carry their own location, so only open booking needs one picked
+    const isSessions = isSessionService(service);
+
+    // With several locations the customer picks one before seeing slots
+    if (!isSessions && !location && locations.length > 1) {
+      return Response.json(
+        {
+          service: {
+            id: service.id.toString(),
+            title: service.productTitle,
+            duration: service.duration,
+            capacity: service.capacity,
+            staffRequired: service.staffRequired,
+          },
+          locations: serviceLocations,
+          locationRequired: true,
+          availabilities: [],
+        },
+        {
+          headers: {
+            "Access-Control-Allow-Origin": allowedOrigin || "*",
+            "Content-Type": "application/json",
+          },
+        }
+      );
+    }
 
     // Determine the date range based on limitBookingWindow setting
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    let endDate;
-    if (date) {
+    // Dates are calendar days in the store's timezone ("today" is the store's today)
+    const todayStr = getZonedDateStr(timeZone);
+
+    let fromStr = todayStr;
+    let toStr;
+    if (date && parseBookingDate(date)) {
       // If specific date requested, only check that date
-      endDate = new Date(date);
+      fromStr = date;
+      toStr = date;
     } else if (settings.limitBookingWindow) {
       // Limited booking window
-      endDate = new Date(today);
-      endDate.setDate(today.getDate() + (settings.bookingWindow || 30));
+      toStr = addDaysToDateStr(todayStr, settings.bookingWindow || 30);
     } else {
       // Unlimited - check up to 1 year ahead
-      endDate = new Date(today);
-      endDate.setDate(today.getDate() + 365);
+      toStr = addDaysToDateStr(todayStr, 365);
     }
 
+    const startDate = parseBookingDate(fromStr);
+    const endDate = parseBookingDate(toStr);
+
     console.log('[API] /api/availabilities - Date range:', {
-      from: today.toISOString().split('T')[0],
-      to: endDate.toISOString().split('T')[0],
+      from: fromStr,
+      to: toStr,
+      timeZone,
       limited: settings.limitBookingWindow,
     });
 
-    const openDays = settings.openDays.split(",").map(Number);
-
-    // Filter employees who can provide this service
-    let eligibleEmployees = store.employees;
-    if (employeeId) {
-      eligibleEmployees = eligibleEmployees.filter(
-        (emp) => emp.id.toString() === employeeId
-      );
-    }
-
-    // Filter by service capability
-    eligibleEmployees = eligibleEmployees.filter((emp) => {
-      if (!emp.serviceIds) return false;
-      const serviceIds = Array.isArray(emp.serviceIds) 
-        ? emp.serviceIds 
-        : JSON.parse(emp.serviceIds || "[]");
-      return serviceIds.includes(service.id.toString());
-    });
+    // Filter employees who can provide this service (a service needing several staff is
+    // computed over every eligible employee; the requested one only has to be in the team)
+    const isTeamService = service.staffRequired > 1;
+    const eligibleEmployees = getEligibleEmployees(employees, service, isTeamService ? null : employeeId);
 
-    if (eligibleEmployees.length === 0) {
+    if (!isSessions && eligibleEmployees.length === 0) {
       return Response.json(
         {
           service: {
             id: service.id.toString(),
             title: service.productTitle,
             duration: service.duration,
+            capacity: service.capacity,
+            staffRequired: service.staffRequired,
           },
+          locations: serviceLocations,
           availabilities: [],
           message: "No employees available for this service",
         },
@@ -232,116 +270,40 @@ export const loader = async ({ request }) => {
     }
 
     // Filter resources by service's resource type if applicable
-    let eligibleResources = store.resources;
-    if (settings.useResources && service.resourceTypeId) {
-      eligibleResources = store.resources.filter(
-        (resource) => resource.resourceTypeId.toString() === service.resourceTypeId.toString()
-      );
-    }
+    const eligibleResources = getEligibleResources(resources, service, settings);
 
-    // Query schedules from database within the date range
-    const employeeIds = eligibleEmployees.map(emp => emp.id);
-    const schedules = await prisma.schedule.findMany({
-      where: {
-        employeeId: { in: employeeIds },
-        date: {
-          gte: today,
-          lte: endDate,
-        },
-      },
-      include: {
-        employee: true,
-      },
-      orderBy: {
-        date: 'asc',
-      },
-    });
-
-    console.log('[API] /api/availabilities - Found schedules:', {
-      totalSchedules: schedules.length,
-      employeesWithSchedules: new Set(schedules.map(s => s.employeeId)).size,
-    });
-
-    // Group schedules by date
-    const schedulesByDate = {};
-    schedules.forEach(schedule => {
-      const dateStr = schedule.date.toISOString().split('T')[0];
-      const dayOfWeek = new Date(schedule.date).getDay();
-      
-      // Skip if store is closed on this day
-      if (!openDays.includes(dayOfWeek)) {
-        return;
-      }
-      
-      if (!schedulesByDate[dateStr]) {
-        schedulesByDate[dateStr] = [];
-      }
-      schedulesByDate[dateStr].push(schedule);
-    });
-
-    // Calculate available slots for each date that has schedules
-    const allAvailabilities = [];
-    const datesWithSchedules = Object.keys(schedulesByDate);
-    
-    for (const checkDate of datesWithSchedules) {
-      const dateSchedules = schedulesByDate[checkDate];
-      
-      console.log(`[API] Processing date ${checkDate}:`, {
-        schedulesCount: dateSchedules.length,
-        employees: dateSchedules.map(s => ({ 
-          id: s.employee.id, 
-          name: s.employee.name,
-          slotsCount: s.slots ? JSON.parse(JSON.stringify(s.slots)).length : 0,
-        })),
-      });
-      
-      // Map schedules to employee format expected by calculateAvailableSlots
-      const employeesForDate = dateSchedules.map(schedule => ({
-        id: schedule.employee.id,
-        name: schedule.employee.name,
-        serviceIds: schedule.employee.serviceIds,
-        schedules: [schedule],
-      }));
-
-      // Calculate available slots for this date
-      const dateAvailabilities = calculateAvailableSlots({
-        employees: employeesForDate,
+    let allAvailabilities = isSessions
+      ? await findSessionAvailabilities({
+        service,
+        startDate,
+        endDate,
+        employeeId,
+        timeZone,
+        closures: store.closures,
+      })
+      : await findAvailabilities({
+        employees: eligibleEmployees,
         service,
-        date: checkDate,
-        workingHoursStart: settings.workingHoursStart,
-        workingHoursEnd: settings.workingHoursEnd,
-        useResources: settings.useResources,
+        settings,
         resources: eligibleResources,
+        startDate,
+        endDate,
+        timeZone,
+        closures,
       });
-      
-      console.log(`[API] Generated ${dateAvailabilities.length} slots for ${checkDate}`);
-
-      // Add date to each availability
-      dateAvailabilities.forEach(avail => {
-        allAvailabilities.push({
-          ...avail,
-          date: checkDate,
-        });
-      });
+    if (isTeamService && employeeId) {
+      allAvailabilities = filterSlotsByEmployee(allAvailabilities, employeeId);
     }
 
-    // Log summary of schedule processing
-    console.log('[API] /api/availabilities - Schedule summary:', {
-      datesWithSchedules: datesWithSchedules.length,
-      totalSlotsGenerated: allAvailabilities.length,
-    });
-
-    // Filter out past appointments (backend-side filtering)
-    const now = new Date();
-    const futureAvailabilities = allAvailabilities.filter(slot => {
-      // Parse the slot's date and time
-      const [year, month, day] = slot.date.split('-').map(Number);
-      const [hours, minutes] = slot.startTime.split(':').map(Number);
-      const slotDateTime = new Date(year, month - 1, day, hours, minutes);
-      
-      // Only include slots that are in the future
-      return slotDateTime > now;
-    });
+    // Filter out past appointments and those inside the minimum notice (backend-side filtering)
+    const earliestBookableTime = getEarliestBookableTime(
+      getMinimumNotice(service, settings),
+      { settings, timeZone, closures }
+    );
+    const futureAvailabilities = filterByMinimumNotice(
+      filterFutureSlots(allAvailabilities),
+      earliestBookableTime
+    );
 
     console.log('[API] /api/availabilities - Filtered past appointments:', {
       total: allAvailabilities.length,
@@ -360,8 +322,14 @@ export const loader = async ({ request }) => {
         id: service.id.toString(),
         title: service.productTitle,
         duration: service.duration,
+        capacity: service.capacity,
+        staffRequired: service.staffRequired,
       },
+      mode: service.bookingMode,
       useResources: settings.useResources,
+      timeZone,
+      locations: isSessions ? [] : serviceLocations,
+      location: !isSessions && location ? { id: location.id.toString(), name: location.name, address: location.address } : null,
       availabilities: displayedAvailabilities,
       totalAvailabilities: futureAvailabilities.length,
       displayedCount: displayedAvailabilities.length,
@@ -373,6 +341,7 @@ export const loader = async ({ request }) => {
       totalAvailabilities: futureAvailabilities.length,
       displayedCount: displayedAvailabilities.length,
       limitApplied: response.limitApplied,
+      mode: response.mode,
       useResources: response.useResources,
     });
     
@@ -398,229 +367,3 @@ export const loader = async ({ request }) => {
     );
   }
 };
-
-/**
- * Calculate available time slots based on employee schedules and constraints
- */
-function calculateAvailableSlots({
-  employees,
-  service,
-  date,
-  workingHoursStart,
-  workingHoursEnd,
-  useResources,
-  resources,
-}) {
-  const serviceDuration = service.duration; // in minutes
-  const slots = [];
-
-  // Parse working hours
-  const [startHour, startMinute] = workingHoursStart.split(":").map(Number);
-  const [endHour, endMinute] = workingHoursEnd.split(":").map(Number);
-
-  const workStart = new Date(date);
-  workStart.setHours(startHour, startMinute, 0, 0);
-
-  const workEnd = new Date(date);
-  workEnd.setHours(endHour, endMinute, 0, 0);
-
-  // For each employee, calculate their available slots
-  employees.forEach((employee) => {
-    const employeeSlots = [];
-    const schedule = employee.schedules && employee.schedules.length > 0 ? employee.schedules[0] : null;
-
-    // Skip this employee if they don't have a schedule for this date
-    if (!schedule) {
-      return; // Skip silently - no need to log every missing schedule
-    }
-
-    // Get all slots from the schedule
-    const scheduleSlots = schedule?.slots ? JSON.parse(JSON.stringify(schedule.slots)) : [];
-    
-    console.log(`[calculateAvailableSlots] Employee ${employee.name} on ${date}:`, {
-      totalSlots: scheduleSlots.length,
-      slots: scheduleSlots.map(s => ({ 
-        time: `${s.startTime}-${s.endTime}`, 
-        available: s.isAvailable 
-      })),
-    });
-    
-    // Get available and unavailable slots
-    const availableSlots = scheduleSlots.filter((slot) => slot.isAvailable);
-    const unavailableSlots = scheduleSlots.filter((slot) => !slot.isAvailable);
-
-    // If no available slots, skip this employee
-    if (availableSlots.length === 0) {
-      return;
-    }
-
-    // Merge consecutive available slots into continuous time blocks
-    const mergedAvailableRanges = [];
-    let currentBlock = null;
-    
-    availableSlots
-      .sort((a, b) => a.startTime.localeCompare(b.startTime))
-      .forEach((slot) => {
-        const slotStart = parseTimeToDate(date, slot.startTime);
-        const slotEnd = parseTimeToDate(date, slot.endTime);
-        
-        if (!currentBlock) {
-          // Start a new block
-          currentBlock = { start: slotStart, end: slotEnd };
-        } else if (currentBlock.end.getTime() === slotStart.getTime()) {
-          // Extend the current block
-          currentBlock.end = slotEnd;
-        } else {
-          // Gap detected, save current block and start a new one
-          mergedAvailableRanges.push(currentBlock);
-          currentBlock = { start: slotStart, end: slotEnd };
-        }
-      });
-    
-    // Don't forget the last block
-    if (currentBlock) {
-      mergedAvailableRanges.push(currentBlock);
-    }
-
-    // Get booked/unavailable time ranges
-    const unavailableRanges = unavailableSlots.map((slot) => ({
-      start: parseTimeToDate(date, slot.startTime),
-      end: parseTimeToDate(date, slot.endTime),
-    }));
-
-    console.log(`[calculateAvailableSlots] Employee ${employee.name}:`, {
-      individualSlots: availableSlots.length,
-      mergedBlocks: mergedAvailableRanges.length,
-      unavailableRanges: unavailableRanges.length,
-    });
-
-    // For each merged available time block, generate appointment slots
-    mergedAvailableRanges.forEach((range) => {
-      let currentTime = new Date(range.start);
-      
-      while (currentTime < range.end) {
-        const slotEnd = new Date(currentTime.getTime() + serviceDuration * 60000);
-
-        // Check if slot end is within the available range
-        if (slotEnd <= range.end) {
-          // Check if slot doesn't overlap with any booked slots
-          const isAvailable = !hasOverlap(currentTime, slotEnd, unavailableRanges);
-
-          if (isAvailable) {
-            employeeSlots.push({
-              startTime: formatTime(currentTime),
-              endTime: formatTime(slotEnd),
-              employeeId: employee.id.toString(),
-              employeeName: employee.name,
-            });
-          }
-        }
-
-        // Move to next interval based on service duration to avoid gaps
-        currentTime = new Date(currentTime.getTime() + serviceDuration * 60000);
-      }
-    });
-
-    slots.push(...employeeSlots);
-  });
-
-  // If resources are enabled, add resource information to slots
-  // Note: Resource booking tracking is not implemented in the schema yet
-  if (useResources && resources.length > 0) {
-    const slotsWithResources = [];
-    
-    slots.forEach((slot) => {
-      // For now, assume all resources are available since bookings relation doesn't exist
-      const availableResources = resources.map((r) => ({
-        id: r.id.toString(),
-        name: r.name,
-        quantity: r.quantity,
-        available: r.quantity, // All units available (no booking tracking yet)
-      }));
-      
-      // Include slot with resource information
-      if (availableResources.length > 0) {
-        slotsWithResources.push({
-          ...slot,
-          requiresResource: true,
-          availableResources,
-        });
-      }
-    });
-    
-    // Group slots by time
-    const groupedSlots = {};
-    slotsWithResources.forEach((slot) => {
-      const key = `${slot.startTime}-${slot.endTime}`;
-      if (!groupedSlots[key]) {
-        groupedSlots[key] = {
-          startTime: slot.startTime,
-          endTime: slot.endTime,
-          employees: [],
-          requiresResource: true,
-          availableResources: slot.availableResources,
-        };
-      }
-      groupedSlots[key].employees.push({
-        id: slot.employeeId,
-        name: slot.employeeName,
-      });
-    });
-    
-    return Object.values(groupedSlots).sort((a, b) =>
-      a.startTime.localeCompare(b.startTime)
-    );
-  }
-
-  // Group slots by time for easier frontend consumption
-  const groupedSlots = {};
-  slots.forEach((slot) => {
-    const key = `${slot.startTime}-${slot.endTime}`;
-    if (!groupedSlots[key]) {
-      groupedSlots[key] = {
-        startTime: slot.startTime,
-        endTime: slot.endTime,
-        employees: [],
-      };
-    }
-    groupedSlots[key].employees.push({
-      id: slot.employeeId,
-      name: slot.employeeName,
-    });
-  });
-
-  return Object.values(groupedSlots).sort((a, b) =>
-    a.startTime.localeCompare(b.startTime)
-  );
-}
-
-/**
- * Check if a time range overlaps with any unavailable ranges
- */
-function hasOverlap(start, end, unavailableRanges) {
-  return unavailableRanges.some((range) => {
-    // Two ranges overlap if:
-    // - start is before range.end AND
-    // - end is after range.start
-    return start < range.end && end > range.start;
-  });
-}
-
-/**
- * Parse time string (HH:MM) to Date object for a given date
- */
-function parseTimeToDate(dateStr, timeStr) {
-  const [hours, minutes] = timeStr.split(":").map(Number);
-  const date = new Date(dateStr);
-  date.setHours(hours, minutes, 0, 0);
-  return date;
-}
-
-/**
- * Format Date object to time string (HH:MM)
- */
-function formatTime(date) {
-  const hours = date.getHours().toString().padStart(2, "0");
-  const minutes = date.getMinutes().toString().padStart(2, "0");
-  return `${hours}:${minutes}`;
-}
@@ -0,0 +1,167 @@
+import { createBooking, BOOKING_STATUS } from "../utils/booking.server";
+
+/**
+ * Create a tentative booking from the storefront booking widget
+ *
+ * The booking is created as PENDING with a hold token. The widget adds the service
+ * variant to the cart with the booking ID and hold token as line item properties,
+ * and the booking is tied to the order once the customer completes checkout.
+ *
+ * Security Model:
+ * - Public endpoint with CORS restrictions (called from the theme app block)
+ * - The widget posts FormData so the request stays a simple CORS request (no preflight)
+ * - Availability is re-checked server-side inside a transaction before writing,
+ *   so clients can only book slots the availability engine would offer
+ */
+export const action = async ({ request }) => {
+  // Determine origin for CORS - only allow Shopify domains
+  const origin = request.headers.get("origin");
+  const allowedOrigin = origin && origin.includes(".myshopify.com") ? origin : "*";
+
+  if (request.method !== "POST") {
+    return Response.json(
+      { error: "Method not allowed" },
+      {
+        status: 405,
+        headers: {
+          "Access-Control-Allow-Origin": allowedOrigin || "*",
+          "Content-Type": "application/json",
+        },
+      }
+    );
+  }
+
+  const formData = await request.formData();
+  const shop = formData.get("shop");
+  const serviceId = formData.get("serviceId");
+  // One employeeId entry per staff member for services needing several (the first leads)
+  const [employeeId = null, ...staffIds] = formData.getAll("employeeId").filter(Boolean);
+  // One resourceId entry per required resource type
+  const resourceIds = formData.getAll("resourceId").filter(Boolean);
+  const locationId = formData.get("locationId") || null;
+  const sessionId = formData.get("sessionId") || null;
+  const date = formData.get("date");
+  const startTime = formData.get("startTime");
+  const customer = {
+    name: formData.get("customerName")?.toString().trim(),
+    email: formData.get("customerEmail")?.toString().trim(),
+    phone: formData.get("customerPhone")?.toString().trim(),
+  };
+
+  if (!shop || !shop.endsWith(".myshopify.com")) {
+    return Response.json(
+      { error: "Invalid shop domain" },
+      {
+        status: 400,
+        headers: {
+          "Access-Control-Allow-Origin": allowedOrigin || "*",
+          "Content-Type": "application/json",
+        },
+      }
+    );
+  }
+
+  if (!serviceId || !date || !startTime) {
+    return Response.json(
+      { error: "serviceId, date and startTime are required" },
+      {
+        status: 400,
+        headers: {
+          "Access-Control-Allow-Origin": allowedOrigin || "*",
+          "Content-Type": "application/json",
+        },
+      }
+    );
+  }
+
+  // Ids are numeric; anything else can't match a row (and would make BigInt throw)
+  const ids = [serviceId, employeeId, ...staffIds, ...resourceIds, locationId, sessionId].filter(Boolean);
+  if (ids.some((id) => !/^\d+$/.test(id.toString()))) {
+    return Response.json(
+      { error: "Invalid id" },
+      {
+        status: 400,
+        headers: {
+          "Access-Control-Allow-Origin": allowedOrigin || "*",
+          "Content-Type": "application/json",
+        },
+      }
+    );
+  }
+
+  try {
+    const result = await createBooking({
+      shop,
+      serviceId,
+      employeeId,
+      staffIds,
+      resourceIds,
+      locationId,
+      sessionId,
+      date,
+      startTime,
+      customer,
+      status: BOOKING_STATUS.PENDING,
+    });
+
+    if (!result.success) {
+      console.log('[API] /api/bookings - Booking rejected:', result.error);
+      return Response.json(
+        { error: result.error },
+        {
+          status: result.status || 400,
+          headers: {
+            "Access-Control-Allow-Origin": allowedOrigin || "*",
+            "Content-Type": "application/json",
+          },
+        }
+      );
+    }
+
+    const { booking } = result;
+    return Response.json(
+      {
+        success: true,
+        booking: {
+          id: booking.id.toString(),
+          date,
+          startTime: booking.startTime,
+          endTime: booking.endTime,
+          startsAt: booking.startsAt,
+          endsAt: booking.endsAt,
+          employeeId: booking.employeeId.toString(),
+          employeeIds: booking.employees.map((assignment) => assignment.employeeId.toString()),
+          employeeName: booking.employeeName,
+          resourceId: booking.resourceId?.toString() || null,
+          resourceIds: booking.resources.map((held) => held.resourceId.toString()),
+          resourceName: booking.resourceName,
+          locationId: booking.locationId?.toString() || null,
+          locationName: booking.locationName,
+          sessionId: booking.scheduledSessionId?.toString() || null,
+          status: booking.status,
+          holdToken: booking.holdToken,
+          holdExpiresAt: booking.holdExpiresAt,
+        },
+      },
+      {
+        status: 201,
+        headers: {
+          "Access-Control-Allow-Origin": allowedOrigin || "*",
+          "Content-Type": "application/json",
+        },
+      }
+    );
+  } catch (error) {
+    console.error('[API] /api/bookings - Error:', error);
+    return Response.json(
+      { error: "Internal server error" },
+      {
+        status: 500,
+        headers: {
+          "Access-Control-Allow-Origin": allowedOrigin || "*",
+          "Content-Type": "application/json",
+        },
+      }
+    );
+  }
+};
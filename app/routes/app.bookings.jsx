@@ -0,0 +1,1188 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useNavigate, useSearchParams } from "react-router";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { BOOKING_STATUS, DEFAULT_SETTINGS } from "../utils/availability.server";
+import {
+  cancelBookings,
+  createBooking,
+  findBookableSlots,
+  releaseExpiredHolds,
+  rescheduleBooking,
+} from "../utils/booking.server";
+import { resolveSchedules } from "../utils/schedule.server";
+import { getStoreTimeZone, getZonedDateStr, toDateStr } from "../utils/timezone";
+import { isSessionService } from "../utils/scheduledSessions";
+import { matchesRequirement } from "../utils/resourceRequirements";
+
+const VIEWS = ["day", "week", "month"];
+
+// Colors used to tell employees apart in the calendar
+const EMPLOYEE_COLORS = ["#2c6ecb", "#108043", "#b98900", "#8a2be2", "#d82c0d", "#008299", "#c05717", "#5c6ac4"];
+
+const EMPTY_BOOKING_FORM = { bookingId: "", serviceId: "", date: "", startTime: "", employeeId: "", staffIds: [], resourceIds: [], sessionId: "" };
+const EMPTY_CUSTOMER = { id: "", name: "", email: "", phone: "" };
+
+// Whether an employee is assigned to a booking (as lead or further staff)
+const isAssigned = (booking, employeeId) =>
+  booking.employees.some((assignment) => assignment.employeeId.toString() === employeeId.toString());
+
+// Further staff for a slot needing several, keeping earlier choices the slot still offers
+const pickStaffIds = (slot, employeeId, prevStaffIds) => {
+  const otherIds = slot.employees.map((emp) => emp.id).filter((id) => id !== employeeId);
+  const keptIds = prevStaffIds.filter((id) => otherIds.includes(id));
+  return [...keptIds, ...otherIds.filter((id) => !keptIds.includes(id))].slice(0, (slot.staffRequired || 1) - 1);
+};
+
+// Resources of a slot that can fill a requirement (one is booked per required type)
+const getFreeResources = (slot, requirement) =>
+  slot.availableResources.filter((r) => matchesRequirement(r, requirement) && r.available >= requirement.quantity);
+
+const parseDateStr = (dateStr) => {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const addDays = (dateStr, days) => {
+  const date = parseDateStr(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateStr(date);
+};
+
+/**
+ * Get the first and last date (YYYY-MM-DD) shown by a calendar view
+ */
+const getViewRange = (view, dateStr) => {
+  const date = parseDateStr(dateStr);
+  if (view === "day") {
+    return { rangeStart: dateStr, rangeEnd: dateStr };
+  }
+  if (view === "week") {
+    // Weeks start on Sunday, like the employee calendar
+    const rangeStart = addDays(dateStr, -date.getUTCDay());
+    return { rangeStart, rangeEnd: addDays(rangeStart, 6) };
+  }
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  return {
+    rangeStart: toDateStr(new Date(Date.UTC(year, month, 1))),
+    rangeEnd: toDateStr(new Date(Date.UTC(year, month + 1, 0))),
+  };
+};
+
+const timeToMinutes = (timeStr) => {
+  const [hours, minutes] = timeStr.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const url = new URL(request.url);
+  const viewParam = url.searchParams.get("view");
+  const dateParam = url.searchParams.get("date");
+  // Filters that aren't ids are ignored
+  const idParam = (name) => {
+    const value = url.searchParams.get(name) || "";
+    return /^\d+$/.test(value) ? value : "";
+  };
+  const serviceId = idParam("serviceId");
+  const resourceId = idParam("resourceId");
+
+  const view = VIEWS.includes(viewParam) ? viewParam : "week";
+
+  // Get store with the same employee, service and resource data the employee page loads
+  const store = await prisma.store.findUnique({
+    where: { shop },
+    include: {
+      employees: {
+        where: { isActive: true },
+        orderBy: { createdAt: "asc" },
+      },
+      settings: true,
+      services: {
+        where: { isActive: true },
+        orderBy: { productTitle: "asc" },
+      },
+      resources: {
+        where: { isActive: true },
+        orderBy: { name: "asc" },
+      },
+    },
+  });
+
+  // "Today" is the store's calendar day, not the server's
+  const todayStr = getZonedDateStr(getStoreTimeZone(store));
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(dateParam || "") ? dateParam : todayStr;
+  const { rangeStart, rangeEnd } = getViewRange(view, date);
+
+  // Weekly templates expanded per date, with dated schedules as overrides
+  const schedules = await resolveSchedules({
+    employees: store?.employees || [],
+    startDate: parseDateStr(rangeStart),
+    endDate: parseDateStr(rangeEnd),
+  });
+
+  // Sweep checkout holds that expired without an order, so they are not listed as pending
+  await releaseExpiredHolds(shop);
+
+  // Expired checkout holds never became appointments, so they are not shown, unless an
+  // order came in after the time was booked again (the merchant has to sort those out)
+  const bookings = await prisma.booking.findMany({
+    where: {
+      shop,
+      date: {
+        gte: parseDateStr(rangeStart),
+        lte: parseDateStr(rangeEnd),
+      },
+      OR: [
+        { status: { not: BOOKING_STATUS.EXPIRED } },
+        { orderId: { not: null } },
+      ],
+      ...(serviceId ? { serviceId: BigInt(serviceId) } : {}),
+      ...(resourceId ? { resources: { some: { resourceId: BigInt(resourceId) } } } : {}),
+    },
+    include: {
+      service: true,
+      employee: true,
+      employees: {
+        include: { employee: true },
+        orderBy: { id: "asc" },
+      },
+      resources: {
+        include: { resource: true },
+        orderBy: { id: "asc" },
+      },
+    },
+    orderBy: [{ date: "asc" }, { startTime: "asc" }],
+  });
+
+  return {
+    view,
+    date,
+    todayStr,
+    rangeStart,
+    rangeEnd,
+    filters: { serviceId, resourceId },
+    employees: store?.employees || [],
+    services: store?.services || [],
+    resources: store?.resources || [],
+    settings: store?.settings || DEFAULT_SETTINGS,
+    schedules,
+    bookings,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const formData = await request.formData();
+  const actionType = formData.get("action");
+
+  console.log("Bookings action called:", { actionType, shop });
+
+  // Slots offered by the availability engine, the same ones the storefront shows
+  if (actionType === "findSlots") {
+    const result = await findBookableSlots({
+      shop,
+      serviceId: formData.get("serviceId"),
+      date: formData.get("date"),
+      employeeId: formData.get("employeeId") || null,
+      excludeBookingId: formData.get("bookingId") || null,
+    });
+
+    if (!result.success) {
+      return { success: false, action: actionType, error: result.error };
+    }
+    return { success: true, action: actionType, availabilities: result.availabilities };
+  }
+
+  if (actionType === "searchCustomers") {
+    const query = formData.get("query")?.toString().trim();
+    if (!query) {
+      return { success: true, action: actionType, customers: [] };
+    }
+
+    const response = await admin.graphql(
+      `#graphql
+        query searchCustomers($query: String!) {
+          customers(first: 10, query: $query) {
+            nodes {
+              id
+              displayName
+              email
+              phone
+            }
+          }
+        }`,
+      { variables: { query } }
+    );
+    const { data } = await response.json();
+
+    return { success: true, action: actionType, customers: data?.customers?.nodes || [] };
+  }
+
+  if (actionType === "create") {
+    const result = await createBooking({
+      shop,
+      serviceId: formData.get("serviceId"),
+      employeeId: formData.get("employeeId") || null,
+      staffIds: formData.get("staffIds")?.split(",").filter(Boolean) || [],
+      resourceIds: formData.get("resourceIds")?.split(",").filter(Boolean) || [],
+      sessionId: formData.get("sessionId") || null,
+      date: formData.get("date"),
+      startTime: formData.get("startTime"),
+      customer: {
+        id: formData.get("customerId") || null,
+        name: formData.get("customerName")?.toString().trim(),
+        email: formData.get("customerEmail")?.toString().trim(),
+        phone: formData.get("customerPhone")?.toString().trim(),
+      },
+      status: BOOKING_STATUS.CONFIRMED,
+      source: "admin",
+    });
+
+    if (!result.success) {
+      return { success: false, action: actionType, error: result.error };
+    }
+    return { success: true, action: actionType };
+  }
+
+  if (actionType === "reschedule") {
+    const result = await rescheduleBooking({
+      shop,
+      bookingId: formData.get("bookingId"),
+      employeeId: formData.get("employeeId") || null,
+      staffIds: formData.get("staffIds")?.split(",").filter(Boolean) || [],
+      resourceIds: formData.get("resourceIds")?.split(",").filter(Boolean) || [],
+      sessionId: formData.get("sessionId") || null,
+      date: formData.get("date"),
+      startTime: formData.get("startTime"),
+    });
+
+    if (!result.success) {
+      return { success: false, action: actionType, error: result.error };
+    }
+    return { success: true, action: actionType };
+  }
+
+  if (actionType === "cancel") {
+    const bookingId = formData.get("bookingId");
+    if (!/^\d+$/.test(bookingId || "")) {
+      return { success: false, action: actionType, error: "Booking not found or already cancelled" };
+    }
+
+    const count = await cancelBookings(
+      shop,
+      { id: BigInt(bookingId) },
+      { cancelledBy: "merchant", reason: formData.get("reason")?.toString().trim() }
+    );
+
+    if (count === 0) {
+      return { success: false, action: actionType, error: "Booking not found or already cancelled" };
+    }
+    return { success: true, action: actionType };
+  }
+
+  return { success: false, error: "Invalid action" };
+};
+
+export default function BookingsPage() {
+  const {
+    view,
+    date,
+    todayStr,
+    rangeStart,
+    rangeEnd,
+    filters,
+    employees,
+    services,
+    resources,
+    settings,
+    schedules,
+    bookings,
+  } = useLoaderData();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [selectedBooking, setSelectedBooking] = useState(null);
+  const fetcher = useFetcher();
+  const slotsFetcher = useFetcher();
+  const customerFetcher = useFetcher();
+  const [bookingForm, setBookingForm] = useState(EMPTY_BOOKING_FORM);
+  const [customerForm, setCustomerForm] = useState(EMPTY_CUSTOMER);
+  const [customerQuery, setCustomerQuery] = useState("");
+  const [cancelReason, setCancelReason] = useState("");
+
+  const isSubmitting = fetcher.state === "submitting";
+  const isLoadingSlots = slotsFetcher.state !== "idle";
+  const slotsError = slotsFetcher.data?.success === false ? slotsFetcher.data.error : null;
+  const slots = slotsFetcher.data?.success ? slotsFetcher.data.availabilities : [];
+  const selectedSlot = slots.find((slot) =>
+    slot.startTime === bookingForm.startTime && (slot.sessionId || "") === bookingForm.sessionId
+  );
+  const bookingService = services.find((service) => service.id.toString() === bookingForm.serviceId);
+  const isGroupService = bookingService?.capacity > 1 || isSessionService(bookingService);
+  const customerResults = customerFetcher.data?.customers || [];
+
+  // Load valid slots whenever the service or date of the booking form changes
+  const submitSlotsSearch = slotsFetcher.submit;
+  useEffect(() => {
+    if (bookingForm.serviceId && bookingForm.date) {
+      submitSlotsSearch(
+        {
+          action: "findSlots",
+          serviceId: bookingForm.serviceId,
+          date: bookingForm.date,
+          bookingId: bookingForm.bookingId,
+        },
+        { method: "POST" }
+      );
+    }
+  }, [bookingForm.serviceId, bookingForm.date, bookingForm.bookingId, submitSlotsSearch]);
+
+  // Close modals after a booking was created, rescheduled or cancelled
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.success) {
+      const modalId = fetcher.data.action === "cancel" ? "cancel-booking-modal" : "booking-form-modal";
+      const closeBtn = document.querySelector(`[commandFor="${modalId}"][command="--hide"]`);
+      if (closeBtn) closeBtn.click();
+      setSelectedBooking(null);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const openNewBooking = () => {
+    setBookingForm({ ...EMPTY_BOOKING_FORM, serviceId: filters.serviceId, date });
+    setCustomerForm(EMPTY_CUSTOMER);
+    setCustomerQuery("");
+  };
+
+  const openReschedule = (booking) => {
+    setBookingForm({
+      bookingId: booking.id.toString(),
+      serviceId: booking.serviceId.toString(),
+      date: toDateStr(booking.date),
+      startTime: "",
+      employeeId: booking.employeeId.toString(),
+      staffIds: booking.employees
+        .map((assignment) => assignment.employeeId.toString())
+        .filter((id) => id !== booking.employeeId.toString()),
+      resourceIds: booking.resources.map((held) => held.resourceId.toString()),
+      sessionId: "",
+    });
+  };
+
+  // Keep the chosen staff and resources when the new slot offers them
+  const selectSlot = (slot) => {
+    const requirements = slot.requiresResource ? slot.resourceRequirements : [];
+    setBookingForm((prev) => {
+      const employeeId = slot.employees.some((emp) => emp.id === prev.employeeId) ? prev.employeeId : slot.employees[0].id;
+      return {
+        ...prev,
+        startTime: slot.startTime,
+        sessionId: slot.sessionId || "",
+        employeeId,
+        staffIds: pickStaffIds(slot, employeeId, prev.staffIds),
+        resourceIds: requirements.map((requirement) => {
+          const freeResources = getFreeResources(slot, requirement);
+          return (freeResources.find((r) => prev.resourceIds.includes(r.id)) || freeResources[0])?.id || "";
+        }),
+      };
+    });
+  };
+
+  const selectEmployee = (employeeId) => {
+    setBookingForm((prev) => ({
+      ...prev,
+      employeeId,
+      staffIds: pickStaffIds(selectedSlot, employeeId, prev.staffIds),
+    }));
+  };
+
+  const selectStaff = (index, employeeId) => {
+    setBookingForm((prev) => ({
+      ...prev,
+      staffIds: prev.staffIds.map((id, i) => (i === index ? employeeId : id)),
+    }));
+  };
+
+  const selectResource = (index, resourceId) => {
+    setBookingForm((prev) => ({
+      ...prev,
+      resourceIds: prev.resourceIds.map((id, i) => (i === index ? resourceId : id)),
+    }));
+  };
+
+  const searchCustomers = () => {
+    customerFetcher.submit({ action: "searchCustomers", query: customerQuery }, { method: "POST" });
+  };
+
+  const selectCustomer = (customer) => {
+    setCustomerForm({
+      id: customer.id,
+      name: customer.displayName || "",
+      email: customer.email || "",
+      phone: customer.phone || "",
+    });
+  };
+
+  const handleSaveBooking = () => {
+    if (!selectedSlot) return;
+    fetcher.submit(
+      bookingForm.bookingId
+        ? {
+          action: "reschedule",
+          ...bookingForm,
+          staffIds: bookingForm.staffIds.join(","),
+          resourceIds: bookingForm.resourceIds.join(","),
+        }
+        : {
+          action: "create",
+          ...bookingForm,
+          staffIds: bookingForm.staffIds.join(","),
+          resourceIds: bookingForm.resourceIds.join(","),
+          customerId: customerForm.id,
+          customerName: customerForm.name,
+          customerEmail: customerForm.email,
+          customerPhone: customerForm.phone,
+        },
+      { method: "POST" }
+    );
+  };
+
+  const handleCancelBooking = () => {
+    fetcher.submit(
+      { action: "cancel", bookingId: selectedBooking.id.toString(), reason: cancelReason },
+      { method: "POST" }
+    );
+  };
+
+  // Update query params so the loader reloads the visible range
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+    navigate(`?${params.toString()}`);
+  };
+
+  const goToPrevious = () => {
+    if (view === "day") updateParams({ date: addDays(date, -1) });
+    else if (view === "week") updateParams({ date: addDays(date, -7) });
+    else updateParams({ date: addDays(rangeStart, -1) });
+  };
+
+  const goToNext = () => {
+    if (view === "day") updateParams({ date: addDays(date, 1) });
+    else if (view === "week") updateParams({ date: addDays(date, 7) });
+    else updateParams({ date: addDays(rangeEnd, 1) });
+  };
+
+  // When filtering by service, only show employees who can provide it
+  const visibleEmployees = filters.serviceId
+    ? employees.filter((emp) => Array.isArray(emp.serviceIds) && emp.serviceIds.map(String).includes(filters.serviceId))
+    : employees;
+
+  const getEmployeeColor = (employeeId) => {
+    const index = employees.findIndex((emp) => emp.id.toString() === employeeId.toString());
+    return EMPLOYEE_COLORS[Math.max(index, 0) % EMPLOYEE_COLORS.length];
+  };
+
+  const getBookingsFor = (dateStr, employeeId) =>
+    bookings.filter((b) =>
+      toDateStr(b.date) === dateStr &&
+      (!employeeId || isAssigned(b, employeeId))
+    );
+
+  const getScheduleFor = (dateStr, employeeId) =>
+    schedules.find((s) =>
+      toDateStr(s.date) === dateStr && s.employeeId.toString() === employeeId.toString()
+    );
+
+  const formatDateLabel = (dateStr, options) =>
+    parseDateStr(dateStr).toLocaleDateString("en-US", { timeZone: "UTC", ...options });
+
+  const rangeLabel = view === "day"
+    ? formatDateLabel(date, { weekday: "long", year: "numeric", month: "long", day: "numeric" })
+    : view === "week"
+      ? `${formatDateLabel(rangeStart, { month: "short", day: "numeric" })} – ${formatDateLabel(rangeEnd, { month: "short", day: "numeric", year: "numeric" })}`
+      : formatDateLabel(date, { month: "long", year: "numeric" });
+
+  const rangeDates = [];
+  for (let d = rangeStart; d <= rangeEnd; d = addDays(d, 1)) {
+    rangeDates.push(d);
+  }
+
+  const statusTone = (status) => {
+    if (status === "CONFIRMED") return "success";
+    if (status === "PENDING") return "warning";
+    return "critical";
+  };
+
+  const renderBookingChip = (booking, compact = false) => {
+    const isCancelled = booking.status === "CANCELLED";
+    const color = getEmployeeColor(booking.employeeId);
+    return (
+      <button
+        key={booking.id.toString()}
+        onClick={() => setSelectedBooking(booking)}
+        title={`${booking.startTime} - ${booking.endTime} ${booking.service.productTitle}`}
+        style={{
+          display: "block",
+          width: "100%",
+          textAlign: "left",
+          padding: compact ? "2px 6px" : "4px 8px",
+          marginBottom: "4px",
+          border: "none",
+          borderLeft: `3px solid ${color}`,
+          borderRadius: "4px",
+          backgroundColor: isCancelled ? "#f6f6f7" : `${color}1a`,
+          color: isCancelled ? "#8c9196" : "#202223",
+          textDecoration: isCancelled ? "line-through" : "none",
+          fontSize: compact ? "11px" : "12px",
+          cursor: "pointer",
+          overflow: "hidden",
+          whiteSpace: "nowrap",
+          textOverflow: "ellipsis",
+        }}
+      >
+        <strong>{booking.startTime}</strong>{" "}
+        {compact ? booking.employee.name : booking.service.productTitle}
+        {booking.status === "PENDING" && " (pending)"}
+        {booking.status === "EXPIRED" && " (expired)"}
+      </button>
+    );
+  };
+
+  // Day view: employees as columns, positioned by time of day
+  const renderDayView = () => {
+    const PIXELS_PER_MINUTE = 1.2;
+    const dayBookings = getBookingsFor(date);
+    const startMinutes = Math.min(
+      timeToMinutes(settings.workingHoursStart),
+      ...dayBookings.map((b) => timeToMinutes(b.startTime))
+    );
+    const endMinutes = Math.max(
+      timeToMinutes(settings.workingHoursEnd),
+      ...dayBookings.map((b) => timeToMinutes(b.endTime))
+    );
+    const firstHour = Math.floor(startMinutes / 60);
+    const lastHour = Math.ceil(endMinutes / 60);
+    const dayStart = firstHour * 60;
+    const height = (lastHour - firstHour) * 60 * PIXELS_PER_MINUTE;
+    const hours = [];
+    for (let h = firstHour; h < lastHour; h++) hours.push(h);
+
+    return (
+      <div style={{ display: "grid", gridTemplateColumns: `60px repeat(${Math.max(visibleEmployees.length, 1)}, minmax(140px, 1fr))`, overflowX: "auto" }}>
+        <div />
+        {visibleEmployees.map((emp) => (
+          <div key={emp.id.toString()} style={{ padding: "8px", fontWeight: "600", fontSize: "13px", borderBottom: "2px solid #e1e3e5", color: getEmployeeColor(emp.id) }}>
+            {emp.name}
+          </div>
+        ))}
+
+        {/* Hour labels */}
+        <div style={{ position: "relative", height: `${height}px` }}>
+          {hours.map((h) => (
+            <div key={h} style={{ position: "absolute", top: `${(h * 60 - dayStart) * PIXELS_PER_MINUTE}px`, fontSize: "11px", color: "#6d7175" }}>
+              {`${String(h).padStart(2, "0")}:00`}
+            </div>
+          ))}
+        </div>
+
+        {visibleEmployees.map((emp) => {
+          const schedule = getScheduleFor(date, emp.id);
+          const scheduleSlots = schedule?.slots ? schedule.slots.filter((slot) => slot.isAvailable) : [];
+
+          return (
+            <div key={emp.id.toString()} style={{ position: "relative", height: `${height}px`, borderLeft: "1px solid #e1e3e5", backgroundColor: "#fafbfb" }}>
+              {/* Hour lines */}
+              {hours.map((h) => (
+                <div key={h} style={{ position: "absolute", left: 0, right: 0, top: `${(h * 60 - dayStart) * PIXELS_PER_MINUTE}px`, borderTop: "1px solid #f1f1f1" }} />
+              ))}
+
+              {/* Scheduled availability */}
+              {scheduleSlots.map((slot) => (
+                <div
+                  key={slot.startTime}
+                  style={{
+                    position: "absolute",
+                    left: 0,
+                    right: 0,
+                    top: `${(timeToMinutes(slot.startTime) - dayStart) * PIXELS_PER_MINUTE}px`,
+                    height: `${(timeToMinutes(slot.endTime) - timeToMinutes(slot.startTime)) * PIXELS_PER_MINUTE}px`,
+                    backgroundColor: "#e3f2e9",
+                  }}
+                />
+              ))}
+
+              {/* Bookings */}
+              {getBookingsFor(date, emp.id).map((booking) => (
+                <div
+                  key={booking.id.toString()}
+                  style={{
+                    position: "absolute",
+                    left: "4px",
+                    right: "4px",
+                    top: `${(timeToMinutes(booking.startTime) - dayStart) * PIXELS_PER_MINUTE}px`,
+                    height: `${(timeToMinutes(booking.endTime) - timeToMinutes(booking.startTime)) * PIXELS_PER_MINUTE}px`,
+                    overflow: "hidden",
+                  }}
+                >
+                  {renderBookingChip(booking)}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // Week view: employees as rows, days as columns
+  const renderWeekView = () => (
+    <div style={{ display: "grid", gridTemplateColumns: "140px repeat(7, minmax(110px, 1fr))", overflowX: "auto" }}>
+      <div />
+      {rangeDates.map((d) => (
+        <button
+          key={d}
+          onClick={() => updateParams({ view: "day", date: d })}
+          style={{
+            padding: "8px",
+            border: "none",
+            borderBottom: "2px solid #e1e3e5",
+            backgroundColor: d === todayStr ? "#e0f2fe" : "transparent",
+            fontWeight: "600",
+            fontSize: "13px",
+            cursor: "pointer",
+          }}
+        >
+          {formatDateLabel(d, { weekday: "short", day: "numeric" })}
+        </button>
+      ))}
+
+      {visibleEmployees.map((emp) => (
+        <div key={emp.id.toString()} style={{ display: "contents" }}>
+          <div style={{ padding: "8px", fontWeight: "600", fontSize: "13px", borderBottom: "1px solid #e1e3e5", color: getEmployeeColor(emp.id) }}>
+            {emp.name}
+          </div>
+          {rangeDates.map((d) => (
+            <div
+              key={d}
+              style={{
+                padding: "4px",
+                minHeight: "60px",
+                borderBottom: "1px solid #e1e3e5",
+                borderLeft: "1px solid #e1e3e5",
+                backgroundColor: getScheduleFor(d, emp.id)?.slots.some((slot) => slot.isAvailable) ? "#f1f8f5" : "#ffffff",
+              }}
+            >
+              {getBookingsFor(d, emp.id).map((booking) => renderBookingChip(booking))}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+
+  // Month view: calendar grid with every employee's bookings per day
+  const renderMonthView = () => {
+    const MAX_CHIPS = 3;
+    const leadingBlanks = parseDateStr(rangeStart).getUTCDay();
+
+    return (
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: "4px" }}>
+        {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((day) => (
+          <div key={day} style={{ padding: "8px", textAlign: "center", fontWeight: "600", fontSize: "13px" }}>
+            {day}
+          </div>
+        ))}
+        {Array.from({ length: leadingBlanks }, (_, i) => <div key={`empty-${i}`} />)}
+        {rangeDates.map((d) => {
+          const dayBookings = getBookingsFor(d).filter((b) =>
+            visibleEmployees.some((emp) => isAssigned(b, emp.id))
+          );
+          return (
+            <div
+              key={d}
+              style={{
+                minHeight: "90px",
+                padding: "6px",
+                border: "1px solid #e5e7eb",
+                borderRadius: "8px",
+                backgroundColor: d === todayStr ? "#e0f2fe" : "#ffffff",
+              }}
+            >
+              <div style={{ fontSize: "12px", fontWeight: "600", marginBottom: "4px" }}>
+                {parseDateStr(d).getUTCDate()}
+              </div>
+              {dayBookings.slice(0, MAX_CHIPS).map((booking) => renderBookingChip(booking, true))}
+              {dayBookings.length > MAX_CHIPS && (
+                <button
+                  onClick={() => updateParams({ view: "day", date: d })}
+                  style={{ border: "none", background: "none", padding: 0, color: "#2c6ecb", fontSize: "11px", cursor: "pointer" }}
+                >
+                  +{dayBookings.length - MAX_CHIPS} more
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <s-page heading="Bookings">
+      <s-button
+        slot="primary-action"
+        variant="primary"
+        commandFor="booking-form-modal"
+        command="--show"
+        onClick={openNewBooking}
+      >
+        New booking
+      </s-button>
+
+      <s-section>
+        <s-grid gap="base">
+          {/* Navigation and view switcher */}
+          <s-grid gridTemplateColumns="auto 1fr auto" gap="base" alignItems="center">
+            <s-stack direction="inline" gap="small" alignItems="center">
+              <s-button onClick={goToPrevious} icon="chevron-left" variant="tertiary" accessibilityLabel="Previous" />
+              <s-button onClick={() => updateParams({ date: todayStr })} variant="tertiary" size="small">
+                Today
+              </s-button>
+              <s-button onClick={goToNext} icon="chevron-right" variant="tertiary" accessibilityLabel="Next" />
+            </s-stack>
+            <s-text variant="headingMd">{rangeLabel}</s-text>
+            <s-stack direction="inline" gap="small">
+              {VIEWS.map((v) => (
+                <s-button
+                  key={v}
+                  variant={view === v ? "primary" : "secondary"}
+                  onClick={() => updateParams({ view: v })}
+                >
+                  {v.charAt(0).toUpperCase() + v.slice(1)}
+                </s-button>
+              ))}
+            </s-stack>
+          </s-grid>
+
+          {/* Filters */}
+          <s-grid gridTemplateColumns="1fr 1fr" gap="base">
+            <s-select
+              label="Service"
+              value={filters.serviceId}
+              onChange={(e) => updateParams({ serviceId: e.target.value })}
+            >
+              <s-option value="">All services</s-option>
+              {services.map((service) => (
+                <s-option key={service.id.toString()} value={service.id.toString()}>
+                  {service.productTitle}{service.variantTitle ? ` - ${service.variantTitle}` : ""}
+                </s-option>
+              ))}
+            </s-select>
+            <s-select
+              label="Resource"
+              value={filters.resourceId}
+              onChange={(e) => updateParams({ resourceId: e.target.value })}
+            >
+              <s-option value="">All resources</s-option>
+              {resources.map((resource) => (
+                <s-option key={resource.id.toString()} value={resource.id.toString()}>
+                  {resource.name}
+                </s-option>
+              ))}
+            </s-select>
+          </s-grid>
+        </s-grid>
+      </s-section>
+
+      <s-section>
+        {visibleEmployees.length === 0 ? (
+          <s-box padding="large" background="subdued" borderRadius="base" textAlign="center">
+            <s-text color="subdued">No employees to show. Add employees and assign services on the Employees page.</s-text>
+          </s-box>
+        ) : (
+          <>
+            {view === "day" && renderDayView()}
+            {view === "week" && renderWeekView()}
+            {view === "month" && renderMonthView()}
+          </>
+        )}
+      </s-section>
+
+      {/* Booking Detail Drawer */}
+      {selectedBooking && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.3)",
+            zIndex: 1000,
+            display: "flex",
+            justifyContent: "flex-end",
+          }}
+        >
+          <div
+            style={{
+              width: "380px",
+              maxWidth: "90%",
+              height: "100%",
+              overflow: "auto",
+              backgroundColor: "white",
+              padding: "24px",
+              boxShadow: "-4px 0 12px rgba(0, 0, 0, 0.15)",
+            }}
+          >
+            <s-grid gap="base">
+              <s-grid gridTemplateColumns="1fr auto" alignItems="center">
+                <s-heading>Appointment</s-heading>
+                <s-button onClick={() => setSelectedBooking(null)} icon="x" variant="tertiary" accessibilityLabel="Close" />
+              </s-grid>
+
+              <s-stack direction="inline" gap="small">
+                <s-badge tone={statusTone(selectedBooking.status)}>{selectedBooking.status}</s-badge>
+                {selectedBooking.orderName && <s-badge>{selectedBooking.orderName}</s-badge>}
+              </s-stack>
+
+              <s-grid gap="small-200">
+                <s-text fontWeight="semibold">
+                  {selectedBooking.service.productTitle}
+                  {selectedBooking.service.variantTitle ? ` - ${selectedBooking.service.variantTitle}` : ""}
+                </s-text>
+                <s-text>
+                  {formatDateLabel(toDateStr(selectedBooking.date), { weekday: "long", year: "numeric", month: "long", day: "numeric" })}
+                </s-text>
+                <s-text>{selectedBooking.startTime} - {selectedBooking.endTime}</s-text>
+              </s-grid>
+
+              <s-grid gap="small-200">
+                <s-text variant="headingSm">Staff</s-text>
+                <s-text>{selectedBooking.employees.map((assignment) => assignment.employee.name).join(", ")}</s-text>
+                {selectedBooking.resources.length > 0 && (
+                  <>
+                    <s-text variant="headingSm">{selectedBooking.resources.length > 1 ? "Resources" : "Resource"}</s-text>
+                    <s-text>{selectedBooking.resources.map((held) => held.resource.name).join(", ")}</s-text>
+                  </>
+                )}
+              </s-grid>
+
+              <s-grid gap="small-200">
+                <s-text variant="headingSm">Customer</s-text>
+                <s-text>{selectedBooking.customerName || "Not provided"}</s-text>
+                {selectedBooking.customerEmail && <s-text color="subdued">{selectedBooking.customerEmail}</s-text>}
+                {selectedBooking.customerPhone && <s-text color="subdued">{selectedBooking.customerPhone}</s-text>}
+                {selectedBooking.customerId && (
+                  <s-link href={`shopify:admin/customers/${selectedBooking.customerId.split("/").pop()}`} target="_blank">
+                    View customer
+                  </s-link>
+                )}
+              </s-grid>
+
+              <s-text color="subdued">
+                {selectedBooking.source === "admin" ? "Booked from the admin" : "Booked from the storefront"}
+                {selectedBooking.rescheduledAt ? ` · Rescheduled ${new Date(selectedBooking.rescheduledAt).toLocaleString("en-US")}` : ""}
+              </s-text>
+
+              {selectedBooking.orderId && (
+                <s-link href={`shopify:admin/orders/${selectedBooking.orderId}`} target="_blank">
+                  View order {selectedBooking.orderName}
+                </s-link>
+              )}
+
+              {selectedBooking.status === "PENDING" && selectedBooking.holdExpiresAt && !selectedBooking.orderId && (
+                <s-text color="subdued">
+                  Held for checkout until {new Date(selectedBooking.holdExpiresAt).toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit" })}
+                </s-text>
+              )}
+
+              {selectedBooking.status === "EXPIRED" && (
+                <s-banner tone="critical">
+                  The order came in after the checkout hold expired, and this time had been booked again by then. Refund the order or book the customer at another time.
+                </s-banner>
+              )}
+
+              {selectedBooking.status === "CANCELLED" && (
+                <s-box padding="base" background="subdued" borderRadius="base">
+                  <s-grid gap="small-200">
+                    <s-text variant="bodySm">
+                      Cancelled {selectedBooking.cancelledAt ? new Date(selectedBooking.cancelledAt).toLocaleString("en-US") : ""}
+                      {selectedBooking.cancelledBy === "merchant"
+                        ? " by the merchant"
+                        : selectedBooking.cancelledBy ? ` via ${selectedBooking.cancelledBy}` : ""}
+                    </s-text>
+                    {selectedBooking.cancelReason && (
+                      <s-text variant="bodySm" color="subdued">{selectedBooking.cancelReason}</s-text>
+                    )}
+                  </s-grid>
+                </s-box>
+              )}
+
+              {(selectedBooking.status === "CONFIRMED" || selectedBooking.status === "PENDING") && (
+                <s-stack direction="inline" gap="small">
+                  <s-button
+                    commandFor="booking-form-modal"
+                    command="--show"
+                    onClick={() => openReschedule(selectedBooking)}
+                  >
+                    Reschedule
+                  </s-button>
+                  <s-button
+                    tone="critical"
+                    commandFor="cancel-booking-modal"
+                    command="--show"
+                    onClick={() => setCancelReason("")}
+                  >
+                    Cancel booking
+                  </s-button>
+                </s-stack>
+              )}
+            </s-grid>
+          </div>
+        </div>
+      )}
+
+      {/* New Booking / Reschedule Modal */}
+      <s-modal
+        id="booking-form-modal"
+        heading={bookingForm.bookingId ? "Reschedule booking" : "New booking"}
+        size="large"
+      >
+        <s-stack gap="base">
+          {fetcher.data?.success === false && fetcher.data.action !== "cancel" && (
+            <s-banner tone="critical">{fetcher.data.error}</s-banner>
+          )}
+
+          {!bookingForm.bookingId && (
+            <s-select
+              label="Service"
+              value={bookingForm.serviceId}
+              onChange={(e) => setBookingForm((prev) => ({ ...prev, serviceId: e.target.value, startTime: "", sessionId: "" }))}
+            >
+              <s-option value="">Select a service</s-option>
+              {services.map((service) => (
+                <s-option key={service.id.toString()} value={service.id.toString()}>
+                  {service.productTitle}{service.variantTitle ? ` - ${service.variantTitle}` : ""}
+                </s-option>
+              ))}
+            </s-select>
+          )}
+
+          <s-date-field
+            label="Date"
+            value={bookingForm.date}
+            onChange={(e) => setBookingForm((prev) => ({ ...prev, date: e.currentTarget.value, startTime: "", sessionId: "" }))}
+          />
+
+          {/* Available times from the availability engine */}
+          <s-box>
+            <s-text fontWeight="semibold">Available times</s-text>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", marginTop: "8px" }}>
+              {!bookingForm.serviceId || !bookingForm.date ? (
+                <s-text color="subdued">Select a service and date to see available times.</s-text>
+              ) : isLoadingSlots ? (
+                <s-text color="subdued">Loading available times...</s-text>
+              ) : slotsError ? (
+                <s-text tone="critical">{slotsError}</s-text>
+              ) : slots.length === 0 ? (
+                <s-text color="subdued">No available times on this date.</s-text>
+              ) : (
+                slots.map((slot) => (
+                  <s-button
+                    key={slot.sessionId || slot.startTime}
+                    variant={slot === selectedSlot ? "primary" : "secondary"}
+                    onClick={() => selectSlot(slot)}
+                  >
+                    {slot.startTime} - {slot.endTime}
+                    {isGroupService && ` (${slot.remainingSeats} left)`}
+                  </s-button>
+                ))
+              )}
+            </div>
+          </s-box>
+
+          {selectedSlot && (
+            <s-grid gridTemplateColumns={selectedSlot.requiresResource || selectedSlot.staffRequired > 1 ? "1fr 1fr" : "1fr"} gap="base">
+              <s-select
+                label={selectedSlot.staffRequired > 1 ? "Lead staff" : "Staff"}
+                value={bookingForm.employeeId}
+                onChange={(e) => selectEmployee(e.target.value)}
+              >
+                {selectedSlot.employees.map((emp) => (
+                  <s-option key={emp.id} value={emp.id}>
+                    {isGroupService ? `${emp.name} (${emp.remainingSeats} seats left)` : emp.name}
+                  </s-option>
+                ))}
+              </s-select>
+              {bookingForm.staffIds.map((staffId, index) => (
+                <s-select
+                  key={index}
+                  label={`Staff ${index + 2}`}
+                  value={staffId}
+                  onChange={(e) => selectStaff(index, e.target.value)}
+                >
+                  {selectedSlot.employees
+                    .filter((emp) => emp.id === staffId || (emp.id !== bookingForm.employeeId && !bookingForm.staffIds.includes(emp.id)))
+                    .map((emp) => (
+                      <s-option key={emp.id} value={emp.id}>{emp.name}</s-option>
+                    ))}
+                </s-select>
+              ))}
+              {selectedSlot.requiresResource && selectedSlot.resourceRequirements.map((requirement, index) => (
+                <s-select
+                  key={requirement.resourceTypeId || "any"}
+                  label={requirement.quantity > 1 ? `${requirement.name} (${requirement.quantity} units)` : requirement.name}
+                  value={bookingForm.resourceIds[index] || ""}
+                  onChange={(e) => selectResource(index, e.target.value)}
+                >
+                  {getFreeResources(selectedSlot, requirement).map((r) => (
+                    <s-option key={r.id} value={r.id}>{r.name} ({r.available} available)</s-option>
+                  ))}
+                </s-select>
+              ))}
+            </s-grid>
+          )}
+
+          {/* Customer */}
+          {!bookingForm.bookingId && (
+            <s-stack gap="small">
+              <s-text fontWeight="semibold">Customer</s-text>
+              {customerForm.id ? (
+                <s-stack direction="inline" gap="small" alignItems="center">
+                  <s-badge tone="info">Shopify customer</s-badge>
+                  <s-text>{customerForm.name || customerForm.email}</s-text>
+                  <s-button variant="tertiary" onClick={() => setCustomerForm(EMPTY_CUSTOMER)}>
+                    Remove
+                  </s-button>
+                </s-stack>
+              ) : (
+                <>
+                  <s-grid gridTemplateColumns="1fr auto" gap="small" alignItems="end">
+                    <s-text-field
+                      label="Find a Shopify customer"
+                      value={customerQuery}
+                      onInput={(e) => setCustomerQuery(e.currentTarget.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && customerQuery.trim()) {
+                          searchCustomers();
+                        }
+                      }}
+                      placeholder="Name, email or phone"
+                    />
+                    <s-button
+                      onClick={searchCustomers}
+                      disabled={!customerQuery.trim()}
+                      loading={customerFetcher.state !== "idle"}
+                    >
+                      Search
+                    </s-button>
+                  </s-grid>
+                  {customerResults.map((customer) => (
+                    <button
+                      key={customer.id}
+                      onClick={() => selectCustomer(customer)}
+                      style={{
+                        textAlign: "left",
+                        padding: "8px 12px",
+                        border: "1px solid #e1e3e5",
+                        borderRadius: "8px",
+                        backgroundColor: "white",
+                        cursor: "pointer",
+                      }}
+                    >
+                      <strong>{customer.displayName}</strong>
+                      {customer.email ? ` · ${customer.email}` : ""}
+                      {customer.phone ? ` · ${customer.phone}` : ""}
+                    </button>
+                  ))}
+                </>
+              )}
+              <s-grid gridTemplateColumns="1fr 1fr 1fr" gap="small">
+                <s-text-field
+                  label="Name"
+                  value={customerForm.name}
+                  onInput={(e) => setCustomerForm((prev) => ({ ...prev, name: e.currentTarget.value }))}
+                />
+                <s-text-field
+                  label="Email"
+                  value={customerForm.email}
+                  onInput={(e) => setCustomerForm((prev) => ({ ...prev, email: e.currentTarget.value }))}
+                />
+                <s-text-field
+                  label="Phone"
+                  value={customerForm.phone}
+                  onInput={(e) => setCustomerForm((prev) => ({ ...prev, phone: e.currentTarget.value }))}
+                />
+              </s-grid>
+            </s-stack>
+          )}
+        </s-stack>
+
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          onClick={handleSaveBooking}
+          disabled={!selectedSlot || isSubmitting}
+          loading={isSubmitting}
+        >
+          {bookingForm.bookingId ? "Save new time" : "Create booking"}
+        </s-button>
+        <s-button
+          slot="secondary-actions"
+          commandFor="booking-form-modal"
+          command="--hide"
+          variant="secondary"
+          disabled={isSubmitting}
+        >
+          Cancel
+        </s-button>
+      </s-modal>
+
+      {/* Cancel Booking Modal */}
+      <s-modal id="cancel-booking-modal" heading="Cancel booking" size="small">
+        <s-stack gap="base">
+          {fetcher.data?.success === false && fetcher.data.action === "cancel" && (
+            <s-banner tone="critical">{fetcher.data.error}</s-banner>
+          )}
+          <s-text>The time will be released for other customers. Refunds are handled from the order in Shopify.</s-text>
+          <s-text-field
+            label="Reason (optional)"
+            value={cancelReason}
+            onInput={(e) => setCancelReason(e.currentTarget.value)}
+          />
+        </s-stack>
+
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          tone="critical"
+          onClick={handleCancelBooking}
+          disabled={!selectedBooking || isSubmitting}
+          loading={isSubmitting}
+        >
+          Cancel booking
+        </s-button>
+        <s-button
+          slot="secondary-actions"
+          commandFor="cancel-booking-modal"
+          command="--hide"
+          variant="secondary"
+          disabled={isSubmitting}
+        >
+          Keep booking
+        </s-button>
+      </s-modal>
+    </s-page>
+  );
+}
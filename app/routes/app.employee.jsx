@@ -2,6 +2,36 @@ import { useState, useEffect, useRef } from "react";
 import { useLoaderData, useFetcher, useRevalidator, useNavigate } from "react-router";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import {
+  WEEKDAYS,
+  getTemplateForDate,
+  expandTemplate,
+  validateWeeklyHours,
+  formatWeeklyHours,
+  getOpeningHours,
+  getOpeningHoursForDate,
+} from "../utils/weeklyHours";
+import {
+  TIME_OFF_TYPES,
+  TIME_OFF_STATUS,
+  isAllDayTimeOff,
+  formatTimeOffType,
+  getTimeOffForDate,
+  validateTimeOff,
+} from "../utils/timeOff";
+import { getClosureForDate } from "../utils/closures";
+import { getLocationClosures, getLocationSettings } from "../utils/locations";
+import { formatResourceRequirements } from "../utils/resourceRequirements";
+import { ASSIGNMENT_PRIORITY_OPTIONS, isValidAssignmentPriority } from "../utils/assignmentStrategy";
+import {
+  ROSTER_PREFERENCE_OPTIONS,
+  isValidRosterPreference,
+  formatRosterPreference,
+  validateRosterShift,
+  validateRosterRules,
+} from "../utils/roster";
+import { optimizeRoster, acceptRoster } from "../utils/roster.server";
+import RosterPlanner from "../components/RosterPlanner";
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
@@ -28,13 +58,24 @@ export const loader = async ({ request }) => {
         orderBy: { createdAt: "asc" },
       },
       settings: true,
+      closures: true,
+      locations: {
+        where: { isActive: true },
+        orderBy: { name: "asc" },
+      },
       services: {
         where: { isActive: true },
         orderBy: { productTitle: "asc" },
         include: {
-          resourceType: true,
+          resourceRequirements: {
+            include: { resourceType: true },
+            orderBy: { id: "asc" },
+          },
         },
       },
+      rosterShifts: {
+        orderBy: [{ startTime: "asc" }, { name: "asc" }],
+      },
     },
   });
 
@@ -49,6 +90,37 @@ export const loader = async ({ request }) => {
     },
   });
 
+  // Get weekly availability templates (dated schedules override them)
+  const templates = await prisma.availabilityTemplate.findMany({
+    where: { shop },
+    orderBy: { effectiveFrom: "asc" },
+  });
+
+  // Get breaks and time off overlapping the same months
+  const timeOff = await prisma.timeOff.findMany({
+    where: {
+      shop,
+      startDate: { lte: new Date(year, month + 2, 0) },
+      OR: [
+        { endDate: null },
+        { endDate: { gte: new Date(year, month - 1, 1) } },
+      ],
+    },
+    orderBy: { startDate: "asc" },
+  });
+
+  // Get roster preferences for the same months
+  const rosterPreferences = await prisma.rosterPreference.findMany({
+    where: {
+      shop,
+      date: {
+        gte: new Date(year, month - 1, 1),
+        lte: new Date(year, month + 2, 0),
+      },
+    },
+    orderBy: { date: "asc" },
+  });
+
   // Default settings if none exist
   const settings = store?.settings || {
     workingHoursStart: "09:00",
@@ -63,7 +135,13 @@ export const loader = async ({ request }) => {
     employees: store?.employees || [], 
     settings, 
     schedules,
+    templates,
+    timeOff,
+    closures: store?.closures || [],
+    locations: store?.locations || [],
     services: store?.services || [],
+    rosterShifts: store?.rosterShifts || [],
+    rosterPreferences,
     storeId: store?.id,
   };
 };
@@ -121,6 +199,52 @@ export const action = async ({ request }) => {
     return { success: true, action: "updateServices" };
   }
 
+  if (actionType === "updateLocation") {
+    const employeeId = formData.get("employeeId");
+    const locationId = formData.get("locationId");
+
+    if (!/^\d+$/.test(employeeId || "")) {
+      return { success: false, action: "updateLocation", error: "Employee not found" };
+    }
+    const location = locationId && /^\d+$/.test(locationId)
+      ? await prisma.location.findFirst({ where: { id: BigInt(locationId), shop } })
+      : null;
+    if (locationId && !location) {
+      return { success: false, action: "updateLocation", error: "Location not found" };
+    }
+
+    // Scope by shop so an employee of another store can't be moved
+    const { count } = await prisma.employee.updateMany({
+      where: { id: BigInt(employeeId), shop },
+      data: { locationId: location?.id ?? null, updatedAt: new Date() },
+    });
+    if (count === 0) {
+      return { success: false, action: "updateLocation", error: "Employee not found" };
+    }
+
+    return { success: true, action: "updateLocation" };
+  }
+
+  if (actionType === "updatePriority") {
+    const employeeId = formData.get("employeeId");
+    const priority = formData.get("priority");
+
+    if (!isValidAssignmentPriority(priority)) {
+      return { success: false, action: "updatePriority", error: "Invalid assignment priority" };
+    }
+    if (!/^\d+$/.test(employeeId || "")) {
+      return { success: false, action: "updatePriority", error: "Employee not found" };
+    }
+
+    // Scope by shop so an employee of another store can't be changed
+    await prisma.employee.updateMany({
+      where: { id: BigInt(employeeId), shop },
+      data: { priority: parseInt(priority, 10), updatedAt: new Date() },
+    });
+
+    return { success: true, action: "updatePriority" };
+  }
+
   if (actionType === "saveSchedule") {
     const employeeId = formData.get("employeeId");
     const dateStr = formData.get("date"); // Expected: "YYYY-MM-DD"
@@ -223,11 +347,342 @@ export const action = async ({ request }) => {
     return { success: true, action: "deleteSchedule" };
   }
 
+  if (actionType === "saveTemplate") {
+    const employeeId = formData.get("employeeId");
+    const templateId = formData.get("templateId");
+    const effectiveFromStr = formData.get("effectiveFrom");
+    const effectiveToStr = formData.get("effectiveTo") || null;
+
+    // Validate date format (YYYY-MM-DD)
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(effectiveFromStr || "") || (effectiveToStr && !datePattern.test(effectiveToStr))) {
+      return { success: false, action: "saveTemplate", error: "Invalid date format. Expected YYYY-MM-DD" };
+    }
+    if (effectiveToStr && effectiveToStr < effectiveFromStr) {
+      return { success: false, action: "saveTemplate", error: "Effective to must be on or after effective from" };
+    }
+
+    let weeklyHours;
+    try {
+      weeklyHours = JSON.parse(formData.get("weeklyHours"));
+    } catch {
+      return { success: false, action: "saveTemplate", error: "Invalid weekly hours" };
+    }
+    const weeklyHoursError = validateWeeklyHours(weeklyHours);
+    if (weeklyHoursError) {
+      return { success: false, action: "saveTemplate", error: weeklyHoursError };
+    }
+    if (templateId && !/^\d+$/.test(templateId)) {
+      return { success: false, action: "saveTemplate", error: "Template not found" };
+    }
+
+    const employee = /^\d+$/.test(employeeId || "")
+      ? await prisma.employee.findFirst({ where: { id: BigInt(employeeId), shop } })
+      : null;
+    if (!employee) {
+      return { success: false, action: "saveTemplate", error: "Employee not found" };
+    }
+
+    // Parse as UTC dates to avoid timezone shift
+    const toUTCDate = (dateStr) => {
+      const [year, month, day] = dateStr.split('-').map(Number);
+      return new Date(Date.UTC(year, month - 1, day));
+    };
+
+    const data = {
+      weeklyHours,
+      effectiveFrom: toUTCDate(effectiveFromStr),
+      effectiveTo: effectiveToStr ? toUTCDate(effectiveToStr) : null,
+    };
+
+    if (templateId) {
+      // Scope by shop and employee so a template of another store can't be changed
+      await prisma.availabilityTemplate.updateMany({
+        where: { id: BigInt(templateId), employeeId: employee.id, shop },
+        data,
+      });
+    } else {
+      await prisma.availabilityTemplate.create({
+        data: {
+          ...data,
+          employeeId: employee.id,
+          shop,
+        },
+      });
+    }
+
+    return { success: true, action: "saveTemplate" };
+  }
+
+  if (actionType === "deleteTemplate") {
+    const templateId = formData.get("templateId");
+
+    if (!/^\d+$/.test(templateId || "")) {
+      return { success: false, action: "deleteTemplate", error: "Template not found" };
+    }
+
+    // Only templates of the shop's own employees
+    await prisma.availabilityTemplate.deleteMany({
+      where: { id: BigInt(templateId), shop, employee: { shop } },
+    });
+
+    return { success: true, action: "deleteTemplate" };
+  }
+
+  if (actionType === "saveTimeOff") {
+    const employeeId = formData.get("employeeId");
+    const timeOffId = formData.get("timeOffId");
+    const type = formData.get("type");
+    const allDay = isAllDayTimeOff(type);
+    const entry = {
+      type,
+      startDate: formData.get("startDate"),
+      endDate: formData.get("endDate") || null,
+      startTime: allDay ? null : formData.get("startTime"),
+      endTime: allDay ? null : formData.get("endTime"),
+    };
+
+    // A one-off break covers a single day
+    if (type === "break") {
+      entry.endDate = entry.startDate;
+    }
+
+    const timeOffError = validateTimeOff(entry);
+    if (timeOffError) {
+      return { success: false, action: "saveTimeOff", error: timeOffError };
+    }
+
+    if (timeOffId && !/^\d+$/.test(timeOffId)) {
+      return { success: false, action: "saveTimeOff", error: "Time off not found" };
+    }
+
+    const employee = /^\d+$/.test(employeeId || "")
+      ? await prisma.employee.findFirst({ where: { id: BigInt(employeeId), shop } })
+      : null;
+    if (!employee) {
+      return { success: false, action: "saveTimeOff", error: "Employee not found" };
+    }
+
+    const status = Object.values(TIME_OFF_STATUS).includes(formData.get("status"))
+      ? formData.get("status")
+      : TIME_OFF_STATUS.APPROVED;
+
+    // Parse as UTC dates to avoid timezone shift
+    const toUTCDate = (dateStr) => {
+      const [year, month, day] = dateStr.split('-').map(Number);
+      return new Date(Date.UTC(year, month - 1, day));
+    };
+
+    const data = {
+      type,
+      reason: formData.get("reason")?.trim() || null,
+      status,
+      startDate: toUTCDate(entry.startDate),
+      endDate: entry.endDate ? toUTCDate(entry.endDate) : null,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+    };
+
+    if (timeOffId) {
+      // Scope by shop and employee so time off of another store can't be changed
+      await prisma.timeOff.updateMany({
+        where: { id: BigInt(timeOffId), employeeId: employee.id, shop },
+        data,
+      });
+    } else {
+      await prisma.timeOff.create({
+        data: {
+          ...data,
+          employeeId: employee.id,
+          shop,
+        },
+      });
+    }
+
+    return { success: true, action: "saveTimeOff" };
+  }
+
+  if (actionType === "updateTimeOffStatus") {
+    const timeOffId = formData.get("timeOffId");
+    const status = formData.get("status");
+
+    if (!Object.values(TIME_OFF_STATUS).includes(status)) {
+      return { success: false, action: "updateTimeOffStatus", error: "Invalid status" };
+    }
+    if (!/^\d+$/.test(timeOffId || "")) {
+      return { success: false, action: "updateTimeOffStatus", error: "Time off not found" };
+    }
+
+    // Only time off of the shop's own employees
+    await prisma.timeOff.updateMany({
+      where: { id: BigInt(timeOffId), shop, employee: { shop } },
+      data: { status },
+    });
+
+    return { success: true, action: "updateTimeOffStatus" };
+  }
+
+  if (actionType === "deleteTimeOff") {
+    const timeOffId = formData.get("timeOffId");
+
+    if (!/^\d+$/.test(timeOffId || "")) {
+      return { success: false, action: "deleteTimeOff", error: "Time off not found" };
+    }
+
+    await prisma.timeOff.deleteMany({
+      where: { id: BigInt(timeOffId), shop, employee: { shop } },
+    });
+
+    return { success: true, action: "deleteTimeOff" };
+  }
+
+  if (actionType === "saveRosterPreference") {
+    const employeeId = formData.get("employeeId");
+    const dateStr = formData.get("date");
+    const type = formData.get("type");
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || "")) {
+      return { success: false, action: "saveRosterPreference", error: "Invalid date format. Expected YYYY-MM-DD" };
+    }
+    if (!isValidRosterPreference(type)) {
+      return { success: false, action: "saveRosterPreference", error: "Invalid preference" };
+    }
+
+    const employee = /^\d+$/.test(employeeId || "")
+      ? await prisma.employee.findFirst({ where: { id: BigInt(employeeId), shop } })
+      : null;
+    if (!employee) {
+      return { success: false, action: "saveRosterPreference", error: "Employee not found" };
+    }
+
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    await prisma.rosterPreference.upsert({
+      where: { employeeId_date: { employeeId: employee.id, date } },
+      update: { type },
+      create: { employeeId: employee.id, shop, date, type },
+    });
+
+    return { success: true, action: "saveRosterPreference" };
+  }
+
+  if (actionType === "deleteRosterPreference") {
+    const preferenceId = formData.get("preferenceId");
+
+    await prisma.rosterPreference.deleteMany({
+      where: { id: BigInt(preferenceId), shop },
+    });
+
+    return { success: true, action: "deleteRosterPreference" };
+  }
+
+  if (actionType === "saveRosterShift") {
+    let weekdays;
+    try {
+      weekdays = JSON.parse(formData.get("weekdays") || "[]");
+    } catch {
+      return { success: false, action: "saveRosterShift", error: "Invalid day of week" };
+    }
+
+    const shift = {
+      name: formData.get("name")?.trim(),
+      weekdays,
+      startTime: formData.get("startTime"),
+      endTime: formData.get("endTime"),
+      staffNeeded: parseInt(formData.get("staffNeeded"), 10),
+    };
+
+    const shiftError = validateRosterShift(shift);
+    if (shiftError) {
+      return { success: false, action: "saveRosterShift", error: shiftError };
+    }
+
+    // The required service and the location must belong to this shop
+    const serviceId = formData.get("serviceId");
+    const locationId = formData.get("locationId");
+    const [service, location] = await Promise.all([
+      serviceId && /^\d+$/.test(serviceId)
+        ? prisma.service.findFirst({ where: { id: BigInt(serviceId), shop } })
+        : null,
+      locationId && /^\d+$/.test(locationId)
+        ? prisma.location.findFirst({ where: { id: BigInt(locationId), shop } })
+        : null,
+    ]);
+    if (serviceId && !service) {
+      return { success: false, action: "saveRosterShift", error: "Service not found" };
+    }
+    if (locationId && !location) {
+      return { success: false, action: "saveRosterShift", error: "Location not found" };
+    }
+
+    await prisma.rosterShift.create({
+      data: {
+        ...shift,
+        weekdays: [...shift.weekdays].sort((a, b) => a - b),
+        serviceId: service?.id ?? null,
+        locationId: location?.id ?? null,
+        shop,
+        storeId: store.id,
+      },
+    });
+
+    return { success: true, action: "saveRosterShift" };
+  }
+
+  if (actionType === "deleteRosterShift") {
+    const rosterShiftId = formData.get("rosterShiftId");
+
+    await prisma.rosterShift.deleteMany({
+      where: { id: BigInt(rosterShiftId), shop },
+    });
+
+    return { success: true, action: "deleteRosterShift" };
+  }
+
+  if (actionType === "optimizeRoster") {
+    const rules = {
+      maxShiftsPerWeek: parseInt(formData.get("maxShiftsPerWeek"), 10),
+      minRestHours: parseInt(formData.get("minRestHours"), 10),
+    };
+
+    const rulesError = validateRosterRules(rules);
+    if (rulesError) {
+      return { success: false, action: "optimizeRoster", error: rulesError };
+    }
+
+    const result = await optimizeRoster(shop, {
+      year: parseInt(formData.get("year"), 10),
+      month: parseInt(formData.get("month"), 10),
+      rules,
+    });
+
+    return { ...result, action: "optimizeRoster" };
+  }
+
+  if (actionType === "acceptRoster") {
+    let roster;
+    try {
+      roster = JSON.parse(formData.get("roster") || "{}");
+    } catch {
+      return { success: false, action: "acceptRoster", error: "Invalid roster" };
+    }
+
+    const result = await acceptRoster(shop, {
+      year: parseInt(formData.get("year"), 10),
+      month: parseInt(formData.get("month"), 10),
+      employeeIds: roster?.employeeIds,
+      assignments: roster?.assignments,
+    });
+
+    return { ...result, action: "acceptRoster" };
+  }
+
   return { success: false, error: "Invalid action or missing name" };
 };
 
 export default function EmployeePage() {
-  const { employees, settings, schedules, services } = useLoaderData();
+  const { employees, settings, schedules, templates, timeOff, closures, locations, services, rosterShifts, rosterPreferences } = useLoaderData();
   const fetcher = useFetcher();
   const revalidator = useRevalidator();
   const navigate = useNavigate();
@@ -249,6 +704,13 @@ export default function EmployeePage() {
   const [avatarFile, setAvatarFile] = useState(null);
   const [avatarPreview, setAvatarPreview] = useState(null);
   const [currentDate, setCurrentDate] = useState(new Date());
+  const [showTemplateModal, setShowTemplateModal] = useState(false);
+  const [templateForm, setTemplateForm] = useState(null);
+  const [templateToDelete, setTemplateToDelete] = useState(null);
+  const [showTimeOffModal, setShowTimeOffModal] = useState(false);
+  const [timeOffForm, setTimeOffForm] = useState(null);
+  const [timeOffToDelete, setTimeOffToDelete] = useState(null);
+  const [preferenceForm, setPreferenceForm] = useState({ date: "", type: ROSTER_PREFERENCE_OPTIONS[0].value });
   const lastProcessedEmployeeId = useRef(null);
   const lastEmployeeUpdate = useRef(null);
 
@@ -273,9 +735,9 @@ export default function EmployeePage() {
     if (selectedEmployee && employees.length > 0) {
       const updatedEmployee = employees.find(e => e.id.toString() === selectedEmployee.id.toString());
       if (updatedEmployee) {
-        // Only update if the data actually changed (check serviceIds)
-        const currentServiceIds = JSON.stringify(selectedEmployee.serviceIds);
-        const newServiceIds = JSON.stringify(updatedEmployee.serviceIds);
+        // Only update if the data actually changed (check serviceIds, location and priority)
+        const currentServiceIds = JSON.stringify([selectedEmployee.serviceIds, selectedEmployee.locationId?.toString(), selectedEmployee.priority]);
+        const newServiceIds = JSON.stringify([updatedEmployee.serviceIds, updatedEmployee.locationId?.toString(), updatedEmployee.priority]);
         
         if (currentServiceIds !== newServiceIds || lastEmployeeUpdate.current !== newServiceIds) {
           lastEmployeeUpdate.current = newServiceIds;
@@ -285,9 +747,9 @@ export default function EmployeePage() {
     }
   }, [employees, selectedEmployee]);
 
-  // Revalidate after service updates
+  // Revalidate after service, location and priority updates
   useEffect(() => {
-    if (fetcher.state === "idle" && fetcher.data?.success && fetcher.data?.action === "updateServices") {
+    if (fetcher.state === "idle" && fetcher.data?.success && ["updateServices", "updateLocation", "updatePriority"].includes(fetcher.data?.action)) {
       revalidator.revalidate();
     }
   }, [fetcher.state, fetcher.data]);
@@ -299,6 +761,58 @@ export default function EmployeePage() {
     }
   }, [fetcher.state, fetcher.data]);
 
+  // Close the weekly hours modal once the template is saved
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.success && fetcher.data?.action === "saveTemplate") {
+      setShowTemplateModal(false);
+      setTemplateForm(null);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  // Close the time off modal once the entry is saved
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.success && fetcher.data?.action === "saveTimeOff") {
+      setShowTimeOffModal(false);
+      setTimeOffForm(null);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  // Format local date as YYYY-MM-DD without timezone conversion
+  const formatDateStr = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  };
+
+  // Weekly templates of the selected employee
+  const employeeTemplates = selectedEmployee
+    ? templates.filter(t => t.employeeId.toString() === selectedEmployee.id.toString())
+    : [];
+
+  // Breaks and time off of the selected employee
+  const employeeTimeOff = selectedEmployee
+    ? timeOff.filter(t => t.employeeId.toString() === selectedEmployee.id.toString())
+    : [];
+
+  // Roster preferences of the selected employee
+  const employeePreferences = selectedEmployee
+    ? rosterPreferences.filter(p => p.employeeId.toString() === selectedEmployee.id.toString())
+    : [];
+
+  // Helper to find the time off shown on a date (rejected requests are hidden)
+  const getTimeOffEntriesForDate = (date) => getTimeOffForDate(
+    employeeTimeOff.filter(t => t.status !== TIME_OFF_STATUS.REJECTED),
+    formatDateStr(date)
+  );
+
+  // Helper to expand the weekly template that applies on a date (ignores overrides)
+  const getTemplateSlotsForDate = (date) => {
+    const dateStr = formatDateStr(date);
+    const template = getTemplateForDate(employeeTemplates, dateStr);
+    return template ? expandTemplate(template, dateStr) : [];
+  };
+
   // Helper to find schedule for a specific date and employee
   const getScheduleForDate = (date, employeeId) => {
     if (!employeeId) return null;
@@ -493,6 +1007,32 @@ export default function EmployeePage() {
     }
   };
 
+  const handleUpdateLocation = (locationId) => {
+    if (selectedEmployee) {
+      fetcher.submit(
+        {
+          action: "updateLocation",
+          employeeId: selectedEmployee.id.toString(),
+          locationId,
+        },
+        { method: "POST" }
+      );
+    }
+  };
+
+  const handleUpdatePriority = (priority) => {
+    if (selectedEmployee) {
+      fetcher.submit(
+        {
+          action: "updatePriority",
+          employeeId: selectedEmployee.id.toString(),
+          priority,
+        },
+        { method: "POST" }
+      );
+    }
+  };
+
   const handleCancelServicePicker = () => {
     setShowServicePicker(false);
     setSelectedServiceIds([]);
@@ -530,19 +1070,26 @@ export default function EmployeePage() {
     setServiceToDelete(null);
   };
 
+  // The calendar follows the opening hours and closures of the employee's location
+  const employeeLocation = locations.find(loc => loc.id.toString() === selectedEmployee?.locationId?.toString());
+  const locationSettings = getLocationSettings(settings, employeeLocation);
+  const locationClosures = getLocationClosures(closures, selectedEmployee?.locationId);
+
   // Generate time slots based on settings
+  // The grid spans the day's opening hours, from the first opening to the last closing
   const generateTimeSlots = (date) => {
     const slots = [];
-    const dayOfWeek = date.getDay();
-    const openDays = settings.openDays.split(",").map(Number);
+    const openingHours = getOpeningHoursForDate(locationSettings, formatDateStr(date));
 
     // Check if the day is open
-    if (!openDays.includes(dayOfWeek)) {
+    if (openingHours.length === 0) {
       return slots;
     }
 
-    const [startHour, startMinute] = settings.workingHoursStart.split(":").map(Number);
-    const [endHour, endMinute] = settings.workingHoursEnd.split(":").map(Number);
+    const [startHour, startMinute] = openingHours[0].startTime.split(":").map(Number);
+    const [endHour, endMinute] = openingHours
+      .reduce((latest, range) => (range.endTime > latest ? range.endTime : latest), "00:00")
+      .split(":").map(Number);
     
     const startTimeMinutes = startHour * 60 + startMinute;
     const endTimeMinutes = endHour * 60 + endMinute;
@@ -566,6 +1113,10 @@ export default function EmployeePage() {
     return slots;
   };
 
+  // Check whether a grid slot falls inside the store's opening hours (not in a split-hours gap)
+  const isSlotOpen = (date, slot) => getOpeningHoursForDate(locationSettings, formatDateStr(date))
+    .some(range => slot.startTime >= range.startTime && slot.endTime <= range.endTime);
+
   // Handle date click to open schedule modal
   const handleDateClick = (date, forceEdit = false) => {
     if (!selectedEmployee) return;
@@ -602,11 +1153,25 @@ export default function EmployeePage() {
     
     setSelectedDate(date);
     
-    // If schedule exists, load the saved slots, otherwise select all by default
+    // If schedule exists, load the saved slots, otherwise start from the weekly template
     if (existingSchedule && existingSchedule.slots) {
       setSelectedSlots(existingSchedule.slots);
     } else {
-      setSelectedSlots(slots.map((_, index) => index)); // Select all by default for new schedules
+      const templateSlots = getTemplateSlotsForDate(date);
+      if (templateSlots.length > 0) {
+        setSelectedSlots(
+          slots
+            .map((slot, index) => isSlotOpen(date, slot) && templateSlots.some(range => slot.startTime >= range.startTime && slot.endTime <= range.endTime) ? index : -1)
+            .filter(index => index !== -1)
+        );
+      } else {
+        // Select all open slots by default for new schedules
+        setSelectedSlots(
+          slots
+            .map((slot, index) => isSlotOpen(date, slot) ? index : -1)
+            .filter(index => index !== -1)
+        );
+      }
     }
     
     setShowScheduleModal(true);
@@ -647,73 +1212,276 @@ export default function EmployeePage() {
     setShowScheduleModal(false);
   };
 
-  // Month navigation functions
-  const goToPreviousMonth = () => {
-    const newDate = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
-    setCurrentDate(newDate);
+  // Weekly hours template handlers
+  const openNewTemplate = () => {
+    // Default to the opening hours of the employee's location
+    const weeklyHours = JSON.parse(JSON.stringify(getOpeningHours(locationSettings)));
+    setTemplateForm({ id: null, weeklyHours, effectiveFrom: formatDateStr(new Date()), effectiveTo: "" });
+    setShowTemplateModal(true);
   };
 
-  const goToNextMonth = () => {
-    const newDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1);
-    setCurrentDate(newDate);
+  const openEditTemplate = (template) => {
+    setTemplateForm({
+      id: template.id.toString(),
+      weeklyHours: template.weeklyHours,
+      effectiveFrom: new Date(template.effectiveFrom).toISOString().split('T')[0],
+      effectiveTo: template.effectiveTo ? new Date(template.effectiveTo).toISOString().split('T')[0] : "",
+    });
+    setShowTemplateModal(true);
   };
 
-  const goToToday = () => {
-    const today = new Date();
-    setCurrentDate(today);
+  const toggleTemplateDay = (day) => {
+    setTemplateForm(prev => {
+      const weeklyHours = { ...prev.weeklyHours };
+      if (weeklyHours[day]?.length > 0) {
+        delete weeklyHours[day];
+      } else {
+        weeklyHours[day] = [{ startTime: settings.workingHoursStart, endTime: settings.workingHoursEnd }];
+      }
+      return { ...prev, weeklyHours };
+    });
   };
 
-  // Generate calendar days for current month
-  const generateCalendarDays = () => {
-    const year = currentDate.getFullYear();
-    const month = currentDate.getMonth();
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const daysInMonth = lastDay.getDate();
-    const startDayOfWeek = firstDay.getDay(); // 0 = Sunday
-    
-    const days = [];
-    
-    // Add empty cells for days before the first day of the month
-    for (let i = 0; i < startDayOfWeek; i++) {
-      days.push({ isEmpty: true, key: `empty-${i}` });
-    }
-    
-    // Add actual days of the month
-    for (let day = 1; day <= daysInMonth; day++) {
-      const date = new Date(year, month, day);
-      const today = new Date();
-      const isToday = date.toDateString() === today.toDateString();
-      
-      days.push({
-        day,
-        date,
-        dayName: date.toLocaleDateString('en-US', { weekday: 'short' }),
-        isWeekend: date.getDay() === 0 || date.getDay() === 6,
-        isToday,
-        key: `day-${day}`,
-      });
-    }
-    return days;
+  const updateTemplateRange = (day, index, field, value) => {
+    setTemplateForm(prev => ({
+      ...prev,
+      weeklyHours: {
+        ...prev.weeklyHours,
+        [day]: prev.weeklyHours[day].map((range, i) => i === index ? { ...range, [field]: value } : range),
+      },
+    }));
   };
 
-  const calendarDays = generateCalendarDays();
-  const currentMonth = currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  const addTemplateRange = (day) => {
+    setTemplateForm(prev => ({
+      ...prev,
+      weeklyHours: {
+        ...prev.weeklyHours,
+        [day]: [...prev.weeklyHours[day], { startTime: settings.workingHoursStart, endTime: settings.workingHoursEnd }],
+      },
+    }));
+  };
 
-  return (
-    <s-page heading="Employee assignments and availability">
-      <s-query-container>
-        <s-grid
-          gridTemplateColumns="@container (inline-size > 768px) 1fr 2fr, 1fr"
-          gap="base"
-          alignItems="stretch"
-        >
-          {/* Employee List Column (1/3 width on desktop, full width on mobile) */}
-          <s-grid-item style={{ display: "flex", flexDirection: "column" }}>
-            <div
-              style={{
-                backgroundColor: "white",
-                borderRadius: "12px",
+  const removeTemplateRange = (day, index) => {
+    setTemplateForm(prev => {
+      const weeklyHours = { ...prev.weeklyHours, [day]: prev.weeklyHours[day].filter((_, i) => i !== index) };
+      if (weeklyHours[day].length === 0) delete weeklyHours[day];
+      return { ...prev, weeklyHours };
+    });
+  };
+
+  const handleSaveTemplate = () => {
+    if (!selectedEmployee || !templateForm) return;
+
+    fetcher.submit(
+      {
+        action: "saveTemplate",
+        employeeId: selectedEmployee.id.toString(),
+        templateId: templateForm.id || "",
+        weeklyHours: JSON.stringify(templateForm.weeklyHours),
+        effectiveFrom: templateForm.effectiveFrom,
+        effectiveTo: templateForm.effectiveTo,
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleConfirmDeleteTemplate = () => {
+    if (templateToDelete) {
+      fetcher.submit(
+        { action: "deleteTemplate", templateId: templateToDelete.id.toString() },
+        { method: "POST" }
+      );
+      setTemplateToDelete(null);
+    }
+  };
+
+  // Time off handlers
+  const openNewTimeOff = () => {
+    const today = formatDateStr(new Date());
+    setTimeOffForm({
+      id: null,
+      type: "vacation",
+      status: TIME_OFF_STATUS.APPROVED,
+      startDate: today,
+      endDate: today,
+      startTime: "12:00",
+      endTime: "13:00",
+      reason: "",
+    });
+    setShowTimeOffModal(true);
+  };
+
+  const openEditTimeOff = (entry) => {
+    setTimeOffForm({
+      id: entry.id.toString(),
+      type: entry.type,
+      status: entry.status,
+      startDate: new Date(entry.startDate).toISOString().split('T')[0],
+      endDate: entry.endDate ? new Date(entry.endDate).toISOString().split('T')[0] : "",
+      startTime: entry.startTime || "12:00",
+      endTime: entry.endTime || "13:00",
+      reason: entry.reason || "",
+    });
+    setShowTimeOffModal(true);
+  };
+
+  const handleSaveTimeOff = () => {
+    if (!selectedEmployee || !timeOffForm) return;
+
+    fetcher.submit(
+      {
+        action: "saveTimeOff",
+        employeeId: selectedEmployee.id.toString(),
+        timeOffId: timeOffForm.id || "",
+        type: timeOffForm.type,
+        status: timeOffForm.status,
+        startDate: timeOffForm.startDate,
+        endDate: timeOffForm.endDate,
+        startTime: timeOffForm.startTime,
+        endTime: timeOffForm.endTime,
+        reason: timeOffForm.reason,
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleTimeOffStatus = (entry, status) => {
+    fetcher.submit(
+      { action: "updateTimeOffStatus", timeOffId: entry.id.toString(), status },
+      { method: "POST" }
+    );
+  };
+
+  const handleConfirmDeleteTimeOff = () => {
+    if (timeOffToDelete) {
+      fetcher.submit(
+        { action: "deleteTimeOff", timeOffId: timeOffToDelete.id.toString() },
+        { method: "POST" }
+      );
+      setTimeOffToDelete(null);
+    }
+  };
+
+  const handleAddPreference = () => {
+    if (selectedEmployee && preferenceForm.date) {
+      fetcher.submit(
+        {
+          action: "saveRosterPreference",
+          employeeId: selectedEmployee.id.toString(),
+          date: preferenceForm.date,
+          type: preferenceForm.type,
+        },
+        { method: "POST" }
+      );
+      setPreferenceForm((prev) => ({ ...prev, date: "" }));
+    }
+  };
+
+  const handleDeletePreference = (preference) => {
+    fetcher.submit(
+      { action: "deleteRosterPreference", preferenceId: preference.id.toString() },
+      { method: "POST" }
+    );
+  };
+
+  const timeOffTone = (status) => {
+    if (status === TIME_OFF_STATUS.APPROVED) return "success";
+    if (status === TIME_OFF_STATUS.PENDING) return "warning";
+    return "critical";
+  };
+
+  // Describe when a time off entry applies, e.g. "Nov 3 – Nov 7" or "Daily 12:00–13:00 from Nov 3"
+  const formatTimeOffWhen = (entry) => {
+    const formatDay = (date) => new Date(date).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' });
+    const start = formatDay(entry.startDate);
+    const end = entry.endDate ? formatDay(entry.endDate) : null;
+    const hours = isAllDayTimeOff(entry.type) ? "" : ` ${entry.startTime}–${entry.endTime}`;
+
+    if (entry.type === "recurring_break") {
+      return `Daily${hours} from ${start}${end ? ` to ${end}` : " onwards"}`;
+    }
+    return `${end && end !== start ? `${start} – ${end}` : start}${hours}`;
+  };
+
+  // Time options for weekly hours, within the store's working hours
+  const templateTimeOptions = (() => {
+    const options = [];
+    const [startHour, startMinute] = settings.workingHoursStart.split(":").map(Number);
+    const [endHour, endMinute] = settings.workingHoursEnd.split(":").map(Number);
+    for (let time = startHour * 60 + startMinute; time <= endHour * 60 + endMinute; time += SLOT_SIZE_MINUTES) {
+      options.push(`${String(Math.floor(time / 60)).padStart(2, "0")}:${String(time % 60).padStart(2, "0")}`);
+    }
+    return options;
+  })();
+
+  // Month navigation functions
+  const goToPreviousMonth = () => {
+    const newDate = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
+    setCurrentDate(newDate);
+  };
+
+  const goToNextMonth = () => {
+    const newDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1);
+    setCurrentDate(newDate);
+  };
+
+  const goToToday = () => {
+    const today = new Date();
+    setCurrentDate(today);
+  };
+
+  // Generate calendar days for current month
+  const generateCalendarDays = () => {
+    const year = currentDate.getFullYear();
+    const month = currentDate.getMonth();
+    const firstDay = new Date(year, month, 1);
+    const lastDay = new Date(year, month + 1, 0);
+    const daysInMonth = lastDay.getDate();
+    const startDayOfWeek = firstDay.getDay(); // 0 = Sunday
+    
+    const days = [];
+    
+    // Add empty cells for days before the first day of the month
+    for (let i = 0; i < startDayOfWeek; i++) {
+      days.push({ isEmpty: true, key: `empty-${i}` });
+    }
+    
+    // Add actual days of the month
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = new Date(year, month, day);
+      const today = new Date();
+      const isToday = date.toDateString() === today.toDateString();
+      
+      days.push({
+        day,
+        date,
+        dayName: date.toLocaleDateString('en-US', { weekday: 'short' }),
+        isWeekend: date.getDay() === 0 || date.getDay() === 6,
+        isToday,
+        key: `day-${day}`,
+      });
+    }
+    return days;
+  };
+
+  const calendarDays = generateCalendarDays();
+  const currentMonth = currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  return (
+    <s-page heading="Employee assignments and availability">
+      <s-query-container>
+        <s-grid
+          gridTemplateColumns="@container (inline-size > 768px) 1fr 2fr, 1fr"
+          gap="base"
+          alignItems="stretch"
+        >
+          {/* Employee List Column (1/3 width on desktop, full width on mobile) */}
+          <s-grid-item style={{ display: "flex", flexDirection: "column" }}>
+            <div
+              style={{
+                backgroundColor: "white",
+                borderRadius: "12px",
                 padding: "20px",
                 boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
                 display: "flex",
@@ -808,6 +1576,35 @@ export default function EmployeePage() {
 
               {selectedEmployee && (
                 <s-grid gap="base">
+                  {locations.length > 0 && (
+                    <s-select
+                      label="Location"
+                      value={selectedEmployee.locationId?.toString() || ""}
+                      onChange={(e) => handleUpdateLocation(e.target.value)}
+                      details="Employees without a location can be booked at every location"
+                    >
+                      <s-option value="">All locations</s-option>
+                      {locations.map((location) => (
+                        <s-option key={location.id.toString()} value={location.id.toString()}>
+                          {location.name}
+                        </s-option>
+                      ))}
+                    </s-select>
+                  )}
+
+                  <s-select
+                    label="Assignment priority"
+                    value={(selectedEmployee.priority || 0).toString()}
+                    onChange={(e) => handleUpdatePriority(e.target.value)}
+                    details="Used when the store assigns &quot;Any available&quot; bookings by highest priority (see Settings)"
+                  >
+                    {ASSIGNMENT_PRIORITY_OPTIONS.map((option) => (
+                      <s-option key={option.value} value={option.value}>
+                        {option.label}
+                      </s-option>
+                    ))}
+                  </s-select>
+
                   <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
                     <s-text variant="bodySm" color="subdued">
                       Select which services this employee can provide
@@ -898,7 +1695,7 @@ export default function EmployeePage() {
                               )}
                             </div>
                             <div>
-                              {service.resourceType ? (
+                              {service.resourceRequirements.length > 0 ? (
                                 <span style={{
                                   display: "inline-block",
                                   padding: "4px 8px",
@@ -908,7 +1705,7 @@ export default function EmployeePage() {
                                   fontSize: "11px",
                                   fontWeight: "500"
                                 }}>
-                                  {service.resourceType.name}
+                                  {formatResourceRequirements(service.resourceRequirements)}
                                 </span>
                               ) : (
                                 <span style={{
@@ -965,6 +1762,205 @@ export default function EmployeePage() {
             </s-grid>
           </s-section>
 
+          {/* Weekly Hours Section */}
+          {selectedEmployee && (
+            <s-section>
+              <s-grid gap="base">
+                <s-grid gridTemplateColumns="1fr auto" alignItems="center">
+                  <s-heading>Weekly Hours</s-heading>
+                  <s-button onClick={openNewTemplate}>
+                    Add Weekly Hours
+                  </s-button>
+                </s-grid>
+                <s-text variant="bodySm" color="subdued">
+                  Recurring hours apply automatically. Days set in the calendar below override them.
+                </s-text>
+
+                {employeeTemplates.length === 0 ? (
+                  <s-box padding="base" background="subdued" borderRadius="base" textAlign="center">
+                    <s-text variant="bodySm" color="subdued">
+                      No weekly hours yet. Availability comes only from days set in the calendar.
+                    </s-text>
+                  </s-box>
+                ) : (
+                  <s-grid gap="small-200">
+                    {employeeTemplates.map(template => (
+                      <div
+                        key={template.id.toString()}
+                        style={{
+                          display: "grid",
+                          gridTemplateColumns: "1fr auto",
+                          gap: "12px",
+                          alignItems: "center",
+                          padding: "12px",
+                          border: "1px solid #e1e3e5",
+                          borderRadius: "8px",
+                        }}
+                      >
+                        <div>
+                          <div style={{ fontWeight: "600", fontSize: "14px" }}>
+                            {formatWeeklyHours(template.weeklyHours)}
+                          </div>
+                          <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                            From {new Date(template.effectiveFrom).toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'short', day: 'numeric' })}
+                            {template.effectiveTo
+                              ? ` to ${new Date(template.effectiveTo).toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'short', day: 'numeric' })}`
+                              : " onwards"}
+                          </div>
+                        </div>
+                        <s-stack direction="inline" gap="small-200">
+                          <s-button variant="tertiary" onClick={() => openEditTemplate(template)}>
+                            Edit
+                          </s-button>
+                          <s-button variant="tertiary" tone="critical" onClick={() => setTemplateToDelete(template)}>
+                            Delete
+                          </s-button>
+                        </s-stack>
+                      </div>
+                    ))}
+                  </s-grid>
+                )}
+              </s-grid>
+            </s-section>
+          )}
+
+          {/* Breaks & Time Off Section */}
+          {selectedEmployee && (
+            <s-section>
+              <s-grid gap="base">
+                <s-grid gridTemplateColumns="1fr auto" alignItems="center">
+                  <s-heading>Breaks &amp; Time Off</s-heading>
+                  <s-button onClick={openNewTimeOff}>
+                    Add Time Off
+                  </s-button>
+                </s-grid>
+                <s-text variant="bodySm" color="subdued">
+                  Approved entries are removed from availability. Pending requests are shown but don&apos;t block bookings until approved.
+                </s-text>
+
+                {employeeTimeOff.length === 0 ? (
+                  <s-box padding="base" background="subdued" borderRadius="base" textAlign="center">
+                    <s-text variant="bodySm" color="subdued">
+                      No breaks or time off around this month.
+                    </s-text>
+                  </s-box>
+                ) : (
+                  <s-grid gap="small-200">
+                    {employeeTimeOff.map(entry => (
+                      <div
+                        key={entry.id.toString()}
+                        style={{
+                          display: "grid",
+                          gridTemplateColumns: "1fr auto",
+                          gap: "12px",
+                          alignItems: "center",
+                          padding: "12px",
+                          border: "1px solid #e1e3e5",
+                          borderRadius: "8px",
+                          opacity: entry.status === TIME_OFF_STATUS.REJECTED ? 0.6 : 1,
+                        }}
+                      >
+                        <div>
+                          <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+                            <span style={{ fontWeight: "600", fontSize: "14px" }}>
+                              {formatTimeOffType(entry.type)}
+                            </span>
+                            <s-badge tone={timeOffTone(entry.status)}>
+                              {entry.status.charAt(0) + entry.status.slice(1).toLowerCase()}
+                            </s-badge>
+                          </div>
+                          <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                            {formatTimeOffWhen(entry)}
+                            {entry.reason && ` · ${entry.reason}`}
+                          </div>
+                        </div>
+                        <s-stack direction="inline" gap="small-200">
+                          {entry.status === TIME_OFF_STATUS.PENDING && (
+                            <>
+                              <s-button variant="tertiary" onClick={() => handleTimeOffStatus(entry, TIME_OFF_STATUS.APPROVED)}>
+                                Approve
+                              </s-button>
+                              <s-button variant="tertiary" onClick={() => handleTimeOffStatus(entry, TIME_OFF_STATUS.REJECTED)}>
+                                Reject
+                              </s-button>
+                            </>
+                          )}
+                          <s-button variant="tertiary" onClick={() => openEditTimeOff(entry)}>
+                            Edit
+                          </s-button>
+                          <s-button variant="tertiary" tone="critical" onClick={() => setTimeOffToDelete(entry)}>
+                            Delete
+                          </s-button>
+                        </s-stack>
+                      </div>
+                    ))}
+                  </s-grid>
+                )}
+              </s-grid>
+            </s-section>
+          )}
+
+          {/* Roster Preferences Section */}
+          {selectedEmployee && (
+            <s-section>
+              <s-grid gap="base">
+                <s-heading>Roster Preferences</s-heading>
+                <s-text variant="bodySm" color="subdued">
+                  Days this employee would like to work or have off. The roster optimizer tries to respect them; approved time off always does.
+                </s-text>
+
+                {employeePreferences.length === 0 ? (
+                  <s-box padding="base" background="subdued" borderRadius="base" textAlign="center">
+                    <s-text variant="bodySm" color="subdued">
+                      No roster preferences around this month.
+                    </s-text>
+                  </s-box>
+                ) : (
+                  <s-grid gap="small-200">
+                    {employeePreferences.map(preference => (
+                      <s-grid key={preference.id.toString()} gridTemplateColumns="1fr auto" gap="base" alignItems="center">
+                        <s-text>
+                          {new Date(preference.date).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+                          {" · "}
+                          {formatRosterPreference(preference.type)}
+                        </s-text>
+                        <s-button variant="tertiary" tone="critical" onClick={() => handleDeletePreference(preference)}>
+                          Delete
+                        </s-button>
+                      </s-grid>
+                    ))}
+                  </s-grid>
+                )}
+
+                {fetcher.data?.action === "saveRosterPreference" && fetcher.data?.success === false && (
+                  <s-banner tone="critical">{fetcher.data.error}</s-banner>
+                )}
+
+                <s-grid gridTemplateColumns="1fr 1fr auto" gap="base" alignItems="end">
+                  <s-date-field
+                    label="Date"
+                    value={preferenceForm.date}
+                    onChange={(e) => setPreferenceForm((prev) => ({ ...prev, date: e.currentTarget.value }))}
+                  />
+                  <s-select
+                    label="Preference"
+                    value={preferenceForm.type}
+                    onChange={(e) => setPreferenceForm((prev) => ({ ...prev, type: e.target.value }))}
+                  >
+                    {ROSTER_PREFERENCE_OPTIONS.map((option) => (
+                      <s-option key={option.value} value={option.value}>
+                        {option.label}
+                      </s-option>
+                    ))}
+                  </s-select>
+                  <s-button onClick={handleAddPreference} disabled={!preferenceForm.date || fetcher.state !== "idle"}>
+                    Add
+                  </s-button>
+                </s-grid>
+              </s-grid>
+            </s-section>
+          )}
+
           {/* Monthly Schedule Section */}
           <s-section>
             <s-grid gap="base">
@@ -1036,6 +2032,11 @@ export default function EmployeePage() {
                       }
                       
                       const hasSchedule = getScheduleForDate(dayInfo.date, selectedEmployee?.id);
+                      const templateSlots = hasSchedule ? [] : getTemplateSlotsForDate(dayInfo.date);
+                      const hasTemplate = templateSlots.length > 0;
+                      const dayTimeOff = getTimeOffEntriesForDate(dayInfo.date);
+                      const isDayOff = dayTimeOff.some(t => t.status === TIME_OFF_STATUS.APPROVED && isAllDayTimeOff(t.type));
+                      const closure = getClosureForDate(locationClosures, formatDateStr(dayInfo.date));
                       
                       return (
                         <div
@@ -1043,10 +2044,20 @@ export default function EmployeePage() {
                           style={{ 
                             cursor: "pointer",
                             position: "relative",
-                            backgroundColor: hasSchedule 
-                              ? "#a7f3d0" 
-                              : (dayInfo.isToday ? "#e0f2fe" : (dayInfo.isWeekend ? "#f3f4f6" : "#ffffff")),
-                            border: hasSchedule ? "2px solid #10b981" : "1px solid #e5e7eb",
+                            backgroundColor: closure
+                              ? "#e5e7eb"
+                              : isDayOff
+                                ? "#fee2e2"
+                                : hasSchedule 
+                                  ? "#a7f3d0" 
+                                  : hasTemplate
+                                    ? "#ecfdf5"
+                                    : (dayInfo.isToday ? "#e0f2fe" : (dayInfo.isWeekend ? "#f3f4f6" : "#ffffff")),
+                            border: closure
+                              ? "1px solid #9ca3af"
+                              : isDayOff
+                                ? "1px solid #fca5a5"
+                                : hasSchedule ? "2px solid #10b981" : (hasTemplate ? "1px dashed #6ee7b7" : "1px solid #e5e7eb"),
                             borderRadius: "8px",
                             padding: "8px",
                             minHeight: "60px"
@@ -1066,9 +2077,40 @@ export default function EmployeePage() {
                               {/* Show slot count if schedule exists */}
                               {hasSchedule && (
                                 <s-text variant="bodySm" color={dayInfo.isToday ? "inverse" : "success"} fontWeight="semibold">
-                                  ✓ {hasSchedule.slots.length} slots
+                                  {hasSchedule.slots.length > 0 ? `✓ ${hasSchedule.slots.length} slots` : "Day off"}
+                                </s-text>
+                              )}
+
+                              {/* Show weekly hours when no override exists */}
+                              {hasTemplate && !isDayOff && !closure && (
+                                <s-text variant="bodySm" color="subdued">
+                                  {templateSlots.map(slot => `${slot.startTime}–${slot.endTime}`).join(", ")}
                                 </s-text>
                               )}
+
+                              {/* Show store closures (holidays) */}
+                              {closure && (
+                                <span style={{ fontSize: "11px", color: "#374151", fontWeight: "600" }}>
+                                  Closed: {closure.name}
+                                </span>
+                              )}
+
+                              {/* Show breaks and time off */}
+                              {dayTimeOff.map(entry => (
+                                <span
+                                  key={entry.id.toString()}
+                                  title={entry.reason || formatTimeOffType(entry.type)}
+                                  style={{
+                                    fontSize: "11px",
+                                    color: entry.status === TIME_OFF_STATUS.PENDING ? "#92400e" : "#991b1b",
+                                    fontStyle: entry.status === TIME_OFF_STATUS.PENDING ? "italic" : "normal",
+                                  }}
+                                >
+                                  {formatTimeOffType(entry.type)}
+                                  {!isAllDayTimeOff(entry.type) && ` ${entry.startTime}–${entry.endTime}`}
+                                  {entry.status === TIME_OFF_STATUS.PENDING && " (pending)"}
+                                </span>
+                              ))}
                             </s-grid>
                             
                             {/* Show action buttons if schedule exists */}
@@ -1154,6 +2196,17 @@ export default function EmployeePage() {
         </s-grid>
       </s-query-container>
 
+      {/* Roster Optimizer */}
+      <RosterPlanner
+        rosterShifts={rosterShifts}
+        employees={employees}
+        services={services}
+        locations={locations}
+        year={currentDate.getFullYear()}
+        month={currentDate.getMonth()}
+        monthLabel={currentMonth}
+      />
+
       {/* Add Employee Modal */}
       <s-modal id="add-employee-modal" heading="Add New Employee" size="large">
         <s-stack gap="base">
@@ -1345,6 +2398,8 @@ export default function EmployeePage() {
                   </s-text>
                   <s-text variant="bodySm" color="subdued">
                     Click on time slots to toggle availability. Selected slots will be highlighted in green.
+                    {getTemplateSlotsForDate(selectedDate).length > 0 &&
+                      " Saving replaces the weekly hours for this day only; save with no slots for a day off."}
                   </s-text>
                 </div>
 
@@ -1358,16 +2413,19 @@ export default function EmployeePage() {
                 }}>
                   {generateTimeSlots(selectedDate).map((slot, index) => {
                     const isSelected = selectedSlots.includes(index);
+                    const isOpen = isSlotOpen(selectedDate, slot);
                     return (
                       <div
                         key={index}
-                        onClick={() => toggleSlot(index)}
+                        onClick={() => isOpen && toggleSlot(index)}
+                        title={isOpen ? undefined : "Store closed"}
                         style={{
                           padding: "6px 4px",
                           borderRadius: "4px",
                           border: isSelected ? "1.5px solid #10b981" : "1.5px solid #e5e7eb",
-                          backgroundColor: isSelected ? "#d1fae5" : "#ffffff",
-                          cursor: "pointer",
+                          backgroundColor: isSelected ? "#d1fae5" : (isOpen ? "#ffffff" : "#f3f4f6"),
+                          opacity: isOpen ? 1 : 0.5,
+                          cursor: isOpen ? "pointer" : "not-allowed",
                           transition: "all 0.15s ease",
                           textAlign: "center",
                           fontWeight: isSelected ? "600" : "500",
@@ -1377,13 +2435,13 @@ export default function EmployeePage() {
                           lineHeight: "1.2"
                         }}
                         onMouseEnter={(e) => {
-                          if (!isSelected) {
+                          if (!isSelected && isOpen) {
                             e.currentTarget.style.backgroundColor = "#f3f4f6";
                             e.currentTarget.style.borderColor = "#d1d5db";
                           }
                         }}
                         onMouseLeave={(e) => {
-                          if (!isSelected) {
+                          if (!isSelected && isOpen) {
                             e.currentTarget.style.backgroundColor = "#ffffff";
                             e.currentTarget.style.borderColor = "#e5e7eb";
                           }
@@ -1418,9 +2476,9 @@ export default function EmployeePage() {
                     <s-button 
                       onClick={handleSaveSchedule} 
                       variant="primary"
-                      disabled={selectedSlots.length === 0}
+                      disabled={selectedSlots.length === 0 && getTemplateSlotsForDate(selectedDate).length === 0}
                     >
-                      Save Availability
+                      {selectedSlots.length === 0 ? "Save as Day Off" : "Save Availability"}
                     </s-button>
                   </s-stack>
                 </div>
@@ -1430,6 +2488,399 @@ export default function EmployeePage() {
         </>
       )}
 
+      {/* Weekly Hours Modal */}
+      {showTemplateModal && templateForm && selectedEmployee && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            zIndex: 1000,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+          role="presentation"
+          onClick={(e) => e.target === e.currentTarget && setShowTemplateModal(false)}
+          onKeyDown={(e) => e.key === "Escape" && setShowTemplateModal(false)}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              borderRadius: "12px",
+              padding: "24px",
+              minWidth: "600px",
+              maxWidth: "700px",
+              maxHeight: "85vh",
+              overflow: "auto",
+              boxShadow: "0 8px 24px rgba(0, 0, 0, 0.15)",
+            }}
+            role="dialog"
+            aria-modal="true"
+          >
+            <s-grid gap="base">
+              <div>
+                <s-heading>{templateForm.id ? "Edit Weekly Hours" : "Add Weekly Hours"}</s-heading>
+                <s-text variant="bodySm" color="subdued">{selectedEmployee.name}</s-text>
+              </div>
+
+              {fetcher.data?.action === "saveTemplate" && fetcher.data?.success === false && (
+                <s-banner tone="critical">{fetcher.data.error}</s-banner>
+              )}
+
+              <s-grid gridTemplateColumns="1fr 1fr" gap="base">
+                <s-date-field
+                  label="Effective from"
+                  value={templateForm.effectiveFrom}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, effectiveFrom: e.currentTarget.value }))}
+                />
+                <s-date-field
+                  label="Effective to (optional)"
+                  value={templateForm.effectiveTo}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, effectiveTo: e.currentTarget.value }))}
+                />
+              </s-grid>
+
+              {/* Hours per day, Monday first */}
+              <s-grid gap="small">
+                {[1, 2, 3, 4, 5, 6, 0].map(day => {
+                  const ranges = templateForm.weeklyHours[day] || [];
+                  return (
+                    <div
+                      key={day}
+                      style={{
+                        display: "grid",
+                        gridTemplateColumns: "90px 1fr",
+                        gap: "12px",
+                        alignItems: "start",
+                        padding: "8px 0",
+                        borderBottom: "1px solid #f1f1f1",
+                      }}
+                    >
+                      <s-checkbox
+                        label={WEEKDAYS[day]}
+                        checked={ranges.length > 0}
+                        onChange={() => toggleTemplateDay(day)}
+                      />
+                      {ranges.length === 0 ? (
+                        <s-text variant="bodySm" color="subdued">Unavailable</s-text>
+                      ) : (
+                        <s-grid gap="small-200">
+                          {ranges.map((range, index) => (
+                            <s-grid key={index} gridTemplateColumns="1fr 1fr auto" gap="small" alignItems="center">
+                              <s-select
+                                label="Start"
+                                labelAccessibilityVisibility="exclusive"
+                                value={range.startTime}
+                                onChange={(e) => updateTemplateRange(day, index, "startTime", e.target.value)}
+                              >
+                                {templateTimeOptions.slice(0, -1).map(time => (
+                                  <s-option key={time} value={time}>{time}</s-option>
+                                ))}
+                              </s-select>
+                              <s-select
+                                label="End"
+                                labelAccessibilityVisibility="exclusive"
+                                value={range.endTime}
+                                onChange={(e) => updateTemplateRange(day, index, "endTime", e.target.value)}
+                              >
+                                {templateTimeOptions.slice(1).map(time => (
+                                  <s-option key={time} value={time}>{time}</s-option>
+                                ))}
+                              </s-select>
+                              {index === 0 ? (
+                                <s-button
+                                  variant="tertiary"
+                                  icon="plus"
+                                  accessibilityLabel={`Add hours on ${WEEKDAYS[day]}`}
+                                  onClick={() => addTemplateRange(day)}
+                                />
+                              ) : (
+                                <s-button
+                                  variant="tertiary"
+                                  icon="delete"
+                                  accessibilityLabel="Remove hours"
+                                  onClick={() => removeTemplateRange(day, index)}
+                                />
+                              )}
+                            </s-grid>
+                          ))}
+                        </s-grid>
+                      )}
+                    </div>
+                  );
+                })}
+              </s-grid>
+
+              <div style={{
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                paddingTop: "8px",
+                borderTop: "1px solid #e5e7eb"
+              }}>
+                <s-text variant="bodySm" color="subdued">
+                  {formatWeeklyHours(templateForm.weeklyHours)}
+                </s-text>
+                <s-stack direction="inline" gap="small">
+                  <s-button
+                    onClick={() => setShowTemplateModal(false)}
+                    variant="tertiary"
+                  >
+                    Cancel
+                  </s-button>
+                  <s-button
+                    onClick={handleSaveTemplate}
+                    variant="primary"
+                    disabled={Object.keys(templateForm.weeklyHours).length === 0 || !templateForm.effectiveFrom || isSubmitting}
+                    loading={isSubmitting}
+                  >
+                    Save Weekly Hours
+                  </s-button>
+                </s-stack>
+              </div>
+            </s-grid>
+          </div>
+        </div>
+      )}
+
+      {/* Delete Weekly Hours Confirmation Modal */}
+      {templateToDelete && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            zIndex: 1001,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+          role="presentation"
+          onClick={(e) => e.target === e.currentTarget && setTemplateToDelete(null)}
+          onKeyDown={(e) => e.key === "Escape" && setTemplateToDelete(null)}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              borderRadius: "12px",
+              padding: "24px",
+              maxWidth: "450px",
+              width: "90%",
+              boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)"
+            }}
+            role="dialog"
+            aria-modal="true"
+          >
+            <s-grid gap="base">
+              <s-text variant="headingMd">Delete Weekly Hours</s-text>
+
+              <s-text variant="bodyMd">
+                Are you sure you want to delete &quot;{formatWeeklyHours(templateToDelete.weeklyHours)}&quot;?
+                Days set in the calendar are kept.
+              </s-text>
+
+              <div style={{ display: "flex", gap: "12px", justifyContent: "flex-end" }}>
+                <s-button onClick={() => setTemplateToDelete(null)}>Cancel</s-button>
+                <s-button
+                  variant="primary"
+                  tone="critical"
+                  onClick={handleConfirmDeleteTemplate}
+                >
+                  Delete Weekly Hours
+                </s-button>
+              </div>
+            </s-grid>
+          </div>
+        </div>
+      )}
+
+      {/* Time Off Modal */}
+      {showTimeOffModal && timeOffForm && selectedEmployee && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            zIndex: 1000,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+          role="presentation"
+          onClick={(e) => e.target === e.currentTarget && setShowTimeOffModal(false)}
+          onKeyDown={(e) => e.key === "Escape" && setShowTimeOffModal(false)}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              borderRadius: "12px",
+              padding: "24px",
+              minWidth: "500px",
+              maxWidth: "600px",
+              maxHeight: "85vh",
+              overflow: "auto",
+              boxShadow: "0 8px 24px rgba(0, 0, 0, 0.15)",
+            }}
+            role="dialog"
+            aria-modal="true"
+          >
+            <s-grid gap="base">
+              <div>
+                <s-heading>{timeOffForm.id ? "Edit Time Off" : "Add Time Off"}</s-heading>
+                <s-text variant="bodySm" color="subdued">{selectedEmployee.name}</s-text>
+              </div>
+
+              {fetcher.data?.action === "saveTimeOff" && fetcher.data?.success === false && (
+                <s-banner tone="critical">{fetcher.data.error}</s-banner>
+              )}
+
+              <s-grid gridTemplateColumns="1fr 1fr" gap="base">
+                <s-select
+                  label="Type"
+                  value={timeOffForm.type}
+                  onChange={(e) => setTimeOffForm(prev => ({ ...prev, type: e.target.value }))}
+                >
+                  {TIME_OFF_TYPES.map(type => (
+                    <s-option key={type.value} value={type.value}>{type.label}</s-option>
+                  ))}
+                </s-select>
+                <s-select
+                  label="Status"
+                  value={timeOffForm.status}
+                  onChange={(e) => setTimeOffForm(prev => ({ ...prev, status: e.target.value }))}
+                >
+                  <s-option value={TIME_OFF_STATUS.APPROVED}>Approved</s-option>
+                  <s-option value={TIME_OFF_STATUS.PENDING}>Pending approval</s-option>
+                  <s-option value={TIME_OFF_STATUS.REJECTED}>Rejected</s-option>
+                </s-select>
+              </s-grid>
+
+              <s-grid gridTemplateColumns="1fr 1fr" gap="base">
+                <s-date-field
+                  label={timeOffForm.type === "break" ? "Date" : "Start date"}
+                  value={timeOffForm.startDate}
+                  onChange={(e) => setTimeOffForm(prev => ({ ...prev, startDate: e.currentTarget.value }))}
+                />
+                {timeOffForm.type !== "break" && (
+                  <s-date-field
+                    label={timeOffForm.type === "recurring_break" ? "End date (optional)" : "End date"}
+                    value={timeOffForm.endDate}
+                    onChange={(e) => setTimeOffForm(prev => ({ ...prev, endDate: e.currentTarget.value }))}
+                  />
+                )}
+              </s-grid>
+
+              {!isAllDayTimeOff(timeOffForm.type) && (
+                <s-grid gridTemplateColumns="1fr 1fr" gap="base">
+                  <s-select
+                    label="From"
+                    value={timeOffForm.startTime}
+                    onChange={(e) => setTimeOffForm(prev => ({ ...prev, startTime: e.target.value }))}
+                  >
+                    {templateTimeOptions.slice(0, -1).map(time => (
+                      <s-option key={time} value={time}>{time}</s-option>
+                    ))}
+                  </s-select>
+                  <s-select
+                    label="To"
+                    value={timeOffForm.endTime}
+                    onChange={(e) => setTimeOffForm(prev => ({ ...prev, endTime: e.target.value }))}
+                  >
+                    {templateTimeOptions.slice(1).map(time => (
+                      <s-option key={time} value={time}>{time}</s-option>
+                    ))}
+                  </s-select>
+                </s-grid>
+              )}
+
+              <s-text-field
+                label="Reason (optional)"
+                value={timeOffForm.reason}
+                onInput={(e) => setTimeOffForm(prev => ({ ...prev, reason: e.currentTarget.value }))}
+              />
+
+              <div style={{ display: "flex", gap: "12px", justifyContent: "flex-end", paddingTop: "8px", borderTop: "1px solid #e5e7eb" }}>
+                <s-button onClick={() => setShowTimeOffModal(false)} variant="tertiary">
+                  Cancel
+                </s-button>
+                <s-button
+                  onClick={handleSaveTimeOff}
+                  variant="primary"
+                  disabled={!timeOffForm.startDate || isSubmitting}
+                  loading={isSubmitting}
+                >
+                  Save Time Off
+                </s-button>
+              </div>
+            </s-grid>
+          </div>
+        </div>
+      )}
+
+      {/* Delete Time Off Confirmation Modal */}
+      {timeOffToDelete && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            zIndex: 1001,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+          role="presentation"
+          onClick={(e) => e.target === e.currentTarget && setTimeOffToDelete(null)}
+          onKeyDown={(e) => e.key === "Escape" && setTimeOffToDelete(null)}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              borderRadius: "12px",
+              padding: "24px",
+              maxWidth: "450px",
+              width: "90%",
+              boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)"
+            }}
+            role="dialog"
+            aria-modal="true"
+          >
+            <s-grid gap="base">
+              <s-text variant="headingMd">Delete Time Off</s-text>
+
+              <s-text variant="bodyMd">
+                Are you sure you want to delete &quot;{formatTimeOffType(timeOffToDelete.type)}, {formatTimeOffWhen(timeOffToDelete)}&quot;?
+                The time becomes available for bookings again.
+              </s-text>
+
+              <div style={{ display: "flex", gap: "12px", justifyContent: "flex-end" }}>
+                <s-button onClick={() => setTimeOffToDelete(null)}>Cancel</s-button>
+                <s-button
+                  variant="primary"
+                  tone="critical"
+                  onClick={handleConfirmDeleteTimeOff}
+                >
+                  Delete Time Off
+                </s-button>
+              </div>
+            </s-grid>
+          </div>
+        </div>
+      )}
+
       {/* Service Picker Modal */}
       {showServicePicker && selectedEmployee && (
         <div
@@ -1814,6 +3265,8 @@ export default function EmployeePage() {
               }}>
                 <s-text variant="bodySm" color="critical">
                   ⚠️ This will remove {scheduleToDelete.slots.length} time slot{scheduleToDelete.slots.length !== 1 ? 's' : ''} from this day.
+                  {getTemplateForDate(employeeTemplates, new Date(scheduleToDelete.date).toISOString().split('T')[0]) &&
+                    " The employee's weekly hours will apply again."}
                 </s-text>
               </div>
 
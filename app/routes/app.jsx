@@ -18,9 +18,12 @@ export default function App() {
       <s-app-nav>
         {/* <s-link href="/app">Home</s-link> */}
         <s-link href="/app/plan">Plan</s-link>
+        <s-link href="/app/bookings">Bookings</s-link>
         <s-link href="/app/employee">Employees</s-link>
         <s-link href="/app/services">Services</s-link>
+        <s-link href="/app/sessions">Sessions</s-link>
         <s-link href="/app/resources">Resources</s-link>
+        <s-link href="/app/locations">Locations</s-link>
         <s-link href="/app/settings">Settings</s-link>
       </s-app-nav>
       <Outlet />
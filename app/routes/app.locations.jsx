@@ -0,0 +1,243 @@
+import { useState, useEffect } from "react";
+import { useLoaderData, useFetcher, useRevalidator } from "react-router";
+import { Prisma } from "@prisma/client";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { syncLocations } from "../utils/store.server";
+import { DEFAULT_SETTINGS } from "../utils/availability.server";
+import { getOpeningHours, validateWeeklyHours, formatWeeklyHours } from "../utils/weeklyHours";
+import OpeningHoursEditor from "../components/OpeningHoursEditor";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  // Get store with all synced locations (inactive ones can be turned back on)
+  const store = await prisma.store.findUnique({
+    where: { shop },
+    include: {
+      settings: true,
+      locations: {
+        orderBy: { name: "asc" },
+        include: {
+          _count: { select: { employees: true } },
+        },
+      },
+    },
+  });
+
+  // Serialize BigInt values
+  const serializeData = (data) => {
+    if (!data) return data;
+    return JSON.parse(JSON.stringify(data, (key, value) =>
+      typeof value === 'bigint' ? value.toString() : value
+    ));
+  };
+
+  return {
+    locations: serializeData(store?.locations) || [],
+    storeHours: getOpeningHours(store?.settings || DEFAULT_SETTINGS),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const formData = await request.formData();
+  const actionType = formData.get("action");
+
+  if (actionType === "sync") {
+    const result = await syncLocations(admin, shop);
+    return { ...result, action: "sync" };
+  }
+
+  if (actionType === "update") {
+    const locationId = formData.get("locationId");
+    const isActive = formData.get("isActive") === "true";
+
+    // An empty value means the location follows the store's opening hours
+    const openingHoursJson = formData.get("openingHours");
+    const openingHours = openingHoursJson ? JSON.parse(openingHoursJson) : null;
+    if (openingHours) {
+      const openingHoursError = validateWeeklyHours(openingHours);
+      if (openingHoursError) {
+        return { success: false, action: "update", error: openingHoursError };
+      }
+    }
+
+    await prisma.location.updateMany({
+      where: { id: BigInt(locationId), shop },
+      data: { isActive, openingHours: openingHours ?? Prisma.DbNull, updatedAt: new Date() },
+    });
+
+    return { success: true, action: "update" };
+  }
+
+  return { success: false, error: "Invalid action" };
+};
+
+export default function LocationsPage() {
+  const { locations, storeHours } = useLoaderData();
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const [editingLocation, setEditingLocation] = useState(null);
+  const [editIsActive, setEditIsActive] = useState(true);
+  const [useStoreHours, setUseStoreHours] = useState(true);
+  const [editOpeningHours, setEditOpeningHours] = useState({});
+
+  const isSubmitting = fetcher.state === "submitting";
+
+  // Reload the list after a sync or update
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.success) {
+      if (fetcher.data.action === "update") {
+        setEditingLocation(null);
+      }
+      revalidate();
+    }
+  }, [fetcher.state, fetcher.data, revalidate]);
+
+  const handleSync = () => {
+    fetcher.submit({ action: "sync" }, { method: "POST" });
+  };
+
+  const handleEditLocation = (location) => {
+    setEditingLocation(location);
+    setEditIsActive(location.isActive);
+    setUseStoreHours(!location.openingHours);
+    setEditOpeningHours(JSON.parse(JSON.stringify(location.openingHours || storeHours)));
+  };
+
+  const handleUpdateLocation = () => {
+    fetcher.submit(
+      {
+        action: "update",
+        locationId: editingLocation.id,
+        isActive: editIsActive.toString(),
+        openingHours: useStoreHours ? "" : JSON.stringify(editOpeningHours),
+      },
+      { method: "POST" }
+    );
+  };
+
+  const errorBanner = fetcher.state === "idle" && fetcher.data?.success === false && fetcher.data?.error && (
+    <s-banner tone="critical">{fetcher.data.error}</s-banner>
+  );
+
+  // If editing, show edit page
+  if (editingLocation) {
+    return (
+      <s-page heading={editingLocation.name}>
+        <s-button slot="breadcrumb-actions" onClick={() => setEditingLocation(null)}>
+          Locations
+        </s-button>
+        <s-button slot="primary-action" variant="primary" onClick={handleUpdateLocation} disabled={isSubmitting} loading={isSubmitting}>
+          Save
+        </s-button>
+
+        {errorBanner}
+
+        <s-section>
+          <s-grid gap="base">
+            <s-text variant="headingMd">Bookings</s-text>
+            {editingLocation.address && (
+              <s-text color="subdued">{editingLocation.address}</s-text>
+            )}
+            <s-checkbox
+              label="Customers can book at this location"
+              checked={editIsActive}
+              onChange={(e) => setEditIsActive(e.currentTarget.checked)}
+            />
+          </s-grid>
+        </s-section>
+
+        <s-section>
+          <s-grid gap="base">
+            <s-text variant="headingMd">Opening Hours</s-text>
+            <s-checkbox
+              label="Use the store's opening hours"
+              details={formatWeeklyHours(storeHours)}
+              checked={useStoreHours}
+              onChange={(e) => setUseStoreHours(e.currentTarget.checked)}
+            />
+            {!useStoreHours && (
+              <OpeningHoursEditor value={editOpeningHours} onChange={setEditOpeningHours} />
+            )}
+          </s-grid>
+        </s-section>
+      </s-page>
+    );
+  }
+
+  return (
+    <s-page heading="Locations">
+      <s-button slot="primary-action" onClick={handleSync} disabled={isSubmitting} loading={isSubmitting}>
+        Sync from Shopify
+      </s-button>
+
+      {errorBanner}
+
+      <s-section>
+        <s-grid gap="base">
+          <s-text color="subdued">
+            Locations come from your Shopify locations and start inactive: edit a location to let customers book there. Assign employees, resources and closures to a location on their pages; customers choose a location before picking a time.
+          </s-text>
+
+          {locations.length === 0 ? (
+            <s-box padding="large" background="subdued" borderRadius="base">
+              <s-grid gap="base" justifyItems="center">
+                <s-text variant="bodyLg" color="subdued">
+                  No locations yet
+                </s-text>
+                <s-text variant="bodySm" color="subdued">
+                  Sync your Shopify locations to take bookings at several branches
+                </s-text>
+              </s-grid>
+            </s-box>
+          ) : (
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Location</s-table-header>
+                <s-table-header>Opening hours</s-table-header>
+                <s-table-header>Employees</s-table-header>
+                <s-table-header>Status</s-table-header>
+                <s-table-header>Actions</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {locations.map((location) => (
+                  <s-table-row key={location.id}>
+                    <s-table-cell>
+                      <s-grid gap="none">
+                        <s-text fontWeight="semibold">{location.name}</s-text>
+                        {location.address && (
+                          <s-text variant="bodySm" color="subdued">{location.address}</s-text>
+                        )}
+                      </s-grid>
+                    </s-table-cell>
+                    <s-table-cell>
+                      {location.openingHours ? formatWeeklyHours(location.openingHours) : "Store hours"}
+                    </s-table-cell>
+                    <s-table-cell>{location._count.employees}</s-table-cell>
+                    <s-table-cell>
+                      {location.isActive ? (
+                        <s-badge tone="success">Bookable</s-badge>
+                      ) : (
+                        <s-badge>Inactive</s-badge>
+                      )}
+                    </s-table-cell>
+                    <s-table-cell>
+                      <s-button icon="edit" variant="tertiary" onClick={() => handleEditLocation(location)}>
+                        Edit
+                      </s-button>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+        </s-grid>
+      </s-section>
+    </s-page>
+  );
+}
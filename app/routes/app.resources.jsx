@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from "react";
 import { useLoaderData, useFetcher, useRevalidator } from "react-router";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { formatLocationName } from "../utils/locations";
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
@@ -21,6 +22,10 @@ export const loader = async ({ request }) => {
           },
         },
       },
+      locations: {
+        where: { isActive: true },
+        orderBy: { name: "asc" },
+      },
     },
   });
 
@@ -36,6 +41,7 @@ export const loader = async ({ request }) => {
 
   return { 
     resourceTypes: serializedTypes,
+    locations: serializeData(store?.locations) || [],
     storeId: store?.id?.toString(),
   };
 };
@@ -106,6 +112,7 @@ export const action = async ({ request }) => {
   if (actionType === "createResource") {
     const name = formData.get("name");
     const resourceTypeId = formData.get("resourceTypeId");
+    const locationId = formData.get("locationId");
 
     const resource = await prisma.resource.create({
       data: {
@@ -115,6 +122,7 @@ export const action = async ({ request }) => {
         shop,
         storeId: store.id,
         resourceTypeId: BigInt(resourceTypeId),
+        locationId: locationId ? BigInt(locationId) : null,
       },
     });
 
@@ -124,11 +132,13 @@ export const action = async ({ request }) => {
   if (actionType === "updateResource") {
     const resourceId = formData.get("resourceId");
     const name = formData.get("name");
+    const locationId = formData.get("locationId");
 
     await prisma.resource.update({
       where: { id: BigInt(resourceId) },
       data: { 
         name,
+        locationId: locationId ? BigInt(locationId) : null,
         updatedAt: new Date() 
       },
     });
@@ -151,7 +161,7 @@ export const action = async ({ request }) => {
 };
 
 export default function ResourcesPage() {
-  const { resourceTypes, storeId } = useLoaderData();
+  const { resourceTypes, locations, storeId } = useLoaderData();
   const fetcher = useFetcher();
   const revalidator = useRevalidator();
   
@@ -182,6 +192,7 @@ export default function ResourcesPage() {
   const [typeFormData, setTypeFormData] = useState({ name: "" });
   const [resourceFormData, setResourceFormData] = useState({
     name: "",
+    locationId: "",
   });
 
   const lastProcessedId = useRef(null);
@@ -203,14 +214,14 @@ export default function ResourcesPage() {
         setTypeFormData({ name: "" });
       } else if (data.resource && data.resource.id !== lastProcessedId.current) {
         lastProcessedId.current = data.resource.id;
-        setResourceFormData({ name: "" });
+        setResourceFormData({ name: "", locationId: "" });
       } else if (data.action) {
         setEditingType(null);
         setDeletingType(null);
         setEditingResource(null);
         setDeletingResource(null);
         setTypeFormData({ name: "" });
-        setResourceFormData({ name: "" });
+        setResourceFormData({ name: "", locationId: "" });
       }
       // Revalidate once after all state updates
       revalidator.revalidate();
@@ -277,6 +288,7 @@ export default function ResourcesPage() {
           action: "createResource", 
           name: resourceFormData.name,
           resourceTypeId: selectedType.id,
+          locationId: resourceFormData.locationId,
         },
         { method: "POST" }
       );
@@ -289,6 +301,7 @@ export default function ResourcesPage() {
     setEditingResource(resource);
     setResourceFormData({
       name: resource.name,
+      locationId: resource.locationId || "",
     });
   };
 
@@ -299,6 +312,7 @@ export default function ResourcesPage() {
           action: "updateResource", 
           resourceId: editingResource.id,
           name: resourceFormData.name,
+          locationId: resourceFormData.locationId,
         },
         { method: "POST" }
       );
@@ -427,6 +441,9 @@ export default function ResourcesPage() {
                               <s-box inlineSize="24px"></s-box>
                               <s-icon type="product" size="small" />
                               <s-text variant="bodySm">{resource.name}</s-text>
+                              {locations.length > 0 && (
+                                <s-badge>{formatLocationName(locations, resource.locationId)}</s-badge>
+                              )}
                             </s-stack>
                           </s-table-cell>
                           <s-table-cell>
@@ -592,6 +609,20 @@ export default function ResourcesPage() {
             onInput={(e) => setResourceFormData({ ...resourceFormData, name: e.currentTarget.value })}
             placeholder="e.g., Meeting Room A, Projector, Laptop"
           />
+          {locations.length > 0 && (
+            <s-select
+              label="Location"
+              value={resourceFormData.locationId}
+              onChange={(e) => setResourceFormData({ ...resourceFormData, locationId: e.target.value })}
+            >
+              <s-option value="">All locations</s-option>
+              {locations.map((location) => (
+                <s-option key={location.id} value={location.id}>
+                  {location.name}
+                </s-option>
+              ))}
+            </s-select>
+          )}
         </s-stack>
 
         <s-button 
@@ -623,6 +654,20 @@ export default function ResourcesPage() {
             onInput={(e) => setResourceFormData({ ...resourceFormData, name: e.currentTarget.value })}
             placeholder="e.g., Meeting Room A, Projector, Laptop"
           />
+          {locations.length > 0 && (
+            <s-select
+              label="Location"
+              value={resourceFormData.locationId}
+              onChange={(e) => setResourceFormData({ ...resourceFormData, locationId: e.target.value })}
+            >
+              <s-option value="">All locations</s-option>
+              {locations.map((location) => (
+                <s-option key={location.id} value={location.id}>
+                  {location.name}
+                </s-option>
+              ))}
+            </s-select>
+          )}
         </s-stack>
 
         <s-button 
@@ -3,6 +3,33 @@ import { useLoaderData, useFetcher, useRevalidator } from "react-router";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
 import ServiceForm from "../components/ServiceForm";
+import { SLOT_INTERVAL_OPTIONS, isValidSlotInterval } from "../utils/slotInterval";
+import { MINIMUM_NOTICE_OPTIONS, isValidMinimumNotice } from "../utils/minimumNotice";
+import { BOOKING_MODE, BOOKING_MODE_OPTIONS, isValidBookingMode, isSessionService } from "../utils/scheduledSessions";
+import { validateResourceRequirements, formatResourceRequirements } from "../utils/resourceRequirements";
+import ResourceRequirementsEditor from "../components/ResourceRequirementsEditor";
+
+// Parse the requirements posted by the service forms
+const parseResourceRequirements = (requirements = []) =>
+  requirements.map((requirement) => ({
+    resourceTypeId: requirement.resourceTypeId,
+    quantity: parseInt(requirement.quantity),
+  }));
+
+// Several staff work one appointment together; group classes and sessions have one instructor
+const validateStaffRequired = ({ staffRequired, capacity, bookingMode }) => {
+  if (staffRequired > 1 && (capacity > 1 || bookingMode === BOOKING_MODE.SESSIONS)) {
+    return "Group classes and scheduled sessions are led by one employee";
+  }
+  return null;
+};
+
+// Nested create input for a service's requirements
+const toRequirementsCreate = (requirements) =>
+  requirements.map((requirement) => ({
+    resourceTypeId: BigInt(requirement.resourceTypeId),
+    quantity: requirement.quantity,
+  }));
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
@@ -16,7 +43,10 @@ export const loader = async ({ request }) => {
         where: { isActive: true },
         orderBy: { createdAt: "desc" },
         include: {
-          resourceType: true,
+          resourceRequirements: {
+            include: { resourceType: true },
+            orderBy: { id: "asc" },
+          },
         },
       },
       resourceTypes: {
@@ -64,7 +94,20 @@ export const action = async ({ request }) => {
 
   if (actionType === "create") {
     const servicesData = formData.get("services");
-    const services = JSON.parse(servicesData);
+    const services = JSON.parse(servicesData).map((svc) => ({
+      ...svc,
+      capacity: Math.max(parseInt(svc.capacity) || 1, 1),
+      staffRequired: Math.max(parseInt(svc.staffRequired) || 1, 1),
+      bookingMode: isValidBookingMode(svc.bookingMode) ? svc.bookingMode : BOOKING_MODE.OPEN,
+      resourceRequirements: parseResourceRequirements(svc.resourceRequirements),
+    }));
+
+    for (const svc of services) {
+      const serviceError = validateResourceRequirements(svc.resourceRequirements) || validateStaffRequired(svc);
+      if (serviceError) {
+        return { success: false, action: "create", error: serviceError };
+      }
+    }
 
     // Create multiple services (one per variant or one for product)
     const createdServices = await Promise.all(
@@ -77,7 +120,14 @@ export const action = async ({ request }) => {
             variantTitle: svc.variantTitle || null,
             imageUrl: svc.imageUrl || null,
             duration: svc.duration,
-            resourceTypeId: svc.resourceTypeId ? BigInt(svc.resourceTypeId) : null,
+            bufferBefore: Math.max(parseInt(svc.bufferBefore) || 0, 0),
+            bufferAfter: Math.max(parseInt(svc.bufferAfter) || 0, 0),
+            slotInterval: isValidSlotInterval(svc.slotInterval) ? svc.slotInterval : null,
+            minimumNotice: isValidMinimumNotice(svc.minimumNotice) ? svc.minimumNotice : null,
+            capacity: svc.capacity,
+            staffRequired: svc.staffRequired,
+            bookingMode: svc.bookingMode,
+            resourceRequirements: { create: toRequirementsCreate(svc.resourceRequirements) },
             shop,
             storeId: store.id,
           },
@@ -91,10 +141,45 @@ export const action = async ({ request }) => {
   if (actionType === "update") {
     const serviceId = formData.get("serviceId");
     const duration = parseInt(formData.get("duration"));
+    const bufferBefore = Math.max(parseInt(formData.get("bufferBefore")) || 0, 0);
+    const bufferAfter = Math.max(parseInt(formData.get("bufferAfter")) || 0, 0);
+    const slotInterval = isValidSlotInterval(formData.get("slotInterval"))
+      ? formData.get("slotInterval")
+      : null;
+    const minimumNotice = isValidMinimumNotice(formData.get("minimumNotice"))
+      ? formData.get("minimumNotice")
+      : null;
+    const capacity = Math.max(parseInt(formData.get("capacity")) || 1, 1);
+    const staffRequired = Math.max(parseInt(formData.get("staffRequired")) || 1, 1);
+    const bookingMode = isValidBookingMode(formData.get("bookingMode"))
+      ? formData.get("bookingMode")
+      : BOOKING_MODE.OPEN;
+    const resourceRequirements = parseResourceRequirements(JSON.parse(formData.get("resourceRequirements") || "[]"));
+
+    const serviceError = validateResourceRequirements(resourceRequirements) ||
+      validateStaffRequired({ staffRequired, capacity, bookingMode });
+    if (serviceError) {
+      return { success: false, action: "update", error: serviceError };
+    }
 
+    // Replace the requirements; existing bookings keep the resources they reserved
     await prisma.service.update({
       where: { id: BigInt(serviceId) },
-      data: { duration, updatedAt: new Date() },
+      data: {
+        duration,
+        bufferBefore,
+        bufferAfter,
+        slotInterval,
+        minimumNotice,
+        capacity,
+        staffRequired,
+        bookingMode,
+        resourceRequirements: {
+          deleteMany: {},
+          create: toRequirementsCreate(resourceRequirements),
+        },
+        updatedAt: new Date(),
+      },
     });
 
     return { success: true, action: "update" };
@@ -124,6 +209,14 @@ export default function ServicesPage() {
   const [editingService, setEditingService] = useState(null);
   const [deletingService, setDeletingService] = useState(null);
   const [editDuration, setEditDuration] = useState(30);
+  const [editBufferBefore, setEditBufferBefore] = useState(0);
+  const [editBufferAfter, setEditBufferAfter] = useState(0);
+  const [editSlotInterval, setEditSlotInterval] = useState("");
+  const [editMinimumNotice, setEditMinimumNotice] = useState("");
+  const [editCapacity, setEditCapacity] = useState(1);
+  const [editStaffRequired, setEditStaffRequired] = useState(1);
+  const [editBookingMode, setEditBookingMode] = useState(BOOKING_MODE.OPEN);
+  const [editResourceRequirements, setEditResourceRequirements] = useState([]);
   const lastProcessedServiceId = useRef(null);
   const lastFetcherData = useRef(null);
 
@@ -153,6 +246,7 @@ export default function ServicesPage() {
   }, [fetcher.state, fetcher.data, revalidator]);
 
   const isSubmitting = fetcher.state === "submitting";
+  const formError = fetcher.state === "idle" && fetcher.data?.success === false ? fetcher.data.error : null;
 
   const handleCreateService = (servicesToCreate) => {
     fetcher.submit(
@@ -167,6 +261,17 @@ export default function ServicesPage() {
   const handleEditService = (service) => {
     setEditingService(service);
     setEditDuration(service.duration);
+    setEditBufferBefore(service.bufferBefore || 0);
+    setEditBufferAfter(service.bufferAfter || 0);
+    setEditSlotInterval(service.slotInterval || "");
+    setEditMinimumNotice(service.minimumNotice || "");
+    setEditCapacity(service.capacity || 1);
+    setEditStaffRequired(service.staffRequired || 1);
+    setEditBookingMode(service.bookingMode || BOOKING_MODE.OPEN);
+    setEditResourceRequirements(service.resourceRequirements.map((requirement) => ({
+      resourceTypeId: requirement.resourceTypeId,
+      quantity: requirement.quantity,
+    })));
     setShowEditModal(true);
   };
 
@@ -177,6 +282,14 @@ export default function ServicesPage() {
           action: "update", 
           serviceId: editingService.id.toString(),
           duration: editDuration.toString(),
+          bufferBefore: editBufferBefore.toString(),
+          bufferAfter: editBufferAfter.toString(),
+          slotInterval: editSlotInterval,
+          minimumNotice: editMinimumNotice,
+          capacity: editCapacity.toString(),
+          staffRequired: editStaffRequired.toString(),
+          bookingMode: editBookingMode,
+          resourceRequirements: JSON.stringify(editResourceRequirements),
         },
         { method: "POST" }
       );
@@ -218,6 +331,7 @@ export default function ServicesPage() {
         onCancel={handleCancel}
         onSubmit={handleCreateService}
         isSubmitting={isSubmitting}
+        error={formError}
         resourceTypes={resourceTypes}
       />
     );
@@ -226,7 +340,7 @@ export default function ServicesPage() {
   // If editing, show edit page
   if (showEditModal && editingService) {
     return (
-      <s-page heading="Edit Service Duration">
+      <s-page heading="Edit Service">
         <s-button slot="breadcrumb-actions" onClick={handleCancelEdit}>
           Services
         </s-button>
@@ -234,6 +348,8 @@ export default function ServicesPage() {
           Update
         </s-button>
 
+        {formError && <s-banner tone="critical">{formError}</s-banner>}
+
         <s-section>
           <s-grid gap="base">
             <s-grid gap="small">
@@ -257,6 +373,108 @@ export default function ServicesPage() {
               min="5"
               step="5"
             />
+
+            <s-select
+              label="Customers book"
+              details="Scheduled sessions are only offered at the dates you add on the Sessions page"
+              value={editBookingMode}
+              onChange={(e) => setEditBookingMode(e.target.value)}
+            >
+              {BOOKING_MODE_OPTIONS.map((option) => (
+                <s-option key={option.value} value={option.value}>
+                  {option.label}
+                </s-option>
+              ))}
+            </s-select>
+
+            <s-text-field
+              label="Seats per session"
+              details="More than one seat makes this a group class: a session stays bookable until every seat is taken"
+              type="number"
+              value={editCapacity}
+              onInput={(e) => setEditCapacity(Math.max(parseInt(e.currentTarget.value) || 1, 1))}
+              min="1"
+              step="1"
+            />
+
+            <s-text-field
+              label="Staff per booking"
+              details="Employees who work each appointment together, such as two therapists for a couples massage"
+              type="number"
+              value={editStaffRequired}
+              onInput={(e) => setEditStaffRequired(Math.max(parseInt(e.currentTarget.value) || 1, 1))}
+              min="1"
+              step="1"
+            />
+
+            <s-grid gap="small">
+              <s-text variant="headingMd">Buffer time</s-text>
+              <s-text variant="bodySm" color="subdued">
+                Blocks time for preparation and cleanup around each booking. Customers only see the service duration.
+              </s-text>
+            </s-grid>
+            <s-grid gridTemplateColumns="1fr 1fr" gap="base">
+              <s-text-field
+                label="Before"
+                type="number"
+                value={editBufferBefore}
+                onInput={(e) => setEditBufferBefore(Math.max(parseInt(e.currentTarget.value) || 0, 0))}
+                suffix="minutes"
+                min="0"
+                step="5"
+              />
+              <s-text-field
+                label="After"
+                type="number"
+                value={editBufferAfter}
+                onInput={(e) => setEditBufferAfter(Math.max(parseInt(e.currentTarget.value) || 0, 0))}
+                suffix="minutes"
+                min="0"
+                step="5"
+              />
+            </s-grid>
+
+            <s-select
+              label="Start time interval"
+              value={editSlotInterval}
+              onChange={(e) => setEditSlotInterval(e.target.value)}
+            >
+              <s-option value="">Store default</s-option>
+              {SLOT_INTERVAL_OPTIONS.map((option) => (
+                <s-option key={option.value} value={option.value}>
+                  {option.label}
+                </s-option>
+              ))}
+            </s-select>
+
+            <s-select
+              label="Minimum booking notice"
+              value={editMinimumNotice}
+              onChange={(e) => setEditMinimumNotice(e.target.value)}
+            >
+              <s-option value="">Store default</s-option>
+              {MINIMUM_NOTICE_OPTIONS.map((option) => (
+                <s-option key={option.value} value={option.value}>
+                  {option.label}
+                </s-option>
+              ))}
+            </s-select>
+          </s-grid>
+        </s-section>
+
+        <s-section>
+          <s-grid gap="base">
+            <s-grid gap="small">
+              <s-text variant="headingMd">Required resources</s-text>
+              <s-text variant="bodySm" color="subdued">
+                A time is only offered when one resource of every type is free. Existing bookings keep the resources they reserved.
+              </s-text>
+            </s-grid>
+            <ResourceRequirementsEditor
+              value={editResourceRequirements}
+              onChange={setEditResourceRequirements}
+              resourceTypes={resourceTypes}
+            />
           </s-grid>
         </s-section>
       </s-page>
@@ -301,7 +519,7 @@ export default function ServicesPage() {
                   <s-text variant="bodySm" fontWeight="semibold">Image</s-text>
                   <s-text variant="bodySm" fontWeight="semibold">Product</s-text>
                   <s-text variant="bodySm" fontWeight="semibold">Variant</s-text>
-                  <s-text variant="bodySm" fontWeight="semibold">Resource Type</s-text>
+                  <s-text variant="bodySm" fontWeight="semibold">Resources</s-text>
                   <s-text variant="bodySm" fontWeight="semibold">Duration</s-text>
                   <s-text variant="bodySm" fontWeight="semibold">Actions</s-text>
                 </div>
@@ -375,7 +593,7 @@ export default function ServicesPage() {
                     </div>
 
                     <div>
-                      {service.resourceType ? (
+                      {service.resourceRequirements.length > 0 ? (
                         <span style={{
                           display: "inline-block",
                           padding: "4px 12px",
@@ -385,7 +603,7 @@ export default function ServicesPage() {
                           fontSize: "12px",
                           fontWeight: "500"
                         }}>
-                          {service.resourceType.name}
+                          {formatResourceRequirements(service.resourceRequirements)}
                         </span>
                       ) : (
                         <span style={{
@@ -402,9 +620,31 @@ export default function ServicesPage() {
                       )}
                     </div>
 
-                    <s-text variant="bodySm">
-                      {service.duration} min
-                    </s-text>
+                    <s-grid gap="none">
+                      <s-text variant="bodySm">
+                        {service.duration} min
+                      </s-text>
+                      {(service.bufferBefore > 0 || service.bufferAfter > 0) && (
+                        <s-text variant="bodySm" color="subdued">
+                          +{service.bufferBefore} before, +{service.bufferAfter} after
+                        </s-text>
+                      )}
+                      {service.capacity > 1 && (
+                        <s-text variant="bodySm" color="subdued">
+                          {service.capacity} seats
+                        </s-text>
+                      )}
+                      {service.staffRequired > 1 && (
+                        <s-text variant="bodySm" color="subdued">
+                          {service.staffRequired} staff
+                        </s-text>
+                      )}
+                      {isSessionService(service) && (
+                        <s-text variant="bodySm" color="subdued">
+                          Scheduled sessions
+                        </s-text>
+                      )}
+                    </s-grid>
 
                     <div style={{ display: "flex", gap: "4px" }}>
                       <button
@@ -0,0 +1,544 @@
+import { useState, useEffect } from "react";
+import { useLoaderData, useFetcher, useRevalidator } from "react-router";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getBusyBookingFilter } from "../utils/availability.server";
+import { cancelBookings, parseBookingDate } from "../utils/booking.server";
+import { getStoreTimeZone, getZonedDateStr } from "../utils/timezone";
+import { BOOKING_MODE, isSessionService, validateScheduledSession } from "../utils/scheduledSessions";
+import { formatLocationName } from "../utils/locations";
+
+const EMPTY_SESSION = {
+  id: "",
+  serviceId: "",
+  date: "",
+  startTime: "19:00",
+  endTime: "20:00",
+  employeeId: "",
+  resourceId: "",
+  locationId: "",
+  capacity: 1,
+};
+
+// Shift an HH:MM time by minutes, capped at the end of the day
+const addMinutesToTime = (time, minutes) => {
+  const [hours, mins] = time.split(":").map(Number);
+  const total = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// Format a session date (UTC midnight) as e.g. "Thu, Nov 20, 2025"
+const formatSessionDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", { timeZone: "UTC", weekday: "short", month: "short", day: "numeric", year: "numeric" });
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const store = await prisma.store.findUnique({
+    where: { shop },
+    include: {
+      services: {
+        where: { isActive: true, bookingMode: BOOKING_MODE.SESSIONS },
+        orderBy: { productTitle: "asc" },
+      },
+      employees: {
+        where: { isActive: true },
+        orderBy: { name: "asc" },
+      },
+      resources: {
+        where: { isActive: true },
+        orderBy: { name: "asc" },
+      },
+      locations: {
+        where: { isActive: true },
+        orderBy: { name: "asc" },
+      },
+    },
+  });
+
+  // Upcoming sessions from the store's today, with the seats taken so far
+  const todayStr = getZonedDateStr(getStoreTimeZone(store));
+  const sessions = await prisma.scheduledSession.findMany({
+    where: {
+      shop,
+      isActive: true,
+      date: { gte: parseBookingDate(todayStr) },
+    },
+    include: {
+      service: true,
+      employee: true,
+      _count: {
+        select: { bookings: { where: getBusyBookingFilter() } },
+      },
+    },
+    orderBy: [{ date: "asc" }, { startTime: "asc" }],
+  });
+
+  // Serialize BigInt values
+  const serializeData = (data) => {
+    if (!data) return data;
+    return JSON.parse(JSON.stringify(data, (key, value) =>
+      typeof value === 'bigint' ? value.toString() : value
+    ));
+  };
+
+  return {
+    sessions: serializeData(sessions),
+    services: serializeData(store?.services) || [],
+    employees: serializeData(store?.employees) || [],
+    resources: serializeData(store?.resources) || [],
+    locations: serializeData(store?.locations) || [],
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const formData = await request.formData();
+  const actionType = formData.get("action");
+
+  if (actionType === "save") {
+    return handleSaveSession(shop, formData);
+  }
+
+  if (actionType === "cancel") {
+    const sessionId = BigInt(formData.get("sessionId"));
+
+    const { count } = await prisma.scheduledSession.updateMany({
+      where: { id: sessionId, shop, isActive: true },
+      data: { isActive: false, updatedAt: new Date() },
+    });
+    if (count === 0) {
+      return { success: false, action: "cancel", error: "Session not found or already cancelled" };
+    }
+
+    // Free the seats that were booked
+    await cancelBookings(
+      shop,
+      { scheduledSessionId: sessionId },
+      { cancelledBy: "merchant", reason: "Session cancelled" }
+    );
+
+    return { success: true, action: "cancel" };
+  }
+
+  return { success: false, error: "Invalid action" };
+};
+
+/**
+ * Create or update a scheduled session
+ * Seats already booked move with the session when its date, time, instructor or resource changes.
+ */
+async function handleSaveSession(shop, formData) {
+  const sessionId = formData.get("sessionId") ? BigInt(formData.get("sessionId")) : null;
+  const values = {
+    serviceId: formData.get("serviceId"),
+    employeeId: formData.get("employeeId"),
+    date: formData.get("date"),
+    startTime: formData.get("startTime"),
+    endTime: formData.get("endTime"),
+    capacity: parseInt(formData.get("capacity")),
+  };
+
+  const sessionError = validateScheduledSession(values);
+  if (sessionError) {
+    return { success: false, action: "save", error: sessionError };
+  }
+
+  const store = await prisma.store.findUnique({
+    where: { shop },
+  });
+  const [service, employee] = await Promise.all([
+    prisma.service.findFirst({ where: { id: BigInt(values.serviceId), shop, isActive: true } }),
+    prisma.employee.findFirst({ where: { id: BigInt(values.employeeId), shop, isActive: true } }),
+  ]);
+  if (!store || !isSessionService(service)) {
+    return { success: false, action: "save", error: "Service not found or not booked in scheduled sessions" };
+  }
+  if (!employee) {
+    return { success: false, action: "save", error: "Instructor not found" };
+  }
+
+  const date = parseBookingDate(values.date);
+
+  // An instructor can't run two sessions at once
+  const overlapping = await prisma.scheduledSession.findFirst({
+    where: {
+      shop,
+      employeeId: employee.id,
+      date,
+      isActive: true,
+      startTime: { lt: values.endTime },
+      endTime: { gt: values.startTime },
+      ...(sessionId ? { id: { not: sessionId } } : {}),
+    },
+  });
+  if (overlapping) {
+    return { success: false, action: "save", error: `${employee.name} already has a session from ${overlapping.startTime} to ${overlapping.endTime}` };
+  }
+
+  const resourceId = formData.get("resourceId") ? BigInt(formData.get("resourceId")) : null;
+  const locationId = formData.get("locationId") ? BigInt(formData.get("locationId")) : null;
+  const data = {
+    serviceId: service.id,
+    employeeId: employee.id,
+    resourceId,
+    locationId,
+    date,
+    startTime: values.startTime,
+    endTime: values.endTime,
+    capacity: values.capacity,
+  };
+
+  if (!sessionId) {
+    await prisma.scheduledSession.create({
+      data: { ...data, shop, storeId: store.id },
+    });
+    return { success: true, action: "save" };
+  }
+
+  const seatFilter = { scheduledSessionId: sessionId, ...getBusyBookingFilter() };
+  const seatIds = (await prisma.booking.findMany({ where: seatFilter, select: { id: true } })).map((seat) => seat.id);
+  const bookedSeats = seatIds.length;
+  if (values.capacity < bookedSeats) {
+    return { success: false, action: "save", error: `${bookedSeats} seats are already booked; the session needs at least that many` };
+  }
+
+  await prisma.$transaction([
+    prisma.scheduledSession.updateMany({
+      where: { id: sessionId, shop },
+      data: { ...data, updatedAt: new Date() },
+    }),
+    prisma.booking.updateMany({
+      where: seatFilter,
+      data: {
+        serviceId: service.id,
+        employeeId: employee.id,
+        resourceId,
+        locationId: locationId ?? employee.locationId,
+        date,
+        startTime: values.startTime,
+        endTime: values.endTime,
+        rescheduledAt: new Date(),
+      },
+    }),
+    // Seats are assigned to the session's instructor and hold its resource
+    prisma.bookingEmployee.deleteMany({
+      where: { bookingId: { in: seatIds } },
+    }),
+    prisma.bookingEmployee.createMany({
+      data: seatIds.map((bookingId) => ({ bookingId, employeeId: employee.id })),
+    }),
+    prisma.bookingResource.deleteMany({
+      where: { bookingId: { in: seatIds } },
+    }),
+    prisma.bookingResource.createMany({
+      data: resourceId ? seatIds.map((bookingId) => ({ bookingId, resourceId })) : [],
+    }),
+  ]);
+
+  return { success: true, action: "save" };
+}
+
+export default function SessionsPage() {
+  const { sessions, services, employees, resources, locations } = useLoaderData();
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const [sessionForm, setSessionForm] = useState(null);
+  const [confirmCancel, setConfirmCancel] = useState(false);
+
+  const isSubmitting = fetcher.state === "submitting";
+
+  // Back to the list once a session is saved or cancelled
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.success) {
+      setSessionForm(null);
+      setConfirmCancel(false);
+      revalidate();
+    }
+  }, [fetcher.state, fetcher.data, revalidate]);
+
+  const updateForm = (changes) => setSessionForm((prev) => ({ ...prev, ...changes }));
+
+  const handleAddSession = () => {
+    const service = services[0];
+    setConfirmCancel(false);
+    setSessionForm({
+      ...EMPTY_SESSION,
+      serviceId: service?.id || "",
+      employeeId: employees[0]?.id || "",
+      endTime: addMinutesToTime(EMPTY_SESSION.startTime, service?.duration || 60),
+      capacity: service?.capacity || 1,
+    });
+  };
+
+  const handleEditSession = (session) => {
+    setConfirmCancel(false);
+    setSessionForm({
+      id: session.id,
+      serviceId: session.serviceId,
+      date: session.date.split("T")[0],
+      startTime: session.startTime,
+      endTime: session.endTime,
+      employeeId: session.employeeId,
+      resourceId: session.resourceId || "",
+      locationId: session.locationId || "",
+      capacity: session.capacity,
+      bookedSeats: session._count.bookings,
+    });
+  };
+
+  // A new service brings its duration and default seats
+  const handleServiceChange = (serviceId) => {
+    const service = services.find((s) => s.id === serviceId);
+    updateForm({
+      serviceId,
+      endTime: service ? addMinutesToTime(sessionForm.startTime, service.duration) : sessionForm.endTime,
+      capacity: sessionForm.id ? sessionForm.capacity : service?.capacity || 1,
+    });
+  };
+
+  const handleSaveSession = () => {
+    fetcher.submit(
+      {
+        action: "save",
+        sessionId: sessionForm.id,
+        serviceId: sessionForm.serviceId,
+        date: sessionForm.date,
+        startTime: sessionForm.startTime,
+        endTime: sessionForm.endTime,
+        employeeId: sessionForm.employeeId,
+        resourceId: sessionForm.resourceId,
+        locationId: sessionForm.locationId,
+        capacity: sessionForm.capacity.toString(),
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleCancelSession = () => {
+    fetcher.submit({ action: "cancel", sessionId: sessionForm.id }, { method: "POST" });
+  };
+
+  const errorBanner = fetcher.state === "idle" && fetcher.data?.success === false && fetcher.data?.error && (
+    <s-banner tone="critical">{fetcher.data.error}</s-banner>
+  );
+
+  // If adding or editing, show the session form
+  if (sessionForm) {
+    return (
+      <s-page heading={sessionForm.id ? "Edit session" : "Add session"}>
+        <s-button slot="breadcrumb-actions" onClick={() => setSessionForm(null)}>
+          Sessions
+        </s-button>
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          onClick={handleSaveSession}
+          disabled={isSubmitting || !sessionForm.serviceId || !sessionForm.employeeId || !sessionForm.date}
+          loading={isSubmitting}
+        >
+          Save
+        </s-button>
+
+        {errorBanner}
+
+        <s-section>
+          <s-grid gap="base">
+            <s-select
+              label="Service"
+              value={sessionForm.serviceId}
+              onChange={(e) => handleServiceChange(e.target.value)}
+            >
+              {services.map((service) => (
+                <s-option key={service.id} value={service.id}>
+                  {service.variantTitle ? `${service.productTitle} - ${service.variantTitle}` : service.productTitle}
+                </s-option>
+              ))}
+            </s-select>
+
+            <s-grid gridTemplateColumns="1fr 1fr 1fr" gap="base">
+              <s-date-field
+                label="Date"
+                value={sessionForm.date}
+                onChange={(e) => updateForm({ date: e.currentTarget.value })}
+              />
+              <s-text-field
+                label="Starts"
+                type="time"
+                value={sessionForm.startTime}
+                onInput={(e) => updateForm({ startTime: e.currentTarget.value })}
+              />
+              <s-text-field
+                label="Ends"
+                type="time"
+                value={sessionForm.endTime}
+                onInput={(e) => updateForm({ endTime: e.currentTarget.value })}
+              />
+            </s-grid>
+
+            <s-grid gridTemplateColumns="1fr 1fr" gap="base">
+              <s-select
+                label="Instructor"
+                value={sessionForm.employeeId}
+                onChange={(e) => updateForm({ employeeId: e.target.value })}
+              >
+                {employees.map((employee) => (
+                  <s-option key={employee.id} value={employee.id}>
+                    {employee.name}
+                  </s-option>
+                ))}
+              </s-select>
+              <s-text-field
+                label="Seats"
+                details={sessionForm.bookedSeats > 0 ? `${sessionForm.bookedSeats} booked` : undefined}
+                type="number"
+                value={sessionForm.capacity}
+                onInput={(e) => updateForm({ capacity: Math.max(parseInt(e.currentTarget.value) || 1, 1) })}
+                min="1"
+                step="1"
+              />
+            </s-grid>
+
+            <s-grid gridTemplateColumns={locations.length > 0 ? "1fr 1fr" : "1fr"} gap="base">
+              <s-select
+                label="Resource"
+                value={sessionForm.resourceId}
+                onChange={(e) => updateForm({ resourceId: e.target.value })}
+              >
+                <s-option value="">None</s-option>
+                {resources.map((resource) => (
+                  <s-option key={resource.id} value={resource.id}>
+                    {resource.name}
+                  </s-option>
+                ))}
+              </s-select>
+              {locations.length > 0 && (
+                <s-select
+                  label="Location"
+                  details="Without a location, bookings take the instructor's location"
+                  value={sessionForm.locationId}
+                  onChange={(e) => updateForm({ locationId: e.target.value })}
+                >
+                  <s-option value="">None</s-option>
+                  {locations.map((location) => (
+                    <s-option key={location.id} value={location.id}>
+                      {location.name}
+                    </s-option>
+                  ))}
+                </s-select>
+              )}
+            </s-grid>
+          </s-grid>
+        </s-section>
+
+        {sessionForm.id && (
+          <s-section>
+            <s-grid gap="base">
+              <s-text variant="headingMd">Cancel session</s-text>
+              {confirmCancel ? (
+                <>
+                  <s-banner tone="warning">
+                    {sessionForm.bookedSeats > 0
+                      ? `The ${sessionForm.bookedSeats} booked seat(s) will be cancelled. Refund the customers' orders in Shopify.`
+                      : "No seats are booked yet."}
+                  </s-banner>
+                  <s-stack direction="inline" gap="small">
+                    <s-button onClick={() => setConfirmCancel(false)}>Keep session</s-button>
+                    <s-button tone="critical" variant="primary" onClick={handleCancelSession} disabled={isSubmitting}>
+                      Cancel session
+                    </s-button>
+                  </s-stack>
+                </>
+              ) : (
+                <div>
+                  <s-button tone="critical" onClick={() => setConfirmCancel(true)}>
+                    Cancel session
+                  </s-button>
+                </div>
+              )}
+            </s-grid>
+          </s-section>
+        )}
+      </s-page>
+    );
+  }
+
+  return (
+    <s-page heading="Sessions">
+      <s-button slot="primary-action" variant="primary" onClick={handleAddSession} disabled={services.length === 0}>
+        Add session
+      </s-button>
+
+      {errorBanner}
+
+      <s-section>
+        <s-grid gap="base">
+          <s-text color="subdued">
+            Fixed-date sessions such as classes and workshops. Customers can only book services set to scheduled sessions at these dates, until every seat is taken.
+          </s-text>
+
+          {services.length === 0 && (
+            <s-banner tone="info">
+              No service is booked in scheduled sessions yet. Set a service&apos;s booking type to Scheduled sessions on the Services page.
+            </s-banner>
+          )}
+
+          {sessions.length === 0 ? (
+            <s-box padding="large" background="subdued" borderRadius="base">
+              <s-grid gap="base" justifyItems="center">
+                <s-text variant="bodyLg" color="subdued">
+                  No upcoming sessions
+                </s-text>
+                <s-text variant="bodySm" color="subdued">
+                  Add a session to start selling seats
+                </s-text>
+              </s-grid>
+            </s-box>
+          ) : (
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Date</s-table-header>
+                <s-table-header>Service</s-table-header>
+                <s-table-header>Instructor</s-table-header>
+                <s-table-header>Seats</s-table-header>
+                <s-table-header>Actions</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {sessions.map((session) => (
+                  <s-table-row key={session.id}>
+                    <s-table-cell>
+                      <s-grid gap="none">
+                        <s-text fontWeight="semibold">{formatSessionDate(session.date)}</s-text>
+                        <s-text variant="bodySm" color="subdued">
+                          {session.startTime} - {session.endTime}
+                          {locations.length > 0 && session.locationId && ` · ${formatLocationName(locations, session.locationId)}`}
+                        </s-text>
+                      </s-grid>
+                    </s-table-cell>
+                    <s-table-cell>{session.service.productTitle}</s-table-cell>
+                    <s-table-cell>{session.employee.name}</s-table-cell>
+                    <s-table-cell>
+                      {session._count.bookings >= session.capacity ? (
+                        <s-badge tone="success">Full</s-badge>
+                      ) : (
+                        `${session._count.bookings} / ${session.capacity} booked`
+                      )}
+                    </s-table-cell>
+                    <s-table-cell>
+                      <s-button icon="edit" variant="tertiary" onClick={() => handleEditSession(session)}>
+                        Edit
+                      </s-button>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+        </s-grid>
+      </s-section>
+    </s-page>
+  );
+}
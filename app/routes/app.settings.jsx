@@ -2,6 +2,25 @@ import { useState, useEffect } from "react";
 import { useLoaderData, useFetcher } from "react-router";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { DEFAULT_SLOT_INTERVAL, SLOT_INTERVAL_OPTIONS, isValidSlotInterval } from "../utils/slotInterval";
+import { DEFAULT_MINIMUM_NOTICE, MINIMUM_NOTICE_OPTIONS, isValidMinimumNotice } from "../utils/minimumNotice";
+import {
+  DEFAULT_ASSIGNMENT_STRATEGY,
+  ASSIGNMENT_STRATEGY_OPTIONS,
+  isValidAssignmentStrategy,
+} from "../utils/assignmentStrategy";
+import { validateClosure, formatClosureDates } from "../utils/closures";
+import {
+  getOpeningHours,
+  validateWeeklyHours,
+  summarizeWeeklyHours,
+} from "../utils/weeklyHours";
+import { formatLocationName } from "../utils/locations";
+import OpeningHoursEditor from "../components/OpeningHoursEditor";
+
+// Minutes a checkout hold may reserve a slot for
+const MIN_HOLD_DURATION = 1;
+const MAX_HOLD_DURATION = 120;
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
@@ -12,6 +31,13 @@ export const loader = async ({ request }) => {
     where: { shop },
     include: {
       settings: true,
+      closures: {
+        orderBy: { startDate: "asc" },
+      },
+      locations: {
+        where: { isActive: true },
+        orderBy: { name: "asc" },
+      },
     },
   });
 
@@ -20,14 +46,24 @@ export const loader = async ({ request }) => {
     workingHoursStart: "09:00",
     workingHoursEnd: "17:00",
     openDays: "1,2,3,4,5",
+    openingHours: null,
     useResources: false,
     limitBookingWindow: false,
     bookingWindow: 30,
     limitAppointments: false,
     maxAppointmentsDisplayed: 10,
+    holdDuration: 15,
+    slotInterval: DEFAULT_SLOT_INTERVAL,
+    minimumNotice: DEFAULT_MINIMUM_NOTICE,
+    assignmentStrategy: DEFAULT_ASSIGNMENT_STRATEGY,
   };
 
-  return { settings, hasSettings: !!store?.settings };
+  return {
+    settings,
+    hasSettings: !!store?.settings,
+    closures: store?.closures || [],
+    locations: store?.locations || [],
+  };
 };
 
 export const action = async ({ request }) => {
@@ -35,16 +71,40 @@ export const action = async ({ request }) => {
   const shop = session.shop;
 
   const formData = await request.formData();
-  const workingHoursStart = formData.get("workingHoursStart");
-  const workingHoursEnd = formData.get("workingHoursEnd");
-  const openDays = formData.get("openDays");
+  const actionType = formData.get("action");
+
+  if (actionType === "saveClosure" || actionType === "deleteClosure") {
+    return handleClosureAction(shop, actionType, formData);
+  }
+
+  const openingHours = JSON.parse(formData.get("openingHours") || "{}");
+  const openingHoursError = validateWeeklyHours(openingHours);
+  if (openingHoursError) {
+    return { success: false, error: openingHoursError };
+  }
+
+  // Keep the week-level columns in sync for code that only needs the overall range
+  const { openDays, workingHoursStart, workingHoursEnd } = summarizeWeeklyHours(openingHours);
   const useResources = formData.get("useResources") === "true";
   const limitBookingWindow = formData.get("limitBookingWindow") === "true";
   const bookingWindow = parseInt(formData.get("bookingWindow") || "30", 10);
   const limitAppointments = formData.get("limitAppointments") === "true";
   const maxAppointmentsDisplayed = parseInt(formData.get("maxAppointmentsDisplayed") || "10", 10);
+  const holdDuration = Number(formData.get("holdDuration") || "15");
+  if (!Number.isInteger(holdDuration) || holdDuration < MIN_HOLD_DURATION || holdDuration > MAX_HOLD_DURATION) {
+    return { success: false, error: `Hold duration must be between ${MIN_HOLD_DURATION} and ${MAX_HOLD_DURATION} minutes` };
+  }
+  const slotInterval = isValidSlotInterval(formData.get("slotInterval"))
+    ? formData.get("slotInterval")
+    : DEFAULT_SLOT_INTERVAL;
+  const minimumNotice = isValidMinimumNotice(formData.get("minimumNotice"))
+    ? formData.get("minimumNotice")
+    : DEFAULT_MINIMUM_NOTICE;
+  const assignmentStrategy = isValidAssignmentStrategy(formData.get("assignmentStrategy"))
+    ? formData.get("assignmentStrategy")
+    : DEFAULT_ASSIGNMENT_STRATEGY;
 
-  console.log("Saving settings:", { workingHoursStart, workingHoursEnd, openDays, useResources, limitBookingWindow, bookingWindow, limitAppointments, maxAppointmentsDisplayed });
+  console.log("Saving settings:", { openingHours, useResources, limitBookingWindow, bookingWindow, limitAppointments, maxAppointmentsDisplayed, holdDuration, slotInterval, minimumNotice, assignmentStrategy });
 
   // Get or create store
   let store = await prisma.store.findUnique({
@@ -64,47 +124,120 @@ export const action = async ({ request }) => {
   await prisma.settings.upsert({
     where: { storeId: store.id },
     update: {
-      workingHoursStart: workingHoursStart.toString(),
-      workingHoursEnd: workingHoursEnd.toString(),
-      openDays: openDays.toString(),
+      workingHoursStart,
+      workingHoursEnd,
+      openDays,
+      openingHours,
       useResources,
       limitBookingWindow,
       bookingWindow,
       limitAppointments,
       maxAppointmentsDisplayed,
+      holdDuration,
+      slotInterval,
+      minimumNotice,
+      assignmentStrategy,
       updatedAt: new Date(),
     },
     create: {
       shop,
       storeId: store.id,
-      workingHoursStart: workingHoursStart.toString(),
-      workingHoursEnd: workingHoursEnd.toString(),
-      openDays: openDays.toString(),
+      workingHoursStart,
+      workingHoursEnd,
+      openDays,
+      openingHours,
       useResources,
       limitBookingWindow,
       bookingWindow,
       limitAppointments,
       maxAppointmentsDisplayed,
+      holdDuration,
+      slotInterval,
+      minimumNotice,
+      assignmentStrategy,
     },
   });
 
   return { success: true };
 };
 
+/**
+ * Create or delete a store closure (holiday)
+ */
+async function handleClosureAction(shop, actionType, formData) {
+  if (actionType === "deleteClosure") {
+    await prisma.storeClosure.deleteMany({
+      where: { id: BigInt(formData.get("closureId")), shop },
+    });
+
+    return { success: true, action: "deleteClosure" };
+  }
+
+  const closure = {
+    name: formData.get("name"),
+    startDate: formData.get("startDate"),
+    endDate: formData.get("endDate") || formData.get("startDate"),
+    recursYearly: formData.get("recursYearly") === "true",
+    locationId: formData.get("locationId") || null,
+  };
+
+  const closureError = validateClosure(closure);
+  if (closureError) {
+    return { success: false, action: "saveClosure", error: closureError };
+  }
+
+  let store = await prisma.store.findUnique({
+    where: { shop },
+  });
+
+  if (!store) {
+    store = await prisma.store.create({
+      data: {
+        shop,
+        isActive: true,
+      },
+    });
+  }
+
+  // Parse as UTC dates to avoid timezone shift
+  const toUTCDate = (dateStr) => {
+    const [year, month, day] = dateStr.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  };
+
+  await prisma.storeClosure.create({
+    data: {
+      shop,
+      storeId: store.id,
+      name: closure.name.trim(),
+      startDate: toUTCDate(closure.startDate),
+      endDate: toUTCDate(closure.endDate),
+      recursYearly: closure.recursYearly,
+      locationId: closure.locationId ? BigInt(closure.locationId) : null,
+    },
+  });
+
+  return { success: true, action: "saveClosure" };
+}
+
+const EMPTY_CLOSURE = { name: "", startDate: "", endDate: "", recursYearly: false, locationId: "" };
+
 export default function SettingsPage() {
-  const { settings, hasSettings } = useLoaderData();
+  const { settings, hasSettings, closures, locations } = useLoaderData();
   const fetcher = useFetcher();
+  const closureFetcher = useFetcher();
+  const [closureForm, setClosureForm] = useState(EMPTY_CLOSURE);
 
-  const [workingHoursStart, setWorkingHoursStart] = useState(settings.workingHoursStart);
-  const [workingHoursEnd, setWorkingHoursEnd] = useState(settings.workingHoursEnd);
+  const [openingHours, setOpeningHours] = useState(getOpeningHours(settings));
   const [useResources, setUseResources] = useState(settings.useResources || false);
   const [limitBookingWindow, setLimitBookingWindow] = useState(settings.limitBookingWindow || false);
   const [bookingWindow, setBookingWindow] = useState(settings.bookingWindow || 30);
   const [limitAppointments, setLimitAppointments] = useState(settings.limitAppointments || false);
   const [maxAppointmentsDisplayed, setMaxAppointmentsDisplayed] = useState(settings.maxAppointmentsDisplayed || 10);
-  const [selectedDays, setSelectedDays] = useState(
-    settings.openDays.split(",").map(Number)
-  );
+  const [holdDuration, setHoldDuration] = useState(settings.holdDuration || 15);
+  const [slotInterval, setSlotInterval] = useState(settings.slotInterval || DEFAULT_SLOT_INTERVAL);
+  const [minimumNotice, setMinimumNotice] = useState(settings.minimumNotice || DEFAULT_MINIMUM_NOTICE);
+  const [assignmentStrategy, setAssignmentStrategy] = useState(settings.assignmentStrategy || DEFAULT_ASSIGNMENT_STRATEGY);
 
   const isSubmitting = fetcher.state === "submitting";
   const isSuccess = fetcher.state === "idle" && fetcher.data?.success;
@@ -117,50 +250,64 @@ export default function SettingsPage() {
     }
   }, [isSuccess]);
 
-  const daysOfWeek = [
-    { value: 0, label: "Sunday" },
-    { value: 1, label: "Monday" },
-    { value: 2, label: "Tuesday" },
-    { value: 3, label: "Wednesday" },
-    { value: 4, label: "Thursday" },
-    { value: 5, label: "Friday" },
-    { value: 6, label: "Saturday" },
-  ];
-
-  const toggleDay = (dayValue) => {
-    if (selectedDays.includes(dayValue)) {
-      setSelectedDays(selectedDays.filter((d) => d !== dayValue));
-    } else {
-      setSelectedDays([...selectedDays, dayValue].sort());
+  // Clear the closure form once the closure is saved
+  useEffect(() => {
+    if (closureFetcher.state === "idle" && closureFetcher.data?.success && closureFetcher.data?.action === "saveClosure") {
+      setClosureForm(EMPTY_CLOSURE);
     }
+  }, [closureFetcher.state, closureFetcher.data]);
+
+  const handleAddClosure = () => {
+    closureFetcher.submit(
+      {
+        action: "saveClosure",
+        name: closureForm.name,
+        startDate: closureForm.startDate,
+        endDate: closureForm.endDate,
+        recursYearly: closureForm.recursYearly.toString(),
+        locationId: closureForm.locationId,
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleDeleteClosure = (closure) => {
+    closureFetcher.submit(
+      { action: "deleteClosure", closureId: closure.id.toString() },
+      { method: "POST" }
+    );
   };
 
   const handleSubmit = (event) => {
     event.preventDefault();
     fetcher.submit(
       {
-        workingHoursStart,
-        workingHoursEnd,
-        openDays: selectedDays.join(","),
+        openingHours: JSON.stringify(openingHours),
         useResources: useResources.toString(),
         limitBookingWindow: limitBookingWindow.toString(),
         bookingWindow: bookingWindow.toString(),
         limitAppointments: limitAppointments.toString(),
         maxAppointmentsDisplayed: maxAppointmentsDisplayed.toString(),
+        holdDuration: holdDuration.toString(),
+        slotInterval,
+        minimumNotice,
+        assignmentStrategy,
       },
       { method: "POST" }
     );
   };
 
   const handleReset = () => {
-    setWorkingHoursStart(settings.workingHoursStart);
-    setWorkingHoursEnd(settings.workingHoursEnd);
+    setOpeningHours(getOpeningHours(settings));
     setUseResources(settings.useResources || false);
     setLimitBookingWindow(settings.limitBookingWindow || false);
     setBookingWindow(settings.bookingWindow || 30);
     setLimitAppointments(settings.limitAppointments || false);
     setMaxAppointmentsDisplayed(settings.maxAppointmentsDisplayed || 10);
-    setSelectedDays(settings.openDays.split(",").map(Number));
+    setHoldDuration(settings.holdDuration || 15);
+    setSlotInterval(settings.slotInterval || DEFAULT_SLOT_INTERVAL);
+    setMinimumNotice(settings.minimumNotice || DEFAULT_MINIMUM_NOTICE);
+    setAssignmentStrategy(settings.assignmentStrategy || DEFAULT_ASSIGNMENT_STRATEGY);
   };
 
   return (
@@ -171,28 +318,43 @@ export default function SettingsPage() {
         </s-banner>
       )}
 
+      {fetcher.state === "idle" && fetcher.data?.success === false && fetcher.data?.error && (
+        <s-banner tone="critical">
+          {fetcher.data.error}
+        </s-banner>
+      )}
+
       <form data-save-bar onSubmit={handleSubmit} onReset={handleReset}>
         <s-section>
           <s-grid gap="base">
-            <s-text variant="headingMd">Working Hours</s-text>
+            <s-text variant="headingMd">Opening Hours</s-text>
             <s-text color="subdued">
-              Set your business operating hours for appointments
+              Set the days and hours your business takes appointments. Add a second range for split hours, e.g. 09:00–12:00 and 13:00–18:00.
             </s-text>
             
-            <s-grid gridTemplateColumns="1fr 1fr" gap="base">
-              <s-text-field
-                label="Start Time"
-                type="time"
-                value={workingHoursStart}
-                onInput={(e) => setWorkingHoursStart(e.currentTarget.value)}
-              />
-              <s-text-field
-                label="End Time"
-                type="time"
-                value={workingHoursEnd}
-                onInput={(e) => setWorkingHoursEnd(e.currentTarget.value)}
-              />
-            </s-grid>
+            <OpeningHoursEditor value={openingHours} onChange={setOpeningHours} />
+          </s-grid>
+        </s-section>
+
+        <s-section>
+          <s-grid gap="base">
+            <s-text variant="headingMd">Appointment Start Times</s-text>
+            <s-text color="subdued">
+              Choose how often appointments can start, whatever the service duration
+            </s-text>
+
+            <s-select
+              label="Start time interval"
+              value={slotInterval}
+              onChange={(e) => setSlotInterval(e.target.value)}
+              details="A 45-minute service with 15-minute intervals can start at 09:00, 09:15, 09:30 and so on. Services can override this."
+            >
+              {SLOT_INTERVAL_OPTIONS.map((option) => (
+                <s-option key={option.value} value={option.value}>
+                  {option.label}
+                </s-option>
+              ))}
+            </s-select>
           </s-grid>
         </s-section>
 
@@ -251,6 +413,19 @@ export default function SettingsPage() {
                 helpText="Number of days in advance customers can book appointments"
               />
             )}
+
+            <s-select
+              label="Minimum notice"
+              value={minimumNotice}
+              onChange={(e) => setMinimumNotice(e.target.value)}
+              details="How long before an appointment starts customers must book it. Next business day hides the rest of today and any closed days. Services can override this."
+            >
+              {MINIMUM_NOTICE_OPTIONS.map((option) => (
+                <s-option key={option.value} value={option.value}>
+                  {option.label}
+                </s-option>
+              ))}
+            </s-select>
           </s-grid>
         </s-section>
 
@@ -287,27 +462,135 @@ export default function SettingsPage() {
 
         <s-section>
           <s-grid gap="base">
-            <s-text variant="headingMd">Open Days</s-text>
+            <s-text variant="headingMd">Checkout Hold</s-text>
             <s-text color="subdued">
-              Select the days your business is open
+              Reserve a selected time slot while the customer completes checkout
             </s-text>
             
-            <s-grid gap="small">
-              {daysOfWeek.map((day) => (
-                <label key={day.value} style={{ display: "flex", alignItems: "center", gap: "8px", cursor: "pointer" }}>
-                  <input
-                    type="checkbox"
-                    checked={selectedDays.includes(day.value)}
-                    onChange={() => toggleDay(day.value)}
-                    style={{ cursor: "pointer" }}
-                  />
-                  <s-text>{day.label}</s-text>
-                </label>
+            <s-text-field
+              label="Hold duration (minutes)"
+              type="number"
+              value={holdDuration.toString()}
+              onInput={(e) => setHoldDuration(parseInt(e.currentTarget.value, 10) || 15)}
+              min={MIN_HOLD_DURATION.toString()}
+              max={MAX_HOLD_DURATION.toString()}
+              helpText="Unpaid slots are released for other customers after this time"
+            />
+          </s-grid>
+        </s-section>
+
+        <s-section>
+          <s-grid gap="base">
+            <s-text variant="headingMd">Staff Assignment</s-text>
+            <s-text color="subdued">
+              Choose who gets a booking when the customer picks &quot;Any available&quot; staff. Only employees free for the whole appointment are considered.
+            </s-text>
+
+            <s-select
+              label="Assignment strategy"
+              value={assignmentStrategy}
+              onChange={(e) => setAssignmentStrategy(e.target.value)}
+              details={ASSIGNMENT_STRATEGY_OPTIONS.find((option) => option.value === assignmentStrategy)?.description}
+            >
+              {ASSIGNMENT_STRATEGY_OPTIONS.map((option) => (
+                <s-option key={option.value} value={option.value}>
+                  {option.label}
+                </s-option>
               ))}
-            </s-grid>
+            </s-select>
           </s-grid>
         </s-section>
       </form>
+
+      <s-section>
+        <s-grid gap="base">
+          <s-text variant="headingMd">Holidays &amp; Closures</s-text>
+          <s-text color="subdued">
+            Days the store is closed, whatever the opening hours and employee schedules say. No appointments are offered on these days.
+          </s-text>
+
+          {closures.length === 0 ? (
+            <s-box padding="base" background="subdued" borderRadius="base">
+              <s-text variant="bodySm" color="subdued">No closures yet.</s-text>
+            </s-box>
+          ) : (
+            <s-grid gap="small-200">
+              {closures.map((closure) => (
+                <s-box key={closure.id.toString()} padding="small" border="base" borderRadius="base">
+                  <s-grid gridTemplateColumns="1fr auto" gap="base" alignItems="center">
+                    <s-grid gap="none">
+                      <s-text fontWeight="semibold">{closure.name}</s-text>
+                      <s-text variant="bodySm" color="subdued">
+                        {formatClosureDates(closure)}
+                        {locations.length > 0 && ` · ${formatLocationName(locations, closure.locationId)}`}
+                      </s-text>
+                    </s-grid>
+                    <s-button
+                      variant="tertiary"
+                      tone="critical"
+                      onClick={() => handleDeleteClosure(closure)}
+                      disabled={closureFetcher.state !== "idle"}
+                    >
+                      Delete
+                    </s-button>
+                  </s-grid>
+                </s-box>
+              ))}
+            </s-grid>
+          )}
+
+          {closureFetcher.data?.action === "saveClosure" && closureFetcher.data?.success === false && (
+            <s-banner tone="critical">{closureFetcher.data.error}</s-banner>
+          )}
+
+          <s-grid gridTemplateColumns="2fr 1fr 1fr" gap="base">
+            <s-text-field
+              label="Name"
+              placeholder="Christmas Day"
+              value={closureForm.name}
+              onInput={(e) => setClosureForm((prev) => ({ ...prev, name: e.currentTarget.value }))}
+            />
+            <s-date-field
+              label="From"
+              value={closureForm.startDate}
+              onChange={(e) => setClosureForm((prev) => ({ ...prev, startDate: e.currentTarget.value }))}
+            />
+            <s-date-field
+              label="To (optional)"
+              value={closureForm.endDate}
+              onChange={(e) => setClosureForm((prev) => ({ ...prev, endDate: e.currentTarget.value }))}
+            />
+          </s-grid>
+          {locations.length > 0 && (
+            <s-select
+              label="Location"
+              value={closureForm.locationId}
+              onChange={(e) => setClosureForm((prev) => ({ ...prev, locationId: e.target.value }))}
+            >
+              <s-option value="">All locations</s-option>
+              {locations.map((location) => (
+                <s-option key={location.id.toString()} value={location.id.toString()}>
+                  {location.name}
+                </s-option>
+              ))}
+            </s-select>
+          )}
+          <s-grid gridTemplateColumns="1fr auto" gap="base" alignItems="center">
+            <s-checkbox
+              label="Repeats every year"
+              checked={closureForm.recursYearly}
+              onChange={(e) => setClosureForm((prev) => ({ ...prev, recursYearly: e.currentTarget.checked }))}
+            />
+            <s-button
+              onClick={handleAddClosure}
+              disabled={!closureForm.name.trim() || !closureForm.startDate || closureFetcher.state !== "idle"}
+              loading={closureFetcher.state === "submitting"}
+            >
+              Add closure
+            </s-button>
+          </s-grid>
+        </s-grid>
+      </s-section>
     </s-page>
   );
 }
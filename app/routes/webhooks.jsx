@@ -1,8 +1,13 @@
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import {
+  confirmBookingsFromOrder,
+  cancelBookingsForOrder,
+  cancelBookingsForRefund,
+} from "../utils/booking.server";
 
 export const action = async ({ request }) => {
-  const { topic, shop, session, admin } = await authenticate.webhook(request);
+  const { topic, shop, session, admin, payload } = await authenticate.webhook(request);
 
   if (!admin) {
     // The admin context isn't returned if the webhook fired after a shop was uninstalled.
@@ -25,6 +30,22 @@ export const action = async ({ request }) => {
       });
       break;
 
+    case "ORDERS_CREATE":
+    case "ORDERS_PAID":
+      // Tie tentative bookings to the order and confirm them once paid
+      await confirmBookingsFromOrder(shop, topic, payload);
+      break;
+
+    case "ORDERS_CANCELLED":
+      // Release the booked time so it is offered again
+      await cancelBookingsForOrder(shop, payload);
+      break;
+
+    case "REFUNDS_CREATE":
+      // Release only the bookings whose line items were refunded
+      await cancelBookingsForRefund(shop, payload);
+      break;
+
     case "CUSTOMERS_DATA_REQUEST":
     case "CUSTOMERS_REDACT":
     case "SHOP_REDACT":
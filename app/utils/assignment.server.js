@@ -0,0 +1,136 @@
+import prisma from "../db.server";
+import { getBusyBookingFilter } from "./availability.server";
+import {
+  ASSIGNMENT_STRATEGY,
+  DEFAULT_ASSIGNMENT_STRATEGY,
+  isValidAssignmentStrategy,
+} from "./assignmentStrategy";
+
+/**
+ * Staff assignment for "any available" bookings
+ * The availability engine only decides who can take a slot (hard constraints). When the
+ * customer doesn't pick anyone, the store's strategy ranks those employees (soft
+ * constraint) and the booking goes to the best one.
+ */
+
+// Score of an employee with no booking on one side of the slot (fill gaps)
+const OPEN_DAY_MINUTES = 24 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Order the employees of a slot by the store's assignment strategy, best first
+ * Employees that tie keep the order the availability engine returned.
+ * @param {Object} slot - Slot with employees (from findBookableSlots)
+ * @param {Object} params
+ * @param {Object} params.settings - Store settings with assignmentStrategy
+ * @param {Date} params.bookingDate - Appointment date (UTC midnight)
+ * @param {Array} params.employees - Store employees (with priority)
+ * @param {string} [params.excludeBookingId] - Booking to ignore (the one being rescheduled)
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Object>} The slot with its employees ordered
+ */
+export async function rankSlotEmployees(slot, { settings, bookingDate, employees, excludeBookingId }, db = prisma) {
+  if (slot.employees.length < 2) {
+    return slot;
+  }
+
+  const strategy = isValidAssignmentStrategy(settings.assignmentStrategy)
+    ? settings.assignmentStrategy
+    : DEFAULT_ASSIGNMENT_STRATEGY;
+  const params = {
+    employeeIds: slot.employees.map((emp) => BigInt(emp.id)),
+    bookingDate,
+    excludeFilter: excludeBookingId ? { id: { not: BigInt(excludeBookingId) } } : {},
+  };
+
+  let scores;
+  if (strategy === ASSIGNMENT_STRATEGY.LEAST_BOOKED) {
+    scores = await getBookingCounts(params, db);
+  } else if (strategy === ASSIGNMENT_STRATEGY.PRIORITY) {
+    scores = Object.fromEntries(employees.map((emp) => [emp.id.toString(), -(emp.priority || 0)]));
+  } else if (strategy === ASSIGNMENT_STRATEGY.FILL_GAPS) {
+    scores = await getGapScores(slot, params, db);
+  } else {
+    scores = await getLastAssignedTimes(params, db);
+  }
+
+  const ranked = slot.employees
+    .map((emp, index) => ({ emp, index, score: scores[emp.id] ?? 0 }))
+    .sort((a, b) => a.score - b.score || a.index - b.index)
+    .map(({ emp }) => emp);
+
+  return { ...slot, employees: ranked };
+}
+
+/**
+ * Round robin: when each employee was last given a booking (never assigned = 0)
+ * Only bookings that hold the employee's time count as a turn: cancelled bookings and
+ * expired checkout holds don't. Turns go by when the booking was made, not by its staff
+ * rows, which rescheduling recreates.
+ */
+async function getLastAssignedTimes({ employeeIds, excludeFilter }, db) {
+  const latest = await Promise.all(employeeIds.map((employeeId) => db.booking.findFirst({
+    where: {
+      employees: { some: { employeeId } },
+      ...getBusyBookingFilter(),
+      ...excludeFilter,
+    },
+    orderBy: { createdAt: "desc" },
+    select: { createdAt: true },
+  })));
+  return Object.fromEntries(employeeIds.map((employeeId, index) => [
+    employeeId.toString(),
+    latest[index]?.createdAt.getTime() || 0,
+  ]));
+}
+
+/**
+ * Least booked: how many busy bookings each employee has on the appointment's day
+ */
+async function getBookingCounts({ employeeIds, bookingDate, excludeFilter }, db) {
+  const rows = await db.bookingEmployee.groupBy({
+    by: ["employeeId"],
+    where: {
+      employeeId: { in: employeeIds },
+      booking: { date: bookingDate, ...getBusyBookingFilter(), ...excludeFilter },
+    },
+    _count: { _all: true },
+  });
+  return Object.fromEntries(rows.map((row) => [row.employeeId.toString(), row._count._all]));
+}
+
+/**
+ * Fill gaps: minutes left free between the slot and each employee's neighbouring bookings
+ * that day. A slot right after or before a booking scores lowest; a side without bookings
+ * counts as a whole open day, so employees with an empty day are used last.
+ */
+async function getGapScores(slot, { employeeIds, bookingDate, excludeFilter }, db) {
+  const bookings = await db.booking.findMany({
+    where: {
+      date: bookingDate,
+      employees: { some: { employeeId: { in: employeeIds } } },
+      ...getBusyBookingFilter(),
+      ...excludeFilter,
+    },
+    select: { startTime: true, endTime: true, employees: { select: { employeeId: true } } },
+  });
+
+  const slotStart = toMinutes(slot.startTime);
+  const slotEnd = toMinutes(slot.endTime);
+
+  return Object.fromEntries(employeeIds.map((employeeId) => {
+    const employeeBookings = bookings.filter((booking) =>
+      booking.employees.some((assignment) => assignment.employeeId === employeeId)
+    );
+    const endsBefore = employeeBookings.map((b) => toMinutes(b.endTime)).filter((end) => end <= slotStart);
+    const startsAfter = employeeBookings.map((b) => toMinutes(b.startTime)).filter((start) => start >= slotEnd);
+
+    const gapBefore = endsBefore.length > 0 ? slotStart - Math.max(...endsBefore) : OPEN_DAY_MINUTES;
+    const gapAfter = startsAfter.length > 0 ? Math.min(...startsAfter) - slotEnd : OPEN_DAY_MINUTES;
+    return [employeeId.toString(), gapBefore + gapAfter];
+  }));
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from "vitest";
+import { rankSlotEmployees } from "./assignment.server";
+import { ASSIGNMENT_STRATEGY } from "./assignmentStrategy";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+const bookingDate = new Date(Date.UTC(2030, 0, 7));
+
+const slot = {
+  startTime: "12:00",
+  endTime: "13:00",
+  employees: [{ id: "1" }, { id: "2" }, { id: "3" }],
+};
+
+const employees = [
+  { id: 1n, priority: 0 },
+  { id: 2n, priority: 5 },
+  { id: 3n, priority: 5 },
+];
+
+// Fake Prisma client returning fixed rows for the strategy's query
+// (lastBookedAt: when each employee's latest booking was made, by employee id)
+const createDb = ({ groupBy = [], bookings = [], lastBookedAt = {} } = {}) => ({
+  bookingEmployee: { groupBy: vi.fn().mockResolvedValue(groupBy) },
+  booking: {
+    findMany: vi.fn().mockResolvedValue(bookings),
+    findFirst: vi.fn(async ({ where }) => {
+      const createdAt = lastBookedAt[where.employees.some.employeeId.toString()];
+      return createdAt ? { createdAt: new Date(createdAt) } : null;
+    }),
+  },
+});
+
+const rank = async (strategy, db, params = {}) => {
+  const ranked = await rankSlotEmployees(slot, {
+    settings: { assignmentStrategy: strategy },
+    bookingDate,
+    employees,
+    ...params,
+  }, db);
+  return ranked.employees.map((emp) => emp.id);
+};
+
+describe("rankSlotEmployees", () => {
+  it("puts the employee whose latest booking was made longest ago first for round robin", async () => {
+    const db = createDb({
+      lastBookedAt: {
+        1: "2030-01-05T10:00:00Z",
+        2: "2030-01-03T10:00:00Z",
+      },
+    });
+
+    // Employee 3 was never assigned
+    expect(await rank(ASSIGNMENT_STRATEGY.ROUND_ROBIN, db)).toEqual(["3", "2", "1"]);
+  });
+
+  it("takes round robin turns from when bookings were made, counting only bookings that hold time", async () => {
+    const db = createDb();
+    await rank(ASSIGNMENT_STRATEGY.ROUND_ROBIN, db, { excludeBookingId: "9" });
+
+    const { where, orderBy } = db.booking.findFirst.mock.calls[0][0];
+    expect(orderBy).toEqual({ createdAt: "desc" });
+    expect(where.OR).toBeDefined();
+    expect(where.id).toEqual({ not: 9n });
+    expect(db.bookingEmployee.groupBy).not.toHaveBeenCalled();
+  });
+
+  it("puts the employee with the fewest bookings that day first for least booked", async () => {
+    const db = createDb({
+      groupBy: [
+        { employeeId: 1n, _count: { _all: 3 } },
+        { employeeId: 2n, _count: { _all: 1 } },
+        { employeeId: 3n, _count: { _all: 2 } },
+      ],
+    });
+
+    expect(await rank(ASSIGNMENT_STRATEGY.LEAST_BOOKED, db)).toEqual(["2", "3", "1"]);
+  });
+
+  it("puts the highest priority first and keeps the engine's order on ties", async () => {
+    const db = createDb();
+
+    expect(await rank(ASSIGNMENT_STRATEGY.PRIORITY, db)).toEqual(["2", "3", "1"]);
+    expect(db.bookingEmployee.groupBy).not.toHaveBeenCalled();
+  });
+
+  it("puts the employee whose day the slot fits tightest first for fill gaps", async () => {
+    const db = createDb({
+      bookings: [
+        // Employee 1: booked right before the slot
+        { startTime: "11:00", endTime: "12:00", employees: [{ employeeId: 1n }] },
+        // Employee 2: booked right before and right after the slot
+        { startTime: "10:00", endTime: "12:00", employees: [{ employeeId: 2n }] },
+        { startTime: "13:00", endTime: "14:00", employees: [{ employeeId: 2n }] },
+      ],
+    });
+
+    // Employee 3 has an empty day
+    expect(await rank(ASSIGNMENT_STRATEGY.FILL_GAPS, db)).toEqual(["2", "1", "3"]);
+  });
+
+  it("falls back to round robin for an unknown strategy", async () => {
+    const db = createDb();
+    await rank("unknown", db);
+
+    expect(db.booking.findFirst).toHaveBeenCalledTimes(3);
+  });
+
+  it("leaves a slot with a single employee untouched", async () => {
+    const db = createDb();
+    const single = { ...slot, employees: [{ id: "1" }] };
+
+    expect(await rankSlotEmployees(single, { settings: {}, bookingDate, employees }, db)).toBe(single);
+    expect(db.bookingEmployee.groupBy).not.toHaveBeenCalled();
+  });
+});
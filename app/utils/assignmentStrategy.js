@@ -0,0 +1,65 @@
+/**
+ * Staff assignment strategies
+ *
+ * When a customer books "any available" staff, the booking goes to one of the employees
+ * free at that time, chosen by the store's strategy. Each strategy is a soft constraint in
+ * the Timefold sense: it only ranks employees who already satisfy every hard constraint.
+ */
+
+export const ASSIGNMENT_STRATEGY = {
+  ROUND_ROBIN: "round_robin",
+  LEAST_BOOKED: "least_booked",
+  PRIORITY: "priority",
+  FILL_GAPS: "fill_gaps",
+};
+
+export const DEFAULT_ASSIGNMENT_STRATEGY = ASSIGNMENT_STRATEGY.ROUND_ROBIN;
+
+export const ASSIGNMENT_STRATEGY_OPTIONS = [
+  {
+    value: ASSIGNMENT_STRATEGY.ROUND_ROBIN,
+    label: "Round robin",
+    description: "The employee who was assigned a booking longest ago",
+  },
+  {
+    value: ASSIGNMENT_STRATEGY.LEAST_BOOKED,
+    label: "Least booked that day",
+    description: "The employee with the fewest bookings on the appointment's day",
+  },
+  {
+    value: ASSIGNMENT_STRATEGY.PRIORITY,
+    label: "Highest priority",
+    description: "The employee with the highest assignment priority (set on the Employees page)",
+  },
+  {
+    value: ASSIGNMENT_STRATEGY.FILL_GAPS,
+    label: "Fill gaps",
+    description: "The employee whose day it fits most tightly, keeping longer blocks free",
+  },
+];
+
+// Assignment priority of an employee (Employee.priority), highest first
+export const ASSIGNMENT_PRIORITY_OPTIONS = [
+  { value: "2", label: "Highest" },
+  { value: "1", label: "High" },
+  { value: "0", label: "Normal" },
+  { value: "-1", label: "Low" },
+];
+
+/**
+ * Check whether a value is one of the supported strategies
+ * @param {string} value - Strategy value
+ * @returns {boolean}
+ */
+export function isValidAssignmentStrategy(value) {
+  return ASSIGNMENT_STRATEGY_OPTIONS.some((option) => option.value === value);
+}
+
+/**
+ * Check whether a value is one of the supported priorities
+ * @param {string} value - Priority value
+ * @returns {boolean}
+ */
+export function isValidAssignmentPriority(value) {
+  return ASSIGNMENT_PRIORITY_OPTIONS.some((option) => option.value === value);
+}
@@ -0,0 +1,922 @@
+import prisma from "../db.server";
+import { resolveSchedules } from "./schedule.server";
+import { getOpeningHoursForDate } from "./weeklyHours";
+import { getStoreTimeZone, zonedTimeToUtc } from "./timezone";
+import { DEFAULT_SLOT_INTERVAL, SLOT_INTERVAL_ON_THE_HOUR, getSlotInterval } from "./slotInterval";
+import { TIME_OFF_STATUS, getTimeOffForDate, getTimeOffRange } from "./timeOff";
+import { getClosureForDate } from "./closures";
+import { DEFAULT_MINIMUM_NOTICE } from "./minimumNotice";
+import { isAtLocation, getLocationClosures, getLocationSettings } from "./locations";
+import { BOOKING_MODE } from "./scheduledSessions";
+import { getResourceRequirements, matchesRequirement } from "./resourceRequirements";
+import { DEFAULT_ASSIGNMENT_STRATEGY } from "./assignmentStrategy";
+
+/**
+ * Availability engine shared by the storefront availability API and booking creation
+ * Based on Timefold employee scheduling algorithm
+ *
+ * Constraints:
+ * - Employee must have the service in their serviceIds
+ * - No overlapping bookings (confirmed bookings, active checkout holds and slots flagged unavailable),
+ *   including the buffer time before and after each booking
+ * - Group services (capacity above 1): a session stays bookable until its seats are taken
+ * - Services needing several staff (staffRequired above 1): enough eligible employees must be
+ *   free together; a booking blocks every employee assigned to it
+ * - Fixed-date sessions block their instructor and resource like a booking; services in
+ *   "sessions" mode only offer those sessions (findSessionAvailabilities)
+ * - Within the store's opening hours for the weekday (split hours allowed), on days that
+ *   are not store closures (holidays)
+ * - At a location: only its employees and resources, its own opening hours and closures
+ * - Slots start at the store's (or the service's) start interval, independent of the duration
+ * - Respect employee schedules (weekly templates, overridden by dated schedules)
+ * - Approved breaks and time off are subtracted from the schedule
+ * - If useResources is enabled, every resource type the service requires must have a resource
+ *   with enough free units (services without requirements need one unit of any resource)
+ */
+
+// Booking lifecycle states stored in Booking.status
+export const BOOKING_STATUS = {
+  PENDING: "PENDING",
+  CONFIRMED: "CONFIRMED",
+  CANCELLED: "CANCELLED",
+  EXPIRED: "EXPIRED",
+};
+
+/**
+ * Prisma filter for bookings that occupy employee and resource time:
+ * confirmed bookings, and pending bookings whose checkout hold is still running
+ * or that already belong to an order awaiting payment
+ * @param {Date} now - Reference time for hold expiry
+ * @returns {Object} Prisma where clause
+ */
+export function getBusyBookingFilter(now = new Date()) {
+  return {
+    OR: [
+      { status: BOOKING_STATUS.CONFIRMED },
+      {
+        status: BOOKING_STATUS.PENDING,
+        OR: [
+          { holdExpiresAt: { gt: now } },
+          { orderId: { not: null } },
+        ],
+      },
+    ],
+  };
+}
+
+// Service fields loaded with busy bookings so their buffers block time too
+const BOOKING_BUFFER_SELECT = { bufferBefore: true, bufferAfter: true };
+
+// Settings used when a store has not saved any settings yet
+export const DEFAULT_SETTINGS = {
+  workingHoursStart: "09:00",
+  workingHoursEnd: "17:00",
+  openDays: "1,2,3,4,5",
+  openingHours: null,
+  useResources: false,
+  limitBookingWindow: false,
+  bookingWindow: 30,
+  limitAppointments: false,
+  maxAppointmentsDisplayed: 10,
+  holdDuration: 15,
+  slotInterval: DEFAULT_SLOT_INTERVAL,
+  minimumNotice: DEFAULT_MINIMUM_NOTICE,
+  assignmentStrategy: DEFAULT_ASSIGNMENT_STRATEGY,
+};
+
+/**
+ * Load the store, settings and requested service needed to calculate availability
+ * When a location is requested (or the store has a single active location), the store's
+ * employees, resources, settings and closures are scoped to that location.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} serviceId - Service ID
+ * @param {Object} [options]
+ * @param {string} [options.locationId] - Location to book at
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Object>} { store, service, settings, timeZone, closures, employees, resources, locations, location } -
+ *   store, service and location are null when not found
+ */
+export async function getAvailabilityContext(shopDomain, serviceId, { locationId } = {}, db = prisma) {
+  // Get store with settings, employees, services, and resources
+  // Note: We query schedules separately with date range filter for better performance
+  const store = await db.store.findUnique({
+    where: { shop: shopDomain },
+    include: {
+      settings: true,
+      employees: {
+        where: { isActive: true },
+      },
+      services: {
+        where: {
+          id: BigInt(serviceId),
+          isActive: true,
+        },
+        include: {
+          resourceRequirements: {
+            include: { resourceType: true },
+          },
+        },
+      },
+      resources: {
+        where: { isActive: true },
+      },
+      closures: true,
+      locations: {
+        where: { isActive: true },
+        orderBy: { name: "asc" },
+      },
+    },
+  });
+
+  const locations = store?.locations || [];
+  const location = locationId
+    ? locations.find((loc) => loc.id.toString() === locationId.toString()) || null
+    : locations.length === 1 ? locations[0] : null;
+  const settings = store?.settings || DEFAULT_SETTINGS;
+
+  return {
+    store,
+    service: store?.services[0] || null,
+    settings: getLocationSettings(settings, location),
+    timeZone: getStoreTimeZone(store),
+    closures: getLocationClosures(store?.closures || [], location?.id),
+    employees: (store?.employees || []).filter((emp) => isAtLocation(emp, location?.id)),
+    resources: (store?.resources || []).filter((resource) => isAtLocation(resource, location?.id)),
+    locations,
+    location,
+  };
+}
+
+/**
+ * Filter employees who can provide a service
+ * @param {Array} employees - Active employees of the store
+ * @param {Object} service - Service to book
+ * @param {string} [employeeId] - Optional: restrict to a specific employee
+ * @returns {Array} Eligible employees
+ */
+export function getEligibleEmployees(employees, service, employeeId) {
+  let eligibleEmployees = employees;
+  if (employeeId) {
+    eligibleEmployees = eligibleEmployees.filter(
+      (emp) => emp.id.toString() === employeeId.toString()
+    );
+  }
+
+  // Filter by service capability
+  return eligibleEmployees.filter((emp) => {
+    if (!emp.serviceIds) return false;
+    const serviceIds = Array.isArray(emp.serviceIds)
+      ? emp.serviceIds
+      : JSON.parse(emp.serviceIds || "[]");
+    return serviceIds.includes(service.id.toString());
+  });
+}
+
+/**
+ * Filter resources by the resource types the service requires, if it has requirements
+ * @param {Array} resources - Active resources of the store
+ * @param {Object} service - Service to book (with resourceRequirements)
+ * @param {Object} settings - Store settings
+ * @returns {Array} Eligible resources
+ */
+export function getEligibleResources(resources, service, settings) {
+  if (settings.useResources && service.resourceRequirements?.length > 0) {
+    const requirements = getResourceRequirements(service);
+    return resources.filter(
+      (resource) => requirements.some((requirement) => matchesRequirement(resource, requirement))
+    );
+  }
+  return resources;
+}
+
+/**
+ * Calculate availabilities for every scheduled date in a range
+ * @param {Object} params
+ * @param {Array} params.employees - Eligible employees
+ * @param {Object} params.service - Service to book
+ * @param {Object} params.settings - Store settings
+ * @param {Array} params.resources - Eligible resources
+ * @param {Date} params.startDate - First date to check
+ * @param {Date} params.endDate - Last date to check
+ * @param {string} [params.excludeBookingId] - Booking to ignore (the one being rescheduled)
+ * @param {string} [params.timeZone] - Store IANA timezone used to compute UTC instants
+ * @param {Array} [params.closures] - Store closures; closed dates get no slots
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Array>} Grouped availabilities, each with its date (YYYY-MM-DD) and
+ *   startsAt/endsAt UTC instants (ISO strings); startTime/endTime are store wall times
+ */
+export async function findAvailabilities({ employees, service, settings, resources, startDate, endDate, excludeBookingId, timeZone = "UTC", closures = [] }, db = prisma) {
+  // Resolve schedules within the date range: weekly templates expanded per date,
+  // with dated Schedule rows acting as overrides
+  const employeeIds = employees.map(emp => emp.id);
+  const schedules = await resolveSchedules({ employees, startDate, endDate }, db);
+
+  console.log('[Availability] Found schedules:', {
+    totalSchedules: schedules.length,
+    employeesWithSchedules: new Set(schedules.map(s => s.employeeId)).size,
+  });
+
+  // Load existing bookings so their intervals count as busy time for every assigned employee
+  // (a booking being rescheduled must not block its own new time)
+  const excludeFilter = excludeBookingId ? { id: { not: BigInt(excludeBookingId) } } : {};
+  const bookings = await db.booking.findMany({
+    where: {
+      employees: { some: { employeeId: { in: employeeIds } } },
+      date: {
+        gte: startDate,
+        lte: endDate,
+      },
+      ...getBusyBookingFilter(),
+      ...excludeFilter,
+    },
+    include: { service: { select: BOOKING_BUFFER_SELECT }, resources: true, employees: true },
+  });
+
+  // Scheduled sessions hold their instructor and resource even before anyone books a seat
+  const scheduledSessions = await db.scheduledSession.findMany({
+    where: {
+      isActive: true,
+      service: { bookingMode: BOOKING_MODE.SESSIONS },
+      date: {
+        gte: startDate,
+        lte: endDate,
+      },
+      OR: [
+        { employeeId: { in: employeeIds } },
+        ...(settings.useResources && resources.length > 0
+          ? [{ resourceId: { in: resources.map(r => r.id) } }]
+          : []),
+      ],
+    },
+    include: { service: { select: BOOKING_BUFFER_SELECT } },
+  });
+
+  console.log('[Availability] Found bookings:', {
+    totalBookings: bookings.length,
+    scheduledSessions: scheduledSessions.length,
+  });
+
+  // Load approved breaks and time off overlapping the date range (entered by this store)
+  const timeOffEntries = await db.timeOff.findMany({
+    where: {
+      employeeId: { in: employeeIds },
+      shop: service.shop,
+      status: TIME_OFF_STATUS.APPROVED,
+      startDate: { lte: endDate },
+      OR: [
+        { endDate: null },
+        { endDate: { gte: startDate } },
+      ],
+    },
+  });
+
+  // Index time off by employee
+  const timeOffByEmployee = {};
+  timeOffEntries.forEach(entry => {
+    const key = entry.employeeId.toString();
+    if (!timeOffByEmployee[key]) {
+      timeOffByEmployee[key] = [];
+    }
+    timeOffByEmployee[key].push(entry);
+  });
+
+  // Load bookings holding units of the eligible resources (booked by any employee)
+  const resourceBookings = settings.useResources && resources.length > 0
+    ? await db.booking.findMany({
+      where: {
+        resources: { some: { resourceId: { in: resources.map(r => r.id) } } },
+        date: {
+          gte: startDate,
+          lte: endDate,
+        },
+        ...getBusyBookingFilter(),
+        ...excludeFilter,
+      },
+      include: { service: { select: BOOKING_BUFFER_SELECT }, resources: true },
+    })
+    : [];
+
+  // Index resource bookings by date (a scheduled session shares one unit with its seats)
+  const resourceIds = resources.map(r => r.id.toString());
+  const resourceSessions = settings.useResources
+    ? scheduledSessions
+      .filter(session => session.resourceId && resourceIds.includes(session.resourceId.toString()))
+      .map(session => ({ ...session, resources: [{ resourceId: session.resourceId, quantity: 1 }] }))
+    : [];
+  const resourceBookingsByDate = {};
+  [...resourceBookings, ...resourceSessions].forEach(booking => {
+    const dateStr = booking.date.toISOString().split('T')[0];
+    if (!resourceBookingsByDate[dateStr]) {
+      resourceBookingsByDate[dateStr] = [];
+    }
+    resourceBookingsByDate[dateStr].push(booking);
+  });
+
+  // Index bookings and scheduled sessions by assigned employee and date
+  const bookingsByEmployeeDate = {};
+  [...bookings, ...scheduledSessions].forEach(booking => {
+    const assignedIds = booking.employees?.map(assignment => assignment.employeeId) || [booking.employeeId];
+    assignedIds.forEach(employeeId => {
+      const key = `${employeeId}-${booking.date.toISOString().split('T')[0]}`;
+      if (!bookingsByEmployeeDate[key]) {
+        bookingsByEmployeeDate[key] = [];
+      }
+      bookingsByEmployeeDate[key].push(booking);
+    });
+  });
+
+  // Group schedules by date
+  const schedulesByDate = {};
+  schedules.forEach(schedule => {
+    const dateStr = schedule.date.toISOString().split('T')[0];
+
+    // Skip if store is closed on this day (no opening hours that weekday, or a holiday closure)
+    if (getOpeningHoursForDate(settings, dateStr).length === 0 || getClosureForDate(closures, dateStr)) {
+      return;
+    }
+
+    if (!schedulesByDate[dateStr]) {
+      schedulesByDate[dateStr] = [];
+    }
+    schedulesByDate[dateStr].push(schedule);
+  });
+
+  // Calculate available slots for each date that has schedules
+  const allAvailabilities = [];
+  const datesWithSchedules = Object.keys(schedulesByDate);
+
+  for (const checkDate of datesWithSchedules) {
+    const dateSchedules = schedulesByDate[checkDate];
+
+    console.log(`[Availability] Processing date ${checkDate}:`, {
+      schedulesCount: dateSchedules.length,
+      employees: dateSchedules.map(s => ({
+        id: s.employee.id,
+        name: s.employee.name,
+        slotsCount: s.slots ? JSON.parse(JSON.stringify(s.slots)).length : 0,
+      })),
+    });
+
+    // Map schedules to employee format expected by calculateAvailableSlots
+    const employeesForDate = dateSchedules.map(schedule => ({
+      id: schedule.employee.id,
+      name: schedule.employee.name,
+      serviceIds: schedule.employee.serviceIds,
+      schedules: [schedule],
+      bookings: bookingsByEmployeeDate[`${schedule.employeeId}-${checkDate}`] || [],
+      timeOff: getTimeOffForDate(timeOffByEmployee[schedule.employeeId.toString()] || [], checkDate),
+    }));
+
+    // Calculate available slots for this date
+    const dateAvailabilities = calculateAvailableSlots({
+      employees: employeesForDate,
+      service,
+      date: checkDate,
+      openingHours: getOpeningHoursForDate(settings, checkDate),
+      slotInterval: getSlotInterval(service, settings),
+      useResources: settings.useResources,
+      resources,
+      resourceBookings: resourceBookingsByDate[checkDate] || [],
+    });
+
+    console.log(`[Availability] Generated ${dateAvailabilities.length} slots for ${checkDate}`);
+
+    // Add date and UTC instants to each availability
+    dateAvailabilities.forEach(avail => {
+      allAvailabilities.push({
+        ...avail,
+        date: checkDate,
+        startsAt: zonedTimeToUtc(checkDate, avail.startTime, timeZone).toISOString(),
+        endsAt: zonedTimeToUtc(checkDate, avail.endTime, timeZone).toISOString(),
+      });
+    });
+  }
+
+  // Log summary of schedule processing
+  console.log('[Availability] Schedule summary:', {
+    datesWithSchedules: datesWithSchedules.length,
+    totalSlotsGenerated: allAvailabilities.length,
+  });
+
+  return allAvailabilities;
+}
+
+/**
+ * List the scheduled sessions of a service that still have free seats
+ * Used instead of findAvailabilities for services in "sessions" mode. Each session is one
+ * availability in the same shape, so the widget and booking code handle both modes.
+ * Sessions on a day their location is closed, or during the instructor's approved time off,
+ * are not offered.
+ * @param {Object} params
+ * @param {Object} params.service - Service to book
+ * @param {Date} params.startDate - First date to check
+ * @param {Date} params.endDate - Last date to check
+ * @param {string} [params.employeeId] - Only return sessions of this instructor
+ * @param {string} [params.excludeBookingId] - Booking whose seat is free (the one being rescheduled)
+ * @param {string} [params.timeZone] - Store IANA timezone used to compute UTC instants
+ * @param {Array} [params.closures] - Every closure of the store (scoped to each session's location here)
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Array>} Availabilities with sessionId, remainingSeats and the session's
+ *   resource and location
+ */
+export async function findSessionAvailabilities({ service, startDate, endDate, employeeId, excludeBookingId, timeZone = "UTC", closures = [] }, db = prisma) {
+  const excludeFilter = excludeBookingId ? { id: { not: BigInt(excludeBookingId) } } : {};
+
+  const sessions = await db.scheduledSession.findMany({
+    where: {
+      serviceId: service.id,
+      isActive: true,
+      date: {
+        gte: startDate,
+        lte: endDate,
+      },
+      employee: { isActive: true },
+      ...(employeeId ? { employeeId: BigInt(employeeId) } : {}),
+    },
+    include: {
+      employee: true,
+      resource: true,
+      location: true,
+      _count: {
+        select: { bookings: { where: { ...getBusyBookingFilter(), ...excludeFilter } } },
+      },
+    },
+    orderBy: [{ date: "asc" }, { startTime: "asc" }],
+  });
+
+  // Approved breaks and time off of the instructors (entered by this store)
+  const timeOffEntries = await db.timeOff.findMany({
+    where: {
+      employeeId: { in: [...new Set(sessions.map((session) => session.employeeId))] },
+      shop: service.shop,
+      status: TIME_OFF_STATUS.APPROVED,
+      startDate: { lte: endDate },
+      OR: [
+        { endDate: null },
+        { endDate: { gte: startDate } },
+      ],
+    },
+  });
+
+  const isOffered = (session) => {
+    const date = session.date.toISOString().split('T')[0];
+    if (getClosureForDate(getLocationClosures(closures, session.locationId), date)) {
+      return false;
+    }
+    const timeOff = getTimeOffForDate(timeOffEntries.filter((entry) => entry.employeeId === session.employeeId), date);
+    return !timeOff.some((entry) => {
+      const range = getTimeOffRange(entry);
+      return range.startTime < session.endTime && session.startTime < range.endTime;
+    });
+  };
+  const offeredSessions = sessions.filter(isOffered);
+
+  console.log('[Availability] Found scheduled sessions:', {
+    serviceId: service.id.toString(),
+    totalSessions: sessions.length,
+    offeredSessions: offeredSessions.length,
+  });
+
+  return offeredSessions
+    .map((session) => {
+      const date = session.date.toISOString().split('T')[0];
+      const remainingSeats = Math.max(session.capacity - session._count.bookings, 0);
+
+      return {
+        date,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        startsAt: zonedTimeToUtc(date, session.startTime, timeZone).toISOString(),
+        endsAt: zonedTimeToUtc(date, session.endTime, timeZone).toISOString(),
+        sessionId: session.id.toString(),
+        capacity: session.capacity,
+        remainingSeats,
+        employees: [{
+          id: session.employee.id.toString(),
+          name: session.employee.name,
+          remainingSeats,
+        }],
+        resource: session.resource ? { id: session.resource.id.toString(), name: session.resource.name } : null,
+        location: session.location ? { id: session.location.id.toString(), name: session.location.name } : null,
+      };
+    })
+    .filter((avail) => avail.remainingSeats > 0);
+}
+
+/**
+ * Filter out availabilities that start before now
+ * Compares the slot's UTC instant, so the result doesn't depend on the server timezone.
+ * @param {Array} availabilities - Availabilities with startsAt (from findAvailabilities)
+ * @param {Date} now - Reference time
+ * @returns {Array} Availabilities in the future
+ */
+export function filterFutureSlots(availabilities, now = new Date()) {
+  return availabilities.filter(slot => new Date(slot.startsAt) > now);
+}
+
+/**
+ * Keep the availabilities offering an employee
+ * Used for services needing several staff, whose slots are computed over every eligible
+ * employee so the requested one can be teamed up with others.
+ * @param {Array} availabilities - Availabilities with employees (from findAvailabilities)
+ * @param {string} employeeId - Employee who must be free
+ * @returns {Array} Availabilities offering the employee
+ */
+export function filterSlotsByEmployee(availabilities, employeeId) {
+  return availabilities.filter(slot => slot.employees.some(emp => emp.id === employeeId.toString()));
+}
+
+/**
+ * Filter out availabilities that start inside the minimum booking notice
+ * @param {Array} availabilities - Availabilities with startsAt (from findAvailabilities)
+ * @param {Date} earliestBookableTime - Earliest allowed start (from getEarliestBookableTime)
+ * @returns {Array} Availabilities far enough ahead
+ */
+export function filterByMinimumNotice(availabilities, earliestBookableTime) {
+  return availabilities.filter(slot => new Date(slot.startsAt) >= earliestBookableTime);
+}
+
+/**
+ * Calculate available time slots based on employee schedules and constraints
+ * The service's buffers are added around each candidate slot, and each existing booking's
+ * own buffers around its interval, when checking overlaps. Returned start and end times
+ * never include buffers.
+ * For a group service, bookings of the same session (same employee, service, start and end)
+ * take seats instead of blocking the employee; each slot and employee carries remainingSeats.
+ * With resources, each slot carries the service's resourceRequirements and the free units of
+ * every eligible resource.
+ * A service needing several staff only keeps times where at least staffRequired employees are
+ * free; those slots carry staffRequired.
+ * Employee hours are clipped to the store's opening hours for the date.
+ * Candidate starts advance by the slot interval from the start of each available block,
+ * or fall on full hours when the interval is "hour".
+ */
+export function calculateAvailableSlots({
+  employees,
+  service,
+  date,
+  openingHours,
+  slotInterval = DEFAULT_SLOT_INTERVAL,
+  useResources,
+  resources,
+  resourceBookings = [],
+}) {
+  const serviceDuration = service.duration; // in minutes
+  const bufferBefore = service.bufferBefore || 0; // in minutes
+  const bufferAfter = service.bufferAfter || 0; // in minutes
+  const onTheHour = slotInterval === SLOT_INTERVAL_ON_THE_HOUR;
+  const intervalMinutes = onTheHour ? 60 : Number(slotInterval) || Number(DEFAULT_SLOT_INTERVAL);
+  const capacity = Math.max(service.capacity || 1, 1);
+  const staffRequired = Math.max(service.staffRequired || 1, 1);
+  const slots = [];
+
+  // Parse opening hours (store wall time)
+  const openRanges = openingHours.map((range) => ({
+    start: parseTimeToDate(date, range.startTime),
+    end: parseTimeToDate(date, range.endTime),
+  }));
+
+  // For each employee, calculate their available slots
+  employees.forEach((employee) => {
+    const employeeSlots = [];
+    const schedule = employee.schedules && employee.schedules.length > 0 ? employee.schedules[0] : null;
+
+    // Skip this employee if they don't have a schedule for this date
+    if (!schedule) {
+      return; // Skip silently - no need to log every missing schedule
+    }
+
+    // Get all slots from the schedule
+    const scheduleSlots = schedule?.slots ? JSON.parse(JSON.stringify(schedule.slots)) : [];
+
+    console.log(`[calculateAvailableSlots] Employee ${employee.name} on ${date}:`, {
+      totalSlots: scheduleSlots.length,
+      slots: scheduleSlots.map(s => ({
+        time: `${s.startTime}-${s.endTime}`,
+        available: s.isAvailable
+      })),
+    });
+
+    // Get available and unavailable slots
+    const availableSlots = scheduleSlots.filter((slot) => slot.isAvailable);
+    const unavailableSlots = scheduleSlots.filter((slot) => !slot.isAvailable);
+
+    // If no available slots, skip this employee
+    if (availableSlots.length === 0) {
+      return;
+    }
+
+    // Merge consecutive available slots into continuous time blocks
+    const mergedAvailableRanges = [];
+    let currentBlock = null;
+
+    availableSlots
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .forEach((slot) => {
+        const slotStart = parseTimeToDate(date, slot.startTime);
+        const slotEnd = parseTimeToDate(date, slot.endTime);
+
+        if (!currentBlock) {
+          // Start a new block
+          currentBlock = { start: slotStart, end: slotEnd };
+        } else if (currentBlock.end.getTime() === slotStart.getTime()) {
+          // Extend the current block
+          currentBlock.end = slotEnd;
+        } else {
+          // Gap detected, save current block and start a new one
+          mergedAvailableRanges.push(currentBlock);
+          currentBlock = { start: slotStart, end: slotEnd };
+        }
+      });
+
+    // Don't forget the last block
+    if (currentBlock) {
+      mergedAvailableRanges.push(currentBlock);
+    }
+
+    // Clip blocks to the store's opening hours (a block may span a split-hours gap)
+    const openAvailableRanges = mergedAvailableRanges.flatMap((block) =>
+      openRanges
+        .map((open) => ({
+          start: new Date(Math.max(block.start.getTime(), open.start.getTime())),
+          end: new Date(Math.min(block.end.getTime(), open.end.getTime())),
+        }))
+        .filter((range) => range.start < range.end)
+    );
+
+    // Get unavailable time ranges: slots flagged unavailable, breaks and time off
+    const unavailableRanges = [
+      ...unavailableSlots,
+      ...(employee.timeOff || []).map(getTimeOffRange),
+    ].map((slot) => ({
+      start: parseTimeToDate(date, slot.startTime),
+      end: parseTimeToDate(date, slot.endTime),
+    }));
+
+    // Existing bookings block their time (with their buffers)
+    const bookingRanges = (employee.bookings || []).map((booking) => ({
+      ...getBufferedBookingRange(date, booking),
+      booking,
+    }));
+
+    console.log(`[calculateAvailableSlots] Employee ${employee.name}:`, {
+      individualSlots: availableSlots.length,
+      mergedBlocks: mergedAvailableRanges.length,
+      openBlocks: openAvailableRanges.length,
+      unavailableRanges: unavailableRanges.length,
+      bookings: employee.bookings?.length || 0,
+      timeOff: employee.timeOff?.length || 0,
+    });
+
+    // For each available time block within opening hours, generate appointment slots
+    openAvailableRanges.forEach((range) => {
+      let currentTime = onTheHour ? ceilToHour(range.start) : new Date(range.start);
+
+      while (currentTime < range.end) {
+        const slotEnd = new Date(currentTime.getTime() + serviceDuration * 60000);
+
+        // Check if slot end is within the available range
+        if (slotEnd <= range.end) {
+          const startTime = formatTime(currentTime);
+          const endTime = formatTime(slotEnd);
+
+          // Seats already taken in this employee's group session at this time
+          const sessionBookings = capacity > 1
+            ? bookingRanges
+              .filter(({ booking }) => isSessionBooking(booking, service, startTime, endTime))
+              .map(({ booking }) => booking)
+            : [];
+
+          // Check if slot (with its buffers) doesn't overlap with any other booked time
+          const isAvailable = sessionBookings.length < capacity && !hasOverlap(
+            addMinutes(currentTime, -bufferBefore),
+            addMinutes(slotEnd, bufferAfter),
+            [
+              ...unavailableRanges,
+              ...bookingRanges.filter(({ booking }) => !sessionBookings.includes(booking)),
+            ]
+          );
+
+          if (isAvailable) {
+            employeeSlots.push({
+              startTime,
+              endTime,
+              employeeId: employee.id.toString(),
+              employeeName: employee.name,
+              remainingSeats: capacity - sessionBookings.length,
+              // Later seats of a session share the resources of the first one
+              sessionResourceIds: sessionBookings
+                .find((booking) => booking.resources?.length > 0)
+                ?.resources.map((held) => held.resourceId.toString()) || null,
+            });
+          }
+        }
+
+        // Move to the next allowed start time
+        currentTime = addMinutes(currentTime, intervalMinutes);
+      }
+    });
+
+    slots.push(...employeeSlots);
+  });
+
+  // A slot needs resources when resources are enabled and the service has requirements
+  // (or, for services without requirements, when any resource exists)
+  const requirements = getResourceRequirements(service);
+  const requiresResource = useResources && (service.resourceRequirements?.length > 0 || resources.length > 0);
+
+  // If resources are enabled, add remaining resource capacity to slots
+  if (requiresResource) {
+    const slotsWithResources = [];
+
+    slots.forEach((slot) => {
+      const slotStart = addMinutes(parseTimeToDate(date, slot.startTime), -bufferBefore);
+      const slotEnd = addMinutes(parseTimeToDate(date, slot.endTime), bufferAfter);
+
+      // Each overlapping booking (buffers included) consumes the units it holds of a resource;
+      // the seats of a group session hold them once
+      const availableResources = resources.map((r) => {
+        const sessionKeys = new Set();
+        const usedUnits = resourceBookings.reduce((total, booking) => {
+          const held = booking.resources?.find((item) => item.resourceId.toString() === r.id.toString());
+          if (!held || sessionKeys.has(getSessionKey(booking)) ||
+            !hasOverlap(slotStart, slotEnd, [getBufferedBookingRange(date, booking)])) {
+            return total;
+          }
+          sessionKeys.add(getSessionKey(booking));
+          return total + (held.quantity || 1);
+        }, 0);
+
+        return {
+          id: r.id.toString(),
+          name: r.name,
+          resourceTypeId: r.resourceTypeId.toString(),
+          quantity: r.quantity,
+          available: Math.max(r.quantity - usedUnits, 0),
+        };
+      });
+
+      // Only include the slot if every required type has a resource with enough free units
+      // (or it joins a session that already holds its resources)
+      const meetsRequirements = requirements.every((requirement) =>
+        availableResources.some((r) => matchesRequirement(r, requirement) && r.available >= requirement.quantity)
+      );
+      if (slot.sessionResourceIds || meetsRequirements) {
+        slotsWithResources.push({
+          ...slot,
+          requiresResource: true,
+          availableResources,
+        });
+      }
+    });
+
+    // Group slots by time
+    const groupedSlots = {};
+    slotsWithResources.forEach((slot) => {
+      const key = `${slot.startTime}-${slot.endTime}`;
+      if (!groupedSlots[key]) {
+        groupedSlots[key] = {
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          employees: [],
+          remainingSeats: 0,
+          requiresResource: true,
+          resourceRequirements: requirements,
+          availableResources: slot.availableResources,
+        };
+      }
+      groupedSlots[key].employees.push(getSlotEmployee(slot));
+      groupedSlots[key].remainingSeats += slot.remainingSeats;
+    });
+
+    return filterStaffedSlots(Object.values(groupedSlots), staffRequired).sort((a, b) =>
+      a.startTime.localeCompare(b.startTime)
+    );
+  }
+
+  // Group slots by time for easier frontend consumption
+  const groupedSlots = {};
+  slots.forEach((slot) => {
+    const key = `${slot.startTime}-${slot.endTime}`;
+    if (!groupedSlots[key]) {
+      groupedSlots[key] = {
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        employees: [],
+        remainingSeats: 0,
+      };
+    }
+    groupedSlots[key].employees.push(getSlotEmployee(slot));
+    groupedSlots[key].remainingSeats += slot.remainingSeats;
+  });
+
+  return filterStaffedSlots(Object.values(groupedSlots), staffRequired).sort((a, b) =>
+    a.startTime.localeCompare(b.startTime)
+  );
+}
+
+/**
+ * Keep the grouped slots with enough free employees for a service needing several staff
+ * @param {Array} groupedSlots - Slots grouped by time, each with its free employees
+ * @param {number} staffRequired - Employees needed together
+ * @returns {Array} Slots, with staffRequired when it is above 1
+ */
+function filterStaffedSlots(groupedSlots, staffRequired) {
+  if (staffRequired === 1) return groupedSlots;
+  return groupedSlots
+    .filter((slot) => slot.employees.length >= staffRequired)
+    .map((slot) => ({ ...slot, staffRequired }));
+}
+
+/**
+ * Check if a time range overlaps with any unavailable ranges
+ */
+export function hasOverlap(start, end, unavailableRanges) {
+  return unavailableRanges.some((range) => {
+    // Two ranges overlap if:
+    // - start is before range.end AND
+    // - end is after range.start
+    return start < range.end && end > range.start;
+  });
+}
+
+/**
+ * Check whether a booking is a seat in the group session of a service at a time
+ * @param {Object} booking - Booking of the employee on the same date
+ * @param {Object} service - Group service
+ * @param {string} startTime - Session start (HH:MM)
+ * @param {string} endTime - Session end (HH:MM)
+ * @returns {boolean}
+ */
+function isSessionBooking(booking, service, startTime, endTime) {
+  return booking.serviceId?.toString() === service.id.toString() &&
+    booking.startTime === startTime &&
+    booking.endTime === endTime;
+}
+
+/**
+ * Get a key identifying the session a booking belongs to (one booking per session for 1:1 services)
+ */
+function getSessionKey(booking) {
+  return `${booking.employeeId}-${booking.serviceId}-${booking.startTime}-${booking.endTime}`;
+}
+
+/**
+ * Get the employee entry of a grouped slot
+ * sessionResourceIds is only set when the employee's group session already holds resources.
+ */
+function getSlotEmployee(slot) {
+  return {
+    id: slot.employeeId,
+    name: slot.employeeName,
+    remainingSeats: slot.remainingSeats,
+    ...(slot.sessionResourceIds ? { sessionResourceIds: slot.sessionResourceIds } : {}),
+  };
+}
+
+/**
+ * Get the time range a booking blocks, including its service's buffers
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} booking - Booking with startTime, endTime and optionally service buffers
+ * @returns {Object} { start, end }
+ */
+function getBufferedBookingRange(date, booking) {
+  return {
+    start: addMinutes(parseTimeToDate(date, booking.startTime), -(booking.service?.bufferBefore || 0)),
+    end: addMinutes(parseTimeToDate(date, booking.endTime), booking.service?.bufferAfter || 0),
+  };
+}
+
+/**
+ * Add minutes to a Date
+ */
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60000);
+}
+
+/**
+ * Round a wall time up to the next full hour (unchanged when already on the hour)
+ */
+function ceilToHour(date) {
+  return new Date(Math.ceil(date.getTime() / 3600000) * 3600000);
+}
+
+/**
+ * Parse time string (HH:MM) to Date object for a given date
+ * The Date holds the store wall time in UTC fields (not a real instant), so slot
+ * arithmetic never depends on the server timezone. Use zonedTimeToUtc for instants.
+ */
+export function parseTimeToDate(dateStr, timeStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const [hours, minutes] = timeStr.split(":").map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes));
+}
+
+/**
+ * Format Date object to time string (HH:MM)
+ */
+function formatTime(date) {
+  const hours = date.getUTCHours().toString().padStart(2, "0");
+  const minutes = date.getUTCMinutes().toString().padStart(2, "0");
+  return `${hours}:${minutes}`;
+}
@@ -0,0 +1,484 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  BOOKING_STATUS,
+  DEFAULT_SETTINGS,
+  calculateAvailableSlots,
+  filterByMinimumNotice,
+  filterSlotsByEmployee,
+  findAvailabilities,
+  findSessionAvailabilities,
+  getAvailabilityContext,
+  getBusyBookingFilter,
+  hasOverlap,
+} from "./availability.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+// Monday 7 January 2030
+const DATE = "2030-01-07";
+
+const available = (startTime, endTime) => ({ startTime, endTime, isAvailable: true });
+
+const employee = (id, { slots = [available("09:00", "12:00")], bookings = [], timeOff = [] } = {}) => ({
+  id: BigInt(id),
+  name: `Employee ${id}`,
+  serviceIds: ["3"],
+  schedules: [{ slots }],
+  bookings,
+  timeOff,
+});
+
+const booking = (startTime, endTime, overrides = {}) => ({
+  id: 50n,
+  employeeId: 1n,
+  serviceId: 4n,
+  startTime,
+  endTime,
+  ...overrides,
+});
+
+// Hourly slots of a one-hour service by default
+const calculate = ({ service, ...params } = {}) => calculateAvailableSlots({
+  employees: [employee(1)],
+  service: { id: 3n, duration: 60, ...service },
+  date: DATE,
+  openingHours: [{ startTime: "08:00", endTime: "18:00" }],
+  slotInterval: "60",
+  useResources: false,
+  resources: [],
+  ...params,
+});
+
+const startTimes = (slots) => slots.map((slot) => slot.startTime);
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+describe("calculateAvailableSlots", () => {
+  describe("bookings", () => {
+    it("offers every start time of a free schedule", () => {
+      expect(startTimes(calculate())).toEqual(["09:00", "10:00", "11:00"]);
+    });
+
+    it("doesn't offer times that overlap an existing booking", () => {
+      const slots = calculate({ employees: [employee(1, { bookings: [booking("10:30", "11:00")] })] });
+
+      expect(startTimes(slots)).toEqual(["09:00", "11:00"]);
+    });
+
+    it("still respects slots flagged unavailable", () => {
+      const slots = calculate({
+        employees: [employee(1, { slots: [available("09:00", "12:00"), { startTime: "09:00", endTime: "10:00", isAvailable: false }] })],
+      });
+
+      expect(startTimes(slots)).toEqual(["10:00", "11:00"]);
+    });
+
+    it("only blocks the booked employee", () => {
+      const slots = calculate({
+        employees: [employee(1, { bookings: [booking("09:00", "10:00")] }), employee(2)],
+      });
+
+      expect(slots[0]).toMatchObject({ startTime: "09:00", employees: [{ id: "2" }] });
+      expect(slots[1].employees.map((emp) => emp.id)).toEqual(["1", "2"]);
+    });
+  });
+
+  describe("slot interval", () => {
+    it("starts slots every interval, independently of the service duration", () => {
+      const slots = calculate({ service: { duration: 45 }, slotInterval: "30" });
+
+      expect(startTimes(slots)).toEqual(["09:00", "09:30", "10:00", "10:30", "11:00"]);
+      expect(slots[1].endTime).toBe("10:15");
+    });
+
+    it("starts slots on full hours when the interval is on the hour", () => {
+      const slots = calculate({
+        service: { duration: 45 },
+        employees: [employee(1, { slots: [available("09:30", "12:00")] })],
+        slotInterval: "hour",
+      });
+
+      expect(startTimes(slots)).toEqual(["10:00", "11:00"]);
+    });
+  });
+
+  describe("opening hours", () => {
+    it("clips employee hours to the store's split opening hours", () => {
+      const slots = calculate({
+        employees: [employee(1, { slots: [available("08:00", "16:00")] })],
+        openingHours: [{ startTime: "09:00", endTime: "12:00" }, { startTime: "13:00", endTime: "15:00" }],
+      });
+
+      expect(startTimes(slots)).toEqual(["09:00", "10:00", "11:00", "13:00", "14:00"]);
+    });
+  });
+
+  describe("time off", () => {
+    it("doesn't offer times during an employee's break", () => {
+      const slots = calculate({
+        employees: [employee(1, { timeOff: [{ type: "break", startTime: "10:00", endTime: "10:30" }] })],
+      });
+
+      expect(startTimes(slots)).toEqual(["09:00", "11:00"]);
+    });
+
+    it("offers nothing on a day off", () => {
+      expect(calculate({ employees: [employee(1, { timeOff: [{ type: "vacation" }] })] })).toEqual([]);
+    });
+  });
+
+  describe("group sessions", () => {
+    const seat = (id) => booking("10:00", "11:00", { id: BigInt(id), serviceId: 3n });
+
+    it("keeps a session bookable until its seats are taken", () => {
+      const slots = calculate({
+        service: { capacity: 3 },
+        employees: [employee(1, { bookings: [seat(51), seat(52)] })],
+      });
+
+      expect(startTimes(slots)).toEqual(["09:00", "10:00", "11:00"]);
+      expect(slots[0].remainingSeats).toBe(3);
+      expect(slots[1]).toMatchObject({ remainingSeats: 1, employees: [{ id: "1", remainingSeats: 1 }] });
+
+      const full = calculate({
+        service: { capacity: 2 },
+        employees: [employee(1, { bookings: [seat(51), seat(52)] })],
+      });
+      expect(startTimes(full)).toEqual(["09:00", "11:00"]);
+    });
+
+    it("adds up the seats of every instructor at a time", () => {
+      const slots = calculate({
+        service: { capacity: 3 },
+        employees: [employee(1, { bookings: [seat(51)] }), employee(2)],
+      });
+
+      expect(slots[1].remainingSeats).toBe(5);
+    });
+
+    it("lets other bookings block the instructor", () => {
+      const slots = calculate({
+        service: { capacity: 3 },
+        employees: [employee(1, { bookings: [booking("10:00", "11:00"), seat(51)] })],
+      });
+
+      expect(startTimes(slots)).toEqual(["09:00", "11:00"]);
+    });
+  });
+
+  describe("staff required", () => {
+    it("only offers times when enough employees are free together", () => {
+      const slots = calculate({
+        service: { staffRequired: 2 },
+        employees: [employee(1), employee(2, { bookings: [booking("10:00", "11:00", { employeeId: 2n })] })],
+      });
+
+      expect(startTimes(slots)).toEqual(["09:00", "11:00"]);
+      expect(slots[0]).toMatchObject({ staffRequired: 2, employees: [{ id: "1" }, { id: "2" }] });
+    });
+
+    it("offers nothing with fewer qualified employees than needed", () => {
+      expect(calculate({ service: { staffRequired: 2 } })).toEqual([]);
+    });
+  });
+
+  describe("buffers", () => {
+    it("keeps the service's buffers clear of other bookings without showing them", () => {
+      const slots = calculate({
+        service: { bufferBefore: 15, bufferAfter: 15 },
+        employees: [employee(1, { bookings: [booking("11:00", "12:00")] })],
+        slotInterval: "30",
+      });
+
+      // 10:00–11:00 would need the employee until 11:15
+      expect(startTimes(slots)).toEqual(["09:00", "09:30"]);
+      expect(slots[0].endTime).toBe("10:00");
+    });
+
+    it("blocks an existing booking's own buffers", () => {
+      const slots = calculate({
+        employees: [employee(1, { bookings: [booking("09:00", "10:00", { service: { bufferAfter: 30 } })] })],
+        slotInterval: "30",
+      });
+
+      expect(startTimes(slots)).toEqual(["10:30", "11:00"]);
+    });
+  });
+});
+
+describe("calculateAvailableSlots with resources", () => {
+  const room = { id: 10n, name: "Room A", resourceTypeId: 7n, quantity: 2 };
+  const holding = (startTime, endTime, resourceId, quantity = 1, overrides = {}) =>
+    booking(startTime, endTime, { resources: [{ resourceId, quantity }], ...overrides });
+
+  it("reports the free units of each resource at a time", () => {
+    const slots = calculate({
+      useResources: true,
+      resources: [room],
+      resourceBookings: [holding("09:00", "10:00", 10n, 1, { employeeId: 2n })],
+    });
+
+    expect(slots[0]).toMatchObject({ startTime: "09:00", requiresResource: true });
+    expect(slots[0].availableResources).toEqual([
+      { id: "10", name: "Room A", resourceTypeId: "7", quantity: 2, available: 1 },
+    ]);
+    expect(slots[1].availableResources[0].available).toBe(2);
+  });
+
+  it("drops times when every unit of the resources is booked", () => {
+    const slots = calculate({
+      useResources: true,
+      resources: [room],
+      resourceBookings: [
+        holding("09:00", "10:00", 10n, 1, { id: 51n, employeeId: 2n }),
+        holding("09:30", "10:30", 10n, 1, { id: 52n, employeeId: 3n }),
+      ],
+    });
+
+    expect(startTimes(slots)).toEqual(["10:00", "11:00"]);
+  });
+
+  it("counts the seats of a group session as one use of its resources", () => {
+    const seats = [51n, 52n].map((id) => holding("10:00", "11:00", 10n, 1, { id, serviceId: 3n }));
+    const slots = calculate({
+      service: { capacity: 3 },
+      employees: [employee(1, { bookings: seats })],
+      useResources: true,
+      resources: [room],
+      resourceBookings: seats,
+    });
+
+    expect(slots[1]).toMatchObject({ startTime: "10:00", remainingSeats: 1 });
+    expect(slots[1].availableResources[0].available).toBe(1);
+    expect(slots[1].employees[0].sessionResourceIds).toEqual(["10"]);
+  });
+
+  it("only offers times when every required resource type has free units", () => {
+    const laser = { id: 11n, name: "Laser", resourceTypeId: 8n, quantity: 1 };
+    const slots = calculate({
+      service: {
+        resourceRequirements: [
+          { resourceTypeId: 7n, quantity: 1, resourceType: { name: "Room" } },
+          { resourceTypeId: 8n, quantity: 1, resourceType: { name: "Laser" } },
+        ],
+      },
+      useResources: true,
+      resources: [room, laser],
+      resourceBookings: [holding("10:00", "11:00", 11n, 1, { employeeId: 2n })],
+    });
+
+    expect(startTimes(slots)).toEqual(["09:00", "11:00"]);
+    expect(slots[0].resourceRequirements).toEqual([
+      { resourceTypeId: "7", name: "Room", quantity: 1 },
+      { resourceTypeId: "8", name: "Laser", quantity: 1 },
+    ]);
+  });
+
+  it("ignores resources when they are turned off", () => {
+    const slots = calculate({
+      useResources: false,
+      resources: [room],
+      resourceBookings: [holding("09:00", "12:00", 10n, 2, { employeeId: 2n })],
+    });
+
+    expect(startTimes(slots)).toEqual(["09:00", "10:00", "11:00"]);
+    expect(slots[0].requiresResource).toBeUndefined();
+  });
+});
+
+describe("findAvailabilities", () => {
+  // New York springs forward between Friday 8 and Monday 11 March 2030
+  const day = (dateStr) => new Date(`${dateStr}T00:00:00Z`);
+  const schedule = (dateStr) => ({ employeeId: 1n, date: day(dateStr), slots: [available("09:00", "10:00")] });
+
+  const db = {
+    schedule: { findMany: vi.fn().mockResolvedValue([schedule("2030-03-08"), schedule("2030-03-11")]) },
+    availabilityTemplate: { findMany: vi.fn().mockResolvedValue([]) },
+    booking: { findMany: vi.fn().mockResolvedValue([]) },
+    scheduledSession: { findMany: vi.fn().mockResolvedValue([]) },
+    timeOff: { findMany: vi.fn().mockResolvedValue([]) },
+  };
+
+  it("gives each slot the UTC instants of the store's wall time on its own day", async () => {
+    const availabilities = await findAvailabilities({
+      employees: [employee(1)],
+      service: { id: 3n, duration: 60, shop: "test.myshopify.com" },
+      settings: DEFAULT_SETTINGS,
+      resources: [],
+      startDate: day("2030-03-08"),
+      endDate: day("2030-03-11"),
+      timeZone: "America/New_York",
+    }, db);
+
+    expect(availabilities.map(({ date, startTime, startsAt, endsAt }) => ({ date, startTime, startsAt, endsAt }))).toEqual([
+      { date: "2030-03-08", startTime: "09:00", startsAt: "2030-03-08T14:00:00.000Z", endsAt: "2030-03-08T15:00:00.000Z" },
+      { date: "2030-03-11", startTime: "09:00", startsAt: "2030-03-11T13:00:00.000Z", endsAt: "2030-03-11T14:00:00.000Z" },
+    ]);
+  });
+
+  it("skips days the store is closed", async () => {
+    const availabilities = await findAvailabilities({
+      employees: [employee(1)],
+      service: { id: 3n, duration: 60, shop: "test.myshopify.com" },
+      settings: DEFAULT_SETTINGS,
+      resources: [],
+      startDate: day("2030-03-08"),
+      endDate: day("2030-03-11"),
+      closures: [{ startDate: day("2030-03-11"), endDate: day("2030-03-11"), recursYearly: false }],
+    }, db);
+
+    expect(availabilities.map((availability) => availability.date)).toEqual(["2030-03-08"]);
+  });
+});
+
+describe("findSessionAvailabilities", () => {
+  // Pottery night on Thursday 10 January 2030 and a full session a week later
+  const day = (dateStr) => new Date(`${dateStr}T00:00:00Z`);
+  const session = (id, dateStr, overrides = {}) => ({
+    id: BigInt(id),
+    date: day(dateStr),
+    startTime: "19:00",
+    endTime: "21:00",
+    capacity: 12,
+    employeeId: 1n,
+    employee: { id: 1n, name: "Employee 1" },
+    resource: { id: 10n, name: "Studio" },
+    location: null,
+    locationId: null,
+    _count: { bookings: 4 },
+    ...overrides,
+  });
+
+  const createDb = ({ timeOff = [] } = {}) => ({
+    scheduledSession: {
+      findMany: vi.fn().mockResolvedValue([
+        session(30, "2030-01-10"),
+        session(31, "2030-01-17", { _count: { bookings: 12 } }),
+        session(32, "2030-01-24"),
+      ]),
+    },
+    timeOff: { findMany: vi.fn().mockResolvedValue(timeOff) },
+  });
+
+  const find = (db, params = {}) => findSessionAvailabilities({
+    service: { id: 3n, shop: "test.myshopify.com" },
+    startDate: day("2030-01-10"),
+    endDate: day("2030-01-31"),
+    timeZone: "Europe/Paris",
+    ...params,
+  }, db);
+
+  it("lists sessions with free seats in the availability shape", async () => {
+    const availabilities = await find(createDb());
+
+    expect(availabilities.map((availability) => availability.sessionId)).toEqual(["30", "32"]);
+    expect(availabilities[0]).toMatchObject({
+      date: "2030-01-10",
+      startTime: "19:00",
+      startsAt: "2030-01-10T18:00:00.000Z",
+      remainingSeats: 8,
+      employees: [{ id: "1", remainingSeats: 8 }],
+      resource: { id: "10", name: "Studio" },
+    });
+  });
+
+  it("skips sessions on closed days or during the instructor's time off", async () => {
+    const db = createDb({
+      timeOff: [{ employeeId: 1n, type: "break", startDate: day("2030-01-24"), endDate: day("2030-01-24"), startTime: "20:00", endTime: "22:00" }],
+    });
+    const closures = [{ startDate: day("2030-01-10"), endDate: day("2030-01-10"), recursYearly: false, locationId: null }];
+
+    expect((await find(db, { closures })).map((availability) => availability.sessionId)).toEqual([]);
+  });
+});
+
+describe("getAvailabilityContext", () => {
+  const store = {
+    shop: "test.myshopify.com",
+    timezone: "Europe/Paris",
+    settings: { openDays: "1,2,3,4,5", workingHoursStart: "09:00", workingHoursEnd: "17:00" },
+    services: [{ id: 3n }],
+    employees: [{ id: 1n, locationId: null }, { id: 2n, locationId: 8n }, { id: 3n, locationId: 9n }],
+    resources: [{ id: 10n, locationId: 9n }],
+    closures: [{ id: 20n, locationId: 8n }, { id: 21n, locationId: 9n }],
+    locations: [
+      { id: 8n, name: "Downtown", openingHours: { 6: [{ startTime: "10:00", endTime: "14:00" }] } },
+      { id: 9n, name: "Harbour", openingHours: null },
+    ],
+  };
+  const db = { store: { findUnique: vi.fn().mockResolvedValue(store) } };
+
+  it("scopes employees, resources, closures and opening hours to the requested location", async () => {
+    const context = await getAvailabilityContext(store.shop, "3", { locationId: "8" }, db);
+
+    expect(context.location.name).toBe("Downtown");
+    expect(context.employees.map((emp) => emp.id)).toEqual([1n, 2n]);
+    expect(context.resources).toEqual([]);
+    expect(context.closures.map((closure) => closure.id)).toEqual([20n]);
+    expect(context.settings.openingHours).toEqual(store.locations[0].openingHours);
+    expect(context.timeZone).toBe("Europe/Paris");
+  });
+
+  it("keeps everything when no location is requested and the store has several", async () => {
+    const context = await getAvailabilityContext(store.shop, "3", {}, db);
+
+    expect(context.location).toBeNull();
+    expect(context.employees).toHaveLength(3);
+    expect(context.closures).toEqual([]);
+    expect(context.settings).toBe(store.settings);
+  });
+});
+
+describe("filterSlotsByEmployee", () => {
+  it("keeps the slots where the employee is one of the free team", () => {
+    const availabilities = [
+      { startTime: "09:00", employees: [{ id: "1" }, { id: "2" }] },
+      { startTime: "10:00", employees: [{ id: "2" }, { id: "3" }] },
+    ];
+
+    expect(startTimes(filterSlotsByEmployee(availabilities, 1n))).toEqual(["09:00"]);
+  });
+});
+
+describe("filterByMinimumNotice", () => {
+  it("keeps slots starting at or after the earliest bookable time", () => {
+    const availabilities = ["09:00", "10:00", "11:00"].map((startTime) => ({
+      startTime,
+      startsAt: `${DATE}T${startTime}:00.000Z`,
+    }));
+
+    expect(startTimes(filterByMinimumNotice(availabilities, new Date(`${DATE}T10:00:00Z`))))
+      .toEqual(["10:00", "11:00"]);
+  });
+});
+
+describe("hasOverlap", () => {
+  const range = (start, end) => ({
+    start: new Date(`${DATE}T${start}:00Z`),
+    end: new Date(`${DATE}T${end}:00Z`),
+  });
+
+  it("treats touching ranges as free", () => {
+    const { start, end } = range("10:00", "11:00");
+    expect(hasOverlap(start, end, [range("09:00", "10:00"), range("11:00", "12:00")])).toBe(false);
+    expect(hasOverlap(start, end, [range("10:59", "12:00")])).toBe(true);
+  });
+});
+
+describe("getBusyBookingFilter", () => {
+  it("counts confirmed bookings and holds that are running or tied to an order", () => {
+    const now = new Date("2030-01-07T09:00:00Z");
+
+    expect(getBusyBookingFilter(now)).toEqual({
+      OR: [
+        { status: BOOKING_STATUS.CONFIRMED },
+        {
+          status: BOOKING_STATUS.PENDING,
+          OR: [{ holdExpiresAt: { gt: now } }, { orderId: { not: null } }],
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,893 @@
+import { randomUUID } from "node:crypto";
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+import {
+  getAvailabilityContext,
+  getEligibleEmployees,
+  getEligibleResources,
+  findAvailabilities,
+  findSessionAvailabilities,
+  filterFutureSlots,
+  filterSlotsByEmployee,
+  filterByMinimumNotice,
+  BOOKING_STATUS,
+  DEFAULT_SETTINGS,
+} from "./availability.server";
+import { getMinimumNotice, getEarliestBookableTime } from "./minimumNotice";
+import { zonedTimeToUtc } from "./timezone";
+import { isSessionService } from "./scheduledSessions";
+import { matchesRequirement } from "./resourceRequirements";
+import { rankSlotEmployees } from "./assignment.server";
+
+export { BOOKING_STATUS };
+
+// Cart line item properties written by the storefront widget
+// Properties starting with an underscore are hidden from customers at checkout
+export const LINE_ITEM_PROPERTIES = {
+  DATE: "Date",
+  TIME: "Time",
+  EMPLOYEE: "Staff",
+  RESOURCE: "Resource",
+  LOCATION: "Location",
+  TIME_ZONE: "Time zone",
+  BOOKING_ID: "_timegrid_booking_id",
+  HOLD_TOKEN: "_timegrid_hold_token",
+};
+
+// Attempts of a booking transaction before a write conflict is reported as a taken slot
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC date, matching how schedules are stored
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @returns {Date|null} UTC midnight date or null if the format is invalid
+ */
+export function parseBookingDate(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || "")) {
+    return null;
+  }
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Release checkout holds that expired before an order was created
+ * Expired holds already stop blocking availability; this marks them EXPIRED
+ * so they no longer show up as pending bookings.
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<number>} Number of holds released
+ */
+export async function releaseExpiredHolds(shop, db = prisma) {
+  const { count } = await db.booking.updateMany({
+    where: {
+      shop,
+      status: BOOKING_STATUS.PENDING,
+      orderId: null,
+      holdExpiresAt: { lte: new Date() },
+    },
+    data: { status: BOOKING_STATUS.EXPIRED },
+  });
+
+  if (count > 0) {
+    console.log(`[Booking] Released ${count} expired hold(s) for ${shop}`);
+  }
+
+  return count;
+}
+
+/**
+ * Find the bookable slots of a service on one date, exactly as the storefront would offer them
+ * (its scheduled sessions with free seats for a service in "sessions" mode)
+ * @param {Object} params
+ * @param {string} params.shop - Shop domain
+ * @param {string} params.serviceId - Service ID
+ * @param {string} params.date - Appointment date (YYYY-MM-DD)
+ * @param {string} [params.employeeId] - Only return slots of this employee (slots where they are
+ *   free, for a service needing several staff)
+ * @param {string} [params.locationId] - Location to book at (defaults to the employee's location)
+ * @param {string} [params.excludeBookingId] - Booking to ignore (the one being rescheduled)
+ * @param {boolean} [params.applyMinimumNotice] - Drop slots inside the minimum booking notice
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Object>} { success: true, store, service, settings, timeZone, locations, location, earliestBookableTime, availabilities }
+ *   or { success: false, error, status }
+ */
+export async function findBookableSlots({
+  shop,
+  serviceId,
+  date,
+  employeeId,
+  locationId,
+  excludeBookingId,
+  applyMinimumNotice = false,
+}, db = prisma) {
+  const bookingDate = parseBookingDate(date);
+  if (!bookingDate) {
+    return { success: false, error: "Invalid date", status: 400 };
+  }
+
+  // A booking for a given employee takes place at their location unless one was requested
+  const employeeLocationId = !locationId && employeeId
+    ? (await db.employee.findFirst({
+      where: { id: BigInt(employeeId), shop },
+      select: { locationId: true },
+    }))?.locationId
+    : null;
+
+  const {
+    store,
+    service,
+    settings,
+    timeZone,
+    closures,
+    employees,
+    resources,
+    locations,
+    location,
+  } = await getAvailabilityContext(shop, serviceId, { locationId: locationId || employeeLocationId }, db);
+
+  if (!store) {
+    return { success: false, error: "Store not found", status: 404 };
+  }
+  if (locationId && !location) {
+    return { success: false, error: "Location not found", status: 404 };
+  }
+  if (!service) {
+    return { success: false, error: "Service not found", status: 404 };
+  }
+
+  let availabilities;
+  if (isSessionService(service)) {
+    // Sessions are scheduled by the merchant; only their free seats are bookable
+    availabilities = await findSessionAvailabilities({
+      service,
+      startDate: bookingDate,
+      endDate: bookingDate,
+      employeeId,
+      excludeBookingId,
+      timeZone,
+      closures: store.closures,
+    }, db);
+  } else {
+    // A service needing several staff is computed over every eligible employee;
+    // the requested employee only has to be one of the team
+    const isTeamService = service.staffRequired > 1;
+    const eligibleEmployees = getEligibleEmployees(employees, service, isTeamService ? null : employeeId);
+    if (eligibleEmployees.length === 0) {
+      return { success: false, error: "No employees available for this service", status: 409 };
+    }
+
+    // Run the availability engine for the requested date only
+    // (it subtracts existing bookings, so a taken slot is not offered again)
+    availabilities = await findAvailabilities({
+      employees: eligibleEmployees,
+      service,
+      settings,
+      resources: getEligibleResources(resources, service, settings),
+      startDate: bookingDate,
+      endDate: bookingDate,
+      excludeBookingId,
+      timeZone,
+      closures,
+    }, db);
+    if (isTeamService && employeeId) {
+      availabilities = filterSlotsByEmployee(availabilities, employeeId);
+    }
+  }
+  availabilities = filterFutureSlots(availabilities);
+
+  const earliestBookableTime = getEarliestBookableTime(
+    getMinimumNotice(service, settings),
+    { settings, timeZone, closures }
+  );
+
+  return {
+    success: true,
+    store,
+    service,
+    settings,
+    timeZone,
+    locations,
+    location,
+    earliestBookableTime,
+    availabilities: applyMinimumNotice
+      ? filterByMinimumNotice(availabilities, earliestBookableTime)
+      : availabilities,
+  };
+}
+
+/**
+ * Check whether the customer left some of a booking's staff to the store ("any available")
+ * @param {Object} params - { employeeId, staffIds, service }
+ * @returns {boolean}
+ */
+function leavesStaffToStore({ employeeId, staffIds = [], service }) {
+  return !employeeId || 1 + staffIds.length < (service.staffRequired || 1);
+}
+
+/**
+ * Order the employees offered at the requested time by the store's assignment strategy
+ * Used when the customer left some of the staff to the store ("any available"), so pickSlot
+ * assigns the best employees instead of the first ones found.
+ * The strategy's reads go through the regular client, outside the booking transaction: they
+ * only order employees the transaction already found free, so they can't cause a double
+ * booking, and keeping them out of the serializable snapshot avoids needless write conflicts.
+ * @param {Array} availabilities - Slots returned by findBookableSlots
+ * @param {Object} params - { startTime, date, employeeId, staffIds, service, settings, store, excludeBookingId }
+ * @returns {Promise<Array>} The availabilities with the matching slots ranked
+ */
+async function rankAnyAvailableStaff(availabilities, {
+  startTime,
+  date,
+  employeeId,
+  staffIds = [],
+  service,
+  settings,
+  store,
+  excludeBookingId,
+}) {
+  if (!leavesStaffToStore({ employeeId, staffIds, service })) {
+    return availabilities;
+  }
+
+  return Promise.all(availabilities.map((avail) => (
+    avail.startTime === startTime && !avail.sessionId
+      ? rankSlotEmployees(avail, {
+        settings,
+        bookingDate: parseBookingDate(date),
+        employees: store.employees,
+        excludeBookingId,
+      })
+      : avail
+  )));
+}
+
+/**
+ * Pick the slot, staff and resources for a booking from the bookable slots
+ * @param {Array} availabilities - Slots returned by findBookableSlots
+ * @param {Object} params - { startTime, employeeId, staffIds, resourceIds, sessionId }
+ * @returns {Object} { slot, employee, staff, resources } or { error, status } - employee is the
+ *   lead, staff every assigned employee (lead first), and one resource ({ id, name, quantity })
+ *   per requirement of the service
+ */
+export function pickSlot(availabilities, { startTime, employeeId, staffIds = [], resourceIds = [], sessionId }) {
+  // Scheduled sessions may share a start time: match the requested session or instructor
+  const matchesSession = (avail) => !avail.sessionId || (
+    (!sessionId || avail.sessionId === sessionId.toString()) &&
+    (!employeeId || avail.employees.some((emp) => emp.id === employeeId.toString()))
+  );
+  const slot = availabilities.find((avail) => avail.startTime === startTime && matchesSession(avail));
+  if (!slot) {
+    return { error: "Selected time is no longer available", status: 409 };
+  }
+
+  // Pick the requested employee, or the first one offered for this slot (the best ranked
+  // by the store's assignment strategy when the customer chose "any available")
+  const employee = employeeId
+    ? slot.employees.find((emp) => emp.id === employeeId.toString())
+    : slot.employees[0];
+  if (!employee) {
+    return { error: "Selected employee is no longer available", status: 409 };
+  }
+
+  // Services needing several staff: team the lead up with the requested staff,
+  // then the first other free employees (ranked by the store's strategy)
+  const requestedStaff = [...new Set(staffIds.map(String))].filter((id) => id !== employee.id);
+  const otherEmployees = slot.employees.filter((emp) => emp.id !== employee.id);
+  if (requestedStaff.some((id) => !otherEmployees.some((emp) => emp.id === id))) {
+    return { error: "Selected employee is no longer available", status: 409 };
+  }
+  const staff = [
+    employee,
+    ...requestedStaff.map((id) => otherEmployees.find((emp) => emp.id === id)),
+    ...otherEmployees.filter((emp) => !requestedStaff.includes(emp.id)),
+  ].slice(0, slot.staffRequired || 1);
+  if (staff.length < (slot.staffRequired || 1)) {
+    return { error: "Not enough staff are available at this time", status: 409 };
+  }
+
+  // A scheduled session comes with its own resource
+  if (slot.sessionId) {
+    return { slot, employee, staff, resources: slot.resource ? [{ ...slot.resource, quantity: 1 }] : [] };
+  }
+
+  // For each required type, pick the requested resource or the first one with enough free units
+  // (a seat in a group session that already holds resources uses those)
+  const requested = resourceIds.map(String);
+  const resources = [];
+  for (const requirement of slot.requiresResource ? slot.resourceRequirements : []) {
+    const candidates = slot.availableResources.filter((r) => matchesRequirement(r, requirement));
+    const freeResources = candidates.filter((r) => r.available >= requirement.quantity);
+    const resource = candidates.find((r) => employee.sessionResourceIds?.includes(r.id)) || (
+      candidates.some((r) => requested.includes(r.id))
+        ? freeResources.find((r) => requested.includes(r.id))
+        : freeResources[0]
+    );
+    if (!resource) {
+      return { error: "Selected resource is no longer available", status: 409 };
+    }
+    resources.push({ id: resource.id, name: resource.name, quantity: requirement.quantity });
+  }
+
+  return { slot, employee, staff, resources };
+}
+
+/**
+ * Get the Prisma data for the staff assigned to a booking
+ * @param {Array} staff - Employees picked by pickSlot, lead first
+ * @param {boolean} [replace] - Release the staff assigned before (rescheduling)
+ * @returns {Object} { employeeId, employees } create or update input
+ */
+function getBookingStaffData(staff, replace = false) {
+  return {
+    employeeId: BigInt(staff[0].id),
+    employees: {
+      ...(replace ? { deleteMany: {} } : {}),
+      create: staff.map((emp) => ({ employeeId: BigInt(emp.id) })),
+    },
+  };
+}
+
+/**
+ * Get the Prisma data for the resources a booking reserves
+ * The first resource is kept on Booking.resourceId as the primary resource.
+ * @param {Array} resources - Resources picked by pickSlot
+ * @param {boolean} [replace] - Release the resources the booking held before (rescheduling)
+ * @returns {Object} { resourceId, resources } create or update input
+ */
+function getBookingResourceData(resources, replace = false) {
+  return {
+    resourceId: resources[0] ? BigInt(resources[0].id) : null,
+    resources: {
+      ...(replace ? { deleteMany: {} } : {}),
+      create: resources.map((resource) => ({ resourceId: BigInt(resource.id), quantity: resource.quantity })),
+    },
+  };
+}
+
+/**
+ * List the names of a booking's staff (e.g. "Jane, John")
+ * @param {Array} staff - Employees picked by pickSlot
+ * @returns {string}
+ */
+function formatStaffNames(staff) {
+  return staff.map((emp) => emp.name).join(", ");
+}
+
+/**
+ * List the names of a booking's resources (e.g. "Room 1, Laser A")
+ * @param {Array} resources - Resources picked by pickSlot
+ * @returns {string|null}
+ */
+function formatResourceNames(resources) {
+  return resources.map((resource) => resource.name).join(", ") || null;
+}
+
+/**
+ * Get the location a booking takes place at: the session's location, the requested location,
+ * or the booked employee's
+ * @param {Object} store - Store with employees (from findBookableSlots)
+ * @param {Object} [location] - Location the slots were found for
+ * @param {Object} employee - Employee picked for the slot
+ * @param {Object} slot - Slot picked for the booking
+ * @returns {BigInt|null} Location ID
+ */
+function getBookingLocationId(store, location, employee, slot) {
+  if (slot.location) return BigInt(slot.location.id);
+  if (location) return location.id;
+  return store.employees.find((emp) => emp.id.toString() === employee.id)?.locationId ?? null;
+}
+
+/**
+ * Run a booking write inside a serializable transaction
+ * Concurrent writes to the same slot make one transaction fail with P2034 instead of double booking.
+ * The failed transaction is retried, since the conflict may come from an unrelated booking.
+ * @param {Function} callback - Receives the transaction client
+ * @returns {Promise<Object>} Result of the callback, or { success: false, error, status: 409 } when
+ *   every attempt hit a write conflict
+ */
+async function runBookingTransaction(callback) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(callback, {
+        isolationLevel: Prisma.TransactionIsolationLevel.Serializable,
+      });
+    } catch (error) {
+      // P2034: transaction failed due to a write conflict with a concurrent booking
+      if (!(error instanceof Prisma.PrismaClientKnownRequestError) || error.code !== "P2034") {
+        throw error;
+      }
+      if (attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        return { success: false, error: "Selected time is no longer available", status: 409 };
+      }
+      console.log(`[Booking] Write conflict, retrying transaction (attempt ${attempt + 1})`);
+    }
+  }
+}
+
+/**
+ * Create a booking after re-checking availability inside a serializable transaction
+ * @param {Object} params
+ * @param {string} params.shop - Shop domain
+ * @param {string} params.serviceId - Service ID
+ * @param {string} [params.employeeId] - Requested employee (assigned by the store's strategy if omitted)
+ * @param {Array} [params.staffIds] - Further staff requested for a service needing several
+ *   (the first available employees otherwise)
+ * @param {Array} [params.resourceIds] - Requested resources, at most one per required type
+ *   (the first available resource of each type otherwise)
+ * @param {string} [params.locationId] - Location to book at (required on the storefront when the store has several)
+ * @param {string} [params.sessionId] - Scheduled session to book a seat in (services in "sessions" mode)
+ * @param {string} params.date - Appointment date (YYYY-MM-DD)
+ * @param {string} params.startTime - Appointment start time (HH:MM)
+ * @param {Object} [params.customer] - { id, name, email, phone } (id is a Shopify customer GID)
+ * @param {string} [params.status] - Initial status; PENDING bookings get a hold token and expiry for checkout
+ * @param {string} [params.source] - "storefront" or "admin"
+ * @returns {Promise<Object>} { success: true, booking } or { success: false, error, status }
+ */
+export async function createBooking({
+  shop,
+  serviceId,
+  employeeId,
+  staffIds,
+  resourceIds,
+  locationId,
+  sessionId,
+  date,
+  startTime,
+  customer = {},
+  status = BOOKING_STATUS.CONFIRMED,
+  source = "storefront",
+}) {
+  if (!parseBookingDate(date) || !/^\d{2}:\d{2}$/.test(startTime || "")) {
+    return { success: false, error: "Invalid date or time", status: 400 };
+  }
+
+  return runBookingTransaction(async (tx) => {
+    // Storefront bookings must respect the minimum notice; merchants may book any open slot
+    const result = await findBookableSlots({
+      shop,
+      serviceId,
+      date,
+      employeeId,
+      locationId,
+      applyMinimumNotice: source === "storefront",
+    }, tx);
+    if (!result.success) {
+      return result;
+    }
+
+    const { store, service, settings, timeZone, locations, location, earliestBookableTime, availabilities } = result;
+    if (source === "storefront" && !isSessionService(service) && !location && locations.length > 1) {
+      return { success: false, error: "Please choose a location", status: 400 };
+    }
+    if (source === "storefront" && zonedTimeToUtc(date, startTime, timeZone) < earliestBookableTime) {
+      return { success: false, error: "This time is too soon to book online", status: 409 };
+    }
+
+    const rankedAvailabilities = await rankAnyAvailableStaff(availabilities, {
+      startTime,
+      date,
+      employeeId,
+      staffIds,
+      service,
+      settings,
+      store,
+    });
+
+    const { slot, employee, staff, resources, error, status: errorStatus } = pickSlot(rankedAvailabilities, {
+      startTime,
+      employeeId,
+      staffIds,
+      resourceIds,
+      sessionId,
+    });
+    if (error) {
+      return { success: false, error, status: errorStatus };
+    }
+
+    // Pending bookings reserve the slot for the configured hold duration
+    const isHold = status === BOOKING_STATUS.PENDING;
+    const holdDuration = settings.holdDuration || DEFAULT_SETTINGS.holdDuration;
+
+    const booking = await tx.booking.create({
+      data: {
+        shop,
+        storeId: store.id,
+        serviceId: service.id,
+        ...getBookingStaffData(staff),
+        ...getBookingResourceData(resources),
+        locationId: getBookingLocationId(store, location, employee, slot),
+        scheduledSessionId: slot.sessionId ? BigInt(slot.sessionId) : null,
+        date: parseBookingDate(date),
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        customerId: customer.id || null,
+        customerName: customer.name || null,
+        customerEmail: customer.email || null,
+        customerPhone: customer.phone || null,
+        source,
+        status,
+        holdToken: isHold ? randomUUID() : null,
+        holdExpiresAt: isHold ? new Date(Date.now() + holdDuration * 60000) : null,
+        confirmedAt: status === BOOKING_STATUS.CONFIRMED ? new Date() : null,
+      },
+      include: { employees: true, resources: true },
+    });
+
+    console.log('[Booking] Created booking:', {
+      id: booking.id.toString(),
+      shop,
+      date,
+      startTime: booking.startTime,
+      status: booking.status,
+      source,
+      employeeIds: staff.map((emp) => emp.id),
+      assignmentStrategy: leavesStaffToStore({ employeeId, staffIds, service }) ? settings.assignmentStrategy : null,
+      resourceIds: resources.map((resource) => resource.id),
+      locationId: booking.locationId?.toString() || null,
+      sessionId: slot.sessionId || null,
+    });
+
+    return {
+      success: true,
+      booking: {
+        ...booking,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        employeeName: formatStaffNames(staff),
+        resourceName: formatResourceNames(resources),
+        locationName: slot.location?.name || location?.name || null,
+      },
+    };
+  });
+}
+
+/**
+ * Move a booking to another date, time, staff or resources
+ * The new time is validated with the same availability rules as the storefront,
+ * ignoring the booking's own current time.
+ * @param {Object} params
+ * @param {string} params.shop - Shop domain
+ * @param {string} params.bookingId - Booking to move
+ * @param {string} params.date - New date (YYYY-MM-DD)
+ * @param {string} params.startTime - New start time (HH:MM)
+ * @param {string} [params.employeeId] - New employee (assigned by the store's strategy if omitted)
+ * @param {Array} [params.staffIds] - Further staff for a service needing several
+ *   (the first available employees otherwise)
+ * @param {Array} [params.resourceIds] - New resources, at most one per required type
+ *   (the first available resource of each type otherwise)
+ * @param {string} [params.sessionId] - New scheduled session (services in "sessions" mode)
+ * @returns {Promise<Object>} { success: true, booking } or { success: false, error, status }
+ */
+export async function rescheduleBooking({ shop, bookingId, date, startTime, employeeId, staffIds, resourceIds, sessionId }) {
+  if (!parseBookingDate(date) || !/^\d{2}:\d{2}$/.test(startTime || "")) {
+    return { success: false, error: "Invalid date or time", status: 400 };
+  }
+
+  return runBookingTransaction(async (tx) => {
+    const existing = await tx.booking.findFirst({
+      where: { id: BigInt(bookingId), shop },
+    });
+
+    if (!existing) {
+      return { success: false, error: "Booking not found", status: 404 };
+    }
+    if (existing.status === BOOKING_STATUS.CANCELLED || existing.status === BOOKING_STATUS.EXPIRED) {
+      return { success: false, error: "Cancelled or expired bookings cannot be rescheduled", status: 409 };
+    }
+
+    const result = await findBookableSlots({
+      shop,
+      serviceId: existing.serviceId.toString(),
+      date,
+      employeeId,
+      // Without a new employee, the booking stays at its location
+      locationId: employeeId ? null : existing.locationId?.toString(),
+      excludeBookingId: bookingId,
+    }, tx);
+    if (!result.success) {
+      return result;
+    }
+
+    const availabilities = await rankAnyAvailableStaff(result.availabilities, {
+      startTime,
+      date,
+      employeeId,
+      staffIds,
+      service: result.service,
+      settings: result.settings,
+      store: result.store,
+      excludeBookingId: bookingId,
+    });
+
+    const { slot, employee, staff, resources, error, status: errorStatus } = pickSlot(availabilities, {
+      startTime,
+      employeeId,
+      staffIds,
+      resourceIds,
+      sessionId,
+    });
+    if (error) {
+      return { success: false, error, status: errorStatus };
+    }
+
+    const booking = await tx.booking.update({
+      where: { id: existing.id },
+      data: {
+        date: parseBookingDate(date),
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        ...getBookingStaffData(staff, true),
+        ...getBookingResourceData(resources, true),
+        locationId: getBookingLocationId(result.store, result.location, employee, slot),
+        scheduledSessionId: slot.sessionId ? BigInt(slot.sessionId) : null,
+        rescheduledAt: new Date(),
+      },
+    });
+
+    console.log('[Booking] Rescheduled booking:', {
+      id: booking.id.toString(),
+      shop,
+      from: `${existing.date.toISOString().split('T')[0]} ${existing.startTime}`,
+      to: `${date} ${booking.startTime}`,
+      employeeIds: staff.map((emp) => emp.id),
+      resourceIds: resources.map((resource) => resource.id),
+    });
+
+    return {
+      success: true,
+      booking: {
+        ...booking,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        employeeName: formatStaffNames(staff),
+        resourceName: formatResourceNames(resources),
+      },
+    };
+  });
+}
+
+/**
+ * Read the TimeGrid booking properties from an order line item
+ * @param {Object} lineItem - Line item from an orders webhook payload
+ * @returns {Object|null} { bookingId, holdToken } or null if the line item is not a booking
+ */
+export function getBookingProperties(lineItem) {
+  const properties = lineItem.properties || [];
+  const getProperty = (name) => properties.find((p) => p.name === name)?.value;
+
+  const bookingId = getProperty(LINE_ITEM_PROPERTIES.BOOKING_ID);
+  const holdToken = getProperty(LINE_ITEM_PROPERTIES.HOLD_TOKEN);
+
+  if (!bookingId || !holdToken || !/^\d+$/.test(bookingId.toString())) {
+    return null;
+  }
+  return { bookingId: bookingId.toString(), holdToken: holdToken.toString() };
+}
+
+/**
+ * Check whether a booking's checkout hold ran out before an order was created for it
+ * Such a booking no longer blocks availability, so its time may have been booked since.
+ * @param {Object} booking - Booking row
+ * @param {Date} now - Reference time for hold expiry
+ * @returns {boolean}
+ */
+function isLapsedHold(booking, now = new Date()) {
+  return booking.status === BOOKING_STATUS.EXPIRED || (
+    booking.status === BOOKING_STATUS.PENDING &&
+    !booking.orderId &&
+    booking.holdExpiresAt !== null &&
+    booking.holdExpiresAt <= now
+  );
+}
+
+/**
+ * Re-check that the time, staff and resources of a lapsed hold are still free
+ * @param {Object} booking - Booking with employees and resources
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Object>} { success: true, slot, staff, resources } or { success: false, error }
+ */
+async function findSlotForLapsedHold(booking, db) {
+  const result = await findBookableSlots({
+    shop: booking.shop,
+    serviceId: booking.serviceId.toString(),
+    date: booking.date.toISOString().split('T')[0],
+    employeeId: booking.employeeId.toString(),
+    locationId: booking.locationId?.toString(),
+    excludeBookingId: booking.id.toString(),
+  }, db);
+  if (!result.success) {
+    return result;
+  }
+
+  const { slot, staff, resources, error } = pickSlot(result.availabilities, {
+    startTime: booking.startTime,
+    employeeId: booking.employeeId.toString(),
+    staffIds: booking.employees.map((assignment) => assignment.employeeId.toString()),
+    resourceIds: booking.resources.map((assignment) => assignment.resourceId.toString()),
+    sessionId: booking.scheduledSessionId?.toString(),
+  });
+  if (error) {
+    return { success: false, error };
+  }
+  return { success: true, slot, staff, resources };
+}
+
+/**
+ * Tie tentative bookings to an order from the orders/create and orders/paid webhooks
+ * Bookings are confirmed once the order is paid. Safe to run again for retried deliveries:
+ * a booking already tied to this order is updated with the same values.
+ * A hold that lapsed before the order came in is only taken back if its time, staff and
+ * resources are still free. Otherwise it is tied to the order but stays EXPIRED, and the
+ * Bookings page flags it for the merchant to reschedule or refund.
+ * @param {string} shop - Shop domain
+ * @param {string} topic - Webhook topic (ORDERS_CREATE or ORDERS_PAID)
+ * @param {Object} order - Order webhook payload
+ * @returns {Promise<number>} Number of bookings updated
+ */
+export async function confirmBookingsFromOrder(shop, topic, order) {
+  const orderId = order.id.toString();
+  const isPaid = topic === "ORDERS_PAID" || order.financial_status === "paid";
+  const customer = order.customer || {};
+  const customerName = [customer.first_name, customer.last_name].filter(Boolean).join(" ");
+
+  let updatedCount = 0;
+
+  for (const lineItem of order.line_items || []) {
+    const bookingProperties = getBookingProperties(lineItem);
+    if (!bookingProperties) continue;
+
+    const orderData = {
+      orderId,
+      orderName: order.name || null,
+      lineItemId: lineItem.id.toString(),
+      customerName: customerName || undefined,
+      customerEmail: order.email || customer.email || undefined,
+      customerPhone: order.phone || customer.phone || undefined,
+      customerId: customer.id ? `gid://shopify/Customer/${customer.id}` : undefined,
+    };
+    const confirmedData = isPaid ? { status: BOOKING_STATUS.CONFIRMED, confirmedAt: new Date() } : {};
+
+    const result = await runBookingTransaction(async (tx) => {
+      const booking = await tx.booking.findFirst({
+        where: {
+          id: BigInt(bookingProperties.bookingId),
+          holdToken: bookingProperties.holdToken,
+          shop,
+          status: { not: BOOKING_STATUS.CANCELLED },
+          // Never move a booking that is already tied to another order
+          OR: [{ orderId: null }, { orderId }],
+        },
+        include: { employees: true, resources: true },
+      });
+      if (!booking) {
+        return { success: true, matched: 0 };
+      }
+
+      if (!isLapsedHold(booking)) {
+        await tx.booking.update({
+          where: { id: booking.id },
+          data: { ...orderData, ...confirmedData },
+        });
+        return { success: true, matched: 1 };
+      }
+
+      // The slot was released when the hold lapsed: only take it back if nobody booked it since
+      const check = await findSlotForLapsedHold(booking, tx);
+      if (!check.success) {
+        await tx.booking.update({
+          where: { id: booking.id },
+          data: { ...orderData, status: BOOKING_STATUS.EXPIRED },
+        });
+        return { success: true, matched: 1, conflict: check.error };
+      }
+
+      await tx.booking.update({
+        where: { id: booking.id },
+        data: {
+          ...orderData,
+          ...getBookingStaffData(check.staff, true),
+          ...getBookingResourceData(check.resources, true),
+          status: BOOKING_STATUS.PENDING,
+          ...confirmedData,
+        },
+      });
+      return { success: true, matched: 1, reclaimed: true };
+    });
+
+    if (!result.success) {
+      // Still conflicting after the retries: fail the webhook so Shopify delivers it again
+      throw new Error(`[Booking] Could not update booking ${bookingProperties.bookingId} for order ${orderId}: ${result.error}`);
+    }
+
+    if (result.conflict) {
+      console.error(`[Booking] ${topic} for order ${orderId}: hold expired and the time was booked since, not confirmed:`, {
+        bookingId: bookingProperties.bookingId,
+        lineItemId: lineItem.id.toString(),
+        reason: result.conflict,
+      });
+    } else {
+      console.log(`[Booking] ${topic} for order ${orderId}:`, {
+        bookingId: bookingProperties.bookingId,
+        lineItemId: lineItem.id.toString(),
+        confirmed: isPaid,
+        matched: result.matched,
+        reclaimedExpiredHold: Boolean(result.reclaimed),
+      });
+    }
+
+    updatedCount += result.matched;
+  }
+
+  return updatedCount;
+}
+
+/**
+ * Cancel bookings, freeing their employee and resource time
+ * Bookings that are already cancelled are left untouched, so retried calls are safe.
+ * @param {string} shop - Shop domain
+ * @param {Object} where - Prisma filter selecting the bookings to cancel
+ * @param {Object} cancellation - { cancelledBy, reason }
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<number>} Number of bookings cancelled
+ */
+export async function cancelBookings(shop, where, { cancelledBy, reason }, db = prisma) {
+  const { count } = await db.booking.updateMany({
+    where: {
+      ...where,
+      shop,
+      status: { not: BOOKING_STATUS.CANCELLED },
+    },
+    data: {
+      status: BOOKING_STATUS.CANCELLED,
+      cancelledAt: new Date(),
+      cancelledBy,
+      cancelReason: reason || null,
+    },
+  });
+
+  console.log(`[Booking] Cancelled ${count} booking(s) for ${shop}:`, { cancelledBy, reason });
+
+  return count;
+}
+
+/**
+ * Cancel every booking of a cancelled order (orders/cancelled webhook)
+ * @param {string} shop - Shop domain
+ * @param {Object} order - Order webhook payload
+ * @returns {Promise<number>} Number of bookings cancelled
+ */
+export async function cancelBookingsForOrder(shop, order) {
+  // Match by order ID, and by line item properties in case orders/create was never processed
+  const propertyMatches = (order.line_items || [])
+    .map(getBookingProperties)
+    .filter(Boolean)
+    .map(({ bookingId, holdToken }) => ({ id: BigInt(bookingId), holdToken }));
+
+  return cancelBookings(
+    shop,
+    { OR: [{ orderId: order.id.toString() }, ...propertyMatches] },
+    { cancelledBy: "orders/cancelled", reason: order.cancel_reason },
+  );
+}
+
+/**
+ * Cancel the bookings of refunded line items (refunds/create webhook)
+ * @param {string} shop - Shop domain
+ * @param {Object} refund - Refund webhook payload
+ * @returns {Promise<number>} Number of bookings cancelled
+ */
+export async function cancelBookingsForRefund(shop, refund) {
+  const lineItemIds = (refund.refund_line_items || []).map((item) => item.line_item_id.toString());
+
+  if (lineItemIds.length === 0) {
+    // Refunds without line items (e.g., shipping only) don't release any booking
+    return 0;
+  }
+
+  return cancelBookings(
+    shop,
+    { orderId: refund.order_id.toString(), lineItemId: { in: lineItemIds } },
+    { cancelledBy: "refunds/create", reason: refund.note },
+  );
+}
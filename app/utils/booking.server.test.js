@@ -0,0 +1,298 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Prisma } from "@prisma/client";
+import { BOOKING_STATUS, findBookableSlots, pickSlot, confirmBookingsFromOrder } from "./booking.server";
+import { getAvailabilityContext, findAvailabilities } from "./availability.server";
+
+// Booking transactions run their callback against the fake transaction client
+const { tx } = vi.hoisted(() => ({ tx: {} }));
+
+vi.mock("@prisma/client", () => ({
+  Prisma: {
+    TransactionIsolationLevel: { Serializable: "Serializable" },
+    PrismaClientKnownRequestError: class PrismaClientKnownRequestError extends Error {
+      constructor(message, { code }) {
+        super(message);
+        this.code = code;
+      }
+    },
+  },
+}));
+
+vi.mock("../db.server", () => ({
+  default: { $transaction: vi.fn((callback) => callback(tx)) },
+}));
+
+vi.mock("./availability.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getAvailabilityContext: vi.fn(),
+  findAvailabilities: vi.fn(),
+}));
+
+const employee = (id) => ({ id });
+
+const slot = (overrides = {}) => ({
+  startTime: "10:00",
+  endTime: "11:00",
+  employees: [employee("1"), employee("2"), employee("3")],
+  staffRequired: 1,
+  requiresResource: false,
+  ...overrides,
+});
+
+describe("pickSlot", () => {
+  it("assigns the first employee offered when the customer chose any available", () => {
+    const { employee: lead, staff } = pickSlot([slot()], { startTime: "10:00" });
+
+    expect(lead.id).toBe("1");
+    expect(staff.map((emp) => emp.id)).toEqual(["1"]);
+  });
+
+  it("assigns the requested employee", () => {
+    const { employee: lead } = pickSlot([slot()], { startTime: "10:00", employeeId: "3" });
+
+    expect(lead.id).toBe("3");
+  });
+
+  it("teams the lead up with the requested staff, then the next employees offered", () => {
+    const availabilities = [slot({ employees: ["1", "2", "3", "4"].map(employee), staffRequired: 3 })];
+    const { staff } = pickSlot(availabilities, { startTime: "10:00", employeeId: "2", staffIds: ["4"] });
+
+    expect(staff.map((emp) => emp.id)).toEqual(["2", "4", "1"]);
+  });
+
+  it("rejects a time that is no longer offered", () => {
+    expect(pickSlot([slot()], { startTime: "11:00" })).toEqual({
+      error: "Selected time is no longer available",
+      status: 409,
+    });
+  });
+
+  it("rejects an employee who is no longer free", () => {
+    expect(pickSlot([slot()], { startTime: "10:00", employeeId: "9" }).status).toBe(409);
+    expect(pickSlot([slot({ staffRequired: 2 })], { startTime: "10:00", staffIds: ["9"] }).status).toBe(409);
+  });
+
+  it("rejects a team service without enough free staff", () => {
+    expect(pickSlot([slot({ staffRequired: 4 })], { startTime: "10:00" })).toEqual({
+      error: "Not enough staff are available at this time",
+      status: 409,
+    });
+  });
+
+  it("picks the requested resource or the first one with enough free units", () => {
+    const availabilities = [slot({
+      requiresResource: true,
+      resourceRequirements: [{ resourceTypeId: "7", quantity: 2 }],
+      availableResources: [
+        { id: "10", name: "Room A", resourceTypeId: "7", available: 1 },
+        { id: "11", name: "Room B", resourceTypeId: "7", available: 2 },
+        { id: "12", name: "Room C", resourceTypeId: "7", available: 3 },
+      ],
+    })];
+
+    expect(pickSlot(availabilities, { startTime: "10:00" }).resources).toEqual([
+      { id: "11", name: "Room B", quantity: 2 },
+    ]);
+    expect(pickSlot(availabilities, { startTime: "10:00", resourceIds: ["12"] }).resources).toEqual([
+      { id: "12", name: "Room C", quantity: 2 },
+    ]);
+    expect(pickSlot(availabilities, { startTime: "10:00", resourceIds: ["10"] }).status).toBe(409);
+  });
+
+  it("reserves one resource of every required type", () => {
+    const availabilities = [slot({
+      requiresResource: true,
+      resourceRequirements: [{ resourceTypeId: "7", quantity: 1 }, { resourceTypeId: "8", quantity: 1 }],
+      availableResources: [
+        { id: "10", name: "Room A", resourceTypeId: "7", available: 1 },
+        { id: "11", name: "Laser", resourceTypeId: "8", available: 1 },
+      ],
+    })];
+
+    expect(pickSlot(availabilities, { startTime: "10:00" }).resources).toEqual([
+      { id: "10", name: "Room A", quantity: 1 },
+      { id: "11", name: "Laser", quantity: 1 },
+    ]);
+  });
+
+  it("matches the requested session when sessions share a start time", () => {
+    const availabilities = [
+      slot({ sessionId: "5", employees: [employee("1")], resource: { id: "10", name: "Studio" } }),
+      slot({ sessionId: "6", employees: [employee("2")], resource: null }),
+    ];
+
+    const picked = pickSlot(availabilities, { startTime: "10:00", sessionId: "6" });
+    expect(picked.slot.sessionId).toBe("6");
+    expect(picked.resources).toEqual([]);
+
+    const byInstructor = pickSlot(availabilities, { startTime: "10:00", employeeId: "1" });
+    expect(byInstructor.slot.sessionId).toBe("5");
+    expect(byInstructor.resources).toEqual([{ id: "10", name: "Studio", quantity: 1 }]);
+  });
+});
+
+describe("findBookableSlots", () => {
+  const shop = "test-shop.myshopify.com";
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2099-01-07T08:00:00Z"));
+    getAvailabilityContext.mockResolvedValue({
+      store: { closures: [] },
+      service: { id: 3n, staffRequired: 1, minimumNotice: "120" },
+      settings: {},
+      timeZone: "UTC",
+      closures: [],
+      employees: [{ id: 1n, serviceIds: ["3"] }],
+      resources: [],
+      locations: [],
+      location: null,
+    });
+    findAvailabilities.mockResolvedValue(["07:00", "09:00", "10:00", "11:00"].map((startTime) => ({
+      startTime,
+      startsAt: `2099-01-07T${startTime}:00.000Z`,
+      employees: [{ id: "1" }],
+    })));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("drops past slots and, for storefront bookings, slots inside the minimum notice", async () => {
+    const storefront = await findBookableSlots({ shop, serviceId: "3", date: "2099-01-07", applyMinimumNotice: true }, {});
+    expect(storefront.earliestBookableTime.toISOString()).toBe("2099-01-07T10:00:00.000Z");
+    expect(storefront.availabilities.map((slot) => slot.startTime)).toEqual(["10:00", "11:00"]);
+
+    const merchant = await findBookableSlots({ shop, serviceId: "3", date: "2099-01-07" }, {});
+    expect(merchant.availabilities.map((slot) => slot.startTime)).toEqual(["09:00", "10:00", "11:00"]);
+  });
+});
+
+describe("confirmBookingsFromOrder", () => {
+  const shop = "test-shop.myshopify.com";
+
+  const order = {
+    id: 1001,
+    name: "#1001",
+    financial_status: "paid",
+    email: "jane@example.com",
+    customer: { id: 77, first_name: "Jane", last_name: "Doe" },
+    line_items: [{
+      id: 5,
+      properties: [
+        { name: "_timegrid_booking_id", value: "42" },
+        { name: "_timegrid_hold_token", value: "hold-token" },
+      ],
+    }],
+  };
+
+  const heldBooking = (overrides = {}) => ({
+    id: 42n,
+    shop,
+    serviceId: 3n,
+    employeeId: 1n,
+    locationId: null,
+    scheduledSessionId: null,
+    date: new Date(Date.UTC(2099, 0, 7)),
+    startTime: "10:00",
+    endTime: "11:00",
+    status: BOOKING_STATUS.EXPIRED,
+    orderId: null,
+    holdExpiresAt: new Date(Date.now() - 60000),
+    employees: [{ employeeId: 1n }],
+    resources: [],
+    ...overrides,
+  });
+
+  // The slots the availability engine offers on the booking's date
+  const offer = (startTimes) => {
+    findAvailabilities.mockResolvedValue(startTimes.map((startTime) => ({
+      startTime,
+      startsAt: `2099-01-07T${startTime}:00.000Z`,
+      employees: [{ id: "1" }],
+      staffRequired: 1,
+      requiresResource: false,
+    })));
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    tx.booking = { findFirst: vi.fn(), update: vi.fn() };
+    tx.employee = { findFirst: vi.fn().mockResolvedValue({ locationId: null }) };
+    getAvailabilityContext.mockResolvedValue({
+      store: { closures: [] },
+      service: { id: 3n, staffRequired: 1 },
+      settings: {},
+      timeZone: "UTC",
+      closures: [],
+      employees: [{ id: 1n, serviceIds: ["3"] }],
+      resources: [],
+      locations: [],
+      location: null,
+    });
+    findAvailabilities.mockReset();
+  });
+
+  it("confirms a hold that is still running without checking availability again", async () => {
+    tx.booking.findFirst.mockResolvedValue(heldBooking({
+      status: BOOKING_STATUS.PENDING,
+      holdExpiresAt: new Date(Date.now() + 60000),
+    }));
+
+    expect(await confirmBookingsFromOrder(shop, "ORDERS_PAID", order)).toBe(1);
+    expect(findAvailabilities).not.toHaveBeenCalled();
+    expect(tx.booking.update).toHaveBeenCalledWith({
+      where: { id: 42n },
+      data: expect.objectContaining({ orderId: "1001", status: BOOKING_STATUS.CONFIRMED }),
+    });
+  });
+
+  it("takes back an expired hold whose time is still free", async () => {
+    tx.booking.findFirst.mockResolvedValue(heldBooking());
+    offer(["09:00", "10:00"]);
+
+    expect(await confirmBookingsFromOrder(shop, "ORDERS_PAID", order)).toBe(1);
+    expect(findAvailabilities).toHaveBeenCalledWith(
+      expect.objectContaining({ excludeBookingId: "42" }),
+      tx,
+    );
+    const { data } = tx.booking.update.mock.calls[0][0];
+    expect(data).toMatchObject({
+      orderId: "1001",
+      status: BOOKING_STATUS.CONFIRMED,
+      employeeId: 1n,
+      employees: { deleteMany: {}, create: [{ employeeId: 1n }] },
+    });
+  });
+
+  it("keeps an expired hold expired when its time was booked since", async () => {
+    tx.booking.findFirst.mockResolvedValue(heldBooking());
+    offer(["09:00"]);
+
+    expect(await confirmBookingsFromOrder(shop, "ORDERS_PAID", order)).toBe(1);
+    const { data } = tx.booking.update.mock.calls[0][0];
+    expect(data).toMatchObject({ orderId: "1001", status: BOOKING_STATUS.EXPIRED });
+    expect(data.confirmedAt).toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it("treats a pending hold past its expiry like an expired one", async () => {
+    tx.booking.findFirst.mockResolvedValue(heldBooking({ status: BOOKING_STATUS.PENDING }));
+    offer([]);
+
+    await confirmBookingsFromOrder(shop, "ORDERS_CREATE", { ...order, financial_status: "pending" });
+    const { data } = tx.booking.update.mock.calls[0][0];
+    expect(data.status).toBe(BOOKING_STATUS.EXPIRED);
+  });
+
+  it("fails the webhook when write conflicts outlast the retries", async () => {
+    tx.booking.findFirst.mockRejectedValue(
+      new Prisma.PrismaClientKnownRequestError("Write conflict", { code: "P2034" })
+    );
+
+    await expect(confirmBookingsFromOrder(shop, "ORDERS_PAID", order)).rejects.toThrow("Could not update booking 42");
+    expect(tx.booking.findFirst).toHaveBeenCalledTimes(3);
+  });
+});
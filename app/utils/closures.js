@@ -0,0 +1,91 @@
+/**
+ * Store closures
+ *
+ * Days the whole store is closed, regardless of employee schedules: a single date, a
+ * date range, or a holiday repeating every year on the same calendar days.
+ */
+
+import { toDateStr } from "./timezone";
+
+/**
+ * Check whether a closure covers a date
+ * Yearly closures repeat on the same month and day from their first year onwards;
+ * a yearly range may wrap the new year (e.g. Dec 24 – Jan 2).
+ * @param {Object} closure - Closure with startDate, endDate and recursYearly
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export function closureCoversDate(closure, dateStr) {
+  const startStr = toDateStr(closure.startDate);
+  const endStr = toDateStr(closure.endDate);
+
+  if (!closure.recursYearly) {
+    return startStr <= dateStr && dateStr <= endStr;
+  }
+
+  if (dateStr < startStr) return false;
+
+  const monthDay = dateStr.slice(5);
+  const startMonthDay = startStr.slice(5);
+  const endMonthDay = endStr.slice(5);
+
+  return startMonthDay <= endMonthDay
+    ? startMonthDay <= monthDay && monthDay <= endMonthDay
+    : monthDay >= startMonthDay || monthDay <= endMonthDay;
+}
+
+/**
+ * Find the closure that applies on a date
+ * @param {Array} closures - Store closures
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {Object|null} Closure or null when the store is open
+ */
+export function getClosureForDate(closures, dateStr) {
+  return closures.find((closure) => closureCoversDate(closure, dateStr)) || null;
+}
+
+/**
+ * Validate a closure
+ * @param {Object} closure - { name, startDate, endDate, recursYearly }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateClosure({ name, startDate, endDate, recursYearly }) {
+  if (!name?.trim()) {
+    return "Name is required";
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(startDate || "") || !datePattern.test(endDate || "")) {
+    return "Invalid date format. Expected YYYY-MM-DD";
+  }
+  if (endDate < startDate) {
+    return "End date must be on or after start date";
+  }
+
+  // A yearly range must fit within one year so it can be matched by month and day
+  if (recursYearly) {
+    const [year, month, day] = startDate.split("-").map(Number);
+    const nextYear = toDateStr(new Date(Date.UTC(year + 1, month - 1, day)));
+    if (endDate >= nextYear) {
+      return "A yearly closure must be shorter than a year";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe the dates of a closure, e.g. "Mar 3 – Mar 7, 2026" or "Dec 25 every year"
+ * @param {Object} closure - Closure with startDate, endDate and recursYearly
+ * @returns {string} Description
+ */
+export function formatClosureDates(closure) {
+  const options = closure.recursYearly
+    ? { timeZone: "UTC", month: "short", day: "numeric" }
+    : { timeZone: "UTC", month: "short", day: "numeric", year: "numeric" };
+  const start = new Date(closure.startDate).toLocaleDateString("en-US", options);
+  const end = new Date(closure.endDate).toLocaleDateString("en-US", options);
+  const dates = start === end ? start : `${start} – ${end}`;
+
+  return closure.recursYearly ? `${dates} every year` : dates;
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { closureCoversDate, getClosureForDate, validateClosure, formatClosureDates } from "./closures";
+
+const closure = (name, startDate, endDate, recursYearly = false) => ({
+  name,
+  startDate: new Date(`${startDate}T00:00:00Z`),
+  endDate: new Date(`${endDate}T00:00:00Z`),
+  recursYearly,
+});
+
+describe("closureCoversDate", () => {
+  it("covers every day of a one-off range", () => {
+    const renovation = closure("Renovation", "2030-03-04", "2030-03-08");
+
+    expect(closureCoversDate(renovation, "2030-03-04")).toBe(true);
+    expect(closureCoversDate(renovation, "2030-03-08")).toBe(true);
+    expect(closureCoversDate(renovation, "2030-03-09")).toBe(false);
+    expect(closureCoversDate(renovation, "2031-03-05")).toBe(false);
+  });
+
+  it("repeats yearly closures from their first year onwards", () => {
+    const christmas = closure("Christmas", "2030-12-25", "2030-12-25", true);
+
+    expect(closureCoversDate(christmas, "2030-12-25")).toBe(true);
+    expect(closureCoversDate(christmas, "2035-12-25")).toBe(true);
+    expect(closureCoversDate(christmas, "2029-12-25")).toBe(false);
+    expect(closureCoversDate(christmas, "2031-12-26")).toBe(false);
+  });
+
+  it("wraps yearly ranges over the new year", () => {
+    const holidays = closure("Holidays", "2030-12-24", "2031-01-02", true);
+
+    expect(closureCoversDate(holidays, "2031-12-31")).toBe(true);
+    expect(closureCoversDate(holidays, "2032-01-02")).toBe(true);
+    expect(closureCoversDate(holidays, "2032-01-03")).toBe(false);
+  });
+});
+
+describe("getClosureForDate", () => {
+  it("returns the closure of a closed day, null when open", () => {
+    const closures = [closure("Renovation", "2030-03-04", "2030-03-08")];
+
+    expect(getClosureForDate(closures, "2030-03-05").name).toBe("Renovation");
+    expect(getClosureForDate(closures, "2030-03-11")).toBeNull();
+  });
+});
+
+describe("validateClosure", () => {
+  const renovation = { name: "Renovation", startDate: "2030-03-04", endDate: "2030-03-08", recursYearly: false };
+
+  it("accepts dates and ranges", () => {
+    expect(validateClosure(renovation)).toBeNull();
+    expect(validateClosure({ ...renovation, name: "Holidays", startDate: "2030-12-24", endDate: "2031-01-02", recursYearly: true })).toBeNull();
+  });
+
+  it("rejects missing names, bad dates and year-long yearly closures", () => {
+    expect(validateClosure({ ...renovation, name: " " })).toBe("Name is required");
+    expect(validateClosure({ ...renovation, endDate: "" })).toBe("Invalid date format. Expected YYYY-MM-DD");
+    expect(validateClosure({ ...renovation, endDate: "2030-03-03" })).toBe("End date must be on or after start date");
+    expect(validateClosure({ ...renovation, endDate: "2031-03-04", recursYearly: true }))
+      .toBe("A yearly closure must be shorter than a year");
+  });
+});
+
+describe("formatClosureDates", () => {
+  it("describes one-off and yearly closures", () => {
+    expect(formatClosureDates(closure("Renovation", "2030-03-04", "2030-03-08"))).toBe("Mar 4, 2030 – Mar 8, 2030");
+    expect(formatClosureDates(closure("Christmas", "2030-12-25", "2030-12-25", true))).toBe("Dec 25 every year");
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Store locations
+ *
+ * A chain with several branches books each branch separately. Employees, resources and
+ * closures may belong to one location; a null locationId means the employee works at,
+ * the resource is shared by, or the closure applies to every location. A location may
+ * have its own opening hours, otherwise the store's apply.
+ */
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+
+/**
+ * Check whether an employee or resource can be booked at a location
+ * @param {Object} item - Employee or resource with locationId
+ * @param {string|BigInt} [locationId] - Location ID (none = every location)
+ * @returns {boolean}
+ */
+export function isAtLocation(item, locationId) {
+  return !locationId || !item.locationId || sameId(item.locationId, locationId);
+}
+
+/**
+ * Get the closures that apply at a location
+ * Closures of other locations are dropped; without a location only store-wide closures apply.
+ * @param {Array} closures - Store closures
+ * @param {string|BigInt} [locationId] - Location ID
+ * @returns {Array} Closures
+ */
+export function getLocationClosures(closures, locationId) {
+  return closures.filter((closure) => !closure.locationId || (locationId && sameId(closure.locationId, locationId)));
+}
+
+/**
+ * Get the settings that apply at a location
+ * @param {Object} settings - Store settings
+ * @param {Object} [location] - Location with optional openingHours
+ * @returns {Object} Settings with the location's opening hours when it has its own
+ */
+export function getLocationSettings(settings, location) {
+  if (!location?.openingHours) return settings;
+  return { ...settings, openingHours: location.openingHours };
+}
+
+/**
+ * Get the name of a location by ID
+ * @param {Array} locations - Store locations
+ * @param {string|BigInt} [locationId] - Location ID
+ * @returns {string} Name, or "All locations" when there is no location
+ */
+export function formatLocationName(locations, locationId) {
+  if (!locationId) return "All locations";
+  return locations.find((location) => sameId(location.id, locationId))?.name || "Unknown location";
+}
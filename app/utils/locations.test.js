@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { isAtLocation, getLocationClosures, getLocationSettings, formatLocationName } from "./locations";
+
+describe("isAtLocation", () => {
+  it("matches items of the location and items without one", () => {
+    expect(isAtLocation({ locationId: 8n }, "8")).toBe(true);
+    expect(isAtLocation({ locationId: null }, "8")).toBe(true);
+    expect(isAtLocation({ locationId: 9n }, "8")).toBe(false);
+    expect(isAtLocation({ locationId: 9n }, null)).toBe(true);
+  });
+});
+
+describe("getLocationClosures", () => {
+  const closures = [
+    { name: "Christmas", locationId: null },
+    { name: "Renovation", locationId: 8n },
+  ];
+
+  it("keeps store-wide closures and the location's own", () => {
+    expect(getLocationClosures(closures, 8n).map((closure) => closure.name)).toEqual(["Christmas", "Renovation"]);
+    expect(getLocationClosures(closures, 9n).map((closure) => closure.name)).toEqual(["Christmas"]);
+    expect(getLocationClosures(closures, null).map((closure) => closure.name)).toEqual(["Christmas"]);
+  });
+});
+
+describe("getLocationSettings", () => {
+  const settings = { openDays: "1,2,3,4,5", openingHours: null };
+
+  it("uses the location's opening hours when it has its own", () => {
+    const openingHours = { 6: [{ startTime: "10:00", endTime: "14:00" }] };
+
+    expect(getLocationSettings(settings, { openingHours })).toEqual({ ...settings, openingHours });
+    expect(getLocationSettings(settings, { openingHours: null })).toBe(settings);
+    expect(getLocationSettings(settings, null)).toBe(settings);
+  });
+});
+
+describe("formatLocationName", () => {
+  it("names a location", () => {
+    const locations = [{ id: 8n, name: "Downtown" }];
+
+    expect(formatLocationName(locations, "8")).toBe("Downtown");
+    expect(formatLocationName(locations, "9")).toBe("Unknown location");
+    expect(formatLocationName(locations, null)).toBe("All locations");
+  });
+});
@@ -0,0 +1,89 @@
+import { getZonedDateStr, addDaysToDateStr, zonedTimeToUtc } from "./timezone";
+import { getOpeningHoursForDate } from "./weeklyHours";
+import { getClosureForDate } from "./closures";
+
+/**
+ * Minimum booking notice
+ *
+ * How long before a slot starts customers must book it: a number of minutes, or
+ * "next business day" (nothing today; the first bookable day is the next day the store
+ * is open). Stored as a string like the slot interval. The store default lives on
+ * Settings and a service may override it.
+ */
+
+export const NOTICE_NEXT_BUSINESS_DAY = "next_business_day";
+
+export const DEFAULT_MINIMUM_NOTICE = "0";
+
+export const MINIMUM_NOTICE_OPTIONS = [
+  { value: "0", label: "No minimum" },
+  { value: "15", label: "15 minutes" },
+  { value: "30", label: "30 minutes" },
+  { value: "60", label: "1 hour" },
+  { value: "120", label: "2 hours" },
+  { value: "240", label: "4 hours" },
+  { value: "720", label: "12 hours" },
+  { value: "1440", label: "24 hours" },
+  { value: "2880", label: "48 hours" },
+  { value: NOTICE_NEXT_BUSINESS_DAY, label: "Next business day" },
+];
+
+/**
+ * Check whether a value is one of the supported notices
+ * @param {string} value - Notice value
+ * @returns {boolean}
+ */
+export function isValidMinimumNotice(value) {
+  return MINIMUM_NOTICE_OPTIONS.some((option) => option.value === value);
+}
+
+/**
+ * Resolve the notice that applies to a service
+ * @param {Object} service - Service with optional minimumNotice override
+ * @param {Object} settings - Store settings with minimumNotice
+ * @returns {string} Notice value
+ */
+export function getMinimumNotice(service, settings) {
+  if (isValidMinimumNotice(service?.minimumNotice)) return service.minimumNotice;
+  if (isValidMinimumNotice(settings?.minimumNotice)) return settings.minimumNotice;
+  return DEFAULT_MINIMUM_NOTICE;
+}
+
+/**
+ * Get the label of a notice
+ * @param {string} value - Notice value
+ * @returns {string} Label, e.g. "2 hours"
+ */
+export function formatMinimumNotice(value) {
+  return MINIMUM_NOTICE_OPTIONS.find((option) => option.value === value)?.label || "";
+}
+
+/**
+ * Get the earliest instant a slot may start to respect a notice
+ * "Next business day" resolves to midnight (store time) of the first day after today with
+ * opening hours that isn't a store closure.
+ * @param {string} notice - Notice value
+ * @param {Object} params
+ * @param {Object} params.settings - Store settings (opening hours)
+ * @param {string} params.timeZone - Store IANA timezone
+ * @param {Array} [params.closures] - Store closures
+ * @param {Date} now - Reference time
+ * @returns {Date} Earliest bookable instant
+ */
+export function getEarliestBookableTime(notice, { settings, timeZone, closures = [] }, now = new Date()) {
+  if (notice === NOTICE_NEXT_BUSINESS_DAY) {
+    let dateStr = addDaysToDateStr(getZonedDateStr(timeZone, now), 1);
+
+    // Look up to a year ahead for an open day
+    for (let i = 0; i < 366; i++) {
+      if (getOpeningHoursForDate(settings, dateStr).length > 0 && !getClosureForDate(closures, dateStr)) {
+        break;
+      }
+      dateStr = addDaysToDateStr(dateStr, 1);
+    }
+
+    return zonedTimeToUtc(dateStr, "00:00", timeZone);
+  }
+
+  return new Date(now.getTime() + (Number(notice) || 0) * 60000);
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_MINIMUM_NOTICE,
+  NOTICE_NEXT_BUSINESS_DAY,
+  getMinimumNotice,
+  formatMinimumNotice,
+  getEarliestBookableTime,
+} from "./minimumNotice";
+
+// Open 09:00–17:00 on weekdays
+const settings = { openDays: "1,2,3,4,5", workingHoursStart: "09:00", workingHoursEnd: "17:00" };
+
+describe("getMinimumNotice", () => {
+  it("lets a service override the store default", () => {
+    expect(getMinimumNotice({ minimumNotice: "120" }, { minimumNotice: "60" })).toBe("120");
+    expect(getMinimumNotice({ minimumNotice: null }, { minimumNotice: NOTICE_NEXT_BUSINESS_DAY }))
+      .toBe(NOTICE_NEXT_BUSINESS_DAY);
+    expect(getMinimumNotice({ minimumNotice: "90" }, {})).toBe(DEFAULT_MINIMUM_NOTICE);
+  });
+});
+
+describe("formatMinimumNotice", () => {
+  it("labels a notice", () => {
+    expect(formatMinimumNotice("120")).toBe("2 hours");
+    expect(formatMinimumNotice(NOTICE_NEXT_BUSINESS_DAY)).toBe("Next business day");
+  });
+});
+
+describe("getEarliestBookableTime", () => {
+  // Saturday 9 March 2030, 09:00 in Sydney
+  const now = new Date("2030-03-08T22:00:00Z");
+
+  it("adds a notice in minutes to now", () => {
+    expect(getEarliestBookableTime("120", { settings, timeZone: "UTC" }, now).toISOString())
+      .toBe("2030-03-09T00:00:00.000Z");
+    expect(getEarliestBookableTime("0", { settings, timeZone: "UTC" }, now)).toEqual(now);
+  });
+
+  it("starts the next business day at midnight store time", () => {
+    // Sunday is closed, so Monday 11 March at midnight in Sydney
+    expect(getEarliestBookableTime(NOTICE_NEXT_BUSINESS_DAY, { settings, timeZone: "Australia/Sydney" }, now).toISOString())
+      .toBe("2030-03-10T13:00:00.000Z");
+  });
+
+  it("skips store closures when looking for the next business day", () => {
+    const closures = [{
+      startDate: new Date("2030-03-11T00:00:00Z"),
+      endDate: new Date("2030-03-11T00:00:00Z"),
+      recursYearly: false,
+    }];
+
+    expect(getEarliestBookableTime(NOTICE_NEXT_BUSINESS_DAY, { settings, timeZone: "Australia/Sydney", closures }, now).toISOString())
+      .toBe("2030-03-11T13:00:00.000Z");
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Service resource requirements
+ *
+ * A service may need several resource types for each booking, each with a quantity, such
+ * as a treatment room plus a laser device. A booking reserves one concrete resource of
+ * every required type. A service without requirements needs one unit of any resource when
+ * resources are enabled.
+ */
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+
+/**
+ * Get the resource types a service needs for each booking
+ * @param {Object} service - Service with resourceRequirements (and their resourceType)
+ * @returns {Array} [{ resourceTypeId, name, quantity }] - a single requirement with a null
+ *   resourceTypeId ("any resource") when the service has none
+ */
+export function getResourceRequirements(service) {
+  const requirements = service?.resourceRequirements || [];
+  if (requirements.length === 0) {
+    return [{ resourceTypeId: null, name: "Resource", quantity: 1 }];
+  }
+  return requirements.map((requirement) => ({
+    resourceTypeId: requirement.resourceTypeId.toString(),
+    name: requirement.resourceType?.name || "Resource",
+    quantity: Math.max(requirement.quantity || 1, 1),
+  }));
+}
+
+/**
+ * Check whether a resource can fill a requirement
+ * @param {Object} resource - Resource with resourceTypeId
+ * @param {Object} requirement - Requirement from getResourceRequirements
+ * @returns {boolean}
+ */
+export function matchesRequirement(resource, requirement) {
+  return !requirement.resourceTypeId || sameId(resource.resourceTypeId, requirement.resourceTypeId);
+}
+
+/**
+ * Validate the requirements edited on a service
+ * @param {Array} requirements - [{ resourceTypeId, quantity }]
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateResourceRequirements(requirements) {
+  const typeIds = new Set();
+  for (const requirement of requirements) {
+    if (!requirement.resourceTypeId) {
+      return "Choose a resource type for each requirement";
+    }
+    if (typeIds.has(requirement.resourceTypeId.toString())) {
+      return "Each resource type can only be required once";
+    }
+    typeIds.add(requirement.resourceTypeId.toString());
+
+    if (!Number.isInteger(requirement.quantity) || requirement.quantity < 1) {
+      return "Each requirement needs at least one unit";
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a service's requirements for lists (e.g. "Treatment room, Laser × 2")
+ * @param {Array} requirements - Service resourceRequirements with resourceType
+ * @returns {string} Description, or "None" when the service has none
+ */
+export function formatResourceRequirements(requirements = []) {
+  if (requirements.length === 0) return "None";
+  return requirements
+    .map((requirement) => {
+      const name = requirement.resourceType?.name || "Resource";
+      return requirement.quantity > 1 ? `${name} × ${requirement.quantity}` : name;
+    })
+    .join(", ");
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import {
+  getResourceRequirements,
+  matchesRequirement,
+  validateResourceRequirements,
+  formatResourceRequirements,
+} from "./resourceRequirements";
+
+const requirements = [
+  { resourceTypeId: 7n, quantity: 1, resourceType: { name: "Treatment room" } },
+  { resourceTypeId: 8n, quantity: 2, resourceType: { name: "Laser" } },
+];
+
+describe("getResourceRequirements", () => {
+  it("lists every required type with its quantity", () => {
+    expect(getResourceRequirements({ resourceRequirements: requirements })).toEqual([
+      { resourceTypeId: "7", name: "Treatment room", quantity: 1 },
+      { resourceTypeId: "8", name: "Laser", quantity: 2 },
+    ]);
+  });
+
+  it("needs one unit of any resource when the service has no requirements", () => {
+    expect(getResourceRequirements({ resourceRequirements: [] })).toEqual([
+      { resourceTypeId: null, name: "Resource", quantity: 1 },
+    ]);
+  });
+});
+
+describe("matchesRequirement", () => {
+  it("matches resources of the required type, or any resource", () => {
+    expect(matchesRequirement({ resourceTypeId: 7n }, { resourceTypeId: "7" })).toBe(true);
+    expect(matchesRequirement({ resourceTypeId: 8n }, { resourceTypeId: "7" })).toBe(false);
+    expect(matchesRequirement({ resourceTypeId: 8n }, { resourceTypeId: null })).toBe(true);
+  });
+});
+
+describe("validateResourceRequirements", () => {
+  it("accepts distinct types with whole quantities", () => {
+    expect(validateResourceRequirements([{ resourceTypeId: "7", quantity: 1 }, { resourceTypeId: "8", quantity: 2 }])).toBeNull();
+    expect(validateResourceRequirements([])).toBeNull();
+  });
+
+  it("rejects missing or repeated types and empty quantities", () => {
+    expect(validateResourceRequirements([{ resourceTypeId: "", quantity: 1 }]))
+      .toBe("Choose a resource type for each requirement");
+    expect(validateResourceRequirements([{ resourceTypeId: "7", quantity: 1 }, { resourceTypeId: "7", quantity: 2 }]))
+      .toBe("Each resource type can only be required once");
+    expect(validateResourceRequirements([{ resourceTypeId: "7", quantity: 0 }]))
+      .toBe("Each requirement needs at least one unit");
+  });
+});
+
+describe("formatResourceRequirements", () => {
+  it("describes the requirements", () => {
+    expect(formatResourceRequirements(requirements)).toBe("Treatment room, Laser × 2");
+    expect(formatResourceRequirements()).toBe("None");
+  });
+});
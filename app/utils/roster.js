@@ -0,0 +1,171 @@
+/**
+ * Staff rosters
+ *
+ * The roster optimizer proposes a month of Schedule rows from the shifts the store needs
+ * covered (e.g. "Morning, Mon–Fri 09:00–13:00, 2 staff who provide massages"), the
+ * employees' skills, time off and date preferences, and fairness rules.
+ */
+
+import { formatWeeklyHours } from "./weeklyHours";
+import { getClosureForDate } from "./closures";
+import { getLocationClosures, isAtLocation } from "./locations";
+
+// How an employee feels about working on a date (RosterPreference.type)
+export const ROSTER_PREFERENCE = {
+  DESIRED: "desired",
+  UNDESIRED: "undesired",
+};
+
+export const ROSTER_PREFERENCE_OPTIONS = [
+  { value: ROSTER_PREFERENCE.DESIRED, label: "Would like to work" },
+  { value: ROSTER_PREFERENCE.UNDESIRED, label: "Would rather be off" },
+];
+
+// Fairness rules used when the merchant doesn't change them
+export const DEFAULT_ROSTER_RULES = {
+  maxShiftsPerWeek: 5,
+  minRestHours: 10,
+};
+
+/**
+ * Check whether a value is one of the supported preferences
+ * @param {string} value - Preference value
+ * @returns {boolean}
+ */
+export function isValidRosterPreference(value) {
+  return ROSTER_PREFERENCE_OPTIONS.some((option) => option.value === value);
+}
+
+/**
+ * Get the label of a preference
+ * @param {string} type - Preference value
+ * @returns {string} Label, e.g. "Would rather be off"
+ */
+export function formatRosterPreference(type) {
+  return ROSTER_PREFERENCE_OPTIONS.find((option) => option.value === type)?.label || type;
+}
+
+/**
+ * Validate a shift to cover
+ * @param {Object} shift - { name, weekdays, startTime, endTime, staffNeeded }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateRosterShift({ name, weekdays, startTime, endTime, staffNeeded }) {
+  if (!name?.trim()) {
+    return "Shift name is required";
+  }
+  if (!Array.isArray(weekdays) || weekdays.length === 0) {
+    return "Choose at least one day for the shift";
+  }
+  if (weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return "Invalid day of week";
+  }
+
+  const timePattern = /^\d{2}:\d{2}$/;
+  if (!timePattern.test(startTime || "") || !timePattern.test(endTime || "")) {
+    return "Invalid time format. Expected HH:MM";
+  }
+  if (endTime <= startTime) {
+    return "End time must be after start time";
+  }
+
+  if (!Number.isInteger(staffNeeded) || staffNeeded < 1) {
+    return "A shift needs at least one employee";
+  }
+
+  return null;
+}
+
+/**
+ * Validate the fairness rules of a roster run
+ * @param {Object} rules - { maxShiftsPerWeek, minRestHours }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateRosterRules({ maxShiftsPerWeek, minRestHours }) {
+  if (!Number.isInteger(maxShiftsPerWeek) || maxShiftsPerWeek < 1 || maxShiftsPerWeek > 7) {
+    return "Shifts per week must be between 1 and 7";
+  }
+  if (!Number.isInteger(minRestHours) || minRestHours < 0 || minRestHours > 24) {
+    return "Rest between shifts must be between 0 and 24 hours";
+  }
+  return null;
+}
+
+/**
+ * Validate the assignments of a roster against the shifts it was proposed for
+ * Each assignment must be a position of one of the shifts (its times, on a day it runs and
+ * the location is open), for an employee with the shift's skill at its location, and no
+ * shift may get more employees than it needs. Anything else means the proposal is stale
+ * or was edited.
+ * @param {Array} assignments - { shiftId, date, startTime, endTime, employeeId }
+ * @param {Object} context
+ * @param {Array} context.shifts - The store's roster shifts
+ * @param {Array} context.employees - Employees of the roster (with serviceIds, locationId)
+ * @param {Array} context.dates - Dates the roster covers (YYYY-MM-DD)
+ * @param {Array} context.closures - Store closures
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateRosterAssignments(assignments, { shifts, employees, dates, closures }) {
+  const staleError = "The roster no longer matches the shifts to cover. Optimize it again";
+  const rosterDates = new Set(dates);
+  const staffByPosition = new Map();
+
+  for (const a of assignments) {
+    const shift = shifts.find((s) => s.id.toString() === String(a.shiftId));
+    const employee = employees.find((emp) => emp.id.toString() === String(a.employeeId));
+    if (!shift || !employee || !rosterDates.has(a.date)) {
+      return staleError;
+    }
+
+    const [year, month, day] = a.date.split("-").map(Number);
+    if (
+      a.startTime !== shift.startTime || a.endTime !== shift.endTime ||
+      !shift.weekdays.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay()) ||
+      getClosureForDate(getLocationClosures(closures, shift.locationId), a.date)
+    ) {
+      return staleError;
+    }
+    if (
+      (shift.serviceId && !(employee.serviceIds || []).map(String).includes(shift.serviceId.toString())) ||
+      !isAtLocation(employee, shift.locationId)
+    ) {
+      return staleError;
+    }
+
+    const position = `${shift.id}|${a.date}`;
+    const staff = staffByPosition.get(position) || new Set();
+    if (staff.has(employee.id.toString()) || staff.size >= shift.staffNeeded) {
+      return staleError;
+    }
+    staffByPosition.set(position, staff.add(employee.id.toString()));
+  }
+
+  return null;
+}
+
+/**
+ * Describe when a shift runs (e.g. "Mon–Fri 09:00–13:00")
+ * @param {Object} shift - { weekdays, startTime, endTime }
+ * @returns {string} Summary
+ */
+export function formatRosterShift(shift) {
+  const weeklyHours = Object.fromEntries(
+    (shift.weekdays || []).map((day) => [day, [{ startTime: shift.startTime, endTime: shift.endTime }]])
+  );
+  return formatWeeklyHours(weeklyHours);
+}
+
+/**
+ * Describe a roster score (e.g. "Feasible · 2 shifts unfilled · soft -3.5")
+ * Hard constraints must hold, unfilled shifts come next and soft constraints last.
+ * @param {Object} score - { hard, medium, soft }
+ * @returns {string} Summary
+ */
+export function formatRosterScore({ hard, medium, soft }) {
+  const parts = [hard < 0 ? `${-hard} rule violations` : "Feasible"];
+  if (medium < 0) {
+    parts.push(`${-medium} ${medium === -1 ? "shift" : "shifts"} unfilled`);
+  }
+  parts.push(`soft ${soft.toFixed(1)}`);
+  return parts.join(" · ");
+}
@@ -0,0 +1,275 @@
+import prisma from "../db.server";
+import { getBusyBookingFilter } from "./availability.server";
+import { getStoreTimeZone, getZonedDateStr, toDateStr } from "./timezone";
+import { getClosureForDate } from "./closures";
+import { getLocationClosures } from "./locations";
+import { TIME_OFF_STATUS, getTimeOffForDate, isAllDayTimeOff } from "./timeOff";
+import { ROSTER_PREFERENCE, validateRosterAssignments } from "./roster";
+import { solveRoster } from "./rosterSolver";
+
+// Parse a YYYY-MM-DD date as UTC midnight, like all Schedule dates
+const parseDate = (dateStr) => {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Every date from startDate to endDate (YYYY-MM-DD, inclusive)
+const listDates = (startDate, endDate) => {
+  const dates = [];
+  for (let date = parseDate(startDate); toDateStr(date) <= endDate; date.setUTCDate(date.getUTCDate() + 1)) {
+    dates.push(toDateStr(date));
+  }
+  return dates;
+};
+
+/**
+ * Get the dates a roster covers: the days of a month from today (store time) on
+ * @param {number} year - Year
+ * @param {number} month - Month (0 = January)
+ * @param {string} timeZone - Store timezone
+ * @returns {Array} Dates (YYYY-MM-DD), empty when the month is over
+ */
+function getRosterDates(year, month, timeZone) {
+  const today = getZonedDateStr(timeZone);
+  const firstDay = toDateStr(new Date(Date.UTC(year, month, 1)));
+  const lastDay = toDateStr(new Date(Date.UTC(year, month + 1, 0)));
+  return listDates(firstDay > today ? firstDay : today, lastDay);
+}
+
+/**
+ * Propose a roster for the rest of a month
+ * Each roster shift is expanded on the weekdays it runs (skipping closures at its location).
+ * Approved whole-day time off makes an employee unavailable; roster preferences mark desired
+ * and undesired dates. Bookings the proposal would leave outside an employee's hours are
+ * returned as conflicts for the merchant to review.
+ * @param {string} shop - Shop domain
+ * @param {Object} params
+ * @param {number} params.year - Year
+ * @param {number} params.month - Month (0 = January)
+ * @param {Object} params.rules - { maxShiftsPerWeek, minRestHours }
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Object>} { success: true, roster } or { success: false, error }
+ */
+export async function optimizeRoster(shop, { year, month, rules }, db = prisma) {
+  const store = await db.store.findUnique({
+    where: { shop },
+    include: {
+      employees: {
+        where: { isActive: true },
+        orderBy: { createdAt: "asc" },
+      },
+      closures: true,
+      rosterShifts: {
+        orderBy: { startTime: "asc" },
+      },
+    },
+  });
+
+  if (!store) {
+    return { success: false, error: "Store not found" };
+  }
+  if (store.rosterShifts.length === 0) {
+    return { success: false, error: "Add the shifts to cover first" };
+  }
+
+  const dates = getRosterDates(year, month, getStoreTimeZone(store));
+  if (dates.length === 0) {
+    return { success: false, error: "This month is already over" };
+  }
+  const startDate = dates[0];
+  const endDate = dates[dates.length - 1];
+  const employeeIds = store.employees.map((emp) => emp.id);
+
+  const timeOff = await db.timeOff.findMany({
+    where: {
+      employeeId: { in: employeeIds },
+      shop,
+      status: TIME_OFF_STATUS.APPROVED,
+      startDate: { lte: parseDate(endDate) },
+      OR: [{ endDate: null }, { endDate: { gte: parseDate(startDate) } }],
+    },
+  });
+
+  const preferences = await db.rosterPreference.findMany({
+    where: {
+      employeeId: { in: employeeIds },
+      date: { gte: parseDate(startDate), lte: parseDate(endDate) },
+    },
+  });
+
+  const shifts = dates.flatMap((date) => {
+    const dayOfWeek = parseDate(date).getUTCDay();
+    return store.rosterShifts
+      .filter((shift) =>
+        shift.weekdays.includes(dayOfWeek) &&
+        !getClosureForDate(getLocationClosures(store.closures, shift.locationId), date)
+      )
+      .map((shift) => ({
+        shiftId: shift.id.toString(),
+        name: shift.name,
+        date,
+        startTime: shift.startTime,
+        endTime: shift.endTime,
+        staffNeeded: shift.staffNeeded,
+        serviceId: shift.serviceId?.toString() || null,
+        locationId: shift.locationId?.toString() || null,
+      }));
+  });
+
+  const employees = store.employees.map((emp) => {
+    const ownTimeOff = timeOff.filter((entry) => entry.employeeId === emp.id && isAllDayTimeOff(entry.type));
+    const ownPreferences = preferences.filter((pref) => pref.employeeId === emp.id);
+    const datesOf = (type) => ownPreferences.filter((pref) => pref.type === type).map((pref) => toDateStr(pref.date));
+
+    return {
+      id: emp.id.toString(),
+      name: emp.name,
+      serviceIds: (emp.serviceIds || []).map(String),
+      locationId: emp.locationId?.toString() || null,
+      unavailableDates: dates.filter((date) => getTimeOffForDate(ownTimeOff, date).length > 0),
+      desiredDates: datesOf(ROSTER_PREFERENCE.DESIRED),
+      undesiredDates: datesOf(ROSTER_PREFERENCE.UNDESIRED),
+    };
+  });
+
+  const result = await solveRoster({ shifts, employees, rules });
+
+  // Bookings of rostered employees that fall outside their proposed shifts
+  const rosteredIds = result.employees.filter((emp) => emp.rostered).map((emp) => emp.id);
+  const bookings = await db.booking.findMany({
+    where: {
+      shop,
+      date: { gte: parseDate(startDate), lte: parseDate(endDate) },
+      employees: { some: { employeeId: { in: rosteredIds.map(BigInt) } } },
+      ...getBusyBookingFilter(),
+    },
+    include: { employees: true },
+    orderBy: [{ date: "asc" }, { startTime: "asc" }],
+  });
+  const conflicts = bookings.flatMap((booking) => {
+    const date = toDateStr(booking.date);
+    return booking.employees
+      .map((assignment) => assignment.employeeId.toString())
+      .filter((employeeId) => rosteredIds.includes(employeeId))
+      .filter((employeeId) => !result.assignments.some((a) =>
+        a.employeeId === employeeId && a.date === date &&
+        a.startTime <= booking.startTime && a.endTime >= booking.endTime
+      ))
+      .map((employeeId) => ({
+        bookingId: booking.id.toString(),
+        employeeId,
+        date,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+      }));
+  });
+
+  console.log('[Roster] Optimized roster:', {
+    shop,
+    startDate,
+    endDate,
+    positions: result.assignments.length,
+    score: result.score,
+    conflicts: conflicts.length,
+  });
+
+  return {
+    success: true,
+    roster: {
+      startDate,
+      endDate,
+      rules,
+      ...result,
+      conflicts,
+    },
+  };
+}
+
+/**
+ * Save an accepted roster as Schedule rows
+ * Every rostered employee gets a dated schedule for each day of the roster: their shifts,
+ * or no hours (a day off). These replace any schedules already set on those days.
+ * The days are worked out again here (the rest of the proposed month), so a client can't
+ * write schedules outside the month that was optimized, and every assignment must still be
+ * a position of one of the store's shifts: a stale or edited roster is rejected.
+ * @param {string} shop - Shop domain
+ * @param {Object} roster - { year, month, employeeIds, assignments } (month: 0 = January;
+ *   employeeIds and assignments as returned by optimizeRoster)
+ * @param {Object} db - Prisma client
+ * @returns {Promise<Object>} { success: true, count } or { success: false, error }
+ */
+export async function acceptRoster(shop, { year, month, employeeIds, assignments }, db = prisma) {
+  if (!Number.isInteger(year) || !Number.isInteger(month) || month < 0 || month > 11) {
+    return { success: false, error: "Invalid roster month" };
+  }
+  if (
+    !Array.isArray(employeeIds) || !Array.isArray(assignments) ||
+    employeeIds.some((id) => !/^\d+$/.test(String(id))) ||
+    assignments.some((a) => !a || typeof a !== "object")
+  ) {
+    return { success: false, error: "Invalid roster" };
+  }
+
+  const store = await db.store.findUnique({
+    where: { shop },
+    include: { closures: true, rosterShifts: true },
+  });
+  if (!store) {
+    return { success: false, error: "Store not found" };
+  }
+
+  const dates = getRosterDates(year, month, getStoreTimeZone(store));
+  if (dates.length === 0) {
+    return { success: false, error: "This month is already over" };
+  }
+  const startDate = dates[0];
+  const endDate = dates[dates.length - 1];
+
+  const employees = await db.employee.findMany({
+    where: { id: { in: employeeIds.map(BigInt) }, shop },
+    select: { id: true, serviceIds: true, locationId: true },
+  });
+  if (employees.length === 0) {
+    return { success: false, error: "The roster has no employees" };
+  }
+
+  const assignmentsError = validateRosterAssignments(assignments, {
+    shifts: store.rosterShifts,
+    employees,
+    dates,
+    closures: store.closures,
+  });
+  if (assignmentsError) {
+    return { success: false, error: assignmentsError };
+  }
+
+  const schedules = employees.flatMap((emp) => dates.map((date) => ({
+    employeeId: emp.id,
+    shop,
+    date: parseDate(date),
+    slots: assignments
+      .filter((a) => String(a.employeeId) === emp.id.toString() && a.date === date)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .map((a) => ({ startTime: a.startTime, endTime: a.endTime, isAvailable: true, bookingId: null })),
+  })));
+
+  await db.$transaction([
+    db.schedule.deleteMany({
+      where: {
+        employeeId: { in: employees.map((emp) => emp.id) },
+        date: { gte: parseDate(startDate), lte: parseDate(endDate) },
+      },
+    }),
+    db.schedule.createMany({ data: schedules }),
+  ]);
+
+  console.log('[Roster] Accepted roster:', {
+    shop,
+    startDate,
+    endDate,
+    employees: employees.length,
+    schedules: schedules.length,
+  });
+
+  return { success: true, count: schedules.length };
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect } from "vitest";
+import { validateRosterAssignments, validateRosterShift, validateRosterRules, formatRosterScore } from "./roster";
+
+// Monday 7 and Tuesday 8 January 2030
+const MONDAY = "2030-01-07";
+const TUESDAY = "2030-01-08";
+
+const shifts = [
+  { id: 1n, weekdays: [1, 2], startTime: "09:00", endTime: "13:00", staffNeeded: 1, serviceId: 3n, locationId: null },
+  { id: 2n, weekdays: [1], startTime: "14:00", endTime: "18:00", staffNeeded: 2, serviceId: null, locationId: 8n },
+];
+
+const employees = [
+  { id: 1n, serviceIds: ["3"], locationId: null },
+  { id: 2n, serviceIds: [], locationId: 8n },
+  { id: 3n, serviceIds: ["3"], locationId: 9n },
+];
+
+const context = { shifts, employees, dates: [MONDAY, TUESDAY], closures: [] };
+
+const assignment = (overrides = {}) => ({
+  shiftId: "1",
+  date: MONDAY,
+  startTime: "09:00",
+  endTime: "13:00",
+  employeeId: "1",
+  ...overrides,
+});
+
+describe("validateRosterAssignments", () => {
+  it("accepts assignments that match the shifts", () => {
+    expect(validateRosterAssignments([
+      assignment(),
+      assignment({ date: TUESDAY }),
+      assignment({ shiftId: "2", startTime: "14:00", endTime: "18:00", employeeId: "2" }),
+      assignment({ shiftId: "2", startTime: "14:00", endTime: "18:00", employeeId: "1" }),
+    ], context)).toBeNull();
+  });
+
+  it("rejects assignments of unknown shifts, employees or dates", () => {
+    expect(validateRosterAssignments([assignment({ shiftId: "7" })], context)).not.toBeNull();
+    expect(validateRosterAssignments([assignment({ employeeId: "7" })], context)).not.toBeNull();
+    expect(validateRosterAssignments([assignment({ date: "2030-01-14" })], context)).not.toBeNull();
+  });
+
+  it("rejects times that differ from the shift's", () => {
+    expect(validateRosterAssignments([assignment({ endTime: "23:00" })], context)).not.toBeNull();
+  });
+
+  it("rejects days the shift doesn't run or its location is closed", () => {
+    const wednesday = { ...context, dates: [...context.dates, "2030-01-09"] };
+    expect(validateRosterAssignments([assignment({ date: "2030-01-09" })], wednesday)).not.toBeNull();
+
+    const closed = { ...context, closures: [{ startDate: new Date(Date.UTC(2030, 0, 7)), endDate: new Date(Date.UTC(2030, 0, 7)), locationId: null }] };
+    expect(validateRosterAssignments([assignment()], closed)).not.toBeNull();
+  });
+
+  it("rejects employees without the skill or at another location", () => {
+    expect(validateRosterAssignments([assignment({ employeeId: "2" })], context)).not.toBeNull();
+    expect(validateRosterAssignments([
+      assignment({ shiftId: "2", startTime: "14:00", endTime: "18:00", employeeId: "3" }),
+    ], context)).not.toBeNull();
+  });
+
+  it("rejects more employees than the shift needs, or the same employee twice", () => {
+    expect(validateRosterAssignments([assignment(), assignment({ employeeId: "3" })], context)).not.toBeNull();
+    expect(validateRosterAssignments([
+      assignment({ shiftId: "2", startTime: "14:00", endTime: "18:00", employeeId: "2" }),
+      assignment({ shiftId: "2", startTime: "14:00", endTime: "18:00", employeeId: "2" }),
+    ], context)).not.toBeNull();
+  });
+});
+
+describe("validateRosterShift", () => {
+  const shift = { name: "Morning", weekdays: [1, 2], startTime: "09:00", endTime: "13:00", staffNeeded: 1 };
+
+  it("accepts a valid shift", () => {
+    expect(validateRosterShift(shift)).toBeNull();
+  });
+
+  it("rejects missing days, bad times and no staff", () => {
+    expect(validateRosterShift({ ...shift, name: " " })).toBe("Shift name is required");
+    expect(validateRosterShift({ ...shift, weekdays: [] })).toBe("Choose at least one day for the shift");
+    expect(validateRosterShift({ ...shift, weekdays: [7] })).toBe("Invalid day of week");
+    expect(validateRosterShift({ ...shift, endTime: "9:00" })).toBe("Invalid time format. Expected HH:MM");
+    expect(validateRosterShift({ ...shift, endTime: "09:00" })).toBe("End time must be after start time");
+    expect(validateRosterShift({ ...shift, staffNeeded: 0 })).toBe("A shift needs at least one employee");
+  });
+});
+
+describe("validateRosterRules", () => {
+  it("keeps shifts per week and rest hours in range", () => {
+    expect(validateRosterRules({ maxShiftsPerWeek: 5, minRestHours: 10 })).toBeNull();
+    expect(validateRosterRules({ maxShiftsPerWeek: 8, minRestHours: 10 })).not.toBeNull();
+    expect(validateRosterRules({ maxShiftsPerWeek: 5, minRestHours: 25 })).not.toBeNull();
+  });
+});
+
+describe("formatRosterScore", () => {
+  it("lists rule violations, unfilled shifts and the soft score", () => {
+    expect(formatRosterScore({ hard: 0, medium: 0, soft: -3.46 })).toBe("Feasible · soft -3.5");
+    expect(formatRosterScore({ hard: -2, medium: -1, soft: 0 })).toBe("2 rule violations · 1 shift unfilled · soft 0.0");
+  });
+});
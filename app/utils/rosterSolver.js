@@ -0,0 +1,298 @@
+/**
+ * Roster optimizer
+ *
+ * An in-process local search solver modelled on Timefold's employee scheduling quickstart.
+ * Every position (one employee needed on one shift on one date) gets an employee or stays
+ * unfilled. Skills, location and unavailable dates limit which employees can take a
+ * position; the score weighs everything else, level by level:
+ * - hard: one shift per day, minimum rest between shifts, maximum shifts per week
+ * - medium: unfilled positions
+ * - soft: hours on desired dates (reward) and undesired dates (penalty), and the
+ *   unfairness of hours between employees
+ * A construction heuristic fills the hardest positions first, then late acceptance search
+ * improves the roster. The search is seeded, so a problem always gives the same proposal
+ * (as long as it finishes within the time limit).
+ *
+ * The solver runs on the request thread, so it works in short slices and hands the event
+ * loop back between them: storefront availability and webhooks keep being served meanwhile.
+ */
+
+import { isAtLocation } from "./locations";
+
+const DAY_MINUTES = 24 * 60;
+const DEFAULT_ITERATIONS = 20000;
+const DEFAULT_TIME_LIMIT = 2000;
+// Longest stretch of work before the event loop is handed back
+const SLICE_DURATION = 20;
+const LATE_ACCEPTANCE_SIZE = 400;
+const UNASSIGNED = -1;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Days since 1 January 1970 of a YYYY-MM-DD date
+const toDayNumber = (dateStr) => {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / 86400000;
+};
+
+// Weeks start on Monday (day 0 was a Thursday)
+const toWeekNumber = (dayNumber) => Math.floor((dayNumber + 3) / 7);
+
+// Let other requests run before the next slice of work
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Small seeded random number generator (mulberry32), returns floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Compare two roster scores level by level
+ * @param {Object} a - { hard, medium, soft }
+ * @param {Object} b - { hard, medium, soft }
+ * @returns {number} Positive when a is better, negative when b is better, 0 when equal
+ */
+export function compareRosterScores(a, b) {
+  return a.hard - b.hard || a.medium - b.medium || a.soft - b.soft;
+}
+
+/**
+ * Check whether an employee may work a shift at all (skill, location, availability)
+ * @param {Object} employee - Roster employee
+ * @param {Object} shift - Shift to cover on a date
+ * @returns {boolean}
+ */
+function canWorkShift(employee, shift) {
+  return (!shift.serviceId || employee.serviceIds.includes(shift.serviceId.toString())) &&
+    isAtLocation(employee, shift.locationId) &&
+    !employee.unavailableDates.includes(shift.date);
+}
+
+/**
+ * Propose a roster
+ * @param {Object} problem
+ * @param {Array} problem.shifts - Shifts to cover: { shiftId, name, date, startTime, endTime,
+ *   staffNeeded, serviceId, locationId }
+ * @param {Array} problem.employees - { id, name, serviceIds, locationId, unavailableDates,
+ *   desiredDates, undesiredDates } (dates as YYYY-MM-DD)
+ * @param {Object} problem.rules - { maxShiftsPerWeek, minRestHours }
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - Local search moves to try
+ * @param {number} [options.timeLimit] - Stop after this many milliseconds; positions the
+ *   construction heuristic hasn't reached by then stay unfilled
+ * @param {number} [options.seed] - Random seed
+ * @returns {Promise<Object>} { score, assignments, employees } - one assignment per position
+ *   ({ shiftId, name, date, startTime, endTime, employeeId }, employeeId null when unfilled)
+ *   and the shifts, hours and preferences met of every employee (rostered is false for
+ *   employees who can't take any position)
+ */
+export async function solveRoster(
+  { shifts, employees, rules },
+  { iterations = DEFAULT_ITERATIONS, timeLimit = DEFAULT_TIME_LIMIT, seed = 1 } = {}
+) {
+  const startedAt = Date.now();
+  const isOutOfTime = () => Date.now() - startedAt > timeLimit;
+  let sliceStartedAt = startedAt;
+  const pause = async () => {
+    if (Date.now() - sliceStartedAt >= SLICE_DURATION) {
+      await yieldToEventLoop();
+      sliceStartedAt = Date.now();
+    }
+  };
+
+  const minRest = rules.minRestHours * 60;
+  const desired = employees.map((emp) => new Set(emp.desiredDates));
+  const undesired = employees.map((emp) => new Set(emp.undesiredDates));
+
+  const positions = shifts.flatMap((shift) => {
+    const day = toDayNumber(shift.date);
+    const start = day * DAY_MINUTES + toMinutes(shift.startTime);
+    const end = day * DAY_MINUTES + toMinutes(shift.endTime);
+    const eligible = employees.flatMap((emp, index) => (canWorkShift(emp, shift) ? [index] : []));
+    return Array.from({ length: shift.staffNeeded }, () => ({
+      shift,
+      day,
+      week: toWeekNumber(day),
+      start,
+      end,
+      hours: (end - start) / 60,
+      eligible,
+      eligibleSet: new Set(eligible),
+    }));
+  });
+
+  // Employees who can't take any position don't count towards fairness
+  const rostered = employees.flatMap((_, index) =>
+    positions.some((pos) => pos.eligibleSet.has(index)) ? [index] : []
+  );
+
+  const assigned = new Array(positions.length).fill(UNASSIGNED);
+  const byEmployee = employees.map(() => new Set());
+  const employeeScores = employees.map(() => ({ hard: 0, soft: 0, hours: 0 }));
+  const dirty = new Set();
+  let unassigned = positions.length;
+
+  const assign = (positionIndex, employeeIndex) => {
+    const previous = assigned[positionIndex];
+    if (previous === employeeIndex) return;
+    if (previous === UNASSIGNED) {
+      unassigned -= 1;
+    } else {
+      byEmployee[previous].delete(positionIndex);
+      dirty.add(previous);
+    }
+    if (employeeIndex === UNASSIGNED) {
+      unassigned += 1;
+    } else {
+      byEmployee[employeeIndex].add(positionIndex);
+      dirty.add(employeeIndex);
+    }
+    assigned[positionIndex] = employeeIndex;
+  };
+
+  // Constraints that only depend on one employee's own shifts
+  const scoreEmployee = (employeeIndex) => {
+    const list = [...byEmployee[employeeIndex]].map((p) => positions[p]).sort((a, b) => a.start - b.start);
+    const weeks = new Map();
+    let hard = 0;
+    let soft = 0;
+    let hours = 0;
+
+    list.forEach((pos, i) => {
+      hours += pos.hours;
+      if (desired[employeeIndex].has(pos.shift.date)) soft += pos.hours;
+      if (undesired[employeeIndex].has(pos.shift.date)) soft -= pos.hours;
+      weeks.set(pos.week, (weeks.get(pos.week) || 0) + 1);
+
+      const previous = list[i - 1];
+      if (previous && (previous.day === pos.day || pos.start - previous.end < minRest)) {
+        hard += 1;
+      }
+    });
+    weeks.forEach((count) => {
+      if (count > rules.maxShiftsPerWeek) hard += count - rules.maxShiftsPerWeek;
+    });
+
+    return { hard, soft, hours };
+  };
+
+  const evaluate = () => {
+    dirty.forEach((employeeIndex) => {
+      employeeScores[employeeIndex] = scoreEmployee(employeeIndex);
+    });
+    dirty.clear();
+
+    // Unfairness as in Timefold's load balancing: the spread of hours around the mean
+    const mean = rostered.reduce((sum, i) => sum + employeeScores[i].hours, 0) / (rostered.length || 1);
+    const unfairness = Math.sqrt(rostered.reduce((sum, i) => sum + (employeeScores[i].hours - mean) ** 2, 0));
+
+    return {
+      hard: -employeeScores.reduce((sum, s) => sum + s.hard, 0),
+      medium: -unassigned,
+      soft: employeeScores.reduce((sum, s) => sum + s.soft, 0) - unfairness,
+    };
+  };
+
+  // Construction heuristic: positions with the fewest candidates first, each given the
+  // employee that scores best so far (or left unfilled if every candidate breaks a hard rule)
+  const order = positions
+    .map((_, index) => index)
+    .sort((a, b) => positions[a].eligible.length - positions[b].eligible.length || positions[a].start - positions[b].start);
+  for (const positionIndex of order) {
+    await pause();
+    if (isOutOfTime()) break;
+
+    let bestEmployee = UNASSIGNED;
+    let bestScore = evaluate();
+    positions[positionIndex].eligible.forEach((employeeIndex) => {
+      assign(positionIndex, employeeIndex);
+      const score = evaluate();
+      if (compareRosterScores(score, bestScore) > 0) {
+        bestEmployee = employeeIndex;
+        bestScore = score;
+      }
+    });
+    assign(positionIndex, bestEmployee);
+  }
+
+  // Late acceptance search: change one position's employee, or swap two positions' employees
+  const movable = order.filter((index) => positions[index].eligible.length > 0);
+  const random = createRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  let current = evaluate();
+  let best = current;
+  let bestAssigned = [...assigned];
+  const history = new Array(LATE_ACCEPTANCE_SIZE).fill(current);
+
+  for (let i = 0; i < iterations && movable.length > 0; i++) {
+    await pause();
+    if (isOutOfTime()) break;
+
+    const p = pick(movable);
+    const q = pick(movable);
+    const undo = [[p, assigned[p]]];
+    if (
+      random() < 0.5 && assigned[p] !== assigned[q] &&
+      (assigned[q] === UNASSIGNED || positions[p].eligibleSet.has(assigned[q])) &&
+      (assigned[p] === UNASSIGNED || positions[q].eligibleSet.has(assigned[p]))
+    ) {
+      undo.push([q, assigned[q]]);
+      const employeeIndex = assigned[p];
+      assign(p, assigned[q]);
+      assign(q, employeeIndex);
+    } else {
+      const employeeIndex = Math.floor(random() * (positions[p].eligible.length + 1));
+      assign(p, positions[p].eligible[employeeIndex] ?? UNASSIGNED);
+    }
+
+    const score = evaluate();
+    if (compareRosterScores(score, current) >= 0 || compareRosterScores(score, history[i % LATE_ACCEPTANCE_SIZE]) >= 0) {
+      current = score;
+      if (compareRosterScores(score, best) > 0) {
+        best = score;
+        bestAssigned = [...assigned];
+      }
+    } else {
+      undo.reverse().forEach(([positionIndex, employeeIndex]) => assign(positionIndex, employeeIndex));
+    }
+    history[i % LATE_ACCEPTANCE_SIZE] = current;
+  }
+
+  bestAssigned.forEach((employeeIndex, positionIndex) => assign(positionIndex, employeeIndex));
+  evaluate();
+
+  return {
+    // "+ 0" turns the -0 of a level without penalties into 0
+    score: { hard: best.hard + 0, medium: best.medium + 0, soft: Math.round(best.soft * 100) / 100 + 0 },
+    assignments: positions.map((pos, index) => ({
+      shiftId: pos.shift.shiftId,
+      name: pos.shift.name,
+      date: pos.shift.date,
+      startTime: pos.shift.startTime,
+      endTime: pos.shift.endTime,
+      employeeId: assigned[index] === UNASSIGNED ? null : employees[assigned[index]].id,
+    })),
+    employees: employees.map((emp, index) => {
+      const dates = [...byEmployee[index]].map((p) => positions[p].shift.date);
+      return {
+        id: emp.id,
+        rostered: rostered.includes(index),
+        shifts: dates.length,
+        hours: employeeScores[index].hours,
+        desiredDays: dates.filter((date) => desired[index].has(date)).length,
+        undesiredDays: dates.filter((date) => undesired[index].has(date)).length,
+      };
+    }),
+  };
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect } from "vitest";
+import { solveRoster, compareRosterScores } from "./rosterSolver";
+
+// Monday 7 and Tuesday 8 January 2030
+const MONDAY = "2030-01-07";
+const TUESDAY = "2030-01-08";
+
+const shift = (overrides = {}) => ({
+  shiftId: "1",
+  name: "Morning",
+  date: MONDAY,
+  startTime: "09:00",
+  endTime: "13:00",
+  staffNeeded: 1,
+  serviceId: null,
+  locationId: null,
+  ...overrides,
+});
+
+const employee = (id, overrides = {}) => ({
+  id,
+  name: `Employee ${id}`,
+  serviceIds: ["3"],
+  locationId: null,
+  unavailableDates: [],
+  desiredDates: [],
+  undesiredDates: [],
+  ...overrides,
+});
+
+const rules = { maxShiftsPerWeek: 5, minRestHours: 10 };
+
+const assigneesOf = (result, date) =>
+  result.assignments.filter((a) => a.date === date).map((a) => a.employeeId);
+
+describe("solveRoster", () => {
+  it("fills every position of a feasible problem", async () => {
+    const result = await solveRoster({
+      shifts: [shift({ staffNeeded: 2 }), shift({ date: TUESDAY, staffNeeded: 2 })],
+      employees: [employee("a"), employee("b")],
+      rules,
+    });
+
+    expect(result.score).toMatchObject({ hard: 0, medium: 0 });
+    expect(assigneesOf(result, MONDAY).sort()).toEqual(["a", "b"]);
+    expect(assigneesOf(result, TUESDAY).sort()).toEqual(["a", "b"]);
+  });
+
+  it("only gives a position to employees with the skill who are available that day", async () => {
+    const result = await solveRoster({
+      shifts: [shift({ serviceId: "3" }), shift({ date: TUESDAY, serviceId: "3" })],
+      employees: [
+        employee("a", { unavailableDates: [MONDAY] }),
+        employee("b", { unavailableDates: [TUESDAY] }),
+        employee("c", { serviceIds: [] }),
+      ],
+      rules,
+    });
+
+    expect(assigneesOf(result, MONDAY)).toEqual(["b"]);
+    expect(assigneesOf(result, TUESDAY)).toEqual(["a"]);
+    expect(result.employees.find((emp) => emp.id === "c")).toMatchObject({ rostered: false, shifts: 0 });
+  });
+
+  it("leaves a position unfilled rather than break the rest between shifts", async () => {
+    const result = await solveRoster({
+      shifts: [
+        shift({ name: "Evening", startTime: "18:00", endTime: "22:00" }),
+        shift({ date: TUESDAY, startTime: "06:00", endTime: "10:00" }),
+      ],
+      employees: [employee("a")],
+      rules,
+    });
+
+    expect(result.score).toMatchObject({ hard: 0, medium: -1 });
+    expect(result.assignments.filter((a) => a.employeeId === null)).toHaveLength(1);
+  });
+
+  it("respects the maximum shifts per week", async () => {
+    const result = await solveRoster({
+      shifts: [shift(), shift({ date: TUESDAY })],
+      employees: [employee("a")],
+      rules: { ...rules, maxShiftsPerWeek: 1 },
+    });
+
+    expect(result.score).toMatchObject({ hard: 0, medium: -1 });
+    expect(result.employees[0]).toMatchObject({ shifts: 1, hours: 4 });
+  });
+
+  it("gives employees the dates they asked for", async () => {
+    const result = await solveRoster({
+      shifts: [shift(), shift({ date: TUESDAY })],
+      employees: [
+        employee("a", { desiredDates: [TUESDAY], undesiredDates: [MONDAY] }),
+        employee("b", { desiredDates: [MONDAY] }),
+      ],
+      rules,
+    });
+
+    expect(assigneesOf(result, MONDAY)).toEqual(["b"]);
+    expect(assigneesOf(result, TUESDAY)).toEqual(["a"]);
+    expect(result.employees.map((emp) => emp.desiredDays)).toEqual([1, 1]);
+  });
+
+  it("proposes the same roster for the same problem", async () => {
+    const problem = {
+      shifts: [shift({ staffNeeded: 2 }), shift({ date: TUESDAY }), shift({ date: TUESDAY, name: "Evening", startTime: "18:00", endTime: "22:00" })],
+      employees: [employee("a"), employee("b"), employee("c")],
+      rules,
+    };
+
+    expect(await solveRoster(problem)).toEqual(await solveRoster(problem));
+  });
+});
+
+describe("compareRosterScores", () => {
+  it("weighs hard, then medium, then soft", () => {
+    expect(compareRosterScores({ hard: 0, medium: -5, soft: -9 }, { hard: -1, medium: 0, soft: 0 })).toBeGreaterThan(0);
+    expect(compareRosterScores({ hard: 0, medium: -1, soft: 9 }, { hard: 0, medium: 0, soft: -9 })).toBeLessThan(0);
+    expect(compareRosterScores({ hard: 0, medium: 0, soft: 2 }, { hard: 0, medium: 0, soft: 1 })).toBeGreaterThan(0);
+    expect(compareRosterScores({ hard: 0, medium: 0, soft: 1 }, { hard: 0, medium: 0, soft: 1 })).toBe(0);
+  });
+});
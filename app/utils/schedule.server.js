@@ -1,44 +1,69 @@
 import prisma from "../db.server";
+import { getTemplateForDate, expandTemplate, getOpeningHoursForDate } from "./weeklyHours";
+import { getClosureForDate } from "./closures";
+
+/**
+ * Get the holidays and closures of a store
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Array>} Store closures
+ */
+export async function getStoreClosures(shop, db = prisma) {
+  return await db.storeClosure.findMany({
+    where: { shop },
+    orderBy: { startDate: "asc" },
+  });
+}
 
 /**
  * Generate time slots for a given date based on settings
- * @param {Object} settings - Store settings with workingHours and timeSlotSize
+ * Slots cover the store's opening hours for that weekday (split hours leave a gap).
+ * @param {Object} settings - Store settings with opening hours and timeSlotSize
  * @param {Date} date - The date to generate slots for
+ * @param {Array} [closures] - Store closures (holidays)
  * @returns {Array} Array of slot objects
  */
-export function generateSlots(settings, date) {
+export function generateSlots(settings, date, closures = []) {
   const slots = [];
-  const dayOfWeek = date.getDay();
-  const openDays = settings.openDays.split(",").map(Number);
+  const dateStr = date.toISOString().split("T")[0]; // Schedule dates are UTC midnight
+  const openingHours = getOpeningHoursForDate(settings, dateStr);
 
   // Check if the day is open
-  if (!openDays.includes(dayOfWeek)) {
+  if (openingHours.length === 0) {
     return slots; // Return empty array for closed days
   }
 
-  const [startHour, startMinute] = settings.workingHoursStart.split(":").map(Number);
-  const [endHour, endMinute] = settings.workingHoursEnd.split(":").map(Number);
-  
-  const startTimeMinutes = startHour * 60 + startMinute;
-  const endTimeMinutes = endHour * 60 + endMinute;
-  const slotSize = settings.timeSlotSize;
-
-  // Generate slots
-  for (let time = startTimeMinutes; time < endTimeMinutes; time += slotSize) {
-    const slotStartHour = Math.floor(time / 60);
-    const slotStartMinute = time % 60;
-    const slotEndTime = time + slotSize;
-    const slotEndHour = Math.floor(slotEndTime / 60);
-    const slotEndMinute = slotEndTime % 60;
-
-    slots.push({
-      startTime: `${String(slotStartHour).padStart(2, "0")}:${String(slotStartMinute).padStart(2, "0")}`,
-      endTime: `${String(slotEndHour).padStart(2, "0")}:${String(slotEndMinute).padStart(2, "0")}`,
-      isAvailable: true,
-      bookingId: null,
-    });
+  // Check if the store is closed for a holiday
+  if (getClosureForDate(closures, dateStr)) {
+    return slots;
   }
 
+  const slotSize = settings.timeSlotSize || 15;
+
+  // Generate slots within each opening range
+  openingHours.forEach((range) => {
+    const [startHour, startMinute] = range.startTime.split(":").map(Number);
+    const [endHour, endMinute] = range.endTime.split(":").map(Number);
+
+    const startTimeMinutes = startHour * 60 + startMinute;
+    const endTimeMinutes = endHour * 60 + endMinute;
+
+    for (let time = startTimeMinutes; time + slotSize <= endTimeMinutes; time += slotSize) {
+      const slotStartHour = Math.floor(time / 60);
+      const slotStartMinute = time % 60;
+      const slotEndTime = time + slotSize;
+      const slotEndHour = Math.floor(slotEndTime / 60);
+      const slotEndMinute = slotEndTime % 60;
+
+      slots.push({
+        startTime: `${String(slotStartHour).padStart(2, "0")}:${String(slotStartMinute).padStart(2, "0")}`,
+        endTime: `${String(slotEndHour).padStart(2, "0")}:${String(slotEndMinute).padStart(2, "0")}`,
+        isAvailable: true,
+        bookingId: null,
+      });
+    }
+  });
+
   return slots;
 }
 
@@ -51,9 +76,9 @@ export function generateSlots(settings, date) {
  * @returns {Promise<Object>} Schedule object
  */
 export async function getOrCreateSchedule(employeeId, shop, date, settings) {
-  // Normalize date to start of day
+  // Normalize date to start of day (UTC midnight, like all schedule dates)
   const normalizedDate = new Date(date);
-  normalizedDate.setHours(0, 0, 0, 0);
+  normalizedDate.setUTCHours(0, 0, 0, 0);
 
   // Try to find existing schedule
   let schedule = await prisma.schedule.findUnique({
@@ -67,7 +92,8 @@ export async function getOrCreateSchedule(employeeId, shop, date, settings) {
 
   // If not found, create new schedule with generated slots
   if (!schedule) {
-    const slots = generateSlots(settings, normalizedDate);
+    const closures = await getStoreClosures(shop);
+    const slots = generateSlots(settings, normalizedDate, closures);
     
     schedule = await prisma.schedule.create({
       data: {
@@ -156,7 +182,88 @@ export async function generateSchedulesForRange(employeeId, shop, startDate, end
   while (currentDate <= endDate) {
     const schedule = await getOrCreateSchedule(employeeId, shop, new Date(currentDate), settings);
     schedules.push(schedule);
-    currentDate.setDate(currentDate.getDate() + 1);
+    currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+  }
+
+  return schedules;
+}
+
+/**
+ * Resolve the effective schedule of each employee for every date in a range
+ * Weekly templates are expanded for each date; a dated Schedule row overrides the
+ * template for that day (an override with no slots is a day off).
+ * @param {Object} params
+ * @param {Array} params.employees - Employees to resolve (with id, name, serviceIds)
+ * @param {Date} params.startDate - First date (UTC midnight)
+ * @param {Date} params.endDate - Last date (UTC midnight)
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Array>} Schedules: { employeeId, employee, date, slots, isOverride }
+ */
+export async function resolveSchedules({ employees, startDate, endDate }, db = prisma) {
+  const employeeIds = employees.map((emp) => emp.id);
+
+  const overrides = await db.schedule.findMany({
+    where: {
+      employeeId: { in: employeeIds },
+      date: {
+        gte: startDate,
+        lte: endDate,
+      },
+    },
+  });
+
+  // Templates effective at any point of the range
+  const templates = await db.availabilityTemplate.findMany({
+    where: {
+      employeeId: { in: employeeIds },
+      effectiveFrom: { lte: endDate },
+      OR: [{ effectiveTo: null }, { effectiveTo: { gte: startDate } }],
+    },
+  });
+
+  // Index both by employee once, so each day and employee is a lookup
+  const overridesByKey = new Map(overrides.map((s) => [
+    `${s.employeeId}|${s.date.toISOString().split("T")[0]}`,
+    s,
+  ]));
+  const templatesByEmployee = new Map();
+  templates.forEach((t) => {
+    const key = t.employeeId.toString();
+    if (!templatesByEmployee.has(key)) {
+      templatesByEmployee.set(key, []);
+    }
+    templatesByEmployee.get(key).push(t);
+  });
+
+  const schedules = [];
+  const currentDate = new Date(startDate);
+
+  while (currentDate <= endDate) {
+    const dateStr = currentDate.toISOString().split("T")[0];
+
+    employees.forEach((employee) => {
+      const override = overridesByKey.get(`${employee.id}|${dateStr}`);
+
+      if (override) {
+        schedules.push({ ...override, employee, isOverride: true });
+        return;
+      }
+
+      const template = getTemplateForDate(templatesByEmployee.get(employee.id.toString()) || [], dateStr);
+      const slots = template ? expandTemplate(template, dateStr) : [];
+
+      if (slots.length > 0) {
+        schedules.push({
+          employeeId: employee.id,
+          employee,
+          date: new Date(currentDate),
+          slots,
+          isOverride: false,
+        });
+      }
+    });
+
+    currentDate.setUTCDate(currentDate.getUTCDate() + 1);
   }
 
   return schedules;
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from "vitest";
+import { generateSlots } from "./schedule.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+// Monday 4 March 2030, open 09:00–17:00 on weekdays
+const MONDAY = new Date("2030-03-04T00:00:00Z");
+
+const settings = {
+  openDays: "1,2,3,4,5",
+  workingHoursStart: "09:00",
+  workingHoursEnd: "17:00",
+  timeSlotSize: 60,
+};
+
+describe("generateSlots", () => {
+  it("covers the opening hours of the day", () => {
+    const slots = generateSlots(settings, MONDAY);
+
+    expect(slots).toHaveLength(8);
+    expect(slots[0]).toEqual({ startTime: "09:00", endTime: "10:00", isAvailable: true, bookingId: null });
+    expect(slots[7].endTime).toBe("17:00");
+  });
+
+  it("leaves the gap of split hours and follows each weekday's hours", () => {
+    const split = {
+      ...settings,
+      openingHours: {
+        1: [{ startTime: "09:00", endTime: "12:00" }, { startTime: "13:00", endTime: "15:00" }],
+        6: [{ startTime: "10:00", endTime: "12:00" }],
+      },
+    };
+
+    expect(generateSlots(split, MONDAY).map((slot) => slot.startTime))
+      .toEqual(["09:00", "10:00", "11:00", "13:00", "14:00"]);
+    expect(generateSlots(split, new Date("2030-03-09T00:00:00Z")).map((slot) => slot.startTime))
+      .toEqual(["10:00", "11:00"]);
+    expect(generateSlots(split, new Date("2030-03-05T00:00:00Z"))).toEqual([]);
+  });
+
+  it("generates nothing on a store closure, whatever the opening hours", () => {
+    const closures = [{
+      startDate: new Date("2030-03-04T00:00:00Z"),
+      endDate: new Date("2030-03-08T00:00:00Z"),
+      recursYearly: false,
+    }];
+
+    expect(generateSlots(settings, MONDAY, closures)).toEqual([]);
+    expect(generateSlots(settings, new Date("2030-03-11T00:00:00Z"), closures)).toHaveLength(8);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Fixed-date sessions
+ *
+ * A service is booked either from open availability (slots computed from employee
+ * schedules) or only in sessions the merchant schedules ahead, such as "Pottery night,
+ * Thursday 19:00". Each session has a date, times, an instructor, an optional resource
+ * and location, and its own number of seats.
+ */
+
+export const BOOKING_MODE = {
+  OPEN: "open",
+  SESSIONS: "sessions",
+};
+
+export const BOOKING_MODE_OPTIONS = [
+  { value: BOOKING_MODE.OPEN, label: "Open appointments" },
+  { value: BOOKING_MODE.SESSIONS, label: "Scheduled sessions" },
+];
+
+/**
+ * Check whether a value is one of the supported booking modes
+ * @param {string} value - Booking mode
+ * @returns {boolean}
+ */
+export function isValidBookingMode(value) {
+  return BOOKING_MODE_OPTIONS.some((option) => option.value === value);
+}
+
+/**
+ * Check whether a service is only booked in scheduled sessions
+ * @param {Object} service - Service with bookingMode
+ * @returns {boolean}
+ */
+export function isSessionService(service) {
+  return service?.bookingMode === BOOKING_MODE.SESSIONS;
+}
+
+/**
+ * Validate a session
+ * @param {Object} session - { serviceId, employeeId, date, startTime, endTime, capacity }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateScheduledSession({ serviceId, employeeId, date, startTime, endTime, capacity }) {
+  if (!serviceId) {
+    return "Service is required";
+  }
+  if (!employeeId) {
+    return "Instructor is required";
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+    return "Invalid date format. Expected YYYY-MM-DD";
+  }
+
+  const timePattern = /^\d{2}:\d{2}$/;
+  if (!timePattern.test(startTime || "") || !timePattern.test(endTime || "")) {
+    return "Invalid time format. Expected HH:MM";
+  }
+  if (endTime <= startTime) {
+    return "End time must be after start time";
+  }
+
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    return "A session needs at least one seat";
+  }
+
+  return null;
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { BOOKING_MODE, isValidBookingMode, isSessionService, validateScheduledSession } from "./scheduledSessions";
+
+describe("isSessionService", () => {
+  it("only treats services in sessions mode as session services", () => {
+    expect(isSessionService({ bookingMode: BOOKING_MODE.SESSIONS })).toBe(true);
+    expect(isSessionService({ bookingMode: BOOKING_MODE.OPEN })).toBe(false);
+    expect(isSessionService(null)).toBe(false);
+    expect(isValidBookingMode("sessions")).toBe(true);
+    expect(isValidBookingMode("events")).toBe(false);
+  });
+});
+
+describe("validateScheduledSession", () => {
+  const session = { serviceId: "3", employeeId: "1", date: "2030-01-10", startTime: "19:00", endTime: "21:00", capacity: 12 };
+
+  it("accepts a valid session", () => {
+    expect(validateScheduledSession(session)).toBeNull();
+  });
+
+  it("requires a service and an instructor", () => {
+    expect(validateScheduledSession({ ...session, serviceId: "" })).toBe("Service is required");
+    expect(validateScheduledSession({ ...session, employeeId: "" })).toBe("Instructor is required");
+  });
+
+  it("rejects bad dates, times and seat counts", () => {
+    expect(validateScheduledSession({ ...session, date: "10/01/2030" })).toBe("Invalid date format. Expected YYYY-MM-DD");
+    expect(validateScheduledSession({ ...session, startTime: "7pm" })).toBe("Invalid time format. Expected HH:MM");
+    expect(validateScheduledSession({ ...session, endTime: "19:00" })).toBe("End time must be after start time");
+    expect(validateScheduledSession({ ...session, capacity: 0 })).toBe("A session needs at least one seat");
+    expect(validateScheduledSession({ ...session, capacity: 1.5 })).toBe("A session needs at least one seat");
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Slot start intervals
+ *
+ * Controls how often a bookable slot may start, independently of the service duration.
+ * Stored as a string so "on the hour" can sit next to the minute values. The store
+ * default lives on Settings and a service may override it.
+ */
+
+export const SLOT_INTERVAL_ON_THE_HOUR = "hour";
+
+export const DEFAULT_SLOT_INTERVAL = "15";
+
+export const SLOT_INTERVAL_OPTIONS = [
+  { value: "5", label: "Every 5 minutes" },
+  { value: "10", label: "Every 10 minutes" },
+  { value: "15", label: "Every 15 minutes" },
+  { value: "30", label: "Every 30 minutes" },
+  { value: "60", label: "Every 60 minutes" },
+  { value: SLOT_INTERVAL_ON_THE_HOUR, label: "On the hour" },
+];
+
+/**
+ * Check whether a value is one of the supported intervals
+ * @param {string} value - Interval value
+ * @returns {boolean}
+ */
+export function isValidSlotInterval(value) {
+  return SLOT_INTERVAL_OPTIONS.some((option) => option.value === value);
+}
+
+/**
+ * Resolve the interval that applies to a service
+ * @param {Object} service - Service with optional slotInterval override
+ * @param {Object} settings - Store settings with slotInterval
+ * @returns {string} Interval value
+ */
+export function getSlotInterval(service, settings) {
+  if (isValidSlotInterval(service?.slotInterval)) return service.slotInterval;
+  if (isValidSlotInterval(settings?.slotInterval)) return settings.slotInterval;
+  return DEFAULT_SLOT_INTERVAL;
+}
+
+/**
+ * Get the label of an interval
+ * @param {string} value - Interval value
+ * @returns {string} Label, e.g. "Every 15 minutes"
+ */
+export function formatSlotInterval(value) {
+  return SLOT_INTERVAL_OPTIONS.find((option) => option.value === value)?.label || "";
+}
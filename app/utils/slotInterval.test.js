@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_SLOT_INTERVAL,
+  SLOT_INTERVAL_ON_THE_HOUR,
+  isValidSlotInterval,
+  getSlotInterval,
+  formatSlotInterval,
+} from "./slotInterval";
+
+describe("getSlotInterval", () => {
+  it("lets a service override the store default", () => {
+    expect(getSlotInterval({ slotInterval: "30" }, { slotInterval: "10" })).toBe("30");
+    expect(getSlotInterval({ slotInterval: null }, { slotInterval: "10" })).toBe("10");
+  });
+
+  it("falls back to the default for missing or unsupported values", () => {
+    expect(getSlotInterval({ slotInterval: "7" }, { slotInterval: "45" })).toBe(DEFAULT_SLOT_INTERVAL);
+    expect(getSlotInterval(null, null)).toBe(DEFAULT_SLOT_INTERVAL);
+  });
+});
+
+describe("isValidSlotInterval", () => {
+  it("accepts the listed minute values and on the hour", () => {
+    expect(isValidSlotInterval("5")).toBe(true);
+    expect(isValidSlotInterval(SLOT_INTERVAL_ON_THE_HOUR)).toBe(true);
+    expect(isValidSlotInterval(15)).toBe(false);
+    expect(isValidSlotInterval("20")).toBe(false);
+  });
+});
+
+describe("formatSlotInterval", () => {
+  it("labels an interval", () => {
+    expect(formatSlotInterval("15")).toBe("Every 15 minutes");
+    expect(formatSlotInterval(SLOT_INTERVAL_ON_THE_HOUR)).toBe("On the hour");
+    expect(formatSlotInterval("20")).toBe("");
+  });
+});
@@ -66,6 +66,98 @@ export async function saveStoreInfo(admin, shop) {
   }
 }
 
+/**
+ * Sync the shop's Shopify locations into Location rows
+ * New locations start inactive: Shopify locations include warehouses and fulfilment-only
+ * sites, so the merchant turns on the ones that take bookings. Existing rows keep their
+ * booking settings (active flag, opening hours); only name and address are refreshed.
+ * Locations deleted or deactivated in Shopify are deactivated here too.
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} { success: true, count } or { success: false, error }
+ */
+export async function syncLocations(admin, shop) {
+  try {
+    // Read every page first: locations are only deactivated after a complete fetch
+    const nodes = [];
+    let after = null;
+    do {
+      const response = await admin.graphql(
+        `#graphql
+          query syncLocations($after: String) {
+            locations(first: 100, after: $after, includeInactive: true) {
+              nodes {
+                id
+                name
+                isActive
+                address {
+                  formatted
+                }
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        `,
+        { variables: { after } }
+      );
+
+      const { data, errors } = await response.json();
+      if (errors?.length || !data?.locations) {
+        // e.g. the install hasn't granted the read_locations scope yet
+        console.error(`Error syncing locations for ${shop}:`, errors);
+        return { success: false, error: "Failed to sync locations from Shopify" };
+      }
+
+      nodes.push(...data.locations.nodes);
+      after = data.locations.pageInfo.hasNextPage ? data.locations.pageInfo.endCursor : null;
+    } while (after);
+
+    const store = await prisma.store.findUnique({
+      where: { shop },
+    });
+
+    if (!store) {
+      return { success: false, error: "Store not found" };
+    }
+
+    for (const node of nodes) {
+      const address = node.address?.formatted?.join(", ") || null;
+
+      await prisma.location.upsert({
+        where: { shop_shopifyLocationId: { shop, shopifyLocationId: node.id } },
+        update: {
+          name: node.name,
+          address,
+          ...(node.isActive ? {} : { isActive: false }),
+          updatedAt: new Date(),
+        },
+        create: {
+          shop,
+          storeId: store.id,
+          shopifyLocationId: node.id,
+          name: node.name,
+          address,
+          isActive: false,
+        },
+      });
+    }
+
+    await prisma.location.updateMany({
+      where: { shop, shopifyLocationId: { notIn: nodes.map((node) => node.id) } },
+      data: { isActive: false },
+    });
+
+    console.log(`Synced ${nodes.length} location(s) for ${shop}`);
+    return { success: true, count: nodes.length };
+  } catch (error) {
+    console.error(`Error syncing locations for ${shop}:`, error);
+    return { success: false, error: "Failed to sync locations from Shopify" };
+  }
+}
+
 /**
  * Get store information from database
  * @param {string} shop - Shop domain
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { syncLocations } from "./store.server";
+
+const { db } = vi.hoisted(() => ({ db: {} }));
+
+vi.mock("../db.server", () => ({ default: db }));
+
+const shop = "test-shop.myshopify.com";
+
+// Fake admin client answering the locations query one page at a time
+const createAdmin = (pages) => ({
+  graphql: vi.fn(async () => ({ json: async () => pages.shift() })),
+});
+
+const page = (nodes, endCursor = null) => ({
+  data: { locations: { nodes, pageInfo: { hasNextPage: Boolean(endCursor), endCursor } } },
+});
+
+const shopifyLocation = (id, name, isActive = true) => ({
+  id: `gid://shopify/Location/${id}`,
+  name,
+  isActive,
+  address: { formatted: ["1 Main St", "Springfield"] },
+});
+
+describe("syncLocations", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    db.store = { findUnique: vi.fn().mockResolvedValue({ id: 1n, shop }) };
+    db.location = { upsert: vi.fn(), updateMany: vi.fn() };
+  });
+
+  it("creates new locations inactive and keeps the booking settings of existing ones", async () => {
+    const admin = createAdmin([
+      page([shopifyLocation(1, "Downtown")], "cursor-1"),
+      page([shopifyLocation(2, "Warehouse", false)]),
+    ]);
+
+    expect(await syncLocations(admin, shop)).toEqual({ success: true, count: 2 });
+    expect(admin.graphql).toHaveBeenCalledTimes(2);
+
+    const [downtown, warehouse] = db.location.upsert.mock.calls.map(([args]) => args);
+    expect(downtown.create).toMatchObject({ name: "Downtown", address: "1 Main St, Springfield", isActive: false });
+    expect(downtown.update.isActive).toBeUndefined();
+    expect(warehouse.update.isActive).toBe(false);
+  });
+
+  it("deactivates locations that are no longer in Shopify", async () => {
+    await syncLocations(createAdmin([page([shopifyLocation(1, "Downtown")])]), shop);
+
+    expect(db.location.updateMany).toHaveBeenCalledWith({
+      where: { shop, shopifyLocationId: { notIn: ["gid://shopify/Location/1"] } },
+      data: { isActive: false },
+    });
+  });
+
+  it("changes nothing when Shopify returns errors", async () => {
+    const admin = createAdmin([{ errors: [{ message: "Access denied for locations field." }] }]);
+
+    expect(await syncLocations(admin, shop)).toEqual({ success: false, error: "Failed to sync locations from Shopify" });
+    expect(db.location.upsert).not.toHaveBeenCalled();
+    expect(db.location.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Employee time off
+ *
+ * Time-off entries block an employee's availability on top of their schedule: whole days
+ * (vacation, sick day), a break on one date, or a break repeated every day of a date range.
+ */
+
+import { toDateStr } from "./timezone";
+
+export const TIME_OFF_TYPES = [
+  { value: "vacation", label: "Vacation", allDay: true },
+  { value: "sick", label: "Sick day", allDay: true },
+  { value: "break", label: "Break", allDay: false },
+  { value: "recurring_break", label: "Recurring daily break", allDay: false },
+];
+
+// Approval states stored in TimeOff.status; only approved entries block availability
+export const TIME_OFF_STATUS = {
+  PENDING: "PENDING",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+/**
+ * Check whether a time-off type covers whole days
+ * @param {string} type - Time-off type
+ * @returns {boolean}
+ */
+export function isAllDayTimeOff(type) {
+  return TIME_OFF_TYPES.find((t) => t.value === type)?.allDay ?? false;
+}
+
+/**
+ * Get the label of a time-off type
+ * @param {string} type - Time-off type
+ * @returns {string} Label, e.g. "Sick day"
+ */
+export function formatTimeOffType(type) {
+  return TIME_OFF_TYPES.find((t) => t.value === type)?.label || type;
+}
+
+/**
+ * Find the time-off entries that cover a date
+ * A missing endDate means the entry repeats indefinitely (recurring breaks only).
+ * @param {Array} entries - Time-off entries
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {Array} Entries covering the date
+ */
+export function getTimeOffForDate(entries, dateStr) {
+  return entries.filter((entry) =>
+    toDateStr(entry.startDate) <= dateStr &&
+    (!entry.endDate || toDateStr(entry.endDate) >= dateStr)
+  );
+}
+
+/**
+ * Get the wall-clock range an entry blocks on each day it covers
+ * Whole-day entries block 00:00–24:00.
+ * @param {Object} entry - Time-off entry
+ * @returns {Object} { startTime, endTime }
+ */
+export function getTimeOffRange(entry) {
+  if (isAllDayTimeOff(entry.type) || !entry.startTime || !entry.endTime) {
+    return { startTime: "00:00", endTime: "24:00" };
+  }
+  return { startTime: entry.startTime, endTime: entry.endTime };
+}
+
+/**
+ * Validate a time-off entry
+ * @param {Object} entry - { type, startDate, endDate, startTime, endTime }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateTimeOff({ type, startDate, endDate, startTime, endTime }) {
+  if (!TIME_OFF_TYPES.some((t) => t.value === type)) {
+    return "Invalid time-off type";
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(startDate || "") || (endDate && !datePattern.test(endDate))) {
+    return "Invalid date format. Expected YYYY-MM-DD";
+  }
+  if (endDate && endDate < startDate) {
+    return "End date must be on or after start date";
+  }
+  if (!endDate && type !== "recurring_break") {
+    return "End date is required";
+  }
+
+  if (!isAllDayTimeOff(type)) {
+    if (!/^\d{2}:\d{2}$/.test(startTime || "") || !/^\d{2}:\d{2}$/.test(endTime || "")) {
+      return "Start and end times are required for breaks";
+    }
+    if (startTime >= endTime) {
+      return "Start time must be before end time";
+    }
+  }
+
+  return null;
+}
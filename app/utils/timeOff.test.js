@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { isAllDayTimeOff, formatTimeOffType, getTimeOffForDate, getTimeOffRange, validateTimeOff } from "./timeOff";
+
+const day = (dateStr) => new Date(`${dateStr}T00:00:00Z`);
+
+describe("getTimeOffForDate", () => {
+  const entries = [
+    { id: 1, type: "vacation", startDate: day("2030-01-07"), endDate: day("2030-01-11") },
+    { id: 2, type: "recurring_break", startDate: day("2030-01-01"), endDate: null, startTime: "12:00", endTime: "13:00" },
+  ];
+
+  it("finds entries covering a date, open-ended ones indefinitely", () => {
+    expect(getTimeOffForDate(entries, "2030-01-07").map((entry) => entry.id)).toEqual([1, 2]);
+    expect(getTimeOffForDate(entries, "2030-01-11").map((entry) => entry.id)).toEqual([1, 2]);
+    expect(getTimeOffForDate(entries, "2030-06-03").map((entry) => entry.id)).toEqual([2]);
+    expect(getTimeOffForDate(entries, "2029-12-31")).toEqual([]);
+  });
+});
+
+describe("getTimeOffRange", () => {
+  it("blocks whole days for vacations and sick days", () => {
+    expect(isAllDayTimeOff("sick")).toBe(true);
+    expect(getTimeOffRange({ type: "vacation", startTime: "12:00", endTime: "13:00" }))
+      .toEqual({ startTime: "00:00", endTime: "24:00" });
+  });
+
+  it("blocks only the break's hours for breaks", () => {
+    expect(isAllDayTimeOff("break")).toBe(false);
+    expect(getTimeOffRange({ type: "break", startTime: "12:00", endTime: "13:00" }))
+      .toEqual({ startTime: "12:00", endTime: "13:00" });
+  });
+});
+
+describe("validateTimeOff", () => {
+  const vacation = { type: "vacation", startDate: "2030-01-07", endDate: "2030-01-11" };
+  const lunch = { type: "recurring_break", startDate: "2030-01-07", endDate: "", startTime: "12:00", endTime: "13:00" };
+
+  it("accepts whole days and open-ended recurring breaks", () => {
+    expect(validateTimeOff(vacation)).toBeNull();
+    expect(validateTimeOff(lunch)).toBeNull();
+  });
+
+  it("rejects unknown types and bad dates", () => {
+    expect(validateTimeOff({ ...vacation, type: "holiday" })).toBe("Invalid time-off type");
+    expect(validateTimeOff({ ...vacation, startDate: "7/1/2030" })).toBe("Invalid date format. Expected YYYY-MM-DD");
+    expect(validateTimeOff({ ...vacation, endDate: "2030-01-06" })).toBe("End date must be on or after start date");
+    expect(validateTimeOff({ ...vacation, endDate: "" })).toBe("End date is required");
+  });
+
+  it("requires break times in order", () => {
+    expect(validateTimeOff({ ...lunch, startTime: "" })).toBe("Start and end times are required for breaks");
+    expect(validateTimeOff({ ...lunch, endTime: "12:00" })).toBe("Start time must be before end time");
+  });
+});
+
+describe("formatTimeOffType", () => {
+  it("labels a type, keeping unknown types as they are", () => {
+    expect(formatTimeOffType("recurring_break")).toBe("Recurring daily break");
+    expect(formatTimeOffType("other")).toBe("other");
+  });
+});
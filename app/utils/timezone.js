@@ -0,0 +1,125 @@
+/**
+ * Store timezone helpers
+ *
+ * Schedules, bookings and working hours are wall-clock times in the store's timezone
+ * (dates as YYYY-MM-DD, times as HH:MM). These helpers convert between those wall times
+ * and real instants using the IANA timezone saved on the Store, so results don't depend
+ * on the server's own timezone.
+ */
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timeZone - e.g. "Australia/Sydney"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve the timezone to use for a store, falling back to UTC
+ * @param {Object} store - Store with timezone
+ * @returns {string} IANA timezone
+ */
+export function getStoreTimeZone(store) {
+  return isValidTimeZone(store?.timezone) ? store.timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    if (type !== "literal") values[type] = Number(value);
+  });
+  return values;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes (e.g. 660 for Sydney in summer)
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in minutes
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to a UTC instant
+ * Wall times skipped by a DST change resolve to an adjacent valid instant.
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {string} timeStr - Time (HH:MM)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+export function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const [hours, minutes] = timeStr.split(":").map(Number);
+  const wallTime = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Guess with the offset at the wall time, then correct once if the offset differs (DST)
+  let instant = wallTime - getTimeZoneOffset(new Date(wallTime), timeZone) * 60000;
+  const correctedOffset = getTimeZoneOffset(new Date(instant), timeZone);
+  instant = wallTime - correctedOffset * 60000;
+
+  return new Date(instant);
+}
+
+/**
+ * Get the wall-clock date (YYYY-MM-DD) of an instant in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} date - Instant (defaults to now)
+ * @returns {string} Date string
+ */
+export function getZonedDateStr(timeZone, date = new Date()) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * Schedule, booking and time-off dates are stored as UTC midnight, so the UTC date is the
+ * calendar date (no timezone conversion).
+ * @param {Date|string} date - UTC midnight Date or ISO string
+ * @returns {string} Date string
+ */
+export function toDateStr(date) {
+  return new Date(date).toISOString().split("T")[0];
+}
+
+/**
+ * Add days to a date string
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date string
+ */
+export function addDaysToDateStr(dateStr, days) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return toDateStr(new Date(Date.UTC(year, month - 1, day + days)));
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getStoreTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getZonedDateStr,
+  toDateStr,
+  addDaysToDateStr,
+} from "./timezone";
+
+describe("getStoreTimeZone", () => {
+  it("uses the store's timezone when it is valid, UTC otherwise", () => {
+    expect(isValidTimeZone("Australia/Sydney")).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus_Mons")).toBe(false);
+    expect(getStoreTimeZone({ timezone: "Australia/Sydney" })).toBe("Australia/Sydney");
+    expect(getStoreTimeZone({ timezone: "Mars/Olympus_Mons" })).toBe(DEFAULT_TIMEZONE);
+    expect(getStoreTimeZone(null)).toBe(DEFAULT_TIMEZONE);
+  });
+});
+
+describe("getTimeZoneOffset", () => {
+  it("follows daylight saving time", () => {
+    expect(getTimeZoneOffset(new Date("2030-01-07T00:00:00Z"), "Australia/Sydney")).toBe(660);
+    expect(getTimeZoneOffset(new Date("2030-07-08T00:00:00Z"), "Australia/Sydney")).toBe(600);
+    expect(getTimeZoneOffset(new Date("2030-01-07T00:00:00Z"), "America/New_York")).toBe(-300);
+  });
+});
+
+describe("zonedTimeToUtc", () => {
+  it("converts store wall times to instants in and out of daylight saving time", () => {
+    expect(zonedTimeToUtc("2030-01-07", "10:00", "Australia/Sydney").toISOString()).toBe("2030-01-06T23:00:00.000Z");
+    expect(zonedTimeToUtc("2030-07-08", "10:00", "Australia/Sydney").toISOString()).toBe("2030-07-08T00:00:00.000Z");
+    expect(zonedTimeToUtc("2030-01-07", "10:00", "UTC").toISOString()).toBe("2030-01-07T10:00:00.000Z");
+  });
+
+  it("uses the offset of the day itself around a DST change", () => {
+    // New York springs forward at 02:00 on 10 March 2030
+    expect(zonedTimeToUtc("2030-03-10", "01:30", "America/New_York").toISOString()).toBe("2030-03-10T06:30:00.000Z");
+    expect(zonedTimeToUtc("2030-03-10", "03:30", "America/New_York").toISOString()).toBe("2030-03-10T07:30:00.000Z");
+    // and falls back at 02:00 on 3 November 2030
+    expect(zonedTimeToUtc("2030-11-03", "09:00", "America/New_York").toISOString()).toBe("2030-11-03T14:00:00.000Z");
+  });
+
+  it("resolves a wall time skipped by DST to an adjacent valid instant", () => {
+    const instant = zonedTimeToUtc("2030-03-10", "02:30", "America/New_York");
+
+    expect(["2030-03-10T06:30:00.000Z", "2030-03-10T07:30:00.000Z"]).toContain(instant.toISOString());
+  });
+});
+
+describe("getZonedDateStr", () => {
+  it("gives the store's calendar day of an instant", () => {
+    const instant = new Date("2030-01-06T14:00:00Z");
+
+    expect(getZonedDateStr("Australia/Sydney", instant)).toBe("2030-01-07");
+    expect(getZonedDateStr("America/New_York", instant)).toBe("2030-01-06");
+  });
+});
+
+describe("date strings", () => {
+  it("formats UTC midnight dates and ISO strings", () => {
+    expect(toDateStr(new Date(Date.UTC(2030, 0, 7)))).toBe("2030-01-07");
+    expect(toDateStr("2030-01-07T00:00:00.000Z")).toBe("2030-01-07");
+  });
+
+  it("adds days across month and year ends", () => {
+    expect(addDaysToDateStr("2030-01-31", 1)).toBe("2030-02-01");
+    expect(addDaysToDateStr("2030-12-31", 1)).toBe("2031-01-01");
+    expect(addDaysToDateStr("2030-03-01", -1)).toBe("2030-02-28");
+  });
+});
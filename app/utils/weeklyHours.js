@@ -0,0 +1,171 @@
+/**
+ * Weekly hours
+ *
+ * Hours per day of week (0 = Sunday), as { "1": [{ startTime, endTime }], ... }. Used by
+ * employee availability templates (with the dates they are effective) and by the store's
+ * opening hours.
+ */
+
+import { toDateStr } from "./timezone";
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Day of week (0 = Sunday) of a YYYY-MM-DD date
+const getDayOfWeek = (dateStr) => {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Find the template that applies to an employee on a date
+ * When several templates cover the date, the one that started last wins.
+ * @param {Array} templates - Templates of the employee
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {Object|null} Template or null
+ */
+export function getTemplateForDate(templates, dateStr) {
+  return templates
+    .filter((template) =>
+      toDateStr(template.effectiveFrom) <= dateStr &&
+      (!template.effectiveTo || toDateStr(template.effectiveTo) >= dateStr)
+    )
+    .sort((a, b) => toDateStr(b.effectiveFrom).localeCompare(toDateStr(a.effectiveFrom)))[0] || null;
+}
+
+/**
+ * Expand a template into schedule slots for a date
+ * Each range becomes one available slot; the engine merges consecutive slots anyway.
+ * @param {Object} template - Availability template
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {Array} Slots in the same format as Schedule.slots
+ */
+export function expandTemplate(template, dateStr) {
+  const ranges = template.weeklyHours?.[getDayOfWeek(dateStr)] || [];
+
+  return ranges.map((range) => ({
+    startTime: range.startTime,
+    endTime: range.endTime,
+    isAvailable: true,
+    bookingId: null,
+  }));
+}
+
+/**
+ * Validate weekly hours
+ * @param {Object} weeklyHours - { "1": [{ startTime, endTime }], ... }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateWeeklyHours(weeklyHours) {
+  if (!weeklyHours || typeof weeklyHours !== "object") {
+    return "Weekly hours are required";
+  }
+
+  let hasHours = false;
+
+  for (const [day, ranges] of Object.entries(weeklyHours)) {
+    if (!WEEKDAYS[day] || !Array.isArray(ranges)) {
+      return "Invalid day of week";
+    }
+
+    for (const range of ranges) {
+      const { startTime, endTime } = range || {};
+      if (!/^\d{2}:\d{2}$/.test(startTime || "") || !/^\d{2}:\d{2}$/.test(endTime || "")) {
+        return `Invalid time on ${WEEKDAYS[day]}`;
+      }
+      if (startTime >= endTime) {
+        return `${WEEKDAYS[day]}: start time must be before end time`;
+      }
+    }
+
+    const sorted = [...ranges].sort((a, b) => a.startTime.localeCompare(b.startTime));
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i - 1].endTime > sorted[i].startTime) {
+        return `${WEEKDAYS[day]}: time ranges overlap`;
+      }
+    }
+    hasHours = hasHours || ranges.length > 0;
+  }
+
+  return hasHours ? null : "Add hours for at least one day";
+}
+
+/**
+ * Summarize weekly hours, grouping consecutive days with the same hours
+ * e.g. "Mon–Fri 09:00–17:00, Sat 10:00–14:00"
+ * @param {Object} weeklyHours - { "1": [{ startTime, endTime }], ... }
+ * @returns {string} Summary
+ */
+export function formatWeeklyHours(weeklyHours) {
+  const groups = [];
+
+  // List Monday first, Sunday last
+  [1, 2, 3, 4, 5, 6, 0].forEach((day) => {
+    const ranges = weeklyHours?.[day] || [];
+    if (ranges.length === 0) return;
+
+    const hours = ranges.map((r) => `${r.startTime}–${r.endTime}`).join(", ");
+    const last = groups[groups.length - 1];
+    if (last && last.hours === hours && (last.lastDay + 1) % 7 === day) {
+      last.lastDay = day;
+    } else {
+      groups.push({ firstDay: day, lastDay: day, hours });
+    }
+  });
+
+  if (groups.length === 0) return "No hours";
+
+  return groups
+    .map((g) => g.firstDay === g.lastDay
+      ? `${WEEKDAYS[g.firstDay]} ${g.hours}`
+      : `${WEEKDAYS[g.firstDay]}–${WEEKDAYS[g.lastDay]} ${g.hours}`)
+    .join(", ");
+}
+
+/**
+ * Get the store's opening hours per day of week
+ * Stores that haven't saved per-day hours use workingHoursStart/End on every open day.
+ * @param {Object} settings - Store settings
+ * @returns {Object} Weekly hours
+ */
+export function getOpeningHours(settings) {
+  if (settings?.openingHours && typeof settings.openingHours === "object") {
+    return settings.openingHours;
+  }
+
+  const weeklyHours = {};
+  (settings?.openDays || "").split(",").filter(Boolean).map(Number).forEach((day) => {
+    weeklyHours[day] = [{ startTime: settings.workingHoursStart, endTime: settings.workingHoursEnd }];
+  });
+  return weeklyHours;
+}
+
+/**
+ * Get the store's opening hours on a date
+ * @param {Object} settings - Store settings
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {Array} Ranges sorted by start time; empty when the store is closed that weekday
+ */
+export function getOpeningHoursForDate(settings, dateStr) {
+  const ranges = getOpeningHours(settings)[getDayOfWeek(dateStr)] || [];
+  return [...ranges].sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Summarize weekly hours for the legacy Settings columns
+ * @param {Object} weeklyHours - Weekly hours
+ * @returns {Object} { openDays, workingHoursStart, workingHoursEnd } - open weekdays and the
+ *   earliest opening and latest closing time of the week
+ */
+export function summarizeWeeklyHours(weeklyHours) {
+  const days = Object.keys(weeklyHours)
+    .filter((day) => weeklyHours[day]?.length > 0)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const ranges = days.flatMap((day) => weeklyHours[day]);
+
+  return {
+    openDays: days.join(","),
+    workingHoursStart: ranges.reduce((min, r) => (r.startTime < min ? r.startTime : min), "23:59"),
+    workingHoursEnd: ranges.reduce((max, r) => (r.endTime > max ? r.endTime : max), "00:00"),
+  };
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import {
+  getTemplateForDate,
+  expandTemplate,
+  validateWeeklyHours,
+  formatWeeklyHours,
+  getOpeningHours,
+  getOpeningHoursForDate,
+  summarizeWeeklyHours,
+} from "./weeklyHours";
+
+const template = (id, effectiveFrom, effectiveTo = null) => ({
+  id,
+  effectiveFrom: new Date(`${effectiveFrom}T00:00:00Z`),
+  effectiveTo: effectiveTo ? new Date(`${effectiveTo}T00:00:00Z`) : null,
+  weeklyHours: { 1: [{ startTime: "09:00", endTime: "12:00" }, { startTime: "13:00", endTime: "17:00" }] },
+});
+
+describe("getTemplateForDate", () => {
+  const templates = [
+    template(1, "2030-01-01"),
+    template(2, "2030-02-01", "2030-02-28"),
+  ];
+
+  it("finds the template effective on a date, the latest started winning", () => {
+    expect(getTemplateForDate(templates, "2030-01-15").id).toBe(1);
+    expect(getTemplateForDate(templates, "2030-02-01").id).toBe(2);
+    expect(getTemplateForDate(templates, "2030-02-28").id).toBe(2);
+    expect(getTemplateForDate(templates, "2030-03-01").id).toBe(1);
+  });
+
+  it("returns null before any template starts", () => {
+    expect(getTemplateForDate(templates, "2029-12-31")).toBeNull();
+  });
+});
+
+describe("expandTemplate", () => {
+  it("turns the weekday's ranges into available slots", () => {
+    // 7 January 2030 is a Monday
+    expect(expandTemplate(template(1, "2030-01-01"), "2030-01-07")).toEqual([
+      { startTime: "09:00", endTime: "12:00", isAvailable: true, bookingId: null },
+      { startTime: "13:00", endTime: "17:00", isAvailable: true, bookingId: null },
+    ]);
+    expect(expandTemplate(template(1, "2030-01-01"), "2030-01-08")).toEqual([]);
+  });
+});
+
+describe("validateWeeklyHours", () => {
+  it("accepts split hours", () => {
+    expect(validateWeeklyHours(template(1, "2030-01-01").weeklyHours)).toBeNull();
+  });
+
+  it("rejects missing hours and unknown days", () => {
+    expect(validateWeeklyHours(null)).toBe("Weekly hours are required");
+    expect(validateWeeklyHours({})).toBe("Add hours for at least one day");
+    expect(validateWeeklyHours({ 1: [] })).toBe("Add hours for at least one day");
+    expect(validateWeeklyHours({ 7: [{ startTime: "09:00", endTime: "17:00" }] })).toBe("Invalid day of week");
+  });
+
+  it("rejects malformed ranges instead of throwing", () => {
+    expect(validateWeeklyHours({ 1: [{ endTime: "17:00" }] })).toBe("Invalid time on Mon");
+    expect(validateWeeklyHours({ 1: [null] })).toBe("Invalid time on Mon");
+    expect(validateWeeklyHours({ 1: [{ startTime: "9:00", endTime: "17:00" }] })).toBe("Invalid time on Mon");
+  });
+
+  it("rejects empty and overlapping ranges", () => {
+    expect(validateWeeklyHours({ 2: [{ startTime: "17:00", endTime: "09:00" }] }))
+      .toBe("Tue: start time must be before end time");
+    expect(validateWeeklyHours({
+      3: [{ startTime: "12:00", endTime: "17:00" }, { startTime: "09:00", endTime: "12:30" }],
+    })).toBe("Wed: time ranges overlap");
+  });
+});
+
+describe("formatWeeklyHours", () => {
+  it("groups consecutive days with the same hours, Monday first", () => {
+    const nineToFive = [{ startTime: "09:00", endTime: "17:00" }];
+    expect(formatWeeklyHours({
+      0: [{ startTime: "10:00", endTime: "14:00" }],
+      1: nineToFive,
+      2: nineToFive,
+      3: nineToFive,
+      5: nineToFive,
+    })).toBe("Mon–Wed 09:00–17:00, Fri 09:00–17:00, Sun 10:00–14:00");
+    expect(formatWeeklyHours({})).toBe("No hours");
+  });
+});
+
+describe("getOpeningHours", () => {
+  const legacy = { openDays: "1,2", workingHoursStart: "09:00", workingHoursEnd: "17:00", openingHours: null };
+
+  it("builds weekly hours from the legacy columns until opening hours are saved", () => {
+    expect(getOpeningHours(legacy)).toEqual({
+      1: [{ startTime: "09:00", endTime: "17:00" }],
+      2: [{ startTime: "09:00", endTime: "17:00" }],
+    });
+  });
+
+  it("gives a day's ranges sorted, and none on closed days", () => {
+    const settings = {
+      ...legacy,
+      openingHours: {
+        1: [{ startTime: "13:00", endTime: "18:00" }, { startTime: "09:00", endTime: "12:00" }],
+        6: [{ startTime: "10:00", endTime: "14:00" }],
+      },
+    };
+
+    expect(getOpeningHoursForDate(settings, "2030-01-07")).toEqual([
+      { startTime: "09:00", endTime: "12:00" },
+      { startTime: "13:00", endTime: "18:00" },
+    ]);
+    expect(getOpeningHoursForDate(settings, "2030-01-12")).toEqual([{ startTime: "10:00", endTime: "14:00" }]);
+    expect(getOpeningHoursForDate(settings, "2030-01-08")).toEqual([]);
+  });
+});
+
+describe("summarizeWeeklyHours", () => {
+  it("keeps the open days and the week's earliest opening and latest closing", () => {
+    expect(summarizeWeeklyHours({
+      1: [{ startTime: "09:00", endTime: "12:00" }, { startTime: "13:00", endTime: "18:00" }],
+      3: [],
+      6: [{ startTime: "08:30", endTime: "14:00" }],
+    })).toEqual({ openDays: "1,6", workingHoursStart: "08:30", workingHoursEnd: "18:00" });
+  });
+});
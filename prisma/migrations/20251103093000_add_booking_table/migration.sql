@@ -0,0 +1,56 @@
+-- CreateTable
+CREATE TABLE "Booking" (
+    "id" BIGSERIAL NOT NULL,
+    "shop" VARCHAR(255) NOT NULL,
+    "storeId" BIGINT NOT NULL,
+    "serviceId" BIGINT NOT NULL,
+    "employeeId" BIGINT NOT NULL,
+    "resourceId" BIGINT,
+    "date" DATE NOT NULL,
+    "startTime" VARCHAR(5) NOT NULL,
+    "endTime" VARCHAR(5) NOT NULL,
+    "customerName" VARCHAR(255),
+    "customerEmail" VARCHAR(255),
+    "customerPhone" VARCHAR(50),
+    "status" VARCHAR(50) NOT NULL DEFAULT 'CONFIRMED',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Booking_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Booking_shop_idx" ON "Booking"("shop");
+
+-- CreateIndex
+CREATE INDEX "Booking_storeId_idx" ON "Booking"("storeId");
+
+-- CreateIndex
+CREATE INDEX "Booking_serviceId_idx" ON "Booking"("serviceId");
+
+-- CreateIndex
+CREATE INDEX "Booking_employeeId_idx" ON "Booking"("employeeId");
+
+-- CreateIndex
+CREATE INDEX "Booking_resourceId_idx" ON "Booking"("resourceId");
+
+-- CreateIndex
+CREATE INDEX "Booking_date_idx" ON "Booking"("date");
+
+-- CreateIndex
+CREATE INDEX "Booking_status_idx" ON "Booking"("status");
+
+-- CreateIndex
+CREATE INDEX "Booking_employeeId_date_idx" ON "Booking"("employeeId", "date");
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "Employee"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_resourceId_fkey" FOREIGN KEY ("resourceId") REFERENCES "Resource"("id") ON DELETE SET NULL ON UPDATE CASCADE;
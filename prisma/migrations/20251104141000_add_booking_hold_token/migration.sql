@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "holdToken" VARCHAR(64);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Booking_holdToken_key" ON "Booking"("holdToken");
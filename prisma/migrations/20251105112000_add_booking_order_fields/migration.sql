@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "confirmedAt" TIMESTAMP(3),
+ADD COLUMN     "lineItemId" VARCHAR(255),
+ADD COLUMN     "orderId" VARCHAR(255),
+ADD COLUMN     "orderName" VARCHAR(50);
+
+-- CreateIndex
+CREATE INDEX "Booking_orderId_idx" ON "Booking"("orderId");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "holdExpiresAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN     "holdDuration" INTEGER NOT NULL DEFAULT 15;
+
+-- CreateIndex
+CREATE INDEX "Booking_holdExpiresAt_idx" ON "Booking"("holdExpiresAt");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "cancelReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "cancelledBy" VARCHAR(100);
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "customerId" VARCHAR(255),
+ADD COLUMN     "rescheduledAt" TIMESTAMP(3),
+ADD COLUMN     "source" VARCHAR(20) NOT NULL DEFAULT 'storefront';
+
+-- CreateIndex
+CREATE INDEX "Booking_customerId_idx" ON "Booking"("customerId");
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "AvailabilityTemplate" (
+    "id" BIGSERIAL NOT NULL,
+    "employeeId" BIGINT NOT NULL,
+    "shop" VARCHAR(255) NOT NULL,
+    "weeklyHours" JSONB NOT NULL,
+    "effectiveFrom" DATE NOT NULL,
+    "effectiveTo" DATE,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AvailabilityTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AvailabilityTemplate_employeeId_idx" ON "AvailabilityTemplate"("employeeId");
+
+-- CreateIndex
+CREATE INDEX "AvailabilityTemplate_shop_idx" ON "AvailabilityTemplate"("shop");
+
+-- CreateIndex
+CREATE INDEX "AvailabilityTemplate_employeeId_effectiveFrom_idx" ON "AvailabilityTemplate"("employeeId", "effectiveFrom");
+
+-- AddForeignKey
+ALTER TABLE "AvailabilityTemplate" ADD CONSTRAINT "AvailabilityTemplate_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "Employee"("id") ON DELETE CASCADE ON UPDATE CASCADE;
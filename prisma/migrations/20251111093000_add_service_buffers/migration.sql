@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "bufferAfter" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "bufferBefore" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "slotInterval" VARCHAR(10);
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN     "slotInterval" VARCHAR(10) NOT NULL DEFAULT '15';
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "TimeOff" (
+    "id" BIGSERIAL NOT NULL,
+    "employeeId" BIGINT NOT NULL,
+    "shop" VARCHAR(255) NOT NULL,
+    "type" VARCHAR(20) NOT NULL,
+    "reason" TEXT,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'APPROVED',
+    "startDate" DATE NOT NULL,
+    "endDate" DATE,
+    "startTime" VARCHAR(5),
+    "endTime" VARCHAR(5),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TimeOff_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TimeOff_employeeId_idx" ON "TimeOff"("employeeId");
+
+-- CreateIndex
+CREATE INDEX "TimeOff_shop_idx" ON "TimeOff"("shop");
+
+-- CreateIndex
+CREATE INDEX "TimeOff_employeeId_startDate_idx" ON "TimeOff"("employeeId", "startDate");
+
+-- AddForeignKey
+ALTER TABLE "TimeOff" ADD CONSTRAINT "TimeOff_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "Employee"("id") ON DELETE CASCADE ON UPDATE CASCADE;
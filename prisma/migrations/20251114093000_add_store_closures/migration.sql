@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "StoreClosure" (
+    "id" BIGSERIAL NOT NULL,
+    "shop" VARCHAR(255) NOT NULL,
+    "storeId" BIGINT NOT NULL,
+    "name" VARCHAR(255) NOT NULL,
+    "startDate" DATE NOT NULL,
+    "endDate" DATE NOT NULL,
+    "recursYearly" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StoreClosure_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StoreClosure_shop_idx" ON "StoreClosure"("shop");
+
+-- CreateIndex
+CREATE INDEX "StoreClosure_storeId_idx" ON "StoreClosure"("storeId");
+
+-- AddForeignKey
+ALTER TABLE "StoreClosure" ADD CONSTRAINT "StoreClosure_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "minimumNotice" VARCHAR(20);
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN     "minimumNotice" VARCHAR(20) NOT NULL DEFAULT '0';
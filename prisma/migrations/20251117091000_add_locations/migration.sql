@@ -0,0 +1,66 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "locationId" BIGINT;
+
+-- AlterTable
+ALTER TABLE "Employee" ADD COLUMN     "locationId" BIGINT;
+
+-- AlterTable
+ALTER TABLE "Resource" ADD COLUMN     "locationId" BIGINT;
+
+-- AlterTable
+ALTER TABLE "StoreClosure" ADD COLUMN     "locationId" BIGINT;
+
+-- CreateTable
+CREATE TABLE "Location" (
+    "id" BIGSERIAL NOT NULL,
+    "shop" VARCHAR(255) NOT NULL,
+    "storeId" BIGINT NOT NULL,
+    "shopifyLocationId" VARCHAR(255) NOT NULL,
+    "name" VARCHAR(255) NOT NULL,
+    "address" TEXT,
+    "openingHours" JSONB,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Location_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Location_shop_idx" ON "Location"("shop");
+
+-- CreateIndex
+CREATE INDEX "Location_storeId_idx" ON "Location"("storeId");
+
+-- CreateIndex
+CREATE INDEX "Location_isActive_idx" ON "Location"("isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Location_shop_shopifyLocationId_key" ON "Location"("shop", "shopifyLocationId");
+
+-- CreateIndex
+CREATE INDEX "Booking_locationId_idx" ON "Booking"("locationId");
+
+-- CreateIndex
+CREATE INDEX "Employee_locationId_idx" ON "Employee"("locationId");
+
+-- CreateIndex
+CREATE INDEX "Resource_locationId_idx" ON "Resource"("locationId");
+
+-- CreateIndex
+CREATE INDEX "StoreClosure_locationId_idx" ON "StoreClosure"("locationId");
+
+-- AddForeignKey
+ALTER TABLE "Location" ADD CONSTRAINT "Location_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StoreClosure" ADD CONSTRAINT "StoreClosure_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Employee" ADD CONSTRAINT "Employee_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Resource" ADD CONSTRAINT "Resource_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "capacity" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,70 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "scheduledSessionId" BIGINT;
+
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "bookingMode" VARCHAR(20) NOT NULL DEFAULT 'open';
+
+-- CreateTable
+CREATE TABLE "ScheduledSession" (
+    "id" BIGSERIAL NOT NULL,
+    "shop" VARCHAR(255) NOT NULL,
+    "storeId" BIGINT NOT NULL,
+    "serviceId" BIGINT NOT NULL,
+    "employeeId" BIGINT NOT NULL,
+    "resourceId" BIGINT,
+    "locationId" BIGINT,
+    "date" DATE NOT NULL,
+    "startTime" VARCHAR(5) NOT NULL,
+    "endTime" VARCHAR(5) NOT NULL,
+    "capacity" INTEGER NOT NULL DEFAULT 1,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScheduledSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ScheduledSession_shop_idx" ON "ScheduledSession"("shop");
+
+-- CreateIndex
+CREATE INDEX "ScheduledSession_storeId_idx" ON "ScheduledSession"("storeId");
+
+-- CreateIndex
+CREATE INDEX "ScheduledSession_serviceId_idx" ON "ScheduledSession"("serviceId");
+
+-- CreateIndex
+CREATE INDEX "ScheduledSession_employeeId_idx" ON "ScheduledSession"("employeeId");
+
+-- CreateIndex
+CREATE INDEX "ScheduledSession_resourceId_idx" ON "ScheduledSession"("resourceId");
+
+-- CreateIndex
+CREATE INDEX "ScheduledSession_locationId_idx" ON "ScheduledSession"("locationId");
+
+-- CreateIndex
+CREATE INDEX "ScheduledSession_date_idx" ON "ScheduledSession"("date");
+
+-- CreateIndex
+CREATE INDEX "ScheduledSession_isActive_idx" ON "ScheduledSession"("isActive");
+
+-- CreateIndex
+CREATE INDEX "Booking_scheduledSessionId_idx" ON "Booking"("scheduledSessionId");
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_scheduledSessionId_fkey" FOREIGN KEY ("scheduledSessionId") REFERENCES "ScheduledSession"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScheduledSession" ADD CONSTRAINT "ScheduledSession_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScheduledSession" ADD CONSTRAINT "ScheduledSession_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScheduledSession" ADD CONSTRAINT "ScheduledSession_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "Employee"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScheduledSession" ADD CONSTRAINT "ScheduledSession_resourceId_fkey" FOREIGN KEY ("resourceId") REFERENCES "Resource"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScheduledSession" ADD CONSTRAINT "ScheduledSession_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE "ServiceResourceRequirement" (
+    "id" BIGSERIAL NOT NULL,
+    "serviceId" BIGINT NOT NULL,
+    "resourceTypeId" BIGINT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ServiceResourceRequirement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BookingResource" (
+    "id" BIGSERIAL NOT NULL,
+    "bookingId" BIGINT NOT NULL,
+    "resourceId" BIGINT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingResource_pkey" PRIMARY KEY ("id")
+);
+
+-- Copy each service's resource type into a requirement of one unit
+INSERT INTO "ServiceResourceRequirement" ("serviceId", "resourceTypeId", "quantity", "updatedAt")
+SELECT "id", "resourceTypeId", 1, CURRENT_TIMESTAMP FROM "Service" WHERE "resourceTypeId" IS NOT NULL;
+
+-- Existing bookings hold one unit of their resource
+INSERT INTO "BookingResource" ("bookingId", "resourceId", "quantity")
+SELECT "id", "resourceId", 1 FROM "Booking" WHERE "resourceId" IS NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "Service" DROP CONSTRAINT "Service_resourceTypeId_fkey";
+
+-- DropIndex
+DROP INDEX "Service_resourceTypeId_idx";
+
+-- AlterTable
+ALTER TABLE "Service" DROP COLUMN "resourceTypeId";
+
+-- CreateIndex
+CREATE INDEX "ServiceResourceRequirement_resourceTypeId_idx" ON "ServiceResourceRequirement"("resourceTypeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ServiceResourceRequirement_serviceId_resourceTypeId_key" ON "ServiceResourceRequirement"("serviceId", "resourceTypeId");
+
+-- CreateIndex
+CREATE INDEX "BookingResource_resourceId_idx" ON "BookingResource"("resourceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookingResource_bookingId_resourceId_key" ON "BookingResource"("bookingId", "resourceId");
+
+-- AddForeignKey
+ALTER TABLE "ServiceResourceRequirement" ADD CONSTRAINT "ServiceResourceRequirement_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ServiceResourceRequirement" ADD CONSTRAINT "ServiceResourceRequirement_resourceTypeId_fkey" FOREIGN KEY ("resourceTypeId") REFERENCES "ResourceType"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingResource" ADD CONSTRAINT "BookingResource_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingResource" ADD CONSTRAINT "BookingResource_resourceId_fkey" FOREIGN KEY ("resourceId") REFERENCES "Resource"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "staffRequired" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "BookingEmployee" (
+    "id" BIGSERIAL NOT NULL,
+    "bookingId" BIGINT NOT NULL,
+    "employeeId" BIGINT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingEmployee_pkey" PRIMARY KEY ("id")
+);
+
+-- Existing bookings are assigned to their employee
+INSERT INTO "BookingEmployee" ("bookingId", "employeeId")
+SELECT "id", "employeeId" FROM "Booking";
+
+-- CreateIndex
+CREATE INDEX "BookingEmployee_employeeId_idx" ON "BookingEmployee"("employeeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookingEmployee_bookingId_employeeId_key" ON "BookingEmployee"("bookingId", "employeeId");
+
+-- AddForeignKey
+ALTER TABLE "BookingEmployee" ADD CONSTRAINT "BookingEmployee_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingEmployee" ADD CONSTRAINT "BookingEmployee_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "Employee"("id") ON DELETE CASCADE ON UPDATE CASCADE;
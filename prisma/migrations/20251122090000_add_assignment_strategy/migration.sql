@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Employee" ADD COLUMN     "priority" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN     "assignmentStrategy" VARCHAR(20) NOT NULL DEFAULT 'round_robin';
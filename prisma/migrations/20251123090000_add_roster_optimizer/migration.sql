@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE "RosterShift" (
+    "id" BIGSERIAL NOT NULL,
+    "shop" VARCHAR(255) NOT NULL,
+    "storeId" BIGINT NOT NULL,
+    "name" VARCHAR(255) NOT NULL,
+    "weekdays" JSONB NOT NULL,
+    "startTime" VARCHAR(5) NOT NULL,
+    "endTime" VARCHAR(5) NOT NULL,
+    "staffNeeded" INTEGER NOT NULL DEFAULT 1,
+    "serviceId" BIGINT,
+    "locationId" BIGINT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RosterShift_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RosterPreference" (
+    "id" BIGSERIAL NOT NULL,
+    "employeeId" BIGINT NOT NULL,
+    "shop" VARCHAR(255) NOT NULL,
+    "date" DATE NOT NULL,
+    "type" VARCHAR(20) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RosterPreference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RosterShift_shop_idx" ON "RosterShift"("shop");
+
+-- CreateIndex
+CREATE INDEX "RosterShift_storeId_idx" ON "RosterShift"("storeId");
+
+-- CreateIndex
+CREATE INDEX "RosterShift_serviceId_idx" ON "RosterShift"("serviceId");
+
+-- CreateIndex
+CREATE INDEX "RosterShift_locationId_idx" ON "RosterShift"("locationId");
+
+-- CreateIndex
+CREATE INDEX "RosterPreference_shop_idx" ON "RosterPreference"("shop");
+
+-- CreateIndex
+CREATE INDEX "RosterPreference_date_idx" ON "RosterPreference"("date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RosterPreference_employeeId_date_key" ON "RosterPreference"("employeeId", "date");
+
+-- AddForeignKey
+ALTER TABLE "RosterShift" ADD CONSTRAINT "RosterShift_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RosterShift" ADD CONSTRAINT "RosterShift_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RosterShift" ADD CONSTRAINT "RosterShift_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RosterPreference" ADD CONSTRAINT "RosterPreference_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "Employee"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests run without the React Router plugin: they import app modules directly
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+  },
+});